@@ -6,11 +6,60 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import Ajv from 'ajv';
+import { HttpSessionManager, createHttpTransportRouter } from './http-transport.js';
+import { isAbortError } from '../utils/abort.js';
+import { wrappedMcpCall, getServerOmegaConfig } from '../middleware/protocol-omega.js';
 import { logger } from '../utils/logger.js';
 import { createModuleLogger } from '../utils/log-helpers.js';
 
 const mcpLogger = createModuleLogger('MCPServer');
 
+/**
+ * JSON Schema validator for tool arguments
+ * useDefaults fills in declared defaults, allErrors reports every violation
+ */
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+
+/**
+ * JSON Schema validator for tool results (never modifies the result)
+ */
+const outputAjv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Convert Ajv errors into a flat list of violations
+ */
+function formatViolations(errors) {
+  return errors.map(error => {
+    const segments = error.instancePath.split('/').filter(Boolean);
+
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+
+    return {
+      path: segments.join('.') || '(root)',
+      keyword: error.keyword,
+      message: error.message,
+      ...(error.keyword === 'enum' && { allowedValues: error.params.allowedValues })
+    };
+  });
+}
+
 /**
  * Base MCP Server class
  * All MCP servers should extend this class
@@ -22,8 +71,13 @@ export class BaseMCPServer {
     this.description = config.description || '';
     this.tools = new Map();
     this.resources = new Map();
+    this.resourceTemplates = new Map();
+    this.subscriptions = new Map();
+    this.resourceUpdateListeners = new Set();
+    this.prompts = new Map();
     this.server = null;
     this.transport = null;
+    this.httpRouter = null;
     this.capabilities = config.capabilities || {};
   }
 
@@ -37,7 +91,9 @@ export class BaseMCPServer {
       description: this.description,
       capabilities: this.capabilities,
       toolCount: this.tools.size,
-      resourceCount: this.resources.size
+      resourceCount: this.resources.size,
+      resourceTemplateCount: this.resourceTemplates.size,
+      promptCount: this.prompts.size
     };
   }
 
@@ -45,7 +101,7 @@ export class BaseMCPServer {
    * Register a tool
    */
   registerTool(tool) {
-    const { name, description, inputSchema, handler } = tool;
+    const { name, description, inputSchema, outputSchema, annotations, handler } = tool;
 
     if (!name || !description || !inputSchema || !handler) {
       throw new Error('Tool must have name, description, inputSchema, and handler');
@@ -55,7 +111,11 @@ export class BaseMCPServer {
       name,
       description,
       inputSchema,
-      handler
+      outputSchema,
+      annotations,
+      handler,
+      validate: ajv.compile(inputSchema),
+      validateOutput: outputSchema ? outputAjv.compile(outputSchema) : null
     });
 
     mcpLogger.debug(`Tool registered: ${name}`);
@@ -84,14 +144,89 @@ export class BaseMCPServer {
     return Array.from(this.tools.values()).map(tool => ({
       name: tool.name,
       description: tool.description,
-      inputSchema: tool.inputSchema
+      inputSchema: tool.inputSchema,
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+      ...(tool.annotations && { annotations: tool.annotations })
     }));
   }
 
+  /**
+   * Validate tool arguments against the tool's inputSchema
+   * Returns the arguments with declared defaults applied
+   */
+  validateArguments(tool, args) {
+    const validated = structuredClone(args ?? {});
+
+    if (!tool.validate(validated)) {
+      return {
+        valid: false,
+        violations: formatViolations(tool.validate.errors)
+      };
+    }
+
+    return { valid: true, args: validated };
+  }
+
+  /**
+   * Build the context handed to tool handlers
+   *   signal         - AbortSignal, aborted on notifications/cancelled
+   *   reportProgress - (progress, total, message) => sends notifications/progress
+   *                    when the client asked for progress; otherwise a no-op
+   * extra is the SDK request handler extra ({ signal, _meta, sendNotification })
+   * or a context built earlier, which is passed through unchanged
+   */
+  createToolContext(extra = {}) {
+    if (typeof extra.reportProgress === 'function') {
+      return extra;
+    }
+
+    const progressToken = extra._meta?.progressToken;
+    let lastProgress = -Infinity;
+
+    // The SDK aborts with a plain string reason; handlers always see an AbortError
+    const controller = new AbortController();
+    if (extra.signal?.aborted) {
+      controller.abort();
+    } else {
+      extra.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      reportProgress: async (progress, total, message) => {
+        // Progress must increase with every notification
+        if (progressToken === undefined || !extra.sendNotification || progress <= lastProgress) {
+          return;
+        }
+        lastProgress = progress;
+
+        try {
+          await extra.sendNotification({
+            method: 'notifications/progress',
+            params: {
+              progressToken,
+              progress,
+              ...(total !== undefined && { total }),
+              ...(message && { message })
+            }
+          });
+        } catch (error) {
+          mcpLogger.debug('Failed to send progress notification', {
+            error: error.message
+          });
+        }
+      }
+    };
+  }
+
   /**
    * Call a tool
+   * extra carries the cancellation signal and progress token (see createToolContext)
+   * and the identity of the MCP client (extra.client: { name, version }); its
+   * sessionId and requestId (JSON-RPC or HTTP request ID) are recorded too
+   * Calls are recorded through Protocol Omega unless disabled for this server
    */
-  async callTool(name, args) {
+  async callTool(name, args, extra = {}) {
     const tool = this.tools.get(name);
 
     if (!tool) {
@@ -100,12 +235,89 @@ export class BaseMCPServer {
 
     mcpLogger.debug(`Calling tool: ${name}`, { args });
 
+    const omega = getServerOmegaConfig(this.name);
+
+    if (!omega.enabled) {
+      return this.executeTool(tool, args, extra);
+    }
+
     try {
-      const result = await tool.handler(args);
+      return await wrappedMcpCall(name, this.name, args, (toolArgs) => this.executeTool(tool, toolArgs, extra), {
+        blockOnFailure: omega.blockOnFailure,
+        client: extra.client,
+        session: extra.sessionId,
+        requestId: extra.requestId !== undefined ? String(extra.requestId) : undefined,
+        signal: extra.signal
+      });
+    } catch (error) {
+      const cancelled = isAbortError(error);
+
+      if (cancelled) {
+        mcpLogger.info(`Tool ${name} cancelled`);
+      } else {
+        mcpLogger.error(`Tool ${name} blocked by Protocol Omega`, {
+          error: error.message,
+          code: error.code
+        });
+      }
 
-      mcpLogger.info(`Tool ${name} executed successfully`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              error: cancelled ? 'Tool call cancelled' : error.message,
+              code: cancelled ? 'CANCELLED' : error.code,
+              tool: name,
+              ...(error.policy && { policy: error.policy }),
+              ...(error.approval && { approval: error.approval })
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Validate arguments and run a tool handler
+   * Failures are returned as isError results, never thrown
+   */
+  async executeTool(tool, args, extra = {}) {
+    const { name } = tool;
+    const validation = this.validateArguments(tool, args);
+
+    if (!validation.valid) {
+      mcpLogger.warn(`Tool ${name} called with invalid arguments`, {
+        violations: validation.violations
+      });
 
       return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              error: 'Invalid arguments',
+              code: 'INVALID_INPUT',
+              tool: name,
+              violations: validation.violations
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const context = this.createToolContext(extra);
+
+    try {
+      context.signal.throwIfAborted();
+
+      const result = await tool.handler(validation.args, context);
+
+      mcpLogger.info(`Tool ${name} executed successfully`);
+
+      const response = {
         content: [
           {
             type: 'text',
@@ -113,18 +325,31 @@ export class BaseMCPServer {
           }
         ]
       };
+
+      if (tool.outputSchema && result !== null && typeof result === 'object') {
+        response.structuredContent = this.createStructuredContent(tool, result);
+      }
+
+      return response;
     } catch (error) {
-      mcpLogger.error(`Tool ${name} execution failed`, {
-        error: error.message
-      });
+      const cancelled = context.signal.aborted && isAbortError(error);
+
+      if (cancelled) {
+        mcpLogger.info(`Tool ${name} cancelled`);
+      } else {
+        mcpLogger.error(`Tool ${name} execution failed`, {
+          error: error.message
+        });
+      }
 
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
-              error: error.message,
-              tool: name
+              error: cancelled ? 'Tool call cancelled' : error.message,
+              tool: name,
+              ...(cancelled && { code: 'CANCELLED' })
             }, null, 2)
           }
         ],
@@ -133,6 +358,22 @@ export class BaseMCPServer {
     }
   }
 
+  /**
+   * Build structuredContent for a tool result
+   * The result is normalized through JSON so it matches the text content
+   */
+  createStructuredContent(tool, result) {
+    const structured = JSON.parse(JSON.stringify(result));
+
+    if (!tool.validateOutput(structured)) {
+      mcpLogger.warn(`Tool ${tool.name} result does not match its outputSchema`, {
+        violations: formatViolations(tool.validateOutput.errors)
+      });
+    }
+
+    return structured;
+  }
+
   /**
    * Register a resource
    */
@@ -166,20 +407,86 @@ export class BaseMCPServer {
     }));
   }
 
+  /**
+   * Register a resource template (RFC 6570 URI template)
+   * The handler receives the decoded template variables and the requested URI
+   */
+  registerResourceTemplate(template) {
+    const { uriTemplate, name, description, mimeType, handler } = template;
+
+    if (!uriTemplate || !handler) {
+      throw new Error('Resource template must have uriTemplate and handler');
+    }
+
+    this.resourceTemplates.set(uriTemplate, {
+      uriTemplate,
+      name: name || uriTemplate,
+      description: description || '',
+      mimeType: mimeType || 'text/plain',
+      handler,
+      template: new UriTemplate(uriTemplate)
+    });
+
+    mcpLogger.debug(`Resource template registered: ${uriTemplate}`);
+  }
+
+  /**
+   * List all resource templates
+   */
+  listResourceTemplates() {
+    return Array.from(this.resourceTemplates.values()).map(template => ({
+      uriTemplate: template.uriTemplate,
+      name: template.name,
+      description: template.description,
+      mimeType: template.mimeType
+    }));
+  }
+
+  /**
+   * Find the resource template matching a URI
+   * Returns the template and its decoded variables, or null
+   */
+  matchResourceTemplate(uri) {
+    for (const template of this.resourceTemplates.values()) {
+      const match = template.template.match(uri);
+
+      if (match) {
+        const variables = {};
+        for (const [key, value] of Object.entries(match)) {
+          variables[key] = Array.isArray(value)
+            ? value.map(v => decodeURIComponent(v))
+            : decodeURIComponent(value);
+        }
+        return { template, variables };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Read a resource
+   * Fixed URIs are looked up first, then resource templates
    */
   async readResource(uri) {
-    const resource = this.resources.get(uri);
+    let resource = this.resources.get(uri);
+    let variables = {};
 
     if (!resource) {
-      throw new Error(`Resource ${uri} not found`);
+      const match = this.matchResourceTemplate(uri);
+
+      if (!match) {
+        throw new Error(`Resource ${uri} not found`);
+      }
+
+      resource = match.template;
+      variables = match.variables;
     }
 
     mcpLogger.debug(`Reading resource: ${uri}`);
 
     try {
-      const content = await resource.handler();
+      const content = await resource.handler(variables, uri);
 
       mcpLogger.info(`Resource ${uri} read successfully`);
 
@@ -202,13 +509,165 @@ export class BaseMCPServer {
   }
 
   /**
-   * Initialize the MCP server
+   * Register a prompt
+   * The handler receives the prompt arguments and returns the prompt text,
+   * a list of messages, or { description, messages }
    */
-  async initialize() {
-    mcpLogger.info(`Initializing MCP server: ${this.name}`);
+  registerPrompt(prompt) {
+    const { name, description, handler } = prompt;
 
-    // Create server instance
-    this.server = new Server(
+    if (!name || !handler) {
+      throw new Error('Prompt must have name and handler');
+    }
+
+    this.prompts.set(name, {
+      name,
+      description: description || '',
+      arguments: prompt.arguments || [],
+      handler
+    });
+
+    mcpLogger.debug(`Prompt registered: ${name}`);
+  }
+
+  /**
+   * List all prompts
+   */
+  listPrompts() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }));
+  }
+
+  /**
+   * Get a prompt rendered with its arguments
+   */
+  async getPrompt(name, args = {}) {
+    const prompt = this.prompts.get(name);
+
+    if (!prompt) {
+      throw new Error(`Prompt ${name} not found`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+
+    if (missing.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Prompt ${name} is missing required arguments: ${missing.join(', ')}`
+      );
+    }
+
+    mcpLogger.debug(`Getting prompt: ${name}`, { args });
+
+    const result = await prompt.handler(args);
+
+    if (typeof result === 'string') {
+      return {
+        description: prompt.description,
+        messages: [createPromptMessage(result)]
+      };
+    }
+
+    if (Array.isArray(result)) {
+      return {
+        description: prompt.description,
+        messages: result
+      };
+    }
+
+    return {
+      description: result.description || prompt.description,
+      messages: result.messages
+    };
+  }
+
+  /**
+   * Subscribe an SDK server (one client session) to updates of a resource
+   */
+  subscribe(uri, sdkServer) {
+    if (!this.subscriptions.has(uri)) {
+      this.subscriptions.set(uri, new Set());
+    }
+
+    this.subscriptions.get(uri).add(sdkServer);
+
+    mcpLogger.debug(`Resource subscribed: ${uri}`);
+  }
+
+  /**
+   * Remove a subscription of an SDK server
+   */
+  unsubscribe(uri, sdkServer) {
+    const subscribers = this.subscriptions.get(uri);
+
+    if (!subscribers) {
+      return;
+    }
+
+    subscribers.delete(sdkServer);
+
+    if (subscribers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+  }
+
+  /**
+   * Remove every subscription of an SDK server (its session closed)
+   */
+  removeSubscriber(sdkServer) {
+    for (const uri of Array.from(this.subscriptions.keys())) {
+      this.unsubscribe(uri, sdkServer);
+    }
+  }
+
+  /**
+   * Listen for resource updates of this server (used by the gateway)
+   * Returns a function that removes the listener
+   */
+  onResourceUpdated(listener) {
+    this.resourceUpdateListeners.add(listener);
+    return () => this.resourceUpdateListeners.delete(listener);
+  }
+
+  /**
+   * Send notifications/resources/updated to every subscriber of a URI
+   */
+  async notifyResourceUpdated(uri) {
+    for (const listener of this.resourceUpdateListeners) {
+      listener(uri);
+    }
+
+    const subscribers = this.subscriptions.get(uri);
+
+    if (!subscribers) {
+      return;
+    }
+
+    mcpLogger.debug(`Resource updated: ${uri}`, { subscribers: subscribers.size });
+
+    await Promise.all(Array.from(subscribers).map(async (sdkServer) => {
+      try {
+        await sdkServer.sendResourceUpdated({ uri });
+      } catch (error) {
+        mcpLogger.warn(`Failed to notify subscriber of ${uri}`, {
+          error: error.message
+        });
+        this.unsubscribe(uri, sdkServer);
+      }
+    }));
+  }
+
+  /**
+   * Create an SDK server wired to this server's tools and resources
+   * A separate instance is needed for every connected transport
+   */
+  createSdkServer() {
+    const server = new Server(
       {
         name: this.name,
         version: this.version
@@ -216,49 +675,108 @@ export class BaseMCPServer {
       {
         capabilities: {
           tools: {},
-          resources: {},
-          ...this.capabilities
+          prompts: {},
+          ...this.capabilities,
+          resources: {
+            ...this.capabilities.resources,
+            subscribe: true
+          }
         }
       }
     );
 
     // Register tool handler
-    this.server.setRequestHandler('tools/list', async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return { tools: this.listTools() };
     });
 
-    this.server.setRequestHandler('tools/call', async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
-      return this.callTool(name, args || {});
+      return this.callTool(name, args || {}, { ...extra, client: server.getClientVersion() });
     });
 
     // Register resource handler
-    this.server.setRequestHandler('resources/list', async () => {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return { resources: this.listResources() };
     });
 
-    this.server.setRequestHandler('resources/read', async (request) => {
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: this.listResourceTemplates() };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const { uri } = request.params;
       return this.readResource(uri);
     });
 
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscribe(request.params.uri, server);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.unsubscribe(request.params.uri, server);
+      return {};
+    });
+
+    // Register prompt handler
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: this.listPrompts() };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return this.getPrompt(name, args || {});
+    });
+
+    server.onclose = () => this.removeSubscriber(server);
+
+    return server;
+  }
+
+  /**
+   * Initialize the MCP server
+   */
+  async initialize() {
+    mcpLogger.info(`Initializing MCP server: ${this.name}`);
+
+    // Create server instance
+    this.server = this.createSdkServer();
+
     mcpLogger.info(`MCP server ${this.name} initialized successfully`);
   }
 
   /**
    * Start the server (connect transport)
+   * @param {Object} options
+   * @param {string} options.transport - 'stdio' (default) or 'http'
+   * @param {Object} options.app - Express app to mount the HTTP endpoints on (http only)
+   * @param {string} options.path - Mount path (http only, default /mcp/<name>/transport)
    */
-  async start() {
+  async start(options = {}) {
     if (!this.server) {
       await this.initialize();
     }
 
-    mcpLogger.info(`Starting MCP server: ${this.name}`);
+    const transport = options.transport || process.env.MCP_TRANSPORT || 'stdio';
 
-    // Use stdio transport
-    this.transport = new StdioServerTransport();
+    mcpLogger.info(`Starting MCP server: ${this.name}`, { transport });
 
-    await this.server.connect(this.transport);
+    if (transport === 'http') {
+      // Sessions get their own SDK server; this.server stays unconnected
+      this.transport = new HttpSessionManager(this, options);
+      this.httpRouter = createHttpTransportRouter(this.transport);
+
+      if (options.app) {
+        options.app.use(options.path || `/mcp/${this.name}/transport`, this.httpRouter);
+      }
+    } else if (transport === 'stdio') {
+      this.transport = new StdioServerTransport();
+
+      await this.server.connect(this.transport);
+    } else {
+      throw new Error(`Unknown MCP transport: ${transport}`);
+    }
 
     mcpLogger.info(`MCP server ${this.name} started`);
   }
@@ -269,6 +787,11 @@ export class BaseMCPServer {
   async stop() {
     mcpLogger.info(`Stopping MCP server: ${this.name}`);
 
+    if (this.transport instanceof HttpSessionManager) {
+      await this.transport.closeAll();
+      this.httpRouter = null;
+    }
+
     if (this.server) {
       await this.server.close();
       this.server = null;
@@ -307,20 +830,65 @@ export function createInputSchema(properties, required = []) {
   };
 }
 
+/**
+ * Helper function to create output schema for tools
+ */
+export function createOutputSchema(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    required
+  };
+}
+
 /**
  * Helper function to create a tool definition
+ * outputSchema is optional; when set, results are also returned as structuredContent.
+ * annotations are optional MCP tool hints; clients only retry a call that
+ * may already have run when it declares readOnlyHint or idempotentHint
  */
-export function createTool(name, description, inputSchema, handler) {
+export function createTool(name, description, inputSchema, handler, outputSchema, annotations) {
   return {
     name,
     description,
     inputSchema,
+    outputSchema,
+    annotations,
     handler
   };
 }
 
+/**
+ * Helper function to create a prompt definition
+ * args: [{ name, description, required }]
+ */
+export function createPrompt(name, description, args, handler) {
+  return {
+    name,
+    description,
+    arguments: args,
+    handler
+  };
+}
+
+/**
+ * Helper function to create a text prompt message
+ */
+export function createPromptMessage(text, role = 'user') {
+  return {
+    role,
+    content: {
+      type: 'text',
+      text
+    }
+  };
+}
+
 export default {
   BaseMCPServer,
   createInputSchema,
-  createTool
+  createOutputSchema,
+  createTool,
+  createPrompt,
+  createPromptMessage
 };
@@ -0,0 +1,112 @@
+// ============================================================
+// CLI Rules Prompts
+// ============================================================
+// Description: Expose the Protocol Omega rule files in config/cli-rules
+// as MCP prompts, so any client can load the rules of a CLI
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createPrompt } from './base-server.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const rulesLogger = createModuleLogger('CliRulesPrompts');
+
+/**
+ * Default location of the rule files (mounted from config/cli-rules)
+ */
+export const DEFAULT_CLI_RULES_PATH = '/app/config/cli-rules';
+
+/**
+ * CLI each known rule file belongs to
+ */
+const CLI_RULE_FILES = {
+  'PROMPT.md': 'claude-code',
+  '.clinerules': 'cline',
+  '.cursorrules': 'cursor',
+  'gemini-system-prompt.md': 'gemini'
+};
+
+/**
+ * Get the prompt name for a rule file, e.g. .cursorrules -> cli_rules_cursor
+ */
+function getPromptName(filename) {
+  const cli = CLI_RULE_FILES[filename] || path.basename(filename, path.extname(filename));
+  return `cli_rules_${cli.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase()}`;
+}
+
+/**
+ * Use the first markdown heading of a rule file as its description
+ */
+function getDescription(content, filename) {
+  const heading = content.split('\n').find(line => line.startsWith('# '));
+  return heading ? heading.slice(2).trim() : `CLI rules from ${filename}`;
+}
+
+/**
+ * Load prompt definitions for every rule file in a directory
+ * Returns an empty list when the directory does not exist
+ */
+export async function loadCliRulePrompts(rulesPath = DEFAULT_CLI_RULES_PATH) {
+  let filenames;
+
+  try {
+    filenames = await fs.readdir(rulesPath);
+  } catch (error) {
+    rulesLogger.warn('CLI rules directory not readable, no rule prompts loaded', {
+      path: rulesPath,
+      error: error.message
+    });
+    return [];
+  }
+
+  const prompts = [];
+
+  for (const filename of filenames.sort()) {
+    if (!CLI_RULE_FILES[filename] && path.extname(filename) !== '.md') {
+      continue;
+    }
+
+    const filepath = path.join(rulesPath, filename);
+    const content = await fs.readFile(filepath, 'utf-8');
+
+    if (!content.trim()) {
+      continue;
+    }
+
+    // The file is re-read on every request so edits apply without a restart
+    prompts.push(createPrompt(
+      getPromptName(filename),
+      getDescription(content, filename),
+      [],
+      async () => fs.readFile(filepath, 'utf-8')
+    ));
+  }
+
+  return prompts;
+}
+
+/**
+ * Register the rule prompts on an MCP server
+ * Returns the number of prompts registered
+ */
+export async function registerCliRulePrompts(server, rulesPath = DEFAULT_CLI_RULES_PATH) {
+  const prompts = await loadCliRulePrompts(rulesPath);
+
+  for (const prompt of prompts) {
+    server.registerPrompt(prompt);
+  }
+
+  rulesLogger.info('CLI rule prompts registered', {
+    server: server.name,
+    path: rulesPath,
+    count: prompts.length
+  });
+
+  return prompts.length;
+}
+
+export default {
+  loadCliRulePrompts,
+  registerCliRulePrompts,
+  DEFAULT_CLI_RULES_PATH
+};
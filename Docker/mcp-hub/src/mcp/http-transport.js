@@ -0,0 +1,192 @@
+// ============================================================
+// MCP HTTP Transport
+// ============================================================
+// Description: Streamable HTTP (with SSE fallback) sessions for MCP servers
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { incrementActiveConnections, decrementActiveConnections } from '../routes/metrics.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const transportLogger = createModuleLogger('MCPHttpTransport');
+
+/**
+ * Write a JSON-RPC error response
+ */
+function sendJsonRpcError(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * HTTP session manager
+ * Each client session gets its own SDK Server bound to the shared
+ * tool and resource registry of one BaseMCPServer
+ */
+export class HttpSessionManager {
+  constructor(mcpServer, options = {}) {
+    this.mcpServer = mcpServer;
+    this.enableJsonResponse = options.enableJsonResponse || false;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Track a new session
+   */
+  addSession(sessionId, type, transport, server) {
+    this.sessions.set(sessionId, {
+      type,
+      transport,
+      server,
+      created_at: new Date().toISOString()
+    });
+    incrementActiveConnections();
+
+    transportLogger.info('MCP session opened', {
+      server: this.mcpServer.name,
+      sessionId,
+      type
+    });
+  }
+
+  /**
+   * Forget a session (idempotent)
+   */
+  removeSession(sessionId) {
+    if (!sessionId || !this.sessions.delete(sessionId)) {
+      return;
+    }
+    decrementActiveConnections();
+
+    transportLogger.info('MCP session closed', {
+      server: this.mcpServer.name,
+      sessionId
+    });
+  }
+
+  /**
+   * Handle a Streamable HTTP request (POST, GET or DELETE)
+   */
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+
+      if (!session) {
+        return sendJsonRpcError(res, 404, -32001, 'Session not found');
+      }
+
+      if (session.type !== 'streamable') {
+        return sendJsonRpcError(res, 400, -32000, 'Session uses a different transport');
+      }
+
+      return session.transport.handleRequest(req, res, req.body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+      return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+    }
+
+    const server = this.mcpServer.createSdkServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      enableJsonResponse: this.enableJsonResponse,
+      onsessioninitialized: (id) => this.addSession(id, 'streamable', transport, server)
+    });
+
+    transport.onclose = () => this.removeSession(transport.sessionId);
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  }
+
+  /**
+   * Open a legacy SSE stream
+   */
+  async handleSseConnect(req, res, messagesPath) {
+    const server = this.mcpServer.createSdkServer();
+    const transport = new SSEServerTransport(messagesPath, res);
+
+    this.addSession(transport.sessionId, 'sse', transport, server);
+
+    res.on('close', () => {
+      this.removeSession(transport.sessionId);
+      server.close().catch(() => {});
+    });
+
+    await server.connect(transport);
+  }
+
+  /**
+   * Handle a message posted to a legacy SSE session
+   */
+  async handleSseMessage(req, res) {
+    const session = this.sessions.get(req.query.sessionId);
+
+    if (!session || session.type !== 'sse') {
+      return sendJsonRpcError(res, 404, -32001, 'Session not found');
+    }
+
+    await session.transport.handlePostMessage(req, res, req.body);
+  }
+
+  /**
+   * List open sessions
+   */
+  listSessions() {
+    return Array.from(this.sessions.entries()).map(([sessionId, session]) => ({
+      sessionId,
+      type: session.type,
+      created_at: session.created_at
+    }));
+  }
+
+  /**
+   * Close every open session
+   */
+  async closeAll() {
+    const sessions = Array.from(this.sessions.values());
+
+    await Promise.allSettled(sessions.map(session => session.transport.close()));
+
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      this.removeSession(sessionId);
+    }
+  }
+}
+
+/**
+ * Create an Express router for a session manager
+ *   ALL  /          Streamable HTTP endpoint
+ *   GET  /sse       Legacy SSE stream
+ *   POST /messages  Legacy SSE message endpoint
+ */
+export function createHttpTransportRouter(sessionManager) {
+  const router = express.Router();
+
+  router.get('/sse', (req, res, next) => {
+    sessionManager.handleSseConnect(req, res, `${req.baseUrl}/messages`).catch(next);
+  });
+
+  router.post('/messages', (req, res, next) => {
+    sessionManager.handleSseMessage(req, res).catch(next);
+  });
+
+  router.all('/', (req, res, next) => {
+    sessionManager.handleStreamableRequest(req, res).catch(next);
+  });
+
+  return router;
+}
+
+export default {
+  HttpSessionManager,
+  createHttpTransportRouter
+};
@@ -0,0 +1,248 @@
+// ============================================================
+// Gateway MCP Server
+// ============================================================
+// Description: Single MCP endpoint exposing the tools and resources
+// of every hub server under namespaced names
+
+import { BaseMCPServer } from '../base-server.js';
+import { registerCliRulePrompts, DEFAULT_CLI_RULES_PATH } from '../cli-rules-prompts.js';
+import { createModuleLogger } from '../../utils/log-helpers.js';
+
+const serverLogger = createModuleLogger('GatewayServer');
+
+/**
+ * Gateway MCP Server
+ * Aggregates other MCP servers; tool "create_entity" on "neo4j-memory"
+ * becomes "neo4j-memory.create_entity"
+ */
+export class GatewayServer extends BaseMCPServer {
+  constructor(config = {}) {
+    super({
+      name: config.name || 'hub',
+      version: '1.0.0',
+      description: 'Aggregated MCP endpoint for all hub servers',
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {}
+      }
+    });
+
+    this.separator = config.separator || '.';
+    this.servers = new Map();
+    this.resourceOwners = new Map();
+    this.templateOwners = new Map();
+
+    for (const server of config.servers || []) {
+      this.addServer(server);
+    }
+  }
+
+  /**
+   * Add a server to the gateway and mirror its tools and resources
+   */
+  addServer(server) {
+    if (this.servers.has(server.name)) {
+      throw new Error(`Server ${server.name} already added to gateway`);
+    }
+
+    this.servers.set(server.name, server);
+    this.refreshServer(server.name);
+
+    // Resource URIs are not namespaced, so updates are forwarded as-is
+    server.onResourceUpdated(uri => this.notifyResourceUpdated(uri));
+
+    serverLogger.info('Server added to gateway', {
+      server: server.name,
+      toolCount: server.tools.size,
+      resourceCount: server.resources.size,
+      promptCount: server.prompts.size
+    });
+  }
+
+  /**
+   * Re-read tools, resources and prompts of a server (e.g. after it registered new ones)
+   */
+  refreshServer(serverName) {
+    const server = this.servers.get(serverName);
+
+    if (!server) {
+      throw new Error(`Server ${serverName} not found in gateway`);
+    }
+
+    const prefix = `${serverName}${this.separator}`;
+
+    for (const name of Array.from(this.tools.keys())) {
+      if (name.startsWith(prefix)) {
+        this.tools.delete(name);
+      }
+    }
+
+    for (const tool of server.listTools()) {
+      const name = `${prefix}${tool.name}`;
+      this.registerTool({
+        ...tool,
+        name,
+        description: `[${serverName}] ${tool.description}`,
+        handler: (args, context) => server.callTool(tool.name, args, context)
+      });
+      this.tools.get(name).target = { server, tool: tool.name };
+    }
+
+    for (const [uri, owner] of Array.from(this.resourceOwners.entries())) {
+      if (owner === server) {
+        this.resourceOwners.delete(uri);
+        this.resources.delete(uri);
+      }
+    }
+
+    for (const resource of server.listResources()) {
+      if (this.resourceOwners.has(resource.uri)) {
+        serverLogger.warn('Duplicate resource URI, keeping first owner', {
+          uri: resource.uri,
+          owner: this.resourceOwners.get(resource.uri).name,
+          server: serverName
+        });
+        continue;
+      }
+
+      this.registerResource({
+        ...resource,
+        name: `${prefix}${resource.name}`,
+        handler: () => server.readResource(resource.uri)
+      });
+      this.resourceOwners.set(resource.uri, server);
+    }
+
+    for (const name of Array.from(this.prompts.keys())) {
+      if (name.startsWith(prefix)) {
+        this.prompts.delete(name);
+      }
+    }
+
+    for (const prompt of server.listPrompts()) {
+      this.registerPrompt({
+        ...prompt,
+        name: `${prefix}${prompt.name}`,
+        description: `[${serverName}] ${prompt.description}`,
+        handler: (args) => server.getPrompt(prompt.name, args)
+      });
+    }
+
+    for (const [uriTemplate, owner] of Array.from(this.templateOwners.entries())) {
+      if (owner === server) {
+        this.templateOwners.delete(uriTemplate);
+        this.resourceTemplates.delete(uriTemplate);
+      }
+    }
+
+    for (const template of server.listResourceTemplates()) {
+      if (this.templateOwners.has(template.uriTemplate)) {
+        serverLogger.warn('Duplicate resource template, keeping first owner', {
+          uriTemplate: template.uriTemplate,
+          owner: this.templateOwners.get(template.uriTemplate).name,
+          server: serverName
+        });
+        continue;
+      }
+
+      this.registerResourceTemplate({
+        ...template,
+        name: `${prefix}${template.name}`,
+        // Never called: readResource routes template URIs to the owner
+        handler: () => null
+      });
+      this.templateOwners.set(template.uriTemplate, server);
+    }
+  }
+
+  /**
+   * Find the owning server and original tool name for a namespaced tool
+   */
+  resolveToolName(name) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return null;
+    }
+
+    return tool.target;
+  }
+
+  /**
+   * Call a tool on its owning server
+   * The owning server formats the result, so it is passed through untouched
+   */
+  async callTool(name, args, extra = {}) {
+    const target = this.resolveToolName(name);
+
+    if (!target) {
+      throw new Error(`Tool ${name} not found`);
+    }
+
+    serverLogger.debug('Routing tool call', {
+      tool: name,
+      server: target.server.name
+    });
+
+    return target.server.callTool(target.tool, args, extra);
+  }
+
+  /**
+   * Read a resource from its owning server
+   */
+  async readResource(uri) {
+    let owner = this.resourceOwners.get(uri);
+
+    if (!owner) {
+      const match = this.matchResourceTemplate(uri);
+      owner = match && this.templateOwners.get(match.template.uriTemplate);
+    }
+
+    if (!owner) {
+      throw new Error(`Resource ${uri} not found`);
+    }
+
+    return owner.readResource(uri);
+  }
+
+  /**
+   * Get server info including aggregated servers
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      servers: Array.from(this.servers.keys())
+    };
+  }
+}
+
+/**
+ * Create the Gateway server
+ * Without config.servers, every server in MCPServers is created.
+ * The gateway also serves the CLI rule files as prompts.
+ */
+export async function createGatewayServer(config = {}) {
+  let servers = config.servers;
+
+  if (!servers) {
+    const { MCPServers } = await import('./index.js');
+    servers = [];
+    for (const serverInfo of Object.values(MCPServers)) {
+      servers.push(await serverInfo.creator(config[serverInfo.name] || {}));
+    }
+  }
+
+  const server = new GatewayServer({ ...config, servers });
+  await registerCliRulePrompts(
+    server,
+    config.cliRulesPath || process.env.CLI_RULES_PATH || DEFAULT_CLI_RULES_PATH
+  );
+  await server.initialize();
+  return server;
+}
+
+export default {
+  GatewayServer,
+  createGatewayServer
+};
@@ -4,28 +4,43 @@
 // Central export point for all MCP servers
 
 export { WanakuClient, initializeWanaku, getWanakuClient } from '../wanaku-client.js';
-export { BaseMCPServer, createInputSchema, createTool } from '../base-server.js';
-export {
+export { BaseMCPServer, createInputSchema, createOutputSchema, createTool } from '../base-server.js';
+import {
   Neo4jMemoryServer,
   createNeo4jMemoryServer
 } from './neo4j-memory-server.js';
-export {
+import {
   ObsidianMemoryServer,
   createObsidianMemoryServer
 } from './obsidian-memory-server.js';
-export {
+import {
   OllamaServer,
   createOllamaServer
 } from './ollama-server.js';
-export {
+import {
   SequentialThinkingServer,
   createSequentialThinkingServer
 } from './sequential-thinking-server.js';
-export {
+import {
   TaskMasterServer,
   createTaskMasterServer
 } from './task-master-server.js';
 
+export { GatewayServer, createGatewayServer } from './gateway-server.js';
+
+export {
+  Neo4jMemoryServer,
+  createNeo4jMemoryServer,
+  ObsidianMemoryServer,
+  createObsidianMemoryServer,
+  OllamaServer,
+  createOllamaServer,
+  SequentialThinkingServer,
+  createSequentialThinkingServer,
+  TaskMasterServer,
+  createTaskMasterServer
+};
+
 // Server metadata
 export const MCPServers = {
   neo4jMemory: {
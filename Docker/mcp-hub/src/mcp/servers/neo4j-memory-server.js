@@ -4,7 +4,7 @@
 // Task: US-008 - MCP Server for Neo4j graph memory
 // Description: Access structured graph memory through MCP
 
-import { BaseMCPServer, createTool, createInputSchema } from '../base-server.js';
+import { BaseMCPServer, createTool, createInputSchema, createOutputSchema } from '../base-server.js';
 import {
   createEntity,
   getEntityById,
@@ -28,6 +28,14 @@ import { createModuleLogger } from '../../utils/log-helpers.js';
 
 const serverLogger = createModuleLogger('Neo4jMemoryServer');
 
+/**
+ * Output schema for entity properties
+ */
+const entityOutput = {
+  type: 'object',
+  additionalProperties: true
+};
+
 /**
  * Neo4j Memory MCP Server
  * Provides tools for managing graph entities and relationships
@@ -39,11 +47,13 @@ export class Neo4jMemoryServer extends BaseMCPServer {
       version: '1.0.0',
       description: 'MCP server for Neo4j graph memory operations',
       capabilities: {
-        tools: {}
+        tools: {},
+        resources: {}
       }
     });
 
     this.registerTools();
+    this.registerResources();
   }
 
   /**
@@ -75,6 +85,7 @@ export class Neo4jMemoryServer extends BaseMCPServer {
         serverLogger.info('Creating entity', { label, id });
 
         const entity = await createEntity(label, { id, ...properties });
+        await this.notifyResourceUpdated(this.entityUri(label, id));
 
         return {
           success: true,
@@ -85,7 +96,12 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           },
           internalId: entity.identity.toInt()
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        entity: entityOutput,
+        internalId: { type: 'number' }
+      }, ['success'])
     ));
 
     // Get entity tool
@@ -120,7 +136,13 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           success: true,
           entity: entity.properties
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        entity: entityOutput,
+        error: { type: 'string' }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Find entities tool
@@ -155,7 +177,13 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           count: entities.length,
           entities: entities.map(e => e.properties)
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        count: { type: 'number' },
+        entities: { type: 'array', items: entityOutput }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Update entity tool
@@ -191,11 +219,19 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           };
         }
 
+        await this.notifyResourceUpdated(this.entityUri(label, id));
+
         return {
           success: true,
           entity: entity.properties
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        entity: entityOutput,
+        error: { type: 'string' }
+      }, ['success']),
+      { idempotentHint: true }
     ));
 
     // Delete entity tool
@@ -219,11 +255,19 @@ export class Neo4jMemoryServer extends BaseMCPServer {
 
         const deleted = await deleteEntity(label, id);
 
+        if (deleted) {
+          await this.notifyResourceUpdated(this.entityUri(label, id));
+        }
+
         return {
           success: deleted,
           message: deleted ? 'Entity deleted successfully' : 'Entity not found'
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        message: { type: 'string' }
+      }, ['success'])
     ));
 
     // Count entities tool
@@ -248,7 +292,13 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           label,
           count
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        label: { type: 'string' },
+        count: { type: 'number' }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Create relationship tool
@@ -311,7 +361,20 @@ export class Neo4jMemoryServer extends BaseMCPServer {
             properties
           }
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        relationship: {
+          type: 'object',
+          properties: {
+            from: { type: 'string' },
+            type: { type: 'string' },
+            to: { type: 'string' },
+            properties: { type: 'object', additionalProperties: true }
+          },
+          required: ['from', 'type', 'to']
+        }
+      }, ['success'])
     ));
 
     // Get relationships tool
@@ -354,7 +417,24 @@ export class Neo4jMemoryServer extends BaseMCPServer {
             to: r.otherEntity.properties
           }))
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        count: { type: 'number' },
+        relationships: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string' },
+              from: entityOutput,
+              to: entityOutput
+            },
+            required: ['type']
+          }
+        }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Query graph tool (pattern matching)
@@ -425,7 +505,19 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           success: true,
           result
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        result: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' }
+          },
+          required: ['type'],
+          additionalProperties: true
+        }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Find shortest path tool
@@ -455,7 +547,7 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           default: 5
         }
       }, ['fromLabel', 'fromId', 'toLabel', 'toId']),
-      async (args) => {
+      async (args, context) => {
         const { fromLabel, fromId, toLabel, toId, maxDepth = 5 } = args;
 
         serverLogger.info('Finding shortest path', {
@@ -466,7 +558,13 @@ export class Neo4jMemoryServer extends BaseMCPServer {
           maxDepth
         });
 
-        const path = await findShortestPath(fromLabel, fromId, toLabel, toId, maxDepth);
+        await context.reportProgress(0, 1, 'Searching for shortest path');
+
+        const path = await findShortestPath(fromLabel, fromId, toLabel, toId, maxDepth, {
+          signal: context.signal
+        });
+
+        await context.reportProgress(1, 1, 'Search finished');
 
         if (!path) {
           return {
@@ -485,13 +583,60 @@ export class Neo4jMemoryServer extends BaseMCPServer {
             relationships: path.relationshipTypes
           }
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        found: { type: 'boolean' },
+        message: { type: 'string' },
+        path: {
+          type: 'object',
+          properties: {
+            length: { type: 'number' },
+            nodes: { type: 'array' },
+            relationships: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['length', 'nodes', 'relationships']
+        }
+      }, ['success', 'found']),
+      { readOnlyHint: true }
     ));
 
     serverLogger.info('Neo4j Memory tools registered', {
       count: this.tools.size
     });
   }
+
+  /**
+   * Register resources for Neo4j
+   */
+  registerResources() {
+    // Single entity resource
+    this.registerResourceTemplate({
+      uriTemplate: 'neo4j://entity/{label}/{id}',
+      name: 'Entity',
+      description: 'Properties of a graph entity',
+      mimeType: 'application/json',
+      handler: async ({ label, id }, uri) => {
+        const entity = await getEntityById(label, id);
+
+        if (!entity) {
+          throw new Error(`Resource ${uri} not found`);
+        }
+
+        return {
+          label,
+          ...entity.properties
+        };
+      }
+    });
+  }
+
+  /**
+   * Get the resource URI of an entity
+   */
+  entityUri(label, id) {
+    return `neo4j://entity/${encodeURIComponent(label)}/${encodeURIComponent(id)}`;
+  }
 }
 
 /**
@@ -4,16 +4,29 @@
 // Task: US-009 - MCP Server for Obsidian vault access
 // Description: Read and write markdown files in Obsidian vault
 
-import { BaseMCPServer, createTool, createInputSchema } from '../base-server.js';
+import { BaseMCPServer, createTool, createInputSchema, createPrompt, createPromptMessage } from '../base-server.js';
+import { readLogFile, formatDateForFilename } from '../../services/obsidian-writer.js';
 import {
-  readLogFile,
-  writeMarkdown,
-  getLogFiles,
-  searchByText
-} from '../../services/obsidian-writer.js';
+  readNote,
+  writeNote,
+  listNotes,
+  listFolder,
+  createFolder,
+  deleteNote
+} from '../../services/obsidian-vault.js';
+import {
+  getOutgoingLinks,
+  getBacklinks,
+  findOrphans,
+  findBrokenLinks,
+  moveNoteAndLinks
+} from '../../services/obsidian-links.js';
+import { searchNotes } from '../../services/obsidian-search.js';
+import { queryAuditLog, toCsv, QUERY_LIMITS } from '../../services/audit-query.js';
+import { parseFrontmatter, joinFrontmatter, updateFrontmatter } from '../../utils/frontmatter.js';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
-import fs from 'fs/promises';
+import { isAbortError } from '../../utils/abort.js';
 import path from 'path';
 
 const serverLogger = createModuleLogger('ObsidianMemoryServer');
@@ -30,7 +43,8 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       description: 'MCP server for Obsidian vault operations',
       capabilities: {
         tools: {},
-        resources: {}
+        resources: {},
+        prompts: {}
       }
     });
 
@@ -39,6 +53,7 @@ export class ObsidianMemoryServer extends BaseMCPServer {
 
     this.registerTools();
     this.registerResources();
+    this.registerPrompts();
   }
 
   /**
@@ -52,7 +67,7 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       createInputSchema({
         filename: {
           type: 'string',
-          description: 'Name of the markdown file (e.g., 2024-01-15.md)'
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
         }
       }, ['filename']),
       async (args) => {
@@ -61,29 +76,24 @@ export class ObsidianMemoryServer extends BaseMCPServer {
         serverLogger.info('Reading note', { filename });
 
         try {
-          const content = await readLogFile(filename);
-
-          // Parse YAML frontmatter if present
-          const lines = content.split('\n');
-          let frontmatter = null;
-          let bodyStart = 0;
-
-          if (lines[0] === '---') {
-            const endIdx = lines.indexOf('---', 1);
-            if (endIdx > 0) {
-              const yamlText = lines.slice(1, endIdx).join('\n');
-              frontmatter = this.parseYamlFrontmatter(yamlText);
-              bodyStart = endIdx + 1;
-            }
+          const content = await readNote(filename);
+
+          // A note with broken frontmatter is still readable
+          let parsed;
+          let frontmatterError;
+          try {
+            parsed = parseFrontmatter(content);
+          } catch (error) {
+            parsed = { frontmatter: null, body: content };
+            frontmatterError = error.message;
           }
 
-          const body = lines.slice(bodyStart).join('\n').trim();
-
           return {
             success: true,
             filename,
-            frontmatter,
-            body,
+            frontmatter: parsed.frontmatter,
+            ...(frontmatterError && { frontmatterError }),
+            body: parsed.body.trim(),
             content
           };
         } catch (error) {
@@ -92,17 +102,19 @@ export class ObsidianMemoryServer extends BaseMCPServer {
             error: error.message
           };
         }
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Write note tool
     this.registerTool(createTool(
       'write_note',
-      'Write or overwrite a markdown note in the Obsidian vault',
+      'Write a markdown note in the Obsidian vault, creating its folders; an existing note is only replaced with overwrite',
       createInputSchema({
         filename: {
           type: 'string',
-          description: 'Name of the markdown file'
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
         },
         content: {
           type: 'string',
@@ -112,10 +124,15 @@ export class ObsidianMemoryServer extends BaseMCPServer {
           type: 'object',
           description: 'YAML frontmatter properties',
           additionalProperties: true
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Whether to replace an existing note',
+          default: false
         }
       }, ['filename', 'content']),
       async (args) => {
-        const { filename, content, frontmatter } = args;
+        const { filename, content, frontmatter, overwrite = false } = args;
 
         serverLogger.info('Writing note', { filename });
 
@@ -123,14 +140,15 @@ export class ObsidianMemoryServer extends BaseMCPServer {
           let fullContent = content;
 
           if (frontmatter) {
-            fullContent = this.formatYamlFrontmatter(frontmatter) + '\n\n' + content;
+            fullContent = joinFrontmatter(frontmatter, '\n' + content);
           }
 
-          await writeMarkdown(filename, fullContent, frontmatter || {});
+          const notePath = await writeNote(filename, fullContent, { overwrite });
+          await this.notifyNoteUpdated(notePath);
 
           return {
             success: true,
-            filename,
+            filename: notePath,
             message: 'Note written successfully'
           };
         } catch (error) {
@@ -149,7 +167,7 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       createInputSchema({
         filename: {
           type: 'string',
-          description: 'Name of the markdown file'
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
         },
         content: {
           type: 'string',
@@ -162,14 +180,15 @@ export class ObsidianMemoryServer extends BaseMCPServer {
         serverLogger.info('Appending to note', { filename });
 
         try {
-          const existing = await readLogFile(filename);
+          const existing = await readNote(filename);
           const updated = existing + '\n\n' + content;
 
-          await writeMarkdown(filename, updated, {});
+          const notePath = await writeNote(filename, updated);
+          await this.notifyNoteUpdated(notePath);
 
           return {
             success: true,
-            filename,
+            filename: notePath,
             message: 'Content appended successfully'
           };
         } catch (error) {
@@ -181,11 +200,63 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       }
     ));
 
+    // Update frontmatter tool
+    this.registerTool(createTool(
+      'update_frontmatter',
+      'Set or remove frontmatter properties of a note without rewriting its body',
+      createInputSchema({
+        filename: {
+          type: 'string',
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
+        },
+        properties: {
+          type: 'object',
+          description: 'Properties to set; a null value removes the property',
+          additionalProperties: true
+        }
+      }, ['filename', 'properties']),
+      async (args) => {
+        const { filename, properties } = args;
+
+        serverLogger.info('Updating frontmatter', { filename, properties: Object.keys(properties) });
+
+        try {
+          const updated = updateFrontmatter(await readNote(filename), properties);
+
+          const notePath = await writeNote(filename, updated.content);
+          await this.notifyNoteUpdated(notePath);
+
+          return {
+            success: true,
+            filename: notePath,
+            frontmatter: updated.frontmatter,
+            message: 'Frontmatter updated successfully'
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { idempotentHint: true }
+    ));
+
     // List notes tool
     this.registerTool(createTool(
       'list_notes',
-      'List all markdown notes in the vault',
+      'List the markdown notes of a vault folder',
       createInputSchema({
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder (e.g., AI_Memory/Proyectos, or / for the whole vault; default the logs folder)'
+        },
+        recursive: {
+          type: 'boolean',
+          description: 'Whether to include notes in subfolders',
+          default: false
+        },
         limit: {
           type: 'number',
           description: 'Maximum number of notes to return',
@@ -193,25 +264,18 @@ export class ObsidianMemoryServer extends BaseMCPServer {
         },
         sort: {
           type: 'string',
-          description: 'Sort order (newest or oldest)',
+          description: 'Sort order by modification time (newest or oldest)',
           enum: ['newest', 'oldest'],
           default: 'newest'
         }
       }, []),
       async (args) => {
-        const { limit = 100, sort = 'newest' } = args;
+        const { folder, recursive = false, limit = 100, sort = 'newest' } = args;
 
-        serverLogger.info('Listing notes', { limit, sort });
+        serverLogger.info('Listing notes', { folder, recursive, limit, sort });
 
         try {
-          let files = await getLogFiles();
-
-          // Already sorted newest first by default
-          if (sort === 'oldest') {
-            files = files.reverse();
-          }
-
-          files = files.slice(0, limit);
+          const files = (await listNotes({ folder, recursive, sort })).slice(0, limit);
 
           return {
             success: true,
@@ -224,69 +288,95 @@ export class ObsidianMemoryServer extends BaseMCPServer {
             error: error.message
           };
         }
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Search notes tool
     this.registerTool(createTool(
       'search_notes',
-      'Search for notes by filename or content',
+      'Search notes by content, ranked by relevance, or by path. Supports "exact phrases", prefix* queries and filters by tag, frontmatter property and date',
       createInputSchema({
         query: {
           type: 'string',
-          description: 'Search query'
+          description: 'Search query: words (all must match), "quoted phrases" and prefixes such as neo*'
+        },
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder (e.g., AI_Memory/Proyectos, or / for the whole vault; default the logs folder)'
+        },
+        recursive: {
+          type: 'boolean',
+          description: 'Whether to include notes in subfolders',
+          default: false
         },
         searchContent: {
           type: 'boolean',
-          description: 'Whether to search within file contents',
+          description: 'Whether to search within note contents; otherwise the query is matched against note paths',
           default: false
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags the notes must all have (e.g., ["project"]; nested tags such as project/active match too)'
+        },
+        properties: {
+          type: 'object',
+          description: 'Frontmatter values the notes must have (e.g., {"status": "done"})'
+        },
+        from: {
+          type: 'string',
+          description: 'Notes dated from (YYYY-MM-DD or ISO 8601, inclusive); the date is the frontmatter date, the day of a daily log, or the modification time'
+        },
+        to: {
+          type: 'string',
+          description: 'Notes dated until (YYYY-MM-DD or ISO 8601, inclusive)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results',
+          default: 20
         }
       }, ['query']),
-      async (args) => {
-        const { query, searchContent = false } = args;
+      async (args, context) => {
+        const { query, folder, recursive = false, searchContent = false, tags, properties, from, to, limit } = args;
 
-        serverLogger.info('Searching notes', { query, searchContent });
+        serverLogger.info('Searching notes', { query, folder, recursive, searchContent });
 
         try {
-          const files = await getLogFiles();
-
-          // Filter by filename
-          let results = files.filter(f =>
-            f.toLowerCase().includes(query.toLowerCase())
-          );
-
-          if (searchContent && results.length < 50) {
-            // Also search content for limited results
-            const contentResults = [];
-            for (const file of files) {
-              if (contentResults.length >= 20) break;
-
-              try {
-                const content = await readLogFile(file);
-                if (content.toLowerCase().includes(query.toLowerCase())) {
-                  if (!results.includes(file)) {
-                    contentResults.push(file);
-                  }
-                }
-              } catch (e) {
-                // Skip files that can't be read
-              }
-            }
-            results = [...new Set([...results, ...contentResults])];
-          }
+          const { total, results } = await searchNotes({
+            query,
+            content: searchContent,
+            folder,
+            recursive,
+            tags,
+            properties,
+            from,
+            to,
+            limit,
+            signal: context.signal,
+            onProgress: context.reportProgress
+          });
 
           return {
             success: true,
             count: results.length,
-            notes: results
+            total,
+            notes: results.map(result => result.path),
+            results
           };
         } catch (error) {
+          if (isAbortError(error)) throw error;
+
           return {
             success: false,
             error: error.message
           };
         }
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Create note tool
@@ -306,6 +396,10 @@ export class ObsidianMemoryServer extends BaseMCPServer {
           type: 'string',
           description: 'Custom filename (optional)'
         },
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder for the note (e.g., AI_Memory/Decisiones; default the vault root)'
+        },
         frontmatter: {
           type: 'object',
           description: 'YAML frontmatter properties',
@@ -318,13 +412,14 @@ export class ObsidianMemoryServer extends BaseMCPServer {
         }
       }, ['title', 'content']),
       async (args) => {
-        const { title, content, filename, frontmatter = {}, tags = [] } = args;
+        const { title, content, filename, folder, frontmatter = {}, tags = [] } = args;
 
-        serverLogger.info('Creating note', { title });
+        serverLogger.info('Creating note', { title, folder });
 
         try {
           // Generate filename if not provided
-          const noteFilename = filename || this.generateFilename(title);
+          const name = filename || this.generateFilename(title);
+          const noteFilename = folder ? path.posix.join('/', folder, name) : `/${name.replace(/^\/+/, '')}`;
 
           // Build frontmatter
           const finalFrontmatter = {
@@ -338,13 +433,14 @@ export class ObsidianMemoryServer extends BaseMCPServer {
             finalFrontmatter.tags = tags;
           }
 
-          const fullContent = this.formatYamlFrontmatter(finalFrontmatter) + '\n\n' + content;
+          const fullContent = joinFrontmatter(finalFrontmatter, '\n' + content);
 
-          await writeMarkdown(noteFilename, fullContent, finalFrontmatter);
+          const notePath = await writeNote(noteFilename, fullContent, { overwrite: false });
+          await this.notifyNoteUpdated(notePath);
 
           return {
             success: true,
-            filename: noteFilename,
+            filename: notePath,
             message: 'Note created successfully'
           };
         } catch (error) {
@@ -361,6 +457,15 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       'get_tags',
       'Extract all tags from notes in the vault',
       createInputSchema({
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder (e.g., AI_Memory/Proyectos, or / for the whole vault; default the logs folder)'
+        },
+        recursive: {
+          type: 'boolean',
+          description: 'Whether to include notes in subfolders',
+          default: false
+        },
         limit: {
           type: 'number',
           description: 'Maximum number of notes to scan',
@@ -368,34 +473,31 @@ export class ObsidianMemoryServer extends BaseMCPServer {
         }
       }, []),
       async (args) => {
-        const { limit = 50 } = args;
+        const { folder, recursive = false, limit = 50 } = args;
 
-        serverLogger.info('Getting tags', { limit });
+        serverLogger.info('Getting tags', { folder, recursive, limit });
 
         try {
-          const files = await getLogFiles();
+          const files = await listNotes({ folder, recursive });
           const tagSet = new Set();
 
           for (const file of files.slice(0, limit)) {
             try {
-              const content = await readLogFile(file);
-
-              // Extract tags from frontmatter
-              const tagMatch = content.match(/^tags:\s*\n((?:\s*-\s*.+\n?)+)/m);
-              if (tagMatch) {
-                const tags = tagMatch[1].match(/-\s*(.+)/g);
-                if (tags) {
-                  tags.forEach(t => tagSet.add(t.replace(/-\s*/, '')));
-                }
-              }
+              const content = await readNote(file);
 
               // Extract inline tags #tag
               const inlineTags = content.matchAll(/#(\w[\w-]*)/g);
               for (const match of inlineTags) {
                 tagSet.add(match[1]);
               }
+
+              // Extract tags from frontmatter (a list or a single tag)
+              const { frontmatter } = parseFrontmatter(content);
+              for (const tag of [frontmatter?.tags ?? []].flat()) {
+                tagSet.add(String(tag));
+              }
             } catch (e) {
-              // Skip files that can't be read
+              // Skip files that can't be read, and invalid frontmatter
             }
           }
 
@@ -410,9 +512,398 @@ export class ObsidianMemoryServer extends BaseMCPServer {
             error: error.message
           };
         }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
+    // List folder tool
+    this.registerTool(createTool(
+      'list_folder',
+      'List the subfolders, notes and other files of a vault folder',
+      createInputSchema({
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder (e.g., AI_Memory; default the vault root)',
+          default: '/'
+        }
+      }, []),
+      async (args) => {
+        const { folder = '/' } = args;
+
+        serverLogger.info('Listing folder', { folder });
+
+        try {
+          return {
+            success: true,
+            ...(await listFolder(folder))
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
+    // Create folder tool
+    this.registerTool(createTool(
+      'create_folder',
+      'Create a folder in the vault, with its parent folders',
+      createInputSchema({
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder (e.g., AI_Memory/Decisiones)'
+        }
+      }, ['folder']),
+      async (args) => {
+        const { folder } = args;
+
+        serverLogger.info('Creating folder', { folder });
+
+        try {
+          const result = await createFolder(folder);
+
+          return {
+            success: true,
+            ...result,
+            message: result.created ? 'Folder created successfully' : 'Folder already exists'
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { idempotentHint: true }
+    ));
+
+    // Move note tool
+    this.registerTool(createTool(
+      'move_note',
+      'Move or rename a note, creating the target folders; links to the note across the vault are rewritten',
+      createInputSchema({
+        from: {
+          type: 'string',
+          description: 'Current note path'
+        },
+        to: {
+          type: 'string',
+          description: 'New note path (e.g., AI_Memory/Conocimiento/neo4j.md)'
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Whether to replace an existing note at the new path',
+          default: false
+        }
+      }, ['from', 'to']),
+      async (args) => {
+        const { from, to, overwrite = false } = args;
+
+        serverLogger.info('Moving note', { from, to });
+
+        try {
+          const moved = await moveNoteAndLinks(from, to, { overwrite });
+          await this.notifyNoteUpdated(moved.from);
+          await this.notifyResourceUpdated(this.noteUri(moved.to));
+          for (const notePath of moved.updated) {
+            await this.notifyResourceUpdated(this.noteUri(notePath));
+          }
+
+          return {
+            success: true,
+            ...moved,
+            message: moved.links > 0
+              ? `Note moved successfully, ${moved.links} link(s) updated`
+              : 'Note moved successfully'
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      }
+    ));
+
+    // Delete note tool
+    this.registerTool(createTool(
+      'delete_note',
+      'Delete a note from the vault (daily logs cannot be deleted)',
+      createInputSchema({
+        filename: {
+          type: 'string',
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
+        }
+      }, ['filename']),
+      async (args) => {
+        const { filename } = args;
+
+        serverLogger.info('Deleting note', { filename });
+
+        try {
+          const notePath = await deleteNote(filename);
+          await this.notifyNoteUpdated(notePath);
+
+          return {
+            success: true,
+            filename: notePath,
+            message: 'Note deleted successfully'
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
       }
     ));
 
+    // Outgoing links tool
+    this.registerTool(createTool(
+      'get_outgoing_links',
+      'List the wikilinks, embeds and tags of a note, with the note or file each link resolves to',
+      createInputSchema({
+        filename: {
+          type: 'string',
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
+        }
+      }, ['filename']),
+      async (args) => {
+        const { filename } = args;
+
+        serverLogger.info('Getting outgoing links', { filename });
+
+        try {
+          const { links, tags } = await getOutgoingLinks(filename);
+
+          return {
+            success: true,
+            filename,
+            links,
+            tags,
+            broken: links.filter(link => link.resolved === null).length
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
+    // Backlinks tool
+    this.registerTool(createTool(
+      'get_backlinks',
+      'List the notes that link to or embed a note',
+      createInputSchema({
+        filename: {
+          type: 'string',
+          description: 'Note path relative to the vault (e.g., AI_Memory/Proyectos/mcp-hub.md); a bare filename (e.g., 2024-01-15.md) is in the logs folder'
+        }
+      }, ['filename']),
+      async (args) => {
+        const { filename } = args;
+
+        serverLogger.info('Getting backlinks', { filename });
+
+        try {
+          const backlinks = await getBacklinks(filename);
+
+          return {
+            success: true,
+            filename,
+            backlinks,
+            count: backlinks.length
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
+    // Orphans tool
+    this.registerTool(createTool(
+      'find_orphans',
+      'Find notes that no other note links to (daily logs are not included)',
+      createInputSchema({
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder to check (default: the whole vault)'
+        }
+      }, []),
+      async (args) => {
+        const { folder = '/' } = args;
+
+        serverLogger.info('Finding orphan notes', { folder });
+
+        try {
+          const orphans = await findOrphans({ folder });
+
+          return {
+            success: true,
+            orphans,
+            count: orphans.length
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
+    // Broken links tool
+    this.registerTool(createTool(
+      'find_broken_links',
+      'Find wikilinks and embeds whose target note or file does not exist',
+      createInputSchema({
+        folder: {
+          type: 'string',
+          description: 'Vault-relative folder of the notes to check (default: the whole vault)'
+        }
+      }, []),
+      async (args) => {
+        const { folder = '/' } = args;
+
+        serverLogger.info('Finding broken links', { folder });
+
+        try {
+          const links = await findBrokenLinks({ folder });
+
+          return {
+            success: true,
+            links,
+            count: links.length
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
+    // Query audit log tool
+    this.registerTool(createTool(
+      'query_audit_log',
+      'Query the Protocol Omega audit log by time range, type, source, action, tag or request ID',
+      createInputSchema({
+        from: {
+          type: 'string',
+          description: 'Start of the range (YYYY-MM-DD or ISO 8601, inclusive)'
+        },
+        to: {
+          type: 'string',
+          description: 'End of the range (YYYY-MM-DD or ISO 8601, inclusive)'
+        },
+        type: {
+          type: 'string',
+          description: 'Entry type (e.g., tool_call, http_request, approval, error)'
+        },
+        source: {
+          type: 'string',
+          description: 'Entry source (e.g., task-master, express)'
+        },
+        action: {
+          type: 'string',
+          description: 'Entry action (e.g., update_task, update_task_result)'
+        },
+        tag: {
+          type: 'string',
+          description: 'Tag the entry must have'
+        },
+        cli: {
+          type: 'string',
+          description: 'CLI that made the call (e.g., claude-code)'
+        },
+        session: {
+          type: 'string',
+          description: 'Client session ID'
+        },
+        requestId: {
+          type: 'string',
+          description: 'Request ID'
+        },
+        text: {
+          type: 'string',
+          description: 'Text the entry must contain (e.g., a task ID)'
+        },
+        limit: {
+          type: 'number',
+          description: `Maximum number of entries to return (up to ${QUERY_LIMITS.maxLimit})`,
+          default: QUERY_LIMITS.defaultLimit
+        },
+        offset: {
+          type: 'number',
+          description: 'Number of matching entries to skip',
+          default: 0
+        },
+        order: {
+          type: 'string',
+          description: 'Sort order (desc for newest first, or asc)',
+          enum: ['desc', 'asc'],
+          default: 'desc'
+        },
+        format: {
+          type: 'string',
+          description: 'Result format',
+          enum: ['json', 'csv'],
+          default: 'json'
+        }
+      }, []),
+      async (args) => {
+        const { limit, offset, order, format = 'json', ...filters } = args;
+
+        serverLogger.info('Querying audit log', { filters, limit, offset });
+
+        try {
+          const result = await queryAuditLog(filters, { limit, offset, order });
+
+          if (format === 'csv') {
+            return {
+              success: true,
+              total: result.total,
+              count: result.entries.length,
+              csv: toCsv(result.entries)
+            };
+          }
+
+          return {
+            success: true,
+            ...result,
+            count: result.entries.length
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      },
+      undefined,
+      { readOnlyHint: true }
+    ));
+
     serverLogger.info('Obsidian Memory tools registered', {
       count: this.tools.size
     });
@@ -444,70 +935,82 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       description: 'List of all notes in the vault',
       mimeType: 'application/json',
       handler: async () => {
-        const files = await getLogFiles();
+        const files = await listNotes();
         return {
           count: files.length,
           notes: files
         };
       }
     });
+
+    // Single note resource
+    this.registerResourceTemplate({
+      uriTemplate: 'obsidian://notes/{+filename}',
+      name: 'Note',
+      description: 'Markdown content of a note in the vault',
+      mimeType: 'text/markdown',
+      handler: async ({ filename }) => {
+        return readNote(filename);
+      }
+    });
   }
 
   /**
-   * Parse YAML frontmatter
+   * Register prompts for Obsidian
    */
-  parseYamlFrontmatter(yamlText) {
-    const frontmatter = {};
-    const lines = yamlText.split('\n');
-
-    for (const line of lines) {
-      const match = line.match(/^(\w+):\s*(.*)$/);
-      if (match) {
-        const [, key, value] = match;
-        // Handle arrays
-        if (value.trim() === '') {
-          frontmatter[key] = [];
-        } else if (value.startsWith('[') && value.endsWith(']')) {
-          frontmatter[key] = JSON.parse(value);
-        } else {
-          frontmatter[key] = value;
-        }
-      } else if (line.startsWith('  - ')) {
-        // Array item
-        const arrayKey = Object.keys(frontmatter).find(k => Array.isArray(frontmatter[k]));
-        if (arrayKey) {
-          frontmatter[arrayKey].push(line.substring(4));
+  registerPrompts() {
+    // Summarize a daily MCP log
+    this.registerPrompt(createPrompt(
+      'summarize_daily_log',
+      "Summarize a day of MCP activity from the vault's daily log",
+      [
+        {
+          name: 'date',
+          description: 'Day to summarize (YYYY-MM-DD, default today)',
+          required: false
+        }
+      ],
+      async (args) => {
+        const date = args.date || formatDateForFilename();
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          throw new Error(`Invalid date ${date}, expected YYYY-MM-DD`);
+        }
+
+        let log;
+        try {
+          log = await readLogFile(`${date}.md`);
+        } catch (error) {
+          throw new Error(`No MCP log found for ${date}`);
         }
-      }
-    }
 
-    return frontmatter;
+        return {
+          description: `Summary of the MCP log for ${date}`,
+          messages: [createPromptMessage([
+            `Summarize the MCP activity log for ${date} below.`,
+            'Group the entries by source and type, call out every error with its context,',
+            'and finish with a short list of open follow-ups.',
+            '',
+            log
+          ].join('\n'))]
+        };
+      }
+    ));
   }
 
   /**
-   * Format YAML frontmatter
+   * Get the resource URI of a note, keeping the slashes of its path
    */
-  formatYamlFrontmatter(obj) {
-    let yaml = '---\n';
-
-    for (const [key, value] of Object.entries(obj)) {
-      if (Array.isArray(value)) {
-        yaml += `${key}:\n`;
-        for (const item of value) {
-          yaml += `  - ${item}\n`;
-        }
-      } else if (typeof value === 'object') {
-        yaml += `${key}:\n`;
-        for (const [subKey, subValue] of Object.entries(value)) {
-          yaml += `  ${subKey}: ${subValue}\n`;
-        }
-      } else {
-        yaml += `${key}: ${value}\n`;
-      }
-    }
+  noteUri(filename) {
+    return `obsidian://notes/${filename.split('/').map(encodeURIComponent).join('/')}`;
+  }
 
-    yaml += '---';
-    return yaml;
+  /**
+   * Notify subscribers that a note (and the notes list) changed
+   */
+  async notifyNoteUpdated(filename) {
+    await this.notifyResourceUpdated(this.noteUri(filename));
+    await this.notifyResourceUpdated('obsidian://vault/notes');
   }
 
   /**
@@ -17,6 +17,7 @@ import {
 } from '../../services/ollama-router.js';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
+import { isAbortError } from '../../utils/abort.js';
 
 const serverLogger = createModuleLogger('OllamaServer');
 
@@ -277,7 +278,9 @@ export class OllamaServer extends BaseMCPServer {
             error: error.message
           };
         }
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Get model info tool
@@ -316,7 +319,9 @@ export class OllamaServer extends BaseMCPServer {
             error: error.message
           };
         }
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Pull model tool
@@ -329,13 +334,16 @@ export class OllamaServer extends BaseMCPServer {
           description: 'Model name to pull (e.g., llama3.2, mistral, codellama)'
         }
       }, ['model']),
-      async (args) => {
+      async (args, context) => {
         const { model } = args;
 
         serverLogger.info('Pulling model', { model });
 
         try {
-          const result = await pullModel(model);
+          const result = await pullModel(model, {
+            signal: context.signal,
+            onProgress: context.reportProgress
+          });
 
           return {
             success: true,
@@ -344,6 +352,8 @@ export class OllamaServer extends BaseMCPServer {
             message: `Model ${model} pulled successfully`
           };
         } catch (error) {
+          if (isAbortError(error)) throw error;
+
           return {
             success: false,
             error: error.message
@@ -389,7 +399,9 @@ export class OllamaServer extends BaseMCPServer {
             error: error.message
           };
         }
-      }
+      },
+      undefined,
+      { idempotentHint: true }
     ));
 
     // Reasoning tool (uses reasoning model)
@@ -406,7 +418,7 @@ export class OllamaServer extends BaseMCPServer {
           description: 'Reasoning model name (optional)'
         }
       }, ['prompt']),
-      async (args) => {
+      async (args, context) => {
         const { prompt, model } = args;
 
         serverLogger.info('Reasoning request', {
@@ -415,7 +427,11 @@ export class OllamaServer extends BaseMCPServer {
         });
 
         try {
-          const result = await routeRequest(taskTypes.REASONING, prompt, { model });
+          const result = await routeRequest(taskTypes.REASONING, prompt, {
+            model,
+            signal: context.signal,
+            onProgress: context.reportProgress
+          });
 
           return {
             success: true,
@@ -425,6 +441,8 @@ export class OllamaServer extends BaseMCPServer {
             duration_ms: result.duration_ms
           };
         } catch (error) {
+          if (isAbortError(error)) throw error;
+
           return {
             success: false,
             error: error.message
@@ -4,7 +4,7 @@
 // Task: US-011 - MCP Server for reasoning chains
 // Description: Step-by-step reasoning with visibility
 
-import { BaseMCPServer, createTool, createInputSchema } from '../base-server.js';
+import { BaseMCPServer, createTool, createInputSchema, createPrompt } from '../base-server.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
@@ -36,7 +36,8 @@ export class SequentialThinkingServer extends BaseMCPServer {
       description: 'MCP server for step-by-step reasoning chains',
       capabilities: {
         tools: {},
-        resources: {}
+        resources: {},
+        prompts: {}
       }
     });
 
@@ -45,6 +46,7 @@ export class SequentialThinkingServer extends BaseMCPServer {
     this.exportToObsidian = config.exportToObsidian !== false;
 
     this.registerTools();
+    this.registerPrompts();
   }
 
   /**
@@ -333,7 +335,9 @@ export class SequentialThinkingServer extends BaseMCPServer {
         }
 
         return response;
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Conclude tool
@@ -469,7 +473,9 @@ export class SequentialThinkingServer extends BaseMCPServer {
             created_at: c.created_at
           }))
         };
-      }
+      },
+      undefined,
+      { readOnlyHint: true }
     ));
 
     // Branch chain tool
@@ -563,6 +569,44 @@ export class SequentialThinkingServer extends BaseMCPServer {
     });
   }
 
+  /**
+   * Register prompts for reasoning
+   */
+  registerPrompts() {
+    // Start a reasoning chain for a problem
+    this.registerPrompt(createPrompt(
+      'start_reasoning_chain',
+      'Reason about a problem step by step in a recorded reasoning chain',
+      [
+        {
+          name: 'problem',
+          description: 'The problem or question to reason about',
+          required: true
+        },
+        {
+          name: 'goal',
+          description: 'The expected outcome',
+          required: false
+        }
+      ],
+      async (args) => {
+        const { problem, goal } = args;
+
+        return [
+          'Reason about the problem below step by step, recording every step.',
+          '',
+          `Problem: ${problem}`,
+          ...(goal ? [`Goal: ${goal}`] : []),
+          '',
+          '1. Call start_thinking with the problem as prompt' + (goal ? ' and the goal.' : '.'),
+          '2. For each step, call add_step with the chainId, your thought, a stepType',
+          '   (observation, analysis, inference, question, hypothesis) and a confidence between 0 and 1.',
+          '3. When you reach an answer, call conclude with the chainId, the conclusion and your overall confidence.'
+        ].join('\n');
+      }
+    ));
+  }
+
   /**
    * Export chain to Obsidian markdown
    */
@@ -4,7 +4,13 @@
 // Task: US-012 - MCP Server for task management
 // Description: Manage complex tasks with subtasks
 
-import { BaseMCPServer, createTool, createInputSchema } from '../base-server.js';
+import {
+  BaseMCPServer,
+  createTool,
+  createInputSchema,
+  createOutputSchema,
+  createPrompt
+} from '../base-server.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
@@ -22,6 +28,20 @@ import {
 
 const serverLogger = createModuleLogger('TaskMasterServer');
 
+/**
+ * Output schema for stored task properties
+ */
+const taskOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'string' },
+    priority: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
 /**
  * Task Master MCP Server
  * Provides tools for managing tasks and subtasks
@@ -34,12 +54,15 @@ export class TaskMasterServer extends BaseMCPServer {
       description: 'MCP server for task management',
       capabilities: {
         tools: {},
-        resources: {}
+        resources: {},
+        prompts: {}
       }
     });
 
     this.taskStore = config.taskStore || 'neo4j';
     this.registerTools();
+    this.registerResources();
+    this.registerPrompts();
   }
 
   /**
@@ -143,6 +166,7 @@ export class TaskMasterServer extends BaseMCPServer {
             'Task',
             taskId
           );
+          await this.notifyResourceUpdated(this.taskUri(parentTaskId));
         }
 
         serverLogger.info('Task created', { taskId, title });
@@ -153,7 +177,13 @@ export class TaskMasterServer extends BaseMCPServer {
           status: 'created',
           task: taskData
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        taskId: { type: 'string' },
+        status: { type: 'string' },
+        task: taskOutput
+      }, ['success'])
     ));
 
     // Get task tool
@@ -204,7 +234,25 @@ export class TaskMasterServer extends BaseMCPServer {
         }
 
         return response;
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        task: taskOutput,
+        subtasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              taskId: { type: 'string' },
+              title: { type: 'string' },
+              status: { type: 'string' }
+            }
+          }
+        },
+        subtaskCount: { type: 'number' },
+        error: { type: 'string' }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Update task tool
@@ -275,6 +323,8 @@ export class TaskMasterServer extends BaseMCPServer {
           };
         }
 
+        await this.notifyResourceUpdated(this.taskUri(taskId));
+
         serverLogger.info('Task updated', { taskId });
 
         return {
@@ -282,7 +332,14 @@ export class TaskMasterServer extends BaseMCPServer {
           taskId,
           task: entity.properties
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        taskId: { type: 'string' },
+        task: taskOutput,
+        error: { type: 'string' }
+      }, ['success']),
+      { idempotentHint: true }
     ));
 
     // Complete task tool
@@ -321,6 +378,8 @@ export class TaskMasterServer extends BaseMCPServer {
           };
         }
 
+        await this.notifyResourceUpdated(this.taskUri(taskId));
+
         serverLogger.info('Task completed', { taskId });
 
         return {
@@ -328,7 +387,14 @@ export class TaskMasterServer extends BaseMCPServer {
           taskId,
           message: 'Task marked as completed'
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        taskId: { type: 'string' },
+        message: { type: 'string' },
+        error: { type: 'string' }
+      }, ['success']),
+      { idempotentHint: true }
     ));
 
     // Delete task tool
@@ -357,6 +423,7 @@ export class TaskMasterServer extends BaseMCPServer {
           for (const rel of relationships) {
             const subtaskId = rel.otherEntity.properties.id;
             await deleteEntity('Task', subtaskId);
+            await this.notifyResourceUpdated(this.taskUri(subtaskId));
           }
         }
 
@@ -369,13 +436,20 @@ export class TaskMasterServer extends BaseMCPServer {
           };
         }
 
+        await this.notifyResourceUpdated(this.taskUri(taskId));
+
         serverLogger.info('Task deleted', { taskId });
 
         return {
           success: true,
           message: 'Task deleted successfully'
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        error: { type: 'string' }
+      }, ['success'])
     ));
 
     // List tasks tool
@@ -460,7 +534,29 @@ export class TaskMasterServer extends BaseMCPServer {
             createdAt: t.properties.created_at
           }))
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        count: { type: 'number' },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              status: { type: 'string' },
+              priority: { type: 'string' },
+              progress: { type: 'number' },
+              assignee: { type: 'string' },
+              dueDate: { type: 'string' },
+              createdAt: { type: 'string' }
+            },
+            required: ['id', 'title']
+          }
+        }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     // Add subtask tool
@@ -517,6 +613,7 @@ export class TaskMasterServer extends BaseMCPServer {
 
         await createEntity('Task', subtaskData);
         await createRelationship('Task', parentTaskId, 'HAS_SUBTASK', 'Task', subtaskId);
+        await this.notifyResourceUpdated(this.taskUri(parentTaskId));
 
         serverLogger.info('Subtask added', { subtaskId, parentTaskId });
 
@@ -526,7 +623,14 @@ export class TaskMasterServer extends BaseMCPServer {
           parentTaskId,
           message: 'Subtask added successfully'
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        subtaskId: { type: 'string' },
+        parentTaskId: { type: 'string' },
+        message: { type: 'string' },
+        error: { type: 'string' }
+      }, ['success'])
     ));
 
     // Set task dependency tool
@@ -581,7 +685,12 @@ export class TaskMasterServer extends BaseMCPServer {
           success: true,
           message: 'Dependency set successfully'
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        error: { type: 'string' }
+      }, ['success'])
     ));
 
     // Get task dependencies tool
@@ -619,13 +728,126 @@ export class TaskMasterServer extends BaseMCPServer {
           count: dependencies.length,
           dependencies
         };
-      }
+      },
+      createOutputSchema({
+        success: { type: 'boolean' },
+        count: { type: 'number' },
+        dependencies: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              taskId: { type: 'string' },
+              title: { type: 'string' },
+              status: { type: 'string' },
+              relationshipType: { type: 'string' }
+            },
+            required: ['taskId', 'relationshipType']
+          }
+        }
+      }, ['success']),
+      { readOnlyHint: true }
     ));
 
     serverLogger.info('Task Master tools registered', {
       count: this.tools.size
     });
   }
+
+  /**
+   * Register resources for tasks
+   */
+  registerResources() {
+    // Single task resource (same shape as get_task)
+    this.registerResourceTemplate({
+      uriTemplate: 'tasks://task/{id}',
+      name: 'Task',
+      description: 'A task with its subtasks',
+      mimeType: 'application/json',
+      handler: async ({ id }, uri) => {
+        const result = await this.getTool('get_task').handler({ taskId: id, includeSubtasks: true });
+
+        if (!result.success) {
+          throw new Error(`Resource ${uri} not found`);
+        }
+
+        return result;
+      }
+    });
+  }
+
+  /**
+   * Register prompts for task planning
+   */
+  registerPrompts() {
+    // Break a goal down into tasks
+    this.registerPrompt(createPrompt(
+      'plan_task_breakdown',
+      'Plan a breakdown of a goal into tasks and subtasks',
+      [
+        {
+          name: 'goal',
+          description: 'What should be achieved',
+          required: true
+        },
+        {
+          name: 'parentTaskId',
+          description: 'Existing task to break down into subtasks',
+          required: false
+        },
+        {
+          name: 'maxSubtasks',
+          description: 'Maximum number of subtasks (default 7)',
+          required: false
+        }
+      ],
+      async (args) => {
+        const { goal, parentTaskId } = args;
+        const maxSubtasks = parseInt(args.maxSubtasks, 10) || 7;
+
+        const lines = [
+          `Break the following goal down into at most ${maxSubtasks} concrete subtasks.`,
+          '',
+          `Goal: ${goal}`
+        ];
+
+        if (parentTaskId) {
+          const parent = await this.getTool('get_task').handler({ taskId: parentTaskId, includeSubtasks: true });
+
+          if (!parent.success) {
+            throw new Error(`Task ${parentTaskId} not found`);
+          }
+
+          lines.push(
+            '',
+            'Existing task:',
+            JSON.stringify(parent, null, 2),
+            '',
+            `Add each subtask with the add_subtask tool (parentTaskId: ${parentTaskId}).`
+          );
+        } else {
+          lines.push(
+            '',
+            'Create a parent task with the create_task tool, then add each subtask with add_subtask.'
+          );
+        }
+
+        lines.push(
+          'Give every subtask a title, a one-line description and a priority (critical, high, medium, low).',
+          'When a subtask cannot start before another one is done, record it with set_dependency.'
+        );
+
+        return lines.join('\n');
+      }
+    ));
+  }
+
+  /**
+   * Get the resource URI of a task
+   */
+  taskUri(taskId) {
+    return `tasks://task/${encodeURIComponent(taskId)}`;
+  }
 }
 
 /**
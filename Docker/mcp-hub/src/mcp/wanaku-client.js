@@ -4,8 +4,17 @@
 // Task: US-007-2 - Implement Wanaku client wrapper
 // Description: Client for interacting with Wanaku MCP router
 
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport, StreamableHTTPError } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../utils/logger.js';
 import { createModuleLogger } from '../utils/log-helpers.js';
+import { CircuitBreaker } from '../utils/circuit-breaker.js';
+import {
+  setWanakuCircuitState,
+  recordWanakuRetry,
+  recordWanakuFailover
+} from '../routes/metrics.js';
 
 const wanakuLogger = createModuleLogger('WanakuClient');
 
@@ -17,7 +26,14 @@ const wanakuConfig = {
   port: process.env.WANAKU_PORT || 3000,
   protocol: process.env.WANAKU_PROTOCOL || 'http',
   timeout: parseInt(process.env.WANAKU_TIMEOUT || '30000'),
-  maxRetries: parseInt(process.env.WANAKU_MAX_RETRIES || '3')
+  maxRetries: parseInt(process.env.WANAKU_MAX_RETRIES || '3'),
+  retryDelay: parseInt(process.env.WANAKU_RETRY_DELAY || '1000'),
+  circuitFailureThreshold: parseInt(process.env.WANAKU_CIRCUIT_THRESHOLD || '5'),
+  circuitResetTimeout: parseInt(process.env.WANAKU_CIRCUIT_RESET_TIMEOUT || '30000'),
+  discoveryPath: process.env.WANAKU_DISCOVERY_PATH || '/api/v1/management/discovery',
+  mcpPath: process.env.WANAKU_MCP_PATH || '/mcp',
+  heartbeatInterval: parseInt(process.env.WANAKU_HEARTBEAT_INTERVAL || '30000'),
+  proxyToolCalls: process.env.WANAKU_PROXY_TOOL_CALLS !== 'false'
 };
 
 /**
@@ -28,6 +44,35 @@ export class WanakuClient {
     this.config = { ...wanakuConfig, ...config };
     this.baseUrl = `${this.config.protocol}://${this.config.host}:${this.config.port}`;
     this.registeredServers = new Map();
+    this.mcpClients = new Map();
+    this.circuitBreakers = new Map();
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Get (or create) the circuit breaker for a server
+   */
+  getCircuitBreaker(serverName) {
+    let breaker = this.circuitBreakers.get(serverName);
+
+    if (!breaker) {
+      breaker = new CircuitBreaker(serverName, {
+        failureThreshold: this.config.circuitFailureThreshold,
+        resetTimeout: this.config.circuitResetTimeout,
+        onStateChange: (name, state, previous) => {
+          setWanakuCircuitState(name, state);
+          wanakuLogger.warn('Circuit breaker state changed', {
+            server: name,
+            from: previous,
+            to: state
+          });
+        }
+      });
+      this.circuitBreakers.set(serverName, breaker);
+      setWanakuCircuitState(serverName, breaker.state);
+    }
+
+    return breaker;
   }
 
   /**
@@ -37,6 +82,27 @@ export class WanakuClient {
     return this.baseUrl;
   }
 
+  /**
+   * Send a request to the Wanaku router API
+   */
+  async requestRouter(method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.config.timeout)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+
   /**
    * Health check for Wanaku router
    */
@@ -83,25 +149,35 @@ export class WanakuClient {
 
   /**
    * Register an MCP server with Wanaku
+   * tools are tool definitions (as listed by the server) or bare names;
+   * only definitions annotated read-only or idempotent are retried after
+   * a call that may have run.
+   * The server is kept locally even if the router is unreachable, so the
+   * heartbeat loop can retry the registration later
    */
   async registerServer(serverConfig) {
-    const { name, endpoint, tools, capabilities } = serverConfig;
+    const { name, endpoint, tools = [], capabilities } = serverConfig;
+    const definitions = tools.map(tool => (typeof tool === 'string' ? { name: tool } : tool));
 
     wanakuLogger.info('Registering MCP server with Wanaku', {
       name,
       endpoint,
-      toolCount: tools?.length || 0
+      toolCount: definitions.length
+    });
+
+    this.registeredServers.set(name, {
+      endpoint,
+      tools: definitions.map(tool => tool.name),
+      idempotentTools: definitions.filter(isIdempotentDefinition).map(tool => tool.name),
+      capabilities: capabilities || {},
+      routerId: null,
+      registered_at: null,
+      last_heartbeat: null,
+      status: 'pending'
     });
 
     try {
-      // Store server configuration locally
-      this.registeredServers.set(name, {
-        endpoint,
-        tools: tools || [],
-        capabilities: capabilities || {},
-        registered_at: new Date().toISOString(),
-        status: 'registered'
-      });
+      await this.sendRegistration(name);
 
       wanakuLogger.info('MCP server registered successfully', { name });
 
@@ -124,6 +200,36 @@ export class WanakuClient {
     }
   }
 
+  /**
+   * Send (or re-send) a server registration to the router
+   */
+  async sendRegistration(serverName) {
+    const server = this.registeredServers.get(serverName);
+
+    try {
+      const response = await this.requestRouter('POST', `${this.config.discoveryPath}/register`, {
+        id: server.routerId || undefined,
+        service: serverName,
+        serviceType: 'mcp-server',
+        endpoint: server.endpoint,
+        tools: server.tools,
+        capabilities: server.capabilities
+      });
+
+      const data = response.data || response;
+
+      server.routerId = data.id || server.routerId || serverName;
+      server.registered_at = new Date().toISOString();
+      server.last_heartbeat = server.registered_at;
+      server.status = 'registered';
+      delete server.last_error;
+    } catch (error) {
+      server.status = 'pending';
+      server.last_error = error.message;
+      throw error;
+    }
+  }
+
   /**
    * Unregister an MCP server
    */
@@ -137,7 +243,16 @@ export class WanakuClient {
         throw new Error(`Server ${serverName} not found`);
       }
 
+      if (server.routerId) {
+        await this.requestRouter('POST', `${this.config.discoveryPath}/deregister`, {
+          id: server.routerId,
+          service: serverName
+        });
+      }
+
       this.registeredServers.delete(serverName);
+      this.circuitBreakers.delete(serverName);
+      await this.closeMcpClient(server.endpoint);
 
       wanakuLogger.info('MCP server unregistered successfully', { serverName });
 
@@ -160,6 +275,78 @@ export class WanakuClient {
     }
   }
 
+  /**
+   * Run one heartbeat round
+   * Registered servers are pinged; servers the router no longer knows
+   * (404) or that never registered are registered again
+   */
+  async heartbeat() {
+    const results = {};
+
+    for (const [name, server] of this.registeredServers.entries()) {
+      try {
+        if (server.status === 'registered') {
+          try {
+            await this.requestRouter('POST', `${this.config.discoveryPath}/ping`, {
+              id: server.routerId
+            });
+            server.last_heartbeat = new Date().toISOString();
+            results[name] = 'alive';
+            continue;
+          } catch (error) {
+            if (error.status !== 404) {
+              throw error;
+            }
+
+            wanakuLogger.warn('Router lost server registration, re-registering', { name });
+          }
+        }
+
+        await this.sendRegistration(name);
+        results[name] = 're-registered';
+      } catch (error) {
+        if (server.status === 'registered') {
+          server.status = 'unreachable';
+        }
+        server.last_error = error.message;
+        results[name] = 'failed';
+
+        wanakuLogger.warn('Wanaku heartbeat failed', {
+          name,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Start the periodic heartbeat and re-registration loop
+   */
+  startHeartbeat(interval = this.config.heartbeatInterval) {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => {
+        wanakuLogger.error('Wanaku heartbeat loop error', { error: error.message });
+      });
+    }, interval);
+    this.heartbeatTimer.unref();
+
+    wanakuLogger.info('Wanaku heartbeat started', { interval_ms: interval });
+  }
+
+  /**
+   * Stop the heartbeat loop
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
   /**
    * List all registered servers
    */
@@ -190,9 +377,13 @@ export class WanakuClient {
 
   /**
    * Route tool call to appropriate server
+   * Each candidate server is tried with retries for retryable errors;
+   * when it keeps failing (or its circuit is open) the call fails over to
+   * the next registered server exposing the same tool at another endpoint,
+   * which needs proxyToolCalls off
    */
   async routeToolCall(toolName, args, options = {}) {
-    const { serverName, timeout } = options;
+    const { serverName, timeout, failover = true } = options;
 
     wanakuLogger.debug('Routing tool call', {
       toolName,
@@ -200,18 +391,128 @@ export class WanakuClient {
       args
     });
 
-    if (!serverName) {
-      // Find server that has this tool
-      for (const [name, server] of this.registeredServers.entries()) {
-        if (server.tools.includes(toolName)) {
-          return this.callServerTool(name, toolName, args, { timeout });
+    const candidates = this.getCandidateServers(toolName, serverName, failover);
+
+    if (candidates.length === 0) {
+      throw new Error(`Tool ${toolName} not found in any registered server`);
+    }
+
+    let lastError = null;
+    let previousServer = null;
+
+    for (const name of candidates) {
+      const breaker = this.getCircuitBreaker(name);
+
+      if (!breaker.canRequest()) {
+        wanakuLogger.debug('Skipping server with open circuit', { server: name, toolName });
+        continue;
+      }
+
+      if (previousServer) {
+        recordWanakuFailover(toolName, previousServer, name);
+        wanakuLogger.warn('Failing over tool call', {
+          toolName,
+          from: previousServer,
+          to: name
+        });
+      }
+
+      try {
+        return await this.callWithRetry(name, toolName, args, { timeout });
+      } catch (error) {
+        if (!isRetryableError(error, this.isIdempotentTool(name, toolName))) {
+          throw error;
         }
+
+        lastError = error;
+        previousServer = name;
       }
+    }
 
-      throw new Error(`Tool ${toolName} not found in any registered server`);
+    if (lastError) {
+      throw lastError;
+    }
+
+    const error = new Error(`No available server for tool ${toolName}: all circuits open`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  /**
+   * Servers exposing a tool, preferred server first, healthy servers before others
+   * Only one server per tool endpoint is kept: when tool calls are proxied
+   * every server is reached through the router, so there is nothing to
+   * fail over to
+   */
+  getCandidateServers(toolName, serverName, failover = true) {
+    const statusRank = { registered: 0, pending: 1, unreachable: 2 };
+
+    const others = Array.from(this.registeredServers.entries())
+      .filter(([name, server]) => name !== serverName && server.tools.includes(toolName))
+      .sort(([, a], [, b]) => (statusRank[a.status] ?? 3) - (statusRank[b.status] ?? 3))
+      .map(([name]) => name);
+
+    if (serverName && !failover) {
+      return [serverName];
+    }
+
+    const endpoints = new Set();
+
+    return (serverName ? [serverName, ...others] : others).filter(name => {
+      const server = this.registeredServers.get(name);
+      const endpoint = server ? this.getToolEndpoint(server) : name;
+
+      if (endpoints.has(endpoint)) {
+        return false;
+      }
+
+      endpoints.add(endpoint);
+      return true;
+    });
+  }
+
+  /**
+   * Call a tool on one server, retrying retryable errors with exponential backoff
+   * Server errors count against the circuit breaker even when not retried
+   */
+  async callWithRetry(serverName, toolName, args, options = {}) {
+    const breaker = this.getCircuitBreaker(serverName);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.callServerTool(serverName, toolName, args, options);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!isServerError(error)) {
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+
+        if (!isRetryableError(error, this.isIdempotentTool(serverName, toolName)) || attempt >= this.config.maxRetries || !breaker.canRequest()) {
+          throw error;
+        }
+
+        recordWanakuRetry(serverName, toolName);
+        wanakuLogger.warn('Retrying tool call', {
+          server: serverName,
+          tool: toolName,
+          attempt: attempt + 1,
+          maxRetries: this.config.maxRetries,
+          error: error.message
+        });
+
+        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * this.config.retryDelay));
+      }
     }
+  }
 
-    return this.callServerTool(serverName, toolName, args, { timeout });
+  /**
+   * Check if a server declared a tool safe to run twice
+   */
+  isIdempotentTool(serverName, toolName) {
+    return Boolean(this.registeredServers.get(serverName)?.idempotentTools?.includes(toolName));
   }
 
   /**
@@ -234,19 +535,15 @@ export class WanakuClient {
       args
     });
 
-    try {
-      const response = await fetch(`${server.endpoint}/tools/${toolName}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(args),
-        signal: AbortSignal.timeout(options.timeout || this.config.timeout)
-      });
+    const endpoint = this.getToolEndpoint(server);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const result = await response.json();
+    try {
+      const client = await this.getMcpClient(endpoint);
+      const result = await client.callTool(
+        { name: toolName, arguments: args },
+        undefined,
+        { timeout: options.timeout || this.config.timeout }
+      );
 
       wanakuLogger.info('Server tool call successful', {
         server: serverName,
@@ -261,10 +558,76 @@ export class WanakuClient {
         error: error.message
       });
 
+      // Drop a broken connection so the next call starts a fresh MCP
+      // session; errors returned by the tool leave the session usable
+      if (isTransportError(error)) {
+        await this.closeMcpClient(endpoint);
+      }
+
       throw error;
     }
   }
 
+  /**
+   * MCP endpoint tool calls are sent to
+   * Either the router itself or the server's own endpoint
+   */
+  getToolEndpoint(server) {
+    return this.config.proxyToolCalls
+      ? `${this.baseUrl}${this.config.mcpPath}`
+      : server.endpoint;
+  }
+
+  /**
+   * Get (or open) an MCP client session for an endpoint
+   */
+  async getMcpClient(endpoint) {
+    let pending = this.mcpClients.get(endpoint);
+
+    if (!pending) {
+      pending = (async () => {
+        const client = new Client({ name: 'mcp-superserver-hub', version: '1.0.0' });
+        await client.connect(new StreamableHTTPClientTransport(new URL(endpoint)));
+        return client;
+      })();
+      this.mcpClients.set(endpoint, pending);
+      pending.catch(() => this.mcpClients.delete(endpoint));
+    }
+
+    return pending;
+  }
+
+  /**
+   * Close the MCP client session for an endpoint
+   */
+  async closeMcpClient(endpoint) {
+    const pending = this.mcpClients.get(endpoint);
+
+    if (!pending) {
+      return;
+    }
+
+    this.mcpClients.delete(endpoint);
+
+    try {
+      const client = await pending;
+      await client.close();
+    } catch (error) {
+      wanakuLogger.debug('Error closing MCP client', { endpoint, error: error.message });
+    }
+  }
+
+  /**
+   * Stop the heartbeat and close all MCP client sessions
+   */
+  async close() {
+    this.stopHeartbeat();
+
+    await Promise.allSettled(
+      Array.from(this.mcpClients.keys()).map(endpoint => this.closeMcpClient(endpoint))
+    );
+  }
+
   /**
    * Discover available tools across all servers
    */
@@ -294,7 +657,8 @@ export class WanakuClient {
       total_servers: this.registeredServers.size,
       total_tools: 0,
       servers_by_status: {},
-      tools_by_server: {}
+      tools_by_server: {},
+      circuit_breakers: {}
     };
 
     for (const [name, server] of this.registeredServers.entries()) {
@@ -303,12 +667,102 @@ export class WanakuClient {
 
       const status = server.status || 'unknown';
       stats.servers_by_status[status] = (stats.servers_by_status[status] || 0) + 1;
+
+      stats.circuit_breakers[name] = this.getCircuitBreaker(name).getStatus();
     }
 
     return stats;
   }
 }
 
+/**
+ * Network error codes, of Node and of undici (fetch)
+ */
+const TRANSPORT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+/**
+ * Check if error comes from the connection or the MCP session rather
+ * than from the tool: a network failure (fetch reports it as the cause),
+ * an HTTP error of the transport such as an expired session, or a
+ * closed connection
+ */
+export function isTransportError(error) {
+  return error instanceof StreamableHTTPError ||
+    error.code === ErrorCode.ConnectionClosed ||
+    TRANSPORT_ERROR_CODES.includes(error.code) ||
+    TRANSPORT_ERROR_CODES.includes(error.cause?.code);
+}
+
+/**
+ * Errors after which the call never reached the tool: the connection
+ * was refused, or the server turned it away (429, 502, 503)
+ */
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 429, 502, 503];
+
+/**
+ * Errors after which the tool may have run: the call timed out, the
+ * connection dropped mid-call, or the server failed (500, 504)
+ */
+const MAY_HAVE_RUN_ERRORS = [
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  ErrorCode.RequestTimeout,
+  ErrorCode.ConnectionClosed,
+  500,
+  504
+];
+
+/**
+ * Check the codes of an error: Node and fetch error codes (fetch reports
+ * them as the cause), HTTP statuses and MCP error codes
+ */
+function hasErrorCode(error, codes) {
+  return [error.code, error.status, error.cause?.code].some(code => code !== undefined && codes.includes(code));
+}
+
+function mayHaveRun(error) {
+  return error.name === 'TimeoutError' || hasErrorCode(error, MAY_HAVE_RUN_ERRORS);
+}
+
+/**
+ * Check if error counts against the server's circuit breaker
+ */
+function isServerError(error) {
+  return hasErrorCode(error, NOT_SENT_ERRORS) || mayHaveRun(error);
+}
+
+/**
+ * Check if a tool definition declares it can safely run twice, through
+ * the MCP readOnlyHint or idempotentHint annotations; tools without
+ * them are assumed to change something each time they run
+ */
+function isIdempotentDefinition(tool) {
+  return tool.annotations?.readOnlyHint === true || tool.annotations?.idempotentHint === true;
+}
+
+/**
+ * Check if error is worth retrying: calls that never reached the tool
+ * always are, calls that may have run only for idempotent tools
+ */
+export function isRetryableError(error, idempotent = false) {
+  if (hasErrorCode(error, NOT_SENT_ERRORS)) {
+    return true;
+  }
+
+  return mayHaveRun(error) && idempotent;
+}
+
 /**
  * Global Wanaku client instance
  */
@@ -354,5 +808,7 @@ export default {
   initializeWanaku,
   getWanakuClient,
   isWanakuInitialized,
+  isRetryableError,
+  isTransportError,
   wanakuConfig
 };
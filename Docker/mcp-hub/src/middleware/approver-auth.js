@@ -0,0 +1,111 @@
+// ============================================================
+// Approver Authentication
+// ============================================================
+// Description: Credentials for deciding parked tool calls. An agent
+// that can reach the hub must not be able to approve its own calls, so
+// decisions need a key the agents do not have, and the approver is
+// taken from the key rather than from the request
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { ApiError } from './error-handler.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const authLogger = createModuleLogger('ApproverAuth');
+
+/**
+ * Value shipped in .env.example, never accepted as a key
+ */
+const PLACEHOLDER_KEY = 'change_me_in_production';
+
+/**
+ * Approver credentials
+ *   approvers - "name:key,name:key" (OMEGA_APPROVERS), one key per person
+ *   apiKey    - shared hub key (API_KEY), recorded as approver "api-key"
+ */
+const approverConfig = {
+  approvers: process.env.OMEGA_APPROVERS || '',
+  apiKey: process.env.API_KEY || ''
+};
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Approver keys as [{ name, digest }]
+ */
+function getApproverKeys() {
+  const keys = approverConfig.approvers
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf(':');
+      return { name: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() };
+    })
+    .filter(({ name, key }) => name && key);
+
+  if (approverConfig.apiKey) {
+    keys.push({ name: 'api-key', key: approverConfig.apiKey });
+  }
+
+  return keys
+    .filter(({ name, key }) => {
+      if (key !== PLACEHOLDER_KEY) return true;
+      authLogger.warn('Ignoring placeholder approver key', { approver: name });
+      return false;
+    })
+    .map(({ name, key }) => ({ name, digest: digest(key) }));
+}
+
+/**
+ * Key sent with a request: X-API-Key or Authorization: Bearer
+ */
+function getRequestKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: authenticate the approver of a request and set
+ * req.approver to their name
+ * 403 when no approver key is configured, 401 for a missing or unknown key
+ */
+export function requireApprover(req, res, next) {
+  const keys = getApproverKeys();
+
+  if (keys.length === 0) {
+    return next(new ApiError(403, 'Approval decisions are disabled: set OMEGA_APPROVERS or API_KEY'));
+  }
+
+  const key = getRequestKey(req);
+  if (!key) {
+    return next(new ApiError(401, 'An approver key is required (X-API-Key or Authorization: Bearer)'));
+  }
+
+  const requested = digest(key);
+  const approver = keys.find(candidate => timingSafeEqual(candidate.digest, requested));
+
+  if (!approver) {
+    authLogger.warn('Rejected approval decision with an unknown key', { ip: req.ip, path: req.path });
+    return next(new ApiError(401, 'Invalid approver key'));
+  }
+
+  req.approver = approver.name;
+  next();
+}
+
+/**
+ * Configure approver credentials (see approverConfig)
+ */
+export function configureApprovers(config) {
+  Object.assign(approverConfig, config);
+}
+
+export default {
+  requireApprover,
+  configureApprovers
+};
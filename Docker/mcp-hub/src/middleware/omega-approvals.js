@@ -0,0 +1,248 @@
+// ============================================================
+// Protocol Omega Approval Queue
+// ============================================================
+// Description: Human-in-the-loop approval of tool calls the policy marks
+// as require-approval. Parked calls wait until approved, rejected,
+// expired or cancelled; every step is written to the Obsidian audit log
+
+import { randomUUID } from 'crypto';
+import { writeToSinks } from './omega-sinks.js';
+import { redact } from '../utils/redact.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const approvalLogger = createModuleLogger('OmegaApprovals');
+
+/**
+ * Approval queue configuration
+ */
+const approvalConfig = {
+  timeoutMs: parseInt(process.env.OMEGA_APPROVAL_TIMEOUT_MS || '900000', 10),
+  historySize: 100
+};
+
+/**
+ * Approvals keyed by ID; pending ones also hold the parked call's resolver
+ */
+const approvals = new Map();
+const waiters = new Map();
+
+/**
+ * Public view of an approval, with secrets in the arguments masked
+ * The parked call keeps the original arguments
+ */
+function toView(approval) {
+  return redact(approval);
+}
+
+/**
+ * Write an approval step to the audit log
+ */
+async function logApproval(approval, action) {
+  await writeToSinks({
+    timestamp: new Date().toISOString(),
+    type: 'approval',
+    source: approval.server,
+    action,
+    ...(approval.cli && { cli: approval.cli }),
+    ...(approval.session && { session: approval.session }),
+    data: {
+      approval_id: approval.id,
+      tool: approval.tool,
+      arguments: approval.arguments,
+      status: approval.status,
+      ...(approval.client && { client: approval.client }),
+      ...(approval.policy && { policy: approval.policy }),
+      ...(approval.decided_by && { decided_by: approval.decided_by }),
+      ...(approval.comment && { comment: approval.comment })
+    },
+    tags: ['mcp', 'approval', approval.server, approval.tool]
+  });
+}
+
+/**
+ * Drop the oldest decided approvals beyond the history size
+ */
+function pruneHistory() {
+  const decided = Array.from(approvals.values()).filter(approval => approval.status !== 'pending');
+
+  for (const approval of decided.slice(0, Math.max(0, decided.length - approvalConfig.historySize))) {
+    approvals.delete(approval.id);
+  }
+}
+
+/**
+ * Settle a pending approval and release the parked call
+ * A decision must be on record before it takes effect (required); an
+ * expired or cancelled call is released even when it cannot be logged,
+ * since it does not run either way
+ * Returns false when the approval is already settled
+ */
+async function settle(approval, status, details = {}, { required = true } = {}) {
+  const waiter = waiters.get(approval.id);
+
+  if (!waiter || waiter.settling) {
+    return false;
+  }
+
+  waiter.settling = true;
+
+  const settled = {
+    ...approval,
+    status,
+    decided_at: new Date().toISOString(),
+    ...details
+  };
+
+  try {
+    await logApproval(settled, `approval_${status}`);
+  } catch (error) {
+    if (required) {
+      waiter.settling = false;
+      throw error;
+    }
+
+    approvalLogger.error(`Failed to record ${status} approval`, {
+      id: approval.id,
+      error: error.message
+    });
+  }
+
+  Object.assign(approval, settled);
+
+  waiters.delete(approval.id);
+  clearTimeout(waiter.timer);
+  waiter.signal?.removeEventListener('abort', waiter.onAbort);
+  waiter.resolve(toView(approval));
+
+  approvalLogger.info(`Approval ${status}`, {
+    id: approval.id,
+    server: approval.server,
+    tool: approval.tool
+  });
+
+  pruneHistory();
+
+  return true;
+}
+
+/**
+ * Park a tool call until it is decided
+ * request: { server, tool, arguments, client, cli, session, policy }
+ * options.signal cancels the wait; options.onPending receives the approval
+ * once it is queued. Resolves with the settled approval (status approved,
+ * rejected, expired or cancelled)
+ */
+export async function requestApproval(request, options = {}) {
+  const { signal, onPending, timeoutMs = approvalConfig.timeoutMs } = options;
+
+  signal?.throwIfAborted();
+
+  const now = Date.now();
+  const approval = {
+    id: randomUUID(),
+    status: 'pending',
+    server: request.server,
+    tool: request.tool,
+    arguments: request.arguments,
+    ...(request.client && { client: request.client }),
+    ...(request.cli && { cli: request.cli }),
+    ...(request.session && { session: request.session }),
+    ...(request.policy && { policy: request.policy }),
+    requested_at: new Date(now).toISOString(),
+    expires_at: new Date(now + timeoutMs).toISOString()
+  };
+
+  await logApproval(approval, 'approval_requested');
+
+  approvals.set(approval.id, approval);
+
+  const decision = new Promise(resolve => {
+    const waiter = { resolve, signal };
+
+    waiter.timer = setTimeout(() => settle(approval, 'expired', {}, { required: false }), timeoutMs);
+    // A parked call must not keep the process alive through shutdown
+    waiter.timer.unref();
+
+    waiter.onAbort = () => settle(approval, 'cancelled', {}, { required: false });
+
+    waiters.set(approval.id, waiter);
+
+    // The signal may have fired while the request was being logged
+    if (signal?.aborted) {
+      waiter.onAbort();
+    } else {
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+  });
+
+  approvalLogger.info('Tool call waiting for approval', {
+    id: approval.id,
+    server: approval.server,
+    tool: approval.tool
+  });
+
+  onPending?.(toView(approval));
+
+  return decision;
+}
+
+/**
+ * Approve or reject a pending approval
+ * decision: { approved, decidedBy, comment }
+ * Throws with code APPROVAL_NOT_FOUND or APPROVAL_ALREADY_DECIDED
+ */
+export async function decideApproval(id, { approved, decidedBy, comment } = {}) {
+  const approval = approvals.get(id);
+
+  if (!approval) {
+    const error = new Error(`Approval ${id} not found`);
+    error.code = 'APPROVAL_NOT_FOUND';
+    throw error;
+  }
+
+  const settled = await settle(approval, approved ? 'approved' : 'rejected', {
+    ...(decidedBy && { decided_by: decidedBy }),
+    ...(comment && { comment })
+  });
+
+  if (!settled) {
+    const error = new Error(`Approval ${id} is already ${approval.status === 'pending' ? 'being decided' : approval.status}`);
+    error.code = 'APPROVAL_ALREADY_DECIDED';
+    throw error;
+  }
+
+  return toView(approval);
+}
+
+/**
+ * List approvals, newest first, optionally filtered by status
+ */
+export function listApprovals({ status } = {}) {
+  return Array.from(approvals.values())
+    .filter(approval => !status || approval.status === status)
+    .reverse()
+    .map(toView);
+}
+
+/**
+ * Get an approval by ID
+ */
+export function getApproval(id) {
+  const approval = approvals.get(id);
+  return approval ? toView(approval) : null;
+}
+
+/**
+ * Update the approval queue configuration
+ */
+export function configureApprovals(config) {
+  Object.assign(approvalConfig, config);
+}
+
+export default {
+  requestApproval,
+  decideApproval,
+  listApprovals,
+  getApproval,
+  configureApprovals
+};
@@ -0,0 +1,244 @@
+// ============================================================
+// Protocol Omega Policy Engine
+// ============================================================
+// Description: Declarative allow / deny / require-approval rules for
+// MCP tool calls, loaded from a YAML policy file
+
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const policyLogger = createModuleLogger('OmegaPolicy');
+
+/**
+ * Default location of the policy file (mounted from config/omega-policy.yml)
+ */
+export const DEFAULT_POLICY_PATH = '/app/config/omega-policy.yml';
+
+export const POLICY_EFFECTS = ['allow', 'deny', 'require-approval'];
+
+const RULE_KEYS = ['name', 'description', 'server', 'tool', 'client', 'arguments', 'effect', 'reason'];
+
+// pinned: the policy was given as a document and the file is not read
+const policyState = {
+  path: process.env.OMEGA_POLICY_PATH || DEFAULT_POLICY_PATH,
+  policy: null,
+  mtime: null,
+  pinned: false
+};
+
+/**
+ * Convert a glob (only * is special) to an anchored regular expression
+ */
+function globToRegExp(glob) {
+  const escaped = String(glob).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Compile a name matcher: a glob or a list of globs
+ */
+function compileNameMatcher(value, field, ruleName) {
+  const globs = Array.isArray(value) ? value : [value];
+
+  if (globs.length === 0 || globs.some(glob => typeof glob !== 'string')) {
+    throw new Error(`Policy rule ${ruleName}: ${field} must be a string or a list of strings`);
+  }
+
+  const patterns = globs.map(globToRegExp);
+  return (name) => patterns.some(pattern => pattern.test(name ?? ''));
+}
+
+/**
+ * Compile an argument matcher
+ *   scalar            - equal value (strings may use * globs)
+ *   list              - any of the values
+ *   { pattern: re }   - string matching a regular expression
+ *   { exists: bool }  - argument present or absent
+ */
+function compileValueMatcher(expected, argPath, ruleName) {
+  if (Array.isArray(expected)) {
+    const matchers = expected.map(item => compileValueMatcher(item, argPath, ruleName));
+    return (value) => matchers.some(matcher => matcher(value));
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    if (typeof expected.pattern === 'string') {
+      const pattern = new RegExp(expected.pattern);
+      return (value) => typeof value === 'string' && pattern.test(value);
+    }
+
+    if (typeof expected.exists === 'boolean') {
+      return (value) => (value !== undefined) === expected.exists;
+    }
+
+    throw new Error(`Policy rule ${ruleName}: unsupported matcher for argument ${argPath}`);
+  }
+
+  if (typeof expected === 'string' && expected.includes('*')) {
+    const pattern = globToRegExp(expected);
+    return (value) => typeof value === 'string' && pattern.test(value);
+  }
+
+  return (value) => value === expected;
+}
+
+/**
+ * Read a dotted argument path, e.g. properties.status
+ */
+function getArgument(args, argPath) {
+  return argPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), args);
+}
+
+/**
+ * Compile a policy document into matchers
+ * Throws on unknown keys, effects or malformed matchers
+ */
+export function compilePolicy(document = {}) {
+  const { default: defaultEffect = 'allow', rules = [] } = document || {};
+
+  if (!POLICY_EFFECTS.includes(defaultEffect)) {
+    throw new Error(`Policy default must be one of ${POLICY_EFFECTS.join(', ')}`);
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error('Policy rules must be a list');
+  }
+
+  return {
+    default: defaultEffect,
+    rules: rules.map((rule, index) => {
+      const name = rule?.name || `rule-${index + 1}`;
+      const unknown = Object.keys(rule || {}).filter(key => !RULE_KEYS.includes(key));
+
+      if (unknown.length > 0) {
+        throw new Error(`Policy rule ${name}: unknown keys ${unknown.join(', ')}`);
+      }
+
+      if (!POLICY_EFFECTS.includes(rule.effect)) {
+        throw new Error(`Policy rule ${name}: effect must be one of ${POLICY_EFFECTS.join(', ')}`);
+      }
+
+      const matchers = [];
+
+      for (const field of ['server', 'tool', 'client']) {
+        if (rule[field] !== undefined) {
+          const matches = compileNameMatcher(rule[field], field, name);
+          matchers.push(context => matches(field === 'client' ? context.client?.name : context[field]));
+        }
+      }
+
+      for (const [argPath, expected] of Object.entries(rule.arguments || {})) {
+        const matches = compileValueMatcher(expected, argPath, name);
+        matchers.push(context => matches(getArgument(context.arguments || {}, argPath)));
+      }
+
+      return {
+        name,
+        effect: rule.effect,
+        reason: rule.reason || rule.description || null,
+        matches: (context) => matchers.every(matcher => matcher(context))
+      };
+    })
+  };
+}
+
+/**
+ * Load the policy file; a missing file allows everything
+ */
+export async function loadPolicy(policyPath = policyState.path) {
+  let content;
+
+  try {
+    content = await fs.readFile(policyPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      policyLogger.warn('No policy file, all tool calls allowed', { path: policyPath });
+      return compilePolicy();
+    }
+    throw error;
+  }
+
+  const policy = compilePolicy(yaml.load(content));
+
+  policyLogger.info('Policy loaded', {
+    path: policyPath,
+    default: policy.default,
+    rules: policy.rules.length
+  });
+
+  return policy;
+}
+
+/**
+ * Get the current policy, reloading the file when it changed
+ * An invalid policy file denies every tool call until it is fixed
+ */
+async function getPolicy() {
+  let mtime = null;
+
+  try {
+    mtime = (await fs.stat(policyState.path)).mtimeMs;
+  } catch {
+    // Missing file: loadPolicy falls back to allow
+  }
+
+  if (!policyState.policy || mtime !== policyState.mtime) {
+    policyState.mtime = mtime;
+
+    try {
+      policyState.policy = await loadPolicy(policyState.path);
+    } catch (error) {
+      policyLogger.error('Invalid policy file, denying all tool calls', {
+        path: policyState.path,
+        error: error.message
+      });
+
+      policyState.policy = {
+        default: 'deny',
+        rules: [],
+        error: `Invalid policy file: ${error.message}`
+      };
+    }
+  }
+
+  return policyState.policy;
+}
+
+/**
+ * Use a policy file at another path, or a policy document directly
+ */
+export function configurePolicy({ path: policyPath, document } = {}) {
+  if (policyPath) {
+    policyState.path = policyPath;
+  }
+
+  policyState.policy = document ? compilePolicy(document) : null;
+  policyState.mtime = null;
+  policyState.pinned = Boolean(document);
+}
+
+/**
+ * Evaluate a tool call against the policy; the first matching rule decides
+ * context: { server, tool, arguments, client: { name, version } }
+ * Returns { effect, rule, reason }
+ */
+export async function evaluatePolicy(context) {
+  const policy = policyState.pinned ? policyState.policy : await getPolicy();
+  const rule = policy.rules.find(candidate => candidate.matches(context));
+
+  if (rule) {
+    return { effect: rule.effect, rule: rule.name, reason: rule.reason };
+  }
+
+  return { effect: policy.default, rule: null, reason: policy.error || null };
+}
+
+export default {
+  compilePolicy,
+  loadPolicy,
+  configurePolicy,
+  evaluatePolicy,
+  DEFAULT_POLICY_PATH,
+  POLICY_EFFECTS
+};
@@ -0,0 +1,193 @@
+// ============================================================
+// Protocol Omega Log Entry Schema
+// ============================================================
+// Description: Validate Protocol Omega entries against the shared JSON
+// Schema in config/schemas/log-entry.schema.json. Omega entries keep their
+// own shape (type, source, action, data); toSchemaEntry maps them onto the
+// schema record (cli, action_type, context, metadata.session, ...)
+
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const schemaLogger = createModuleLogger('OmegaSchema');
+
+/**
+ * Default location of the schema (mounted from config/schemas)
+ */
+export const DEFAULT_SCHEMA_PATH = '/app/config/schemas/log-entry.schema.json';
+
+/**
+ * Schema configuration
+ * defaultCli is used for entries whose client cannot be mapped to a CLI
+ */
+const schemaConfig = {
+  path: process.env.OMEGA_SCHEMA_PATH || DEFAULT_SCHEMA_PATH,
+  defaultCli: process.env.OMEGA_DEFAULT_CLI || 'claude-code'
+};
+
+/**
+ * Client names (MCP clientInfo or X-MCP-Client) of each CLI in the schema
+ */
+const CLI_ALIASES = [
+  [/^claude/i, 'claude-code'],
+  [/gemini/i, 'gemini-cli'],
+  [/^cline/i, 'cline'],
+  [/cursor/i, 'cursor'],
+  [/opencode/i, 'opencode'],
+  [/qwen/i, 'qwen-cli'],
+  [/droid|factory/i, 'droid'],
+  [/crush/i, 'crush'],
+  [/antigravity/i, 'antigravity']
+];
+
+/**
+ * Schema action_type of each Omega entry type; tool calls map by server
+ */
+const ACTION_TYPES = {
+  reasoning: 'PLANNING',
+  memory: 'MEMORY_UPDATE',
+  system: 'CONFIGURATION',
+  approval: 'CONFIGURATION',
+  error: 'ERROR',
+  http_request: 'RESEARCH'
+};
+
+const TOOL_CALL_ACTION_TYPES = {
+  'neo4j-memory': 'MEMORY_UPDATE',
+  'obsidian-memory': 'MEMORY_UPDATE',
+  'sequential-thinking': 'PLANNING',
+  'task-master': 'PLANNING'
+};
+
+const RESULT_STATUSES = {
+  success: 'success',
+  error: 'failure'
+};
+
+let loaded = null;
+
+/**
+ * Compile a schema document
+ * date-time is checked here since ajv-formats is not a dependency
+ */
+export function compileSchema(schema) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+
+  ajv.addFormat('date-time', value =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value))
+  );
+
+  return ajv.compile(schema);
+}
+
+/**
+ * Load the schema once per path
+ * Without a schema file only the Omega entry shape is checked; an
+ * unreadable or invalid schema fails every entry
+ */
+function getValidator() {
+  if (loaded?.path === schemaConfig.path) {
+    return loaded;
+  }
+
+  loaded = { path: schemaConfig.path, validate: null, error: null };
+
+  try {
+    loaded.validate = compileSchema(JSON.parse(readFileSync(schemaConfig.path, 'utf-8')));
+    schemaLogger.info('Log entry schema loaded', { path: schemaConfig.path });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      schemaLogger.warn('Log entry schema not found, schema validation disabled', { path: schemaConfig.path });
+    } else {
+      loaded.error = error.message;
+      schemaLogger.error('Invalid log entry schema, every entry will be rejected', {
+        path: schemaConfig.path,
+        error: error.message
+      });
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Map an MCP client to a CLI of the schema
+ * Returns the default CLI for unknown or missing clients
+ */
+export function resolveCli(client) {
+  const name = typeof client === 'string' ? client : client?.name;
+
+  if (name) {
+    const match = CLI_ALIASES.find(([pattern]) => pattern.test(name));
+    if (match) return match[1];
+  }
+
+  return schemaConfig.defaultCli;
+}
+
+/**
+ * Map an Omega entry onto a log-entry.schema.json record
+ * Explicit cli, session, requestId and action_type on the entry take precedence
+ */
+export function toSchemaEntry(entry) {
+  const data = entry.data || {};
+  const result = data.result;
+  const error = result?.error ?? (entry.type === 'error' ? data.message : undefined);
+
+  const actionType = entry.action_type
+    ?? (entry.type === 'tool_call'
+      ? TOOL_CALL_ACTION_TYPES[data.server ?? entry.source] || 'RESEARCH'
+      : ACTION_TYPES[entry.type] || 'RESEARCH');
+
+  return {
+    timestamp: entry.timestamp,
+    cli: entry.cli ?? resolveCli(data.client),
+    action_type: actionType,
+    context: `${entry.type} ${entry.source}/${entry.action}`,
+    ...((entry.session || entry.requestId) && {
+      metadata: {
+        ...(entry.session && { session: entry.session }),
+        ...(entry.requestId && { request_id: entry.requestId })
+      }
+    }),
+    ...(RESULT_STATUSES[result?.status] && { result: { status: RESULT_STATUSES[result.status] } }),
+    ...(typeof error === 'string' && { artifacts: { error } })
+  };
+}
+
+/**
+ * Validate an Omega entry against the schema
+ * Returns a list of error messages, empty when valid
+ */
+export function validateSchemaEntry(entry) {
+  const { validate, error } = getValidator();
+
+  if (error) {
+    return [`Log entry schema unavailable: ${error}`];
+  }
+
+  if (!validate || validate(toSchemaEntry(entry))) {
+    return [];
+  }
+
+  return validate.errors.map(issue =>
+    `Schema: ${issue.instancePath || '/'} ${issue.message}${issue.params?.allowedValues ? ` (${issue.params.allowedValues.join(', ')})` : ''}`
+  );
+}
+
+/**
+ * Update the schema configuration; a new path is loaded on next use
+ */
+export function configureLogSchema(config) {
+  Object.assign(schemaConfig, config);
+  loaded = null;
+}
+
+export default {
+  resolveCli,
+  toSchemaEntry,
+  validateSchemaEntry,
+  compileSchema,
+  configureLogSchema
+};
@@ -0,0 +1,386 @@
+// ============================================================
+// Protocol Omega Log Sinks
+// ============================================================
+// Description: Fan Protocol Omega entries out to the destinations listed
+// in config/mcp-hub.json (middleware.logging.destinations): the Obsidian
+// audit ledger, Neo4j ActivityLog nodes, JSONL files and the console.
+// Each sink has a failure policy; the primary sink blocks by default
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { writeLogEntry } from '../services/obsidian-writer.js';
+import { executeQuery, isNeo4jConnected } from '../services/neo4j-client.js';
+import { toSchemaEntry } from './omega-schema.js';
+import { redact } from '../utils/redact.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const sinkLogger = createModuleLogger('OmegaSinks');
+const consoleSinkLogger = createModuleLogger('OmegaLog');
+
+/**
+ * Default location of the hub configuration (mounted from config/mcp-hub.json)
+ */
+export const DEFAULT_HUB_CONFIG_PATH = '/app/config/mcp-hub.json';
+
+/**
+ * What a sink failure does to the action being logged
+ *   block  - the write fails, so Protocol Omega blocks the action
+ *   warn   - the failure is logged as a warning
+ *   ignore - the failure is logged at debug level
+ */
+export const FAILURE_POLICIES = ['block', 'warn', 'ignore'];
+
+/**
+ * Valid Neo4j label, safe to write into a query
+ */
+const LABEL_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Destinations used without a configuration file
+ */
+const DEFAULT_DESTINATIONS = [{ type: 'obsidian', primary: true }];
+
+// Sinks are created once, on first write
+const sinkState = {
+  path: process.env.MCP_HUB_CONFIG_PATH || DEFAULT_HUB_CONFIG_PATH,
+  sinks: null
+};
+
+/**
+ * Map an Omega entry to a log-entry.schema.json record that also keeps
+ * the Omega fields; secrets are masked
+ */
+function toRecord(entry) {
+  return {
+    ...toSchemaEntry(entry),
+    type: entry.type,
+    source: entry.source,
+    action: entry.action,
+    ...(entry.tags && { tags: entry.tags }),
+    data: redact(entry.data ?? {})
+  };
+}
+
+/**
+ * Entities and tasks an entry touched, from the tool arguments and the
+ * result preview (for IDs generated by the tool, e.g. create_task)
+ */
+export function getEntityReferences(entry) {
+  const args = entry.data?.arguments || {};
+  const references = [];
+  const add = (label, id) => {
+    if (typeof label === 'string' && typeof id === 'string' && !references.some(ref => ref.label === label && ref.id === id)) {
+      references.push({ label, id });
+    }
+  };
+
+  add(args.label, args.id);
+  add(args.fromLabel, args.fromId);
+  add(args.toLabel, args.toId);
+  add('Task', args.taskId);
+  add('Task', args.parentTaskId);
+
+  const preview = entry.data?.result?.summary?.preview;
+  const createdTask = typeof preview === 'string' && preview.match(/"taskId":\s*"([^"]+)"/);
+  if (createdTask) {
+    add('Task', createdTask[1]);
+  }
+
+  return references;
+}
+
+/**
+ * Obsidian sink: the hash-chained daily logs (see obsidian-writer.js)
+ * The vault location comes from the Obsidian writer configuration
+ */
+export function createObsidianSink() {
+  return {
+    write: (entry) => writeLogEntry(entry)
+  };
+}
+
+/**
+ * Neo4j sink: one ActivityLog node per entry, linked from the entities
+ * and tasks it touched with RECORDED_IN relationships
+ * deps replaces the Neo4j client functions
+ */
+export function createNeo4jSink(destination = {}, deps = {}) {
+  const { query = executeQuery, isConnected = isNeo4jConnected } = deps;
+  const label = destination.label || 'ActivityLog';
+
+  if (!LABEL_PATTERN.test(label)) {
+    throw new Error(`Invalid Neo4j sink label: ${label}`);
+  }
+
+  return {
+    async write(entry) {
+      if (!isConnected()) {
+        throw new Error('Neo4j is not connected');
+      }
+
+      const record = toRecord(entry);
+      const id = randomUUID();
+
+      // One lookup per label, so each one uses the label's id index;
+      // labels come from tool arguments and are only used when valid
+      const references = [];
+      for (const reference of getEntityReferences(entry)) {
+        if (!LABEL_PATTERN.test(reference.label)) continue;
+
+        const group = references.find(candidate => candidate.label === reference.label);
+        if (group) {
+          group.ids.push(reference.id);
+        } else {
+          references.push({ label: reference.label, ids: [reference.id] });
+        }
+      }
+
+      const links = references.map((reference, i) => `
+         CALL {
+           WITH log
+           MATCH (n:${reference.label})
+           WHERE n.id IN $references[${i}].ids
+           MERGE (n)-[:RECORDED_IN]->(log)
+         }`).join('');
+
+      await query(
+        `CREATE (log:${label} $properties)${links.length > 0 ? `
+         WITH log${links}` : ''}`,
+        {
+          properties: {
+            id,
+            timestamp: record.timestamp,
+            cli: record.cli,
+            action_type: record.action_type,
+            context: record.context,
+            type: record.type,
+            source: record.source,
+            action: record.action,
+            ...(entry.session && { session: entry.session }),
+            ...(entry.requestId && { requestId: entry.requestId }),
+            ...(record.result && { status: record.result.status }),
+            tags: record.tags || [],
+            data: JSON.stringify(record.data)
+          },
+          references
+        }
+      );
+
+      return { id };
+    }
+  };
+}
+
+/**
+ * JSONL sink: one record per line, appended in order
+ */
+export function createJsonlSink(destination = {}) {
+  if (!destination.path) {
+    throw new Error('JSONL sink requires a path');
+  }
+
+  let queue = Promise.resolve();
+
+  return {
+    write(entry) {
+      const line = `${JSON.stringify(toRecord(entry))}\n`;
+      const append = queue.then(async () => {
+        await fs.mkdir(path.dirname(destination.path), { recursive: true });
+        await fs.appendFile(destination.path, line, 'utf-8');
+        return { path: destination.path };
+      });
+
+      queue = append.catch(() => {});
+      return append;
+    }
+  };
+}
+
+/**
+ * Console sink: entries go to the Winston logger, as JSON or as text
+ */
+export function createConsoleSink(destination = {}) {
+  return {
+    async write(entry) {
+      if (destination.format === 'json') {
+        consoleSinkLogger.info(JSON.stringify(toRecord(entry)));
+      } else {
+        consoleSinkLogger.info(`${entry.type} ${entry.source}/${entry.action}`, { cli: entry.cli, data: entry.data });
+      }
+      return {};
+    }
+  };
+}
+
+/**
+ * Sink factories by destination type
+ */
+const SINK_TYPES = {
+  obsidian: createObsidianSink,
+  neo4j: createNeo4jSink,
+  jsonl: createJsonlSink,
+  console: createConsoleSink
+};
+
+/**
+ * Register a sink factory for a destination type
+ * The factory receives the destination and returns { write(entry) }
+ */
+export function registerSinkType(type, factory) {
+  SINK_TYPES[type] = factory;
+}
+
+/**
+ * Create the sinks of a destination list
+ * The destination with primary: true (or else the first) is the primary
+ * sink; on_failure defaults to block for the primary and warn otherwise
+ */
+export function createSinks(destinations) {
+  if (!Array.isArray(destinations) || destinations.length === 0) {
+    throw new Error('At least one logging destination is required');
+  }
+
+  const primaryIndex = Math.max(0, destinations.findIndex(destination => destination.primary === true));
+
+  return destinations.map((destination, index) => {
+    const factory = SINK_TYPES[destination.type];
+
+    if (!factory) {
+      throw new Error(`Unknown logging destination type: ${destination.type}`);
+    }
+
+    const primary = index === primaryIndex;
+    const onFailure = destination.on_failure || (primary ? 'block' : 'warn');
+
+    if (!FAILURE_POLICIES.includes(onFailure)) {
+      throw new Error(`Logging destination ${destination.name || destination.type}: on_failure must be one of ${FAILURE_POLICIES.join(', ')}`);
+    }
+
+    return {
+      name: destination.name || destination.type,
+      type: destination.type,
+      primary,
+      onFailure,
+      ...factory(destination)
+    };
+  });
+}
+
+/**
+ * Load the sinks from the hub configuration file
+ * Without a file or logging section only the Obsidian sink is used
+ */
+export async function loadSinks(configPath = sinkState.path) {
+  let content;
+
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createSinks(DEFAULT_DESTINATIONS);
+    }
+    throw error;
+  }
+
+  const logging = JSON.parse(content).middleware?.logging;
+
+  if (!logging || logging.enabled === false || !logging.destinations) {
+    return createSinks(DEFAULT_DESTINATIONS);
+  }
+
+  return createSinks(logging.destinations);
+}
+
+/**
+ * Get the sinks, loading them on first use
+ * An invalid configuration falls back to the Obsidian sink, so entries
+ * are never dropped
+ */
+async function getSinks() {
+  if (!sinkState.sinks) {
+    try {
+      sinkState.sinks = await loadSinks(sinkState.path);
+    } catch (error) {
+      sinkLogger.error('Invalid logging destinations, using the Obsidian sink only', {
+        path: sinkState.path,
+        error: error.message
+      });
+      sinkState.sinks = createSinks(DEFAULT_DESTINATIONS);
+    }
+
+    sinkLogger.info('Protocol Omega sinks ready', {
+      sinks: sinkState.sinks.map(sink => `${sink.name}${sink.primary ? ' (primary)' : ''}`)
+    });
+  }
+
+  return sinkState.sinks;
+}
+
+/**
+ * Write an entry to every sink
+ * Returns the primary sink's result (sequence and hash for Obsidian) and
+ * the status of each sink; throws an OMEGA_SINK_FAILED error when a sink
+ * with on_failure: block fails, after all sinks were attempted
+ */
+export async function writeToSinks(entry) {
+  const sinks = await getSinks();
+  const outcomes = await Promise.allSettled(sinks.map(sink => sink.write(entry)));
+
+  const status = {};
+  const blocking = [];
+  let primaryResult = {};
+
+  outcomes.forEach((outcome, index) => {
+    const sink = sinks[index];
+
+    if (outcome.status === 'fulfilled') {
+      status[sink.name] = 'written';
+      if (sink.primary) primaryResult = outcome.value || {};
+      return;
+    }
+
+    status[sink.name] = 'failed';
+    const details = { sink: sink.name, action: entry.action, error: outcome.reason?.message };
+
+    if (sink.onFailure === 'block') {
+      blocking.push(`${sink.name}: ${outcome.reason?.message}`);
+      sinkLogger.error('Log sink failed', details);
+    } else if (sink.onFailure === 'warn') {
+      sinkLogger.warn('Log sink failed', details);
+    } else {
+      sinkLogger.debug('Log sink failed', details);
+    }
+  });
+
+  if (blocking.length > 0) {
+    const error = new Error(`Log sink failed - ${blocking.join('; ')}`);
+    error.code = 'OMEGA_SINK_FAILED';
+    error.details = { sinks: status };
+    throw error;
+  }
+
+  return { ...primaryResult, sinks: status };
+}
+
+/**
+ * Read destinations from another configuration file, or use a
+ * destination list directly
+ */
+export function configureSinks({ path: configPath, destinations } = {}) {
+  if (configPath) {
+    sinkState.path = configPath;
+  }
+
+  sinkState.sinks = destinations ? createSinks(destinations) : null;
+}
+
+export default {
+  writeToSinks,
+  loadSinks,
+  createSinks,
+  registerSinkType,
+  configureSinks,
+  getEntityReferences,
+  FAILURE_POLICIES
+};
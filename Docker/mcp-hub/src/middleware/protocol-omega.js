@@ -5,7 +5,11 @@
 // Description: AI governance protocol ensuring no action goes unrecorded
 
 import { logger } from '../utils/logger.js';
-import { writeLogEntry, writeError } from '../services/obsidian-writer.js';
+import { writeError } from '../services/obsidian-writer.js';
+import { writeToSinks } from './omega-sinks.js';
+import { evaluatePolicy } from './omega-policy.js';
+import { resolveCli, validateSchemaEntry } from './omega-schema.js';
+import { requestApproval } from './omega-approvals.js';
 import { createModuleLogger } from '../utils/log-helpers.js';
 
 const omegaLogger = createModuleLogger('ProtocolOmega');
@@ -20,9 +24,26 @@ const omegaConfig = {
   requireSource: true,
   requireAction: true,
   iso8601Strict: true,
-  validateSchema: true
+  validateSchema: true,
+  mcpToolCalls: process.env.OMEGA_MCP_TOOL_CALLS !== 'false',
+  servers: parseServerOverrides(process.env.OMEGA_SERVERS),
+  resultPreviewLength: 500
 };
 
+/**
+ * Parse per-server overrides, e.g. {"ollama": {"blockOnFailure": false}}
+ */
+function parseServerOverrides(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn('Ignoring invalid OMEGA_SERVERS value', { error: error.message });
+    return {};
+  }
+}
+
 /**
  * Log entry schema validation
  */
@@ -95,14 +116,28 @@ function validateLogEntry(entry) {
     errors.push('Field data must be an object');
   }
 
+  if (entry.session !== undefined && typeof entry.session !== 'string') {
+    errors.push('Field session must be a string');
+  }
+
+  if (entry.requestId !== undefined && typeof entry.requestId !== 'string') {
+    errors.push('Field requestId must be a string');
+  }
+
+  // The mapped entry must also satisfy config/schemas/log-entry.schema.json
+  errors.push(...validateSchemaEntry(entry));
+
   return errors;
 }
 
 /**
  * Pre-action check
  * Verifies that logging is available before allowing action
+ * options.blockOnFailure overrides the global setting
  */
-export async function preActionCheck(context) {
+export async function preActionCheck(context, options = {}) {
+  const blockOnFailure = options.blockOnFailure ?? omegaConfig.blockOnFailure;
+
   omegaLogger.debug('Pre-action check', { context });
 
   // Check if Obsidian logging is available
@@ -125,7 +160,7 @@ export async function preActionCheck(context) {
       context
     });
 
-    if (omegaConfig.blockOnFailure) {
+    if (blockOnFailure) {
       return {
         allowed: false,
         reason: message,
@@ -163,12 +198,42 @@ export function validateLogFormat(entry) {
   };
 }
 
+/**
+ * Error codes of calls stopped by the policy, thrown regardless of enforceLogging
+ */
+export const POLICY_ERROR_CODES = {
+  deny: 'OMEGA_POLICY_DENIED',
+  'require-approval': 'OMEGA_APPROVAL_REQUIRED'
+};
+
+/**
+ * Error for a call stopped by a policy decision (see POLICY_ERROR_CODES)
+ */
+function policyError(entry, decision) {
+  const error = new Error(decision.effect === 'deny'
+    ? `Protocol Omega: ${entry.action} denied by policy${decision.reason ? ` - ${decision.reason}` : ''}`
+    : `Protocol Omega: ${entry.action} requires approval${decision.reason ? ` - ${decision.reason}` : ''}`);
+  error.code = POLICY_ERROR_CODES[decision.effect];
+  error.policy = decision;
+  return error;
+}
+
 /**
  * Enforce Protocol Omega logging
  * Main middleware function
+ * options.blockOnFailure overrides the global setting
+ * Entries without a cli are attributed to the CLI of their client
+ * Tool calls are evaluated against the policy (see omega-policy.js) first;
+ * the decision is logged with the entry, then a deny or require-approval
+ * decision is thrown, also when the entry could not be written
  */
-export async function enforceProtocolOmega(entry) {
+export async function enforceProtocolOmega(entry, options = {}) {
+  const blockOnFailure = options.blockOnFailure ?? omegaConfig.blockOnFailure;
   const startTime = Date.now();
+  let decision = null;
+  let written;
+
+  entry = { ...entry, cli: entry.cli ?? resolveCli(entry.data?.client) };
 
   try {
     omegaLogger.debug('Protocol Omega enforcement', {
@@ -177,21 +242,33 @@ export async function enforceProtocolOmega(entry) {
       action: entry.action
     });
 
-    // Step 1: Pre-action check
+    // Step 1: Policy evaluation
+    if (entry.type === 'tool_call') {
+      decision = await evaluatePolicy({
+        server: entry.data?.server ?? entry.source,
+        tool: entry.data?.tool ?? entry.action,
+        arguments: entry.data?.arguments,
+        client: entry.data?.client
+      });
+
+      entry = { ...entry, data: { ...entry.data, policy: decision } };
+    }
+
+    // Step 2: Pre-action check
     const preCheck = await preActionCheck({
       type: entry.type,
       source: entry.source,
       action: entry.action
-    });
+    }, { blockOnFailure });
 
-    if (!preCheck.allowed && omegaConfig.blockOnFailure) {
+    if (!preCheck.allowed && blockOnFailure) {
       const error = new Error('Protocol Omega: Action blocked - logging not available');
       error.code = 'OMEGA_BLOCKED';
       error.details = preCheck;
       throw error;
     }
 
-    // Step 2: Schema validation
+    // Step 3: Schema validation
     const validation = validateLogFormat(entry);
 
     if (!validation.valid) {
@@ -201,23 +278,8 @@ export async function enforceProtocolOmega(entry) {
       throw error;
     }
 
-    // Step 3: Write log entry
-    await writeLogEntry(entry);
-
-    const duration = Date.now() - startTime;
-
-    omegaLogger.info('Protocol Omega compliance verified', {
-      type: entry.type,
-      source: entry.source,
-      action: entry.action,
-      duration_ms: duration
-    });
-
-    return {
-      success: true,
-      logged: true,
-      duration_ms: duration
-    };
+    // Step 4: Write log entry to every sink (see omega-sinks.js)
+    written = await writeToSinks(entry);
   } catch (error) {
     const duration = Date.now() - startTime;
 
@@ -240,6 +302,11 @@ export async function enforceProtocolOmega(entry) {
       });
     }
 
+    // A policy decision stands whether or not the entry was written
+    if (decision && decision.effect !== 'allow') {
+      throw policyError(entry, decision);
+    }
+
     // If enforcement is enabled, block the action
     if (omegaConfig.enforceLogging) {
       throw error;
@@ -253,6 +320,36 @@ export async function enforceProtocolOmega(entry) {
       duration_ms: duration
     };
   }
+
+  const duration = Date.now() - startTime;
+
+  // Step 5: Enforce the policy decision
+  if (decision && decision.effect !== 'allow') {
+    const error = policyError(entry, decision);
+
+    omegaLogger.warn('Protocol Omega policy stopped action', {
+      source: entry.source,
+      action: entry.action,
+      ...decision
+    });
+
+    throw error;
+  }
+
+  omegaLogger.info('Protocol Omega compliance verified', {
+    type: entry.type,
+    source: entry.source,
+    action: entry.action,
+    duration_ms: duration
+  });
+
+  return {
+    success: true,
+    logged: true,
+    sequence: written.sequence,
+    hash: written.hash,
+    duration_ms: duration
+  };
 }
 
 /**
@@ -277,7 +374,7 @@ export async function postActionVerification(entry, actionResult) {
       }
     };
 
-    await writeLogEntry(resultEntry);
+    await writeToSinks(resultEntry);
 
     omegaLogger.info('Post-action verification completed', {
       type: entry.type,
@@ -318,11 +415,16 @@ export function protocolOmegaMiddleware(req, res, next) {
     originalEnd.apply(this, args);
 
     // Log the request asynchronously
+    const clientName = req.get('x-mcp-client');
+    const session = req.get('mcp-session-id') || req.get('x-mcp-session');
     const logEntry = {
       timestamp: new Date().toISOString(),
       type: 'http_request',
       source: 'express',
       action: req.method,
+      cli: resolveCli(clientName),
+      ...(session && { session }),
+      ...(req.id && { requestId: String(req.id) }),
       data: {
         method: req.method,
         path: req.path,
@@ -345,46 +447,181 @@ export function protocolOmegaMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Get the Protocol Omega settings for an MCP server's tool calls
+ * Per-server overrides come from omegaConfig.servers (OMEGA_SERVERS)
+ */
+export function getServerOmegaConfig(serverName) {
+  return {
+    enabled: omegaConfig.mcpToolCalls,
+    blockOnFailure: omegaConfig.blockOnFailure,
+    ...omegaConfig.servers[serverName]
+  };
+}
+
+/**
+ * Summarize an MCP tool result for the audit log
+ */
+export function summarizeToolResult(result) {
+  const text = result?.content?.find(item => item.type === 'text')?.text || '';
+  const limit = omegaConfig.resultPreviewLength;
+
+  return {
+    is_error: Boolean(result?.isError),
+    size: text.length,
+    preview: text.length > limit ? `${text.slice(0, limit)}...` : text
+  };
+}
+
+/**
+ * Extract the error message of an MCP error result
+ */
+function getResultError(result) {
+  if (!result?.isError) return undefined;
+
+  try {
+    return JSON.parse(result.content[0].text).error;
+  } catch {
+    return result.content?.[0]?.text;
+  }
+}
+
+/**
+ * Park a call the policy marks as require-approval until it is decided
+ * Returns the approval once approved; throws OMEGA_APPROVAL_REJECTED or
+ * OMEGA_APPROVAL_EXPIRED, or an AbortError when the call is cancelled
+ */
+async function waitForApproval(logEntry, policy, options) {
+  const approval = await requestApproval({
+    server: logEntry.source,
+    tool: logEntry.action,
+    arguments: logEntry.data.arguments,
+    client: options.client,
+    cli: logEntry.cli,
+    session: logEntry.session,
+    policy
+  }, {
+    signal: options.signal,
+    onPending: options.onApprovalPending
+  });
+
+  if (approval.status === 'approved') {
+    return approval;
+  }
+
+  if (approval.status === 'cancelled') {
+    throw new DOMException(`Tool call ${logEntry.action} cancelled while waiting for approval`, 'AbortError');
+  }
+
+  const error = new Error(`Protocol Omega: ${logEntry.action} approval ${approval.status}${approval.comment ? ` - ${approval.comment}` : ''}`);
+  error.code = approval.status === 'rejected' ? 'OMEGA_APPROVAL_REJECTED' : 'OMEGA_APPROVAL_EXPIRED';
+  error.approval = approval;
+  throw error;
+}
+
 /**
  * Wrapper for MCP tool calls with Protocol Omega enforcement
+ *   1. pre-check, evaluate the policy and write the call before the tool runs;
+ *      calls that require approval wait in the approval queue
+ *   2. run the tool
+ *   3. post-verification writes the outcome (result summary, duration, error)
+ * When the call cannot be written and blockOnFailure is set, the tool
+ * does not run and an OMEGA_BLOCKED error is thrown; calls stopped by the
+ * policy throw one of POLICY_ERROR_CODES
+ * options.client identifies the MCP client ({ name, version }),
+ * options.session its session and options.requestId the request; all are
+ * recorded with every entry.
+ * options.signal cancels a call waiting for approval,
+ * options.onApprovalPending receives the queued approval
  */
-export async function wrappedMcpCall(toolName, server, args, toolFunction) {
+export async function wrappedMcpCall(toolName, server, args, toolFunction, options = {}) {
+  const blockOnFailure = options.blockOnFailure ?? omegaConfig.blockOnFailure;
+
   const logEntry = {
     timestamp: new Date().toISOString(),
     type: 'tool_call',
     source: server,
     action: toolName,
+    cli: resolveCli(options.client),
+    ...(options.session && { session: options.session }),
+    ...(options.requestId && { requestId: options.requestId }),
     data: {
-      arguments: args
+      server,
+      tool: toolName,
+      arguments: args,
+      ...(options.client && { client: options.client })
     },
     tags: ['mcp', 'tool-call', server, toolName]
   };
 
-  // Pre-action check
-  await enforceProtocolOmega({
-    ...logEntry,
-    action: `${toolName}_precheck`
-  });
+  // Pre-action check and write the call
+  let recordError = null;
+  let approval = null;
+  try {
+    const recorded = await enforceProtocolOmega(logEntry, { blockOnFailure });
+    if (!recorded.logged) {
+      recordError = new Error(recorded.error);
+    }
+  } catch (error) {
+    if (error.code === POLICY_ERROR_CODES['require-approval']) {
+      approval = await waitForApproval(logEntry, error.policy, options);
+    } else if (Object.values(POLICY_ERROR_CODES).includes(error.code)) {
+      throw error;
+    } else {
+      recordError = error;
+    }
+  }
+
+  if (recordError) {
+    if (blockOnFailure) {
+      const error = new Error(`Protocol Omega: Tool call ${toolName} blocked - ${recordError.message}`);
+      error.code = 'OMEGA_BLOCKED';
+      error.details = recordError.details;
+      throw error;
+    }
 
+    omegaLogger.warn('Tool call not recorded, proceeding (blocking disabled)', {
+      tool: toolName,
+      server,
+      error: recordError.message
+    });
+  }
+
+  // Execute the actual tool call
+  const startTime = Date.now();
   let result;
+  let failure = null;
+
   try {
-    // Execute the actual tool call
-    result = await toolFunction(...args);
+    result = await toolFunction(args);
+  } catch (error) {
+    failure = error;
+  }
 
-    // Post-action verification
-    await postActionVerification(logEntry, result);
+  const duration = Date.now() - startTime;
 
-    return result;
-  } catch (error) {
-    // Log the error
-    await writeError(error, {
-      source: server,
+  // Post-action verification
+  const verification = await postActionVerification(logEntry, {
+    status: failure || result?.isError ? 'error' : 'success',
+    duration_ms: duration,
+    ...(approval && { approval_id: approval.id }),
+    ...(!failure && { summary: summarizeToolResult(result) }),
+    error: failure ? failure.message : getResultError(result)
+  });
+
+  if (!verification.verified) {
+    omegaLogger.error('Tool call outcome not recorded', {
       tool: toolName,
-      args
+      server,
+      error: verification.error
     });
+  }
 
-    throw error;
+  if (failure) {
+    throw failure;
   }
+
+  return result;
 }
 
 /**
@@ -398,7 +635,9 @@ export function getComplianceStatus() {
     requireSource: omegaConfig.requireSource,
     requireAction: omegaConfig.requireAction,
     iso8601Strict: omegaConfig.iso8601Strict,
-    validateSchema: omegaConfig.validateSchema
+    validateSchema: omegaConfig.validateSchema,
+    mcpToolCalls: omegaConfig.mcpToolCalls,
+    servers: omegaConfig.servers
   };
 }
 
@@ -417,6 +656,8 @@ export default {
   postActionVerification,
   protocolOmegaMiddleware,
   wrappedMcpCall,
+  getServerOmegaConfig,
+  summarizeToolResult,
   getComplianceStatus,
   configureProtocolOmega
 };
@@ -0,0 +1,229 @@
+// ============================================================
+// MCP Routes
+// ============================================================
+// Description: HTTP access to every MCP server registered in MCPServers
+
+import express from 'express';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { MCPServers, createGatewayServer } from '../mcp/servers/index.js';
+import { ApiError, asyncHandler } from '../middleware/error-handler.js';
+import { recordToolCall } from './metrics.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const router = express.Router();
+const routeLogger = createModuleLogger('MCPRoutes');
+
+/**
+ * Server instances keyed by MCP server name (e.g. neo4j-memory)
+ */
+const serverInstances = new Map();
+let initPromise = null;
+
+/**
+ * Instantiate every server listed in MCPServers, plus the gateway
+ * Safe to call repeatedly; servers are only created once
+ */
+export function initializeMcpServers(config = {}) {
+  if (!initPromise) {
+    initPromise = (async () => {
+      for (const serverInfo of Object.values(MCPServers)) {
+        const instance = await serverInfo.creator(config[serverInfo.name] || {});
+        await instance.start({ transport: 'http' });
+        serverInstances.set(serverInfo.name, instance);
+      }
+
+      // Gateway aggregating every server above under namespaced tool names
+      const gateway = await createGatewayServer({
+        servers: Array.from(serverInstances.values())
+      });
+      await gateway.start({ transport: 'http' });
+      serverInstances.set(gateway.name, gateway);
+
+      routeLogger.info('MCP servers mounted', {
+        servers: Array.from(serverInstances.keys())
+      });
+
+      return serverInstances;
+    })().catch(error => {
+      initPromise = null;
+      serverInstances.clear();
+      throw error;
+    });
+  }
+
+  return initPromise;
+}
+
+/**
+ * Get a mounted server instance by name
+ */
+export async function getMcpServer(name) {
+  await initializeMcpServers();
+  return serverInstances.get(name);
+}
+
+/**
+ * Resolve :server param or fail with 404
+ */
+async function resolveServer(req) {
+  const server = await getMcpServer(req.params.server);
+
+  if (!server) {
+    throw new ApiError(404, `MCP server not found: ${req.params.server}`);
+  }
+
+  return server;
+}
+
+/**
+ * GET /mcp/servers
+ * List all mounted MCP servers
+ */
+router.get('/servers', asyncHandler(async (req, res) => {
+  const servers = await initializeMcpServers();
+
+  res.json({
+    count: servers.size,
+    servers: Array.from(servers.values()).map(server => ({
+      ...server.getInfo(),
+      sessions: server.transport.listSessions().length
+    }))
+  });
+}));
+
+/**
+ * GET /mcp/:server/tools
+ * List tools exposed by a server
+ */
+router.get('/:server/tools', asyncHandler(async (req, res) => {
+  const server = await resolveServer(req);
+
+  res.json({
+    server: server.name,
+    tools: server.listTools()
+  });
+}));
+
+/**
+ * POST /mcp/:server/tools/:tool
+ * Call a tool; the JSON body is passed as the tool arguments
+ * The X-MCP-Client header names the client for Protocol Omega policies and
+ * X-MCP-Session its session; both are recorded in the audit log with the
+ * request ID
+ */
+router.post('/:server/tools/:tool', asyncHandler(async (req, res) => {
+  const server = await resolveServer(req);
+  const { tool } = req.params;
+
+  if (!server.getTool(tool)) {
+    throw new ApiError(404, `Tool ${tool} not found on server ${server.name}`);
+  }
+
+  // Cancel the tool when the client disconnects before the result is sent
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const clientName = req.get('x-mcp-client');
+
+  const result = await server.callTool(tool, req.body || {}, {
+    signal: controller.signal,
+    client: clientName ? { name: clientName } : undefined,
+    sessionId: req.get('x-mcp-session'),
+    requestId: req.id
+  });
+
+  recordToolCall(tool, server.name, result.isError ? 'error' : 'success');
+
+  if (!controller.signal.aborted) {
+    res.json(result);
+  }
+}));
+
+/**
+ * GET /mcp/:server/resources
+ * List resources and resource templates exposed by a server
+ */
+router.get('/:server/resources', asyncHandler(async (req, res) => {
+  const server = await resolveServer(req);
+
+  res.json({
+    server: server.name,
+    resources: server.listResources(),
+    resourceTemplates: server.listResourceTemplates()
+  });
+}));
+
+/**
+ * GET /mcp/:server/resources/*
+ * Read a resource; the remainder of the path is the resource URI
+ * (a fixed URI or one matching a resource template)
+ */
+router.get('/:server/resources/*', asyncHandler(async (req, res) => {
+  const server = await resolveServer(req);
+  const uri = req.params[0];
+
+  if (!server.resources.has(uri) && !server.matchResourceTemplate(uri)) {
+    throw new ApiError(404, `Resource ${uri} not found on server ${server.name}`);
+  }
+
+  res.json(await server.readResource(uri));
+}));
+
+/**
+ * GET /mcp/:server/prompts
+ * List prompts exposed by a server
+ */
+router.get('/:server/prompts', asyncHandler(async (req, res) => {
+  const server = await resolveServer(req);
+
+  res.json({
+    server: server.name,
+    prompts: server.listPrompts()
+  });
+}));
+
+/**
+ * POST /mcp/:server/prompts/:prompt
+ * Get a prompt; the JSON body is the prompt arguments
+ */
+router.post('/:server/prompts/:prompt', asyncHandler(async (req, res) => {
+  const server = await resolveServer(req);
+  const { prompt } = req.params;
+
+  if (!server.prompts.has(prompt)) {
+    throw new ApiError(404, `Prompt ${prompt} not found on server ${server.name}`);
+  }
+
+  try {
+    res.json(await server.getPrompt(prompt, req.body || {}));
+  } catch (error) {
+    if (error.code === ErrorCode.InvalidParams) {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * ALL /mcp/:server/transport[/sse|/messages]
+ * MCP protocol endpoints (Streamable HTTP with SSE fallback)
+ */
+router.use('/:server/transport', asyncHandler(async (req, res, next) => {
+  const server = await resolveServer(req);
+  server.httpRouter(req, res, next);
+}));
+
+/**
+ * Close every open MCP session
+ */
+export async function closeMcpSessions() {
+  await Promise.allSettled(
+    Array.from(serverInstances.values()).map(server => server.stop())
+  );
+  serverInstances.clear();
+  initPromise = null;
+}
+
+export default router;
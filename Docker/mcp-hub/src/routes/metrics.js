@@ -70,6 +70,25 @@ const obsidianWrites = new promClient.Counter({
   labelNames: ['status']
 });
 
+// Wanaku routing metrics
+const wanakuCircuitState = new promClient.Gauge({
+  name: 'mcp_hub_wanaku_circuit_state',
+  help: 'Wanaku circuit breaker state per server (0 closed, 1 half-open, 2 open)',
+  labelNames: ['server']
+});
+
+const wanakuRetries = new promClient.Counter({
+  name: 'mcp_hub_wanaku_retries_total',
+  help: 'Total Wanaku tool call retries',
+  labelNames: ['server', 'tool']
+});
+
+const wanakuFailovers = new promClient.Counter({
+  name: 'mcp_hub_wanaku_failovers_total',
+  help: 'Total Wanaku tool call failovers to another server',
+  labelNames: ['tool', 'from_server', 'to_server']
+});
+
 // Register all custom metrics
 register.registerMetric(httpRequestDuration);
 register.registerMetric(mcpToolCalls);
@@ -78,6 +97,9 @@ register.registerMetric(neo4jOperations);
 register.registerMetric(ollamaRequests);
 register.registerMetric(ollamaRequestDuration);
 register.registerMetric(obsidianWrites);
+register.registerMetric(wanakuCircuitState);
+register.registerMetric(wanakuRetries);
+register.registerMetric(wanakuFailovers);
 
 /**
  * GET /metrics
@@ -149,6 +171,24 @@ export function recordObsidianWrite(status) {
   obsidianWrites.labels(status).inc();
 }
 
+const circuitStateValues = {
+  closed: 0,
+  half_open: 1,
+  open: 2
+};
+
+export function setWanakuCircuitState(server, state) {
+  wanakuCircuitState.labels(server).set(circuitStateValues[state] ?? 0);
+}
+
+export function recordWanakuRetry(server, tool) {
+  wanakuRetries.labels(server, tool).inc();
+}
+
+export function recordWanakuFailover(tool, fromServer, toServer) {
+  wanakuFailovers.labels(tool, fromServer, toServer).inc();
+}
+
 // Export register for potential custom metric additions
 export { register };
 
@@ -0,0 +1,235 @@
+// ============================================================
+// Protocol Omega Routes
+// ============================================================
+// Description: HTTP access to the Protocol Omega audit trail and approval queue
+
+import express from 'express';
+import { verifyAuditChain } from '../services/obsidian-writer.js';
+import { queryAuditLog, toCsv } from '../services/audit-query.js';
+import { replayToolCalls } from '../services/audit-replay.js';
+import { getMcpServer } from './mcp.js';
+import { listApprovals, getApproval, decideApproval } from '../middleware/omega-approvals.js';
+import { requireApprover } from '../middleware/approver-auth.js';
+import { ApiError, asyncHandler } from '../middleware/error-handler.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'expired', 'cancelled'];
+const APPROVAL_DECISIONS = { approve: true, reject: false };
+const MAX_COMMENT_LENGTH = 1000;
+const AUDIT_FILTERS = ['from', 'to', 'type', 'source', 'action', 'tag', 'cli', 'session', 'requestId', 'text'];
+const AUDIT_FORMATS = ['json', 'csv'];
+
+/**
+ * Parse an optional integer query parameter
+ */
+function parseInteger(value, name) {
+  if (value === undefined) return undefined;
+
+  if (!/^\d+$/.test(value)) {
+    throw new ApiError(400, `Invalid ${name}, expected a non-negative integer`);
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * GET /omega/verify?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Verify the hash chain of the audit ledger; both dates are optional
+ * Reports the first broken or missing link
+ */
+router.get('/verify', asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !DATE_PATTERN.test(value)) {
+      throw new ApiError(400, `Invalid ${name} date, expected YYYY-MM-DD`);
+    }
+  }
+
+  const report = await verifyAuditChain({ from, to });
+
+  res.status(report.valid ? 200 : 409).json(report);
+}));
+
+/**
+ * GET /omega/audit?from=2026-03-01&type=tool_call&tag=mcp&limit=50&offset=0&format=json
+ * Query the audit log entries, newest first unless order=asc
+ * Filters: from, to (YYYY-MM-DD or ISO 8601), type, source, action, tag,
+ * cli, session, requestId, text; format=csv downloads the page as CSV
+ */
+router.get('/audit', asyncHandler(async (req, res) => {
+  const { format = 'json', order } = req.query;
+
+  if (!AUDIT_FORMATS.includes(format)) {
+    throw new ApiError(400, `Invalid format, expected one of ${AUDIT_FORMATS.join(', ')}`);
+  }
+
+  const filters = {};
+  for (const name of AUDIT_FILTERS) {
+    const value = req.query[name];
+
+    if (Array.isArray(value) || (value !== undefined && typeof value !== 'string')) {
+      throw new ApiError(400, `Invalid ${name}, expected a single value`);
+    }
+    if (value) filters[name] = value;
+  }
+
+  let result;
+  try {
+    result = await queryAuditLog(filters, {
+      limit: parseInteger(req.query.limit, 'limit'),
+      offset: parseInteger(req.query.offset, 'offset'),
+      order
+    });
+  } catch (error) {
+    if (error.code === 'AUDIT_QUERY_INVALID') {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+
+  if (format === 'csv') {
+    res.set('X-Total-Count', String(result.total));
+    res.attachment('audit-log.csv');
+    res.type('text/csv').send(toCsv(result.entries));
+    return;
+  }
+
+  res.json({
+    total: result.total,
+    offset: result.offset,
+    limit: result.limit,
+    count: result.entries.length,
+    entries: result.entries
+  });
+}));
+
+/**
+ * Express middleware: require an approver key for replays against the
+ * live servers, which re-run recorded deletes and overwrites
+ */
+function requireApproverForLiveReplay(req, res, next) {
+  if ((req.body?.dryRun ?? true) === true) {
+    return next();
+  }
+
+  return requireApprover(req, res, next);
+}
+
+/**
+ * POST /omega/replay
+ * Re-execute recorded tool calls of a server and diff the results
+ * Body: { "server": "task-master", "from": "...", "to": "...", "requestId": "...",
+ *         "session": "...", "action": "...", "limit": 100, "dryRun": true, "ignore": [...] }
+ * Dry runs (the default) use an in-memory graph and a scratch vault;
+ * "dryRun": false calls the live server through Protocol Omega and
+ * requires an approver key
+ */
+router.post('/replay', requireApproverForLiveReplay, asyncHandler(async (req, res) => {
+  const { server, from, to, requestId, session, action, limit, dryRun = true, ignore } = req.body || {};
+
+  for (const [name, value] of Object.entries({ server, from, to, requestId, session, action })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new ApiError(400, `Invalid ${name}, expected a string`);
+    }
+  }
+  if (typeof dryRun !== 'boolean') {
+    throw new ApiError(400, 'Invalid dryRun, expected a boolean');
+  }
+  if (ignore !== undefined && !(Array.isArray(ignore) && ignore.every(field => typeof field === 'string'))) {
+    throw new ApiError(400, 'Invalid ignore, expected a list of field names');
+  }
+
+  // Stop replaying when the client disconnects
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const report = await replayToolCalls(
+      { server, from, to, requestId, session, action, limit },
+      { dryRun, ignore, getServer: getMcpServer, signal: controller.signal }
+    );
+
+    if (!controller.signal.aborted) {
+      res.json(report);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (error.code === 'REPLAY_INVALID' || error.code === 'AUDIT_QUERY_INVALID') {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * GET /omega/approvals?status=pending
+ * List tool calls waiting for approval and recent decisions, newest first
+ */
+router.get('/approvals', asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !APPROVAL_STATUSES.includes(status)) {
+    throw new ApiError(400, `Invalid status, expected one of ${APPROVAL_STATUSES.join(', ')}`);
+  }
+
+  const approvals = listApprovals({ status });
+
+  res.json({
+    count: approvals.length,
+    approvals
+  });
+}));
+
+/**
+ * GET /omega/approvals/:id
+ * Get a single approval
+ */
+router.get('/approvals/:id', asyncHandler(async (req, res) => {
+  const approval = getApproval(req.params.id);
+
+  if (!approval) {
+    throw new ApiError(404, `Approval ${req.params.id} not found`);
+  }
+
+  res.json(approval);
+}));
+
+/**
+ * POST /omega/approvals/:id
+ * Approve or reject a parked tool call; requires an approver key (see
+ * approver-auth.js), and the approver it belongs to is recorded
+ * Body: { "decision": "approve" | "reject", "comment": "..." }
+ */
+router.post('/approvals/:id', requireApprover, asyncHandler(async (req, res) => {
+  const { decision, comment } = req.body || {};
+
+  if (typeof decision !== 'string' || !Object.hasOwn(APPROVAL_DECISIONS, decision)) {
+    throw new ApiError(400, 'Invalid decision, expected approve or reject');
+  }
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    throw new ApiError(400, `Invalid comment, expected a string of at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  try {
+    res.json(await decideApproval(req.params.id, {
+      approved: APPROVAL_DECISIONS[decision],
+      decidedBy: req.approver,
+      comment
+    }));
+  } catch (error) {
+    if (error.code === 'APPROVAL_NOT_FOUND') {
+      throw new ApiError(404, error.message);
+    }
+    if (error.code === 'APPROVAL_ALREADY_DECIDED') {
+      throw new ApiError(409, error.message);
+    }
+    throw error;
+  }
+}));
+
+export default router;
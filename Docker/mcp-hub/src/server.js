@@ -13,8 +13,12 @@ import { protocolOmegaMiddleware } from './middleware/protocol-omega.js';
 import { httpMetricsMiddleware } from './routes/metrics.js';
 import { initializeNeo4j, closeNeo4j } from './services/neo4j-client.js';
 import { initializeOllama } from './services/ollama-router.js';
+import { initializeWanaku } from './mcp/wanaku-client.js';
+import { flushLogWrites } from './services/obsidian-writer.js';
 import healthRoutes from './routes/health.js';
 import metricsRoutes from './routes/metrics.js';
+import omegaRoutes from './routes/omega.js';
+import mcpRoutes, { initializeMcpServers, closeMcpSessions } from './routes/mcp.js';
 
 // Load environment variables
 import dotenv from 'dotenv';
@@ -57,6 +61,12 @@ app.use('/health', healthRoutes);
 // Metrics route (Prometheus)
 app.use('/metrics', metricsRoutes);
 
+// MCP server routes
+app.use('/mcp', mcpRoutes);
+
+// Protocol Omega audit routes
+app.use('/omega', omegaRoutes);
+
 // API info endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -66,7 +76,9 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       metrics: '/metrics',
-      mcp: '/mcp/*'
+      mcp: '/mcp/*',
+      mcpTransport: '/mcp/:server/transport',
+      omega: '/omega/*'
     },
     documentation: 'https://github.com/Ruben-Alvarez-Dev/MCP-superserver'
   });
@@ -120,6 +132,50 @@ function startServer() {
     });
   }
 
+  // Replay Obsidian log entries journaled but not written before the last stop
+  flushLogWrites().catch(err => {
+    logger.warn('Failed to replay the Obsidian write journal, will retry on next write', {
+      error: err.message
+    });
+  });
+
+  // Mount MCP servers
+  const mcpReady = initializeMcpServers();
+  mcpReady.catch(err => {
+    logger.warn('Failed to initialize MCP servers, will retry on first request', {
+      error: err.message
+    });
+  });
+
+  // Register MCP servers with the Wanaku router
+  if (process.env.WANAKU_ENABLED === 'true') {
+    const wanaku = initializeWanaku();
+    const publicUrl = process.env.MCP_HUB_PUBLIC_URL || `http://${HOST}:${PORT}`;
+
+    mcpReady.then(async (servers) => {
+      for (const mcpServer of servers.values()) {
+        await wanaku.registerServer({
+          name: mcpServer.name,
+          endpoint: `${publicUrl}/mcp/${mcpServer.name}/transport`,
+          tools: mcpServer.listTools(),
+          capabilities: mcpServer.capabilities
+        });
+      }
+      wanaku.startHeartbeat();
+    }).catch(err => {
+      logger.warn('Failed to register MCP servers with Wanaku', {
+        error: err.message
+      });
+    });
+
+    registerShutdownCallback(async () => {
+      for (const { name } of wanaku.listServers()) {
+        await wanaku.unregisterServer(name);
+      }
+      await wanaku.close();
+    }, 'wanaku');
+  }
+
   server = app.listen(PORT, HOST, () => {
     logger.info(`MCP Hub server started`, {
       host: HOST,
@@ -153,6 +209,17 @@ function startServer() {
     });
   }, 'http-server');
 
+  // Register MCP sessions shutdown callback
+  registerShutdownCallback(async () => {
+    await closeMcpSessions();
+  }, 'mcp-sessions');
+
+  // Register Obsidian write queue shutdown callback
+  // Entries logged after this flush stay journaled and are replayed on startup
+  registerShutdownCallback(async () => {
+    await flushLogWrites();
+  }, 'obsidian-write-queue');
+
   // Register Neo4j shutdown callback
   registerShutdownCallback(async () => {
     try {
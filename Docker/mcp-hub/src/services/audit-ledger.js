@@ -0,0 +1,611 @@
+// ============================================================
+// Audit Ledger
+// ============================================================
+// Description: Hash chain over the Protocol Omega log entries, kept in a
+// sidecar ledger next to the daily Obsidian logs
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { resolveVaultPath } from '../utils/vault-path.js';
+
+/**
+ * Ledger configuration
+ * Each daily log YYYY-MM-DD.md has a ledger file YYYY-MM-DD.jsonl
+ * with one record per entry: { sequence, timestamp, file, offset,
+ * length, previous_hash, hash }
+ * Entries are journaled, then appended in batches every flushIntervalMs
+ * (0 writes each entry immediately) or once maxBatchSize are queued
+ */
+export const ledgerConfig = {
+  folder: process.env.OMEGA_LEDGER_FOLDER || '.omega-ledger',
+  key: process.env.OMEGA_LEDGER_KEY || '',
+  flushIntervalMs: parseInt(process.env.OBSIDIAN_FLUSH_INTERVAL_MS || '1000', 10),
+  maxBatchSize: parseInt(process.env.OBSIDIAN_FLUSH_BATCH_SIZE || '100', 10)
+};
+
+/**
+ * Previous hash of the first entry
+ */
+export const GENESIS_HASH = '0'.repeat(64);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Write-ahead journal of entries not yet in the daily logs, kept in the
+ * ledger folder
+ */
+const JOURNAL_FILE = 'journal.jsonl';
+
+// State per logs folder (chain head, unflushed entries, end of each
+// daily log) and the queue serializing appends, flushes and replays
+const ledgers = new Map();
+let ledgerQueue = Promise.resolve();
+let flushTimer = null;
+
+/**
+ * SHA-256 of an entry, or HMAC-SHA256 when ledgerConfig.key is set
+ * The entry content carries its sequence and the previous hash,
+ * so hashing the content chains it to the previous entry. Without the
+ * key, whoever can write the vault could also recompute the chain
+ */
+export function hashEntry(content) {
+  const hash = ledgerConfig.key
+    ? crypto.createHmac('sha256', ledgerConfig.key)
+    : crypto.createHash('sha256');
+
+  return hash.update(content, 'utf-8').digest('hex');
+}
+
+function getLedgerPath(logsPath) {
+  return path.join(logsPath, ledgerConfig.folder);
+}
+
+function getJournalPath(logsPath) {
+  return path.join(getLedgerPath(logsPath), JOURNAL_FILE);
+}
+
+/**
+ * Run a task after every queued append, flush and replay
+ */
+function serialize(task) {
+  const run = ledgerQueue.then(task);
+  ledgerQueue = run.catch(() => {});
+  return run;
+}
+
+async function listLedgerDates(ledgerPath) {
+  try {
+    const files = await fs.readdir(ledgerPath);
+    return files
+      .filter(file => file.endsWith('.jsonl') && DATE_PATTERN.test(path.basename(file, '.jsonl')))
+      .map(file => path.basename(file, '.jsonl'))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readRecords(ledgerPath, date) {
+  const content = await fs.readFile(path.join(ledgerPath, `${date}.jsonl`), 'utf-8');
+  return content.split('\n').filter(line => line.trim());
+}
+
+/**
+ * Read the daily log a record points to, or null if it is missing
+ * Records are only data, so a file outside the logs folder counts as
+ * missing rather than being read
+ */
+async function readDailyLog(logsPath, file) {
+  try {
+    const { absolute } = await resolveVaultPath(logsPath, String(file));
+    return await fs.readFile(absolute);
+  } catch (error) {
+    if (error.code === 'VAULT_INVALID_PATH') {
+      logger.warn('Audit ledger record points outside the logs folder', { file });
+      return null;
+    }
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+async function readLastRecord(ledgerPath, date) {
+  const lines = await readRecords(ledgerPath, date);
+  return lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : null;
+}
+
+/**
+ * Drop a ledger line left incomplete by a crash during a flush
+ * The entries it belonged to are still in the journal
+ */
+async function repairLedgerFile(ledgerPath, date) {
+  const file = path.join(ledgerPath, `${date}.jsonl`);
+  const content = await fs.readFile(file, 'utf-8');
+
+  if (content && !content.endsWith('\n')) {
+    logger.warn('Removing incomplete audit ledger record', { ledger: `${date}.jsonl` });
+    await fs.truncate(file, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1), 'utf-8'));
+  }
+}
+
+/**
+ * Read the last flushed record of the ledger
+ */
+async function readHead(ledgerPath) {
+  const dates = await listLedgerDates(ledgerPath);
+
+  if (dates.length > 0) {
+    await repairLedgerFile(ledgerPath, dates[dates.length - 1]);
+  }
+
+  for (const date of dates.reverse()) {
+    const head = await readLastRecord(ledgerPath, date);
+    if (head) return head;
+  }
+
+  return { sequence: 0, hash: GENESIS_HASH };
+}
+
+async function getFileSize(filepath) {
+  try {
+    return (await fs.stat(filepath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the journal: one line per entry not yet flushed, with its content
+ * An incomplete last line (crash while journaling) is skipped
+ */
+async function readJournal(logsPath) {
+  let content;
+
+  try {
+    content = await fs.readFile(getJournalPath(logsPath), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+
+  for (const line of content.split('\n').filter(item => item.trim())) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      logger.warn('Skipping incomplete journal entry', { journal: getJournalPath(logsPath) });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get the state of a logs folder, loading it on first use
+ * Entries journaled but not flushed before a restart are replayed first,
+ * so new entries continue the chain after them
+ */
+async function getLedger(logsPath) {
+  if (ledgers.has(logsPath)) {
+    return ledgers.get(logsPath);
+  }
+
+  const ledgerPath = getLedgerPath(logsPath);
+  const ledger = {
+    logsPath,
+    ledgerPath,
+    head: await readHead(ledgerPath),
+    pending: [],
+    journaled: 0,
+    ends: new Map()
+  };
+
+  const journaled = await readJournal(logsPath);
+  const unflushed = journaled.filter(entry => entry.sequence > ledger.head.sequence);
+
+  for (const entry of unflushed) {
+    if (entry.previous_hash !== ledger.head.hash) {
+      logger.error('Journal entry does not continue the audit chain', { sequence: entry.sequence });
+    }
+    ledger.pending.push(entry);
+    ledger.head = entry;
+  }
+
+  ledger.journaled = journaled.length;
+  ledgers.set(logsPath, ledger);
+
+  if (unflushed.length > 0) {
+    logger.info('Replaying unflushed log entries from the journal', {
+      logsPath,
+      entries: unflushed.length
+    });
+  }
+
+  await flushPending(ledger);
+
+  return ledger;
+}
+
+/**
+ * End of the chained entries in a daily log, from the last ledger record
+ */
+async function getLogEnd(ledger, filename) {
+  if (!ledger.ends.has(filename)) {
+    let end = 0;
+
+    try {
+      const last = await readLastRecord(ledger.ledgerPath, path.basename(filename, '.md'));
+      if (last?.file === filename) end = last.offset + last.length;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    ledger.ends.set(filename, end);
+  }
+
+  return ledger.ends.get(filename);
+}
+
+/**
+ * Append the unflushed entries of a daily log in one write, then their
+ * ledger records in one write
+ * Entries found at the end of the log already (a flush interrupted before
+ * the ledger was written) keep their place instead of being appended twice
+ */
+async function flushFile(ledger, filename, entries) {
+  const filepath = path.join(ledger.logsPath, filename);
+  const end = await getLogEnd(ledger, filename);
+  const size = await getFileSize(filepath);
+  const contents = entries.map(entry => Buffer.from(entry.content, 'utf-8'));
+  const offsets = [];
+
+  if (size > end) {
+    const handle = await fs.open(filepath, 'r');
+    try {
+      const tail = Buffer.alloc(size - end);
+      await handle.read(tail, 0, tail.length, end);
+
+      let position = 0;
+      while (offsets.length < entries.length) {
+        const content = contents[offsets.length];
+        if (!tail.subarray(position, position + content.length).equals(content)) break;
+        offsets.push(end + position);
+        position += content.length;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  const recovered = offsets.length;
+  let offset = recovered > 0 ? offsets[recovered - 1] + contents[recovered - 1].length : size;
+
+  // Anything else after the chained entries (e.g. an edit in Obsidian) stays in place
+  if (recovered < entries.length) {
+    offset = size;
+    for (const content of contents.slice(recovered)) {
+      offsets.push(offset);
+      offset += content.length;
+    }
+    await fs.appendFile(filepath, Buffer.concat(contents.slice(recovered)));
+  }
+
+  const records = entries.map((entry, index) => ({
+    sequence: entry.sequence,
+    timestamp: entry.timestamp,
+    file: filename,
+    offset: offsets[index],
+    length: contents[index].length,
+    previous_hash: entry.previous_hash,
+    hash: entry.hash
+  }));
+
+  await fs.appendFile(
+    path.join(ledger.ledgerPath, `${path.basename(filename, '.md')}.jsonl`),
+    records.map(record => `${JSON.stringify(record)}\n`).join(''),
+    'utf-8'
+  );
+
+  ledger.ends.set(filename, offset);
+}
+
+/**
+ * Write the unflushed entries of a logs folder, file by file, then clear
+ * the journal. On failure the entries stay queued and journaled
+ */
+async function flushPending(ledger) {
+  if (ledger.pending.length > 0) {
+    await fs.mkdir(ledger.ledgerPath, { recursive: true });
+
+    const byFile = new Map();
+    for (const entry of ledger.pending) {
+      if (!byFile.has(entry.file)) byFile.set(entry.file, []);
+      byFile.get(entry.file).push(entry);
+    }
+
+    for (const [filename, entries] of byFile) {
+      await flushFile(ledger, filename, entries);
+      ledger.pending = ledger.pending.filter(entry => !entries.includes(entry));
+    }
+
+    logger.debug('Audit log entries flushed', {
+      logsPath: ledger.logsPath,
+      files: byFile.size
+    });
+  }
+
+  if (ledger.journaled > 0) {
+    await fs.writeFile(getJournalPath(ledger.logsPath), '', 'utf-8');
+    ledger.journaled = 0;
+  }
+}
+
+/**
+ * Flush queued entries after the flush interval
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushLedger().catch(error => {
+      logger.error('Failed to flush audit log entries, retrying', { error: error.message });
+      scheduleFlush();
+    });
+  }, ledgerConfig.flushIntervalMs);
+
+  // Pending entries are journaled, so a timer alone keeps nothing alive
+  flushTimer.unref();
+}
+
+/**
+ * Append an entry to a daily log and chain it in the ledger
+ * render({ sequence, previousHash }) returns the markdown to append
+ * The entry is written to the journal and queued; queued entries are
+ * appended in batches per daily log on the flush interval, when the batch
+ * is full, and by flushLedger. Returns the entry's sequence and hash once
+ * it is journaled
+ */
+export function appendLedgerEntry(logsPath, filename, timestamp, render) {
+  return serialize(async () => {
+    const ledger = await getLedger(logsPath);
+    const sequence = ledger.head.sequence + 1;
+    const content = render({ sequence, previousHash: ledger.head.hash });
+
+    const entry = {
+      sequence,
+      timestamp,
+      file: filename,
+      previous_hash: ledger.head.hash,
+      hash: hashEntry(content),
+      content
+    };
+
+    await fs.mkdir(ledger.ledgerPath, { recursive: true });
+    await fs.appendFile(getJournalPath(logsPath), `${JSON.stringify(entry)}\n`, 'utf-8');
+
+    ledger.pending.push(entry);
+    ledger.journaled++;
+    ledger.head = entry;
+
+    if (ledgerConfig.flushIntervalMs === 0) {
+      await flushPending(ledger);
+    } else if (ledger.pending.length >= ledgerConfig.maxBatchSize) {
+      // The entry is journaled, so a failed flush is retried later
+      await flushPending(ledger).catch(error => {
+        logger.error('Failed to flush audit log entries, retrying', { error: error.message });
+        scheduleFlush();
+      });
+    } else {
+      scheduleFlush();
+    }
+
+    return {
+      sequence,
+      timestamp,
+      file: filename,
+      previous_hash: entry.previous_hash,
+      hash: entry.hash
+    };
+  });
+}
+
+/**
+ * Write all queued entries, of one logs folder or of every folder
+ * For a folder not used yet, entries left in its journal are replayed
+ */
+export function flushLedger(logsPath) {
+  return serialize(async () => {
+    const targets = logsPath ? [await getLedger(logsPath)] : Array.from(ledgers.values());
+
+    for (const ledger of targets) {
+      await flushPending(ledger);
+    }
+  });
+}
+
+/**
+ * Flush a logs folder and stop tracking it, e.g. before a scratch vault
+ * is removed
+ */
+export function releaseLedger(logsPath) {
+  return serialize(async () => {
+    const ledger = ledgers.get(logsPath);
+
+    if (ledger) {
+      await flushPending(ledger);
+      ledgers.delete(logsPath);
+    }
+  });
+}
+
+/**
+ * Read the entries of a date range (YYYY-MM-DD, both inclusive), oldest
+ * first, as { record, content } with the ledger record of each entry
+ * content is null when the entry is no longer in its daily log; ledger
+ * lines that cannot be parsed are skipped
+ */
+export async function readLedgerEntries(logsPath, { from, to } = {}) {
+  await flushLedger(logsPath);
+
+  const ledgerPath = getLedgerPath(logsPath);
+  const dates = (await listLedgerDates(ledgerPath)).filter(date => (!from || date >= from) && (!to || date <= to));
+  const entries = [];
+
+  for (const date of dates) {
+    const logFiles = new Map();
+
+    for (const line of await readRecords(ledgerPath, date)) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        logger.warn('Skipping invalid audit ledger record', { ledger: `${date}.jsonl` });
+        continue;
+      }
+
+      if (!logFiles.has(record.file)) {
+        logFiles.set(record.file, await readDailyLog(logsPath, record.file));
+      }
+
+      const log = logFiles.get(record.file);
+      const content = log && log.length >= record.offset + record.length
+        ? log.subarray(record.offset, record.offset + record.length).toString('utf-8')
+        : null;
+
+      entries.push({ record, content });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Verify the hash chain for a date range (YYYY-MM-DD, both inclusive)
+ * Stops at the first broken or missing link:
+ *   missing_link   - sequence numbers skip, e.g. a ledger day was deleted
+ *   broken_link    - previous_hash does not match the previous entry
+ *   missing_entry  - the daily log or the entry in it is gone
+ *   tampered_entry - the entry no longer matches its hash
+ *   invalid_record - a ledger line cannot be parsed
+ */
+export async function verifyLedger(logsPath, { from, to } = {}) {
+  for (const date of [from, to]) {
+    if (date !== undefined && !DATE_PATTERN.test(date)) {
+      throw new Error(`Invalid date ${date}, expected YYYY-MM-DD`);
+    }
+  }
+
+  await flushLedger(logsPath);
+
+  const ledgerPath = getLedgerPath(logsPath);
+  const dates = await listLedgerDates(ledgerPath);
+  const inRange = dates.filter(date => (!from || date >= from) && (!to || date <= to));
+
+  // Anchor the range on the last entry before it
+  let previous = null;
+  for (const date of dates.filter(d => from && d < from).reverse()) {
+    previous = await readLastRecord(ledgerPath, date);
+    if (previous) break;
+  }
+
+  const report = {
+    valid: true,
+    keyed: Boolean(ledgerConfig.key),
+    from: from || inRange[0] || null,
+    to: to || inRange[inRange.length - 1] || null,
+    checked: 0,
+    first_sequence: null,
+    last_sequence: null,
+    failure: null
+  };
+
+  const fail = (reason, message, details) => {
+    report.valid = false;
+    report.failure = { reason, message, ...details };
+    logger.warn('Audit chain broken', report.failure);
+    return report;
+  };
+
+  for (const date of inRange) {
+    const logFiles = new Map();
+
+    for (const line of await readRecords(ledgerPath, date)) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        return fail('invalid_record', 'Ledger record is not valid JSON', {
+          ledger: `${date}.jsonl`,
+          after_sequence: previous?.sequence ?? null
+        });
+      }
+
+      const location = { sequence: record.sequence, file: record.file };
+
+      if (previous && record.sequence !== previous.sequence + 1) {
+        return fail('missing_link', `Expected sequence ${previous.sequence + 1}, found ${record.sequence}`, location);
+      }
+
+      if (!previous && record.previous_hash !== GENESIS_HASH) {
+        return fail('missing_link', 'First entry does not start the chain', location);
+      }
+
+      if (previous && record.previous_hash !== previous.hash) {
+        return fail('broken_link', 'Previous hash does not match the previous entry', location);
+      }
+
+      if (!logFiles.has(record.file)) {
+        logFiles.set(record.file, await readDailyLog(logsPath, record.file));
+      }
+
+      const log = logFiles.get(record.file);
+
+      if (!log || log.length < record.offset + record.length) {
+        return fail('missing_entry', log ? 'Entry was removed from the daily log' : 'Daily log file is missing', location);
+      }
+
+      const content = log.subarray(record.offset, record.offset + record.length).toString('utf-8');
+
+      if (hashEntry(content) !== record.hash) {
+        return fail('tampered_entry', 'Entry does not match its hash', location);
+      }
+
+      report.checked++;
+      report.first_sequence ??= record.sequence;
+      report.last_sequence = record.sequence;
+      previous = record;
+    }
+  }
+
+  logger.info('Audit chain verified', {
+    valid: report.valid,
+    checked: report.checked,
+    from: report.from,
+    to: report.to
+  });
+
+  return report;
+}
+
+export default {
+  appendLedgerEntry,
+  flushLedger,
+  releaseLedger,
+  readLedgerEntries,
+  verifyLedger,
+  hashEntry,
+  ledgerConfig,
+  GENESIS_HASH
+};
@@ -0,0 +1,277 @@
+// ============================================================
+// Audit Log Query
+// ============================================================
+// Description: Filter, page and export the Protocol Omega entries of the
+// Obsidian daily logs. Entries are located through the audit ledger
+// (see audit-ledger.js) and parsed back from their markdown
+
+import { readLedgerEntries } from './audit-ledger.js';
+import { getLogsPath } from './obsidian-writer.js';
+import { parseFrontmatter } from '../utils/frontmatter.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Page size limits
+ */
+export const QUERY_LIMITS = {
+  defaultLimit: 50,
+  maxLimit: 1000
+};
+
+/**
+ * Columns of the CSV export, in order
+ */
+export const CSV_COLUMNS = [
+  'sequence',
+  'timestamp',
+  'file',
+  'type',
+  'source',
+  'action',
+  'cli',
+  'session',
+  'request_id',
+  'tags',
+  'hash',
+  'details'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error for an invalid filter or page (code AUDIT_QUERY_INVALID)
+ */
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'AUDIT_QUERY_INVALID';
+  return error;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00.000Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a from/to bound: a date (start or end of that UTC day) or an
+ * ISO 8601 timestamp
+ */
+function parseBound(value, name, endOfDay) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (DATE_PATTERN.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  }
+
+  const date = new Date(value);
+
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    throw invalidQuery(`Invalid ${name}, expected YYYY-MM-DD or an ISO 8601 timestamp`);
+  }
+
+  return date;
+}
+
+/**
+ * Frontmatter of entries written before values were quoted, which may
+ * not be valid YAML (e.g. a title with ": "), read line by line
+ */
+function parseLegacyFrontmatter(content) {
+  const fields = { tags: [] };
+  const lines = content.split('\n');
+  const end = lines.indexOf('---', 1);
+
+  if (lines[0] === '---' && end > 0) {
+    let inTags = false;
+
+    for (const line of lines.slice(1, end)) {
+      if (inTags && line.startsWith('  - ')) {
+        fields.tags.push(line.slice(4));
+        continue;
+      }
+
+      const separator = line.indexOf(':');
+      if (separator <= 0) continue;
+
+      const key = line.slice(0, separator);
+      const value = line.slice(separator + 1).trim();
+
+      inTags = key === 'tags' && value === '';
+      if (!inTags) fields[key] = value;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Parse an entry written by writeLogEntry: frontmatter fields, tags, the
+ * details section and, for tool calls, the data
+ */
+export function parseLogEntry(content) {
+  let fields;
+  try {
+    fields = parseFrontmatter(content).frontmatter ?? {};
+  } catch {
+    fields = parseLegacyFrontmatter(content);
+  }
+
+  const text = value => (value === undefined || value === null ? null : String(value));
+  const tags = Array.isArray(fields.tags) ? fields.tags.map(String) : [];
+
+  // The data block is the last section before the footer; searching
+  // back from there skips anything that looks like one in the details
+  const detailsStart = content.indexOf('## Details\n\n');
+  const footerStart = content.lastIndexOf('\n\n---\n\n*Generated by');
+  const dataStart = fields.type === 'tool_call' && footerStart > detailsStart
+    ? content.lastIndexOf('\n\n## Data\n\n```json\n', footerStart)
+    : -1;
+  const detailsEnd = dataStart > detailsStart ? dataStart : footerStart;
+  const details = detailsStart >= 0 && detailsEnd > detailsStart
+    ? content.slice(detailsStart + '## Details\n\n'.length, detailsEnd)
+    : '';
+
+  let data = null;
+  if (dataStart > detailsStart) {
+    const json = content.slice(dataStart + '\n\n## Data\n\n```json\n'.length, content.indexOf('\n```\n', dataStart + 1));
+    try {
+      data = JSON.parse(json);
+    } catch {
+      logger.warn('Audit log entry has invalid data', { type: fields.type, action: fields.action });
+    }
+  }
+
+  return {
+    type: text(fields.type),
+    source: text(fields.source),
+    action: text(fields.action),
+    cli: text(fields.cli),
+    session: text(fields.session),
+    request_id: text(fields.request_id),
+    tags,
+    details,
+    data
+  };
+}
+
+/**
+ * Check an entry against the filters
+ */
+function matches(entry, filters, content) {
+  for (const field of ['type', 'source', 'action', 'cli', 'session']) {
+    if (filters[field] && entry[field] !== filters[field]) return false;
+  }
+
+  if (filters.requestId && entry.request_id !== filters.requestId) return false;
+  if (filters.tag && !entry.tags.includes(filters.tag)) return false;
+  if (filters.text && !content.toLowerCase().includes(filters.text.toLowerCase())) return false;
+
+  return true;
+}
+
+/**
+ * Query the audit log
+ * filters: from, to (YYYY-MM-DD or ISO 8601, both inclusive), type,
+ * source, action, tag, cli, session, requestId, text (case-insensitive,
+ * anywhere in the entry)
+ * paging: limit, offset, order ('desc', newest first, or 'asc')
+ * Returns { total, offset, limit, entries }; invalid filters or paging
+ * throw an AUDIT_QUERY_INVALID error
+ */
+export async function queryAuditLog(filters = {}, paging = {}) {
+  const from = parseBound(filters.from, 'from', false);
+  const to = parseBound(filters.to, 'to', true);
+  const limit = paging.limit ?? QUERY_LIMITS.defaultLimit;
+  const offset = paging.offset ?? 0;
+  const order = paging.order ?? 'desc';
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > QUERY_LIMITS.maxLimit) {
+    throw invalidQuery(`Invalid limit, expected 1 to ${QUERY_LIMITS.maxLimit}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw invalidQuery('Invalid offset, expected a non-negative integer');
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw invalidQuery('Invalid order, expected asc or desc');
+  }
+
+  // Daily logs are named by local date, so a day of margin covers every time zone
+  const located = await readLedgerEntries(getLogsPath(), {
+    from: from && shiftDate(from.toISOString().slice(0, 10), -1),
+    to: to && shiftDate(to.toISOString().slice(0, 10), 1)
+  });
+
+  const results = [];
+
+  for (const { record, content } of located) {
+    const time = new Date(record.timestamp);
+
+    if ((from && time < from) || (to && time > to)) continue;
+
+    if (content === null) {
+      logger.warn('Audit log entry missing from its daily log', { sequence: record.sequence, file: record.file });
+      continue;
+    }
+
+    const entry = {
+      sequence: record.sequence,
+      timestamp: record.timestamp,
+      file: record.file,
+      ...parseLogEntry(content),
+      hash: record.hash
+    };
+
+    if (matches(entry, filters, content)) {
+      results.push(entry);
+    }
+  }
+
+  if (order === 'desc') {
+    results.reverse();
+  }
+
+  return {
+    total: results.length,
+    offset,
+    limit,
+    entries: results.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Quote a CSV cell; cells that spreadsheets would run as formulas are
+ * prefixed with a quote
+ */
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export entries as CSV (RFC 4180) with a header row; tags are joined with ;
+ */
+export function toCsv(entries) {
+  return [
+    CSV_COLUMNS.join(','),
+    ...entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+export default {
+  queryAuditLog,
+  parseLogEntry,
+  toCsv,
+  QUERY_LIMITS,
+  CSV_COLUMNS
+};
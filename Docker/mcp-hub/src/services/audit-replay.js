@@ -0,0 +1,381 @@
+// ============================================================
+// Tool Call Replay
+// ============================================================
+// Description: Re-execute tool calls recorded by Protocol Omega and diff
+// the new results against the recorded ones. A dry run uses a fresh
+// server backed by an in-memory graph and a scratch vault; a real run
+// calls the live server through Protocol Omega
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { queryAuditLog, QUERY_LIMITS } from './audit-query.js';
+import { releaseLedger } from './audit-ledger.js';
+import { obsidianConfig, releaseVault } from './obsidian-writer.js';
+import { MemoryGraph } from './neo4j-memory-graph.js';
+import { runDryRun } from '../utils/dry-run.js';
+import { REDACTED, redactString } from '../utils/redact.js';
+import { summarizeToolResult } from '../middleware/protocol-omega.js';
+import { Neo4jMemoryServer } from '../mcp/servers/neo4j-memory-server.js';
+import { ObsidianMemoryServer } from '../mcp/servers/obsidian-memory-server.js';
+import { SequentialThinkingServer } from '../mcp/servers/sequential-thinking-server.js';
+import { TaskMasterServer } from '../mcp/servers/task-master-server.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const replayLogger = createModuleLogger('OmegaReplay');
+
+/**
+ * Replay limits and the result fields ignored by default when diffing
+ * (Neo4j internal IDs differ between databases)
+ */
+export const REPLAY_DEFAULTS = {
+  limit: 100,
+  maxLimit: 1000,
+  ignore: ['internalId']
+};
+
+/**
+ * Servers that can be replayed in a dry run, created fresh for each run
+ * Ollama and the gateway reach services without a stand-in
+ */
+const DRY_RUN_SERVERS = {
+  'neo4j-memory': () => new Neo4jMemoryServer(),
+  'task-master': () => new TaskMasterServer(),
+  'obsidian-memory': () => new ObsidianMemoryServer(),
+  'sequential-thinking': () => new SequentialThinkingServer()
+};
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})/g;
+
+/**
+ * Error for a replay that cannot run (code REPLAY_INVALID)
+ */
+function invalidReplay(message) {
+  const error = new Error(message);
+  error.code = 'REPLAY_INVALID';
+  return error;
+}
+
+/**
+ * Servers a dry run can replay
+ */
+export function getDryRunServers() {
+  return Object.keys(DRY_RUN_SERVERS);
+}
+
+/**
+ * Find recorded tool calls, oldest first, each with its _result entry
+ * selection: server (required), from, to, requestId, session, action, limit
+ * Returns [{ call, result }]; result is null when no outcome was recorded
+ */
+export async function findRecordedCalls(selection = {}) {
+  const { server, action, from, to, requestId, session } = selection;
+  const limit = selection.limit ?? REPLAY_DEFAULTS.limit;
+  const entries = [];
+
+  for (let offset = 0, total = Infinity; offset < total; offset += QUERY_LIMITS.maxLimit) {
+    const page = await queryAuditLog(
+      { type: 'tool_call', source: server, from, to, requestId, session },
+      { order: 'asc', offset, limit: QUERY_LIMITS.maxLimit }
+    );
+    entries.push(...page.entries);
+    total = page.total;
+  }
+
+  // A result pairs with the earliest open call of the same tool, session and request
+  const open = new Map();
+  const calls = [];
+  const keyOf = (entry, tool) => [entry.source, tool, entry.session, entry.request_id].join('\u0000');
+
+  for (const entry of entries) {
+    const isResult = entry.data && Object.hasOwn(entry.data, 'result');
+
+    if (!isResult) {
+      const recorded = { call: entry, result: null };
+      const key = keyOf(entry, entry.action);
+      if (!open.has(key)) open.set(key, []);
+      open.get(key).push(recorded);
+      calls.push(recorded);
+      continue;
+    }
+
+    const waiting = open.get(keyOf(entry, entry.action.replace(/_result$/, '')));
+    if (waiting?.length > 0) {
+      waiting.shift().result = entry;
+    }
+  }
+
+  return calls.filter(({ call }) => !action || call.action === action).slice(0, limit);
+}
+
+/**
+ * Paths of values masked by redaction; they cannot be replayed as recorded
+ */
+function findRedacted(value, prefix = '') {
+  if (typeof value === 'string') {
+    return value.includes(REDACTED) ? [prefix || '.'] : [];
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) =>
+      findRedacted(item, prefix ? `${prefix}.${key}` : key)
+    );
+  }
+
+  return [];
+}
+
+/**
+ * Replace recorded IDs with the IDs generated by the replay
+ */
+function mapIds(value, ids) {
+  if (typeof value === 'string') {
+    return value.replace(UUID_PATTERN, id => ids.get(id) ?? id);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => mapIds(item, ids));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapIds(item, ids)]));
+  }
+
+  return value;
+}
+
+/**
+ * Pair the IDs of a recorded and a replayed preview by position
+ */
+function learnIds(recordedPreview, replayedPreview, ids) {
+  const recorded = recordedPreview.match(UUID_PATTERN) || [];
+  const replayed = replayedPreview.match(UUID_PATTERN) || [];
+
+  recorded.forEach((id, index) => {
+    if (replayed[index] && !ids.has(id)) {
+      ids.set(id, replayed[index]);
+    }
+  });
+}
+
+function parseJson(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Differences between two values, as [{ path, recorded, replayed }]
+ */
+function diffValues(recorded, replayed, prefix, ignore) {
+  const bothObjects = recorded && replayed && typeof recorded === 'object' && typeof replayed === 'object' &&
+    Array.isArray(recorded) === Array.isArray(replayed);
+
+  if (!bothObjects) {
+    return recorded === replayed ? [] : [{ path: prefix, recorded, replayed }];
+  }
+
+  const keys = new Set([...Object.keys(recorded), ...Object.keys(replayed)]);
+
+  return Array.from(keys)
+    .filter(key => !ignore.includes(key))
+    .flatMap(key => diffValues(recorded[key], replayed[key], `${prefix}.${key}`, ignore));
+}
+
+/**
+ * Compare a recorded outcome with a replayed one
+ * IDs generated during the replay are mapped back to the recorded ones and
+ * timestamps are ignored; JSON previews are compared field by field
+ */
+export function diffOutcomes(recorded, replayed, { ids = new Map(), ignore = REPLAY_DEFAULTS.ignore } = {}) {
+  const differences = [];
+
+  for (const field of ['status', 'is_error']) {
+    if (recorded[field] !== replayed[field]) {
+      differences.push({ path: field, recorded: recorded[field], replayed: replayed[field] });
+    }
+  }
+
+  const reverse = new Map(Array.from(ids, ([from, to]) => [to, from]));
+  const normalize = text => mapIds(text, reverse).replace(TIMESTAMP_PATTERN, '<timestamp>');
+  const recordedPreview = normalize(recorded.preview ?? '');
+  const replayedPreview = normalize(replayed.preview ?? '');
+  const recordedJson = parseJson(recordedPreview);
+  const replayedJson = parseJson(replayedPreview);
+
+  if (recordedJson && replayedJson) {
+    differences.push(...diffValues(recordedJson.value, replayedJson.value, 'preview', ignore));
+  } else if (recordedPreview !== replayedPreview) {
+    differences.push({ path: 'preview', recorded: recorded.preview, replayed: replayed.preview });
+  }
+
+  return differences;
+}
+
+/**
+ * Outcome of a call as recorded in its _result entry
+ */
+function recordedOutcome(resultEntry) {
+  const result = resultEntry.data.result || {};
+
+  return {
+    status: result.status,
+    is_error: result.summary?.is_error ?? result.status === 'error',
+    preview: result.summary?.preview ?? result.error ?? ''
+  };
+}
+
+/**
+ * Replay one call and compare it with its recorded outcome
+ */
+async function replayCall({ call, result }, server, options, ids) {
+  const report = {
+    sequence: call.sequence,
+    timestamp: call.timestamp,
+    server: call.source,
+    tool: call.action
+  };
+
+  if (!call.data || !Object.hasOwn(call.data, 'arguments')) {
+    return { ...report, status: 'skipped', reason: 'Arguments were not recorded' };
+  }
+
+  if (!server.getTool(call.action)) {
+    return { ...report, status: 'skipped', reason: `Tool ${call.action} not found on ${server.name}` };
+  }
+
+  const args = mapIds(call.data.arguments ?? {}, ids);
+  const redacted = findRedacted(args);
+
+  if (redacted.length > 0 && !options.dryRun) {
+    return { ...report, arguments: args, redacted, status: 'skipped', reason: 'Arguments were redacted' };
+  }
+
+  const startTime = Date.now();
+  const outcome = options.dryRun
+    ? await server.executeTool(server.getTool(call.action), args, { signal: options.signal })
+    : await server.callTool(call.action, args, { client: { name: 'omega-replay' }, signal: options.signal });
+
+  const summary = summarizeToolResult(outcome);
+  const replayed = {
+    status: outcome?.isError ? 'error' : 'success',
+    is_error: summary.is_error,
+    preview: redactString(summary.preview),
+    duration_ms: Date.now() - startTime
+  };
+
+  const entry = {
+    ...report,
+    arguments: args,
+    ...(redacted.length > 0 && { redacted }),
+    replayed
+  };
+
+  if (!result) {
+    return { ...entry, status: 'unverified', recorded: null, differences: [] };
+  }
+
+  const recorded = recordedOutcome(result);
+  learnIds(recorded.preview, replayed.preview, ids);
+  const differences = diffOutcomes(recorded, replayed, { ids, ignore: options.ignore });
+
+  return {
+    ...entry,
+    status: differences.length === 0 ? 'match' : 'different',
+    recorded,
+    differences
+  };
+}
+
+/**
+ * Replay recorded tool calls of one server, in order
+ * selection: see findRecordedCalls
+ * options:
+ *   dryRun    - replay on a fresh server with an in-memory graph and a
+ *               scratch vault (default); false calls the live server
+ *   getServer - resolves the live server by name, for real replays
+ *   ignore    - result fields left out of the diff
+ *   signal    - cancels the replay
+ * Returns a report with a status per call: match, different,
+ * unverified (no recorded outcome) or skipped
+ */
+export async function replayToolCalls(selection = {}, options = {}) {
+  const { server: serverName } = selection;
+  const limit = selection.limit ?? REPLAY_DEFAULTS.limit;
+  const dryRun = options.dryRun !== false;
+  const ignore = options.ignore ?? REPLAY_DEFAULTS.ignore;
+
+  if (!serverName) {
+    throw invalidReplay('A server is required');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > REPLAY_DEFAULTS.maxLimit) {
+    throw invalidReplay(`Invalid limit, expected 1 to ${REPLAY_DEFAULTS.maxLimit}`);
+  }
+  if (dryRun && !DRY_RUN_SERVERS[serverName]) {
+    throw invalidReplay(`Dry run is not available for ${serverName}, expected one of ${getDryRunServers().join(', ')}`);
+  }
+
+  const server = dryRun ? DRY_RUN_SERVERS[serverName]() : await options.getServer?.(serverName);
+
+  if (!server) {
+    throw invalidReplay(`MCP server not found: ${serverName}`);
+  }
+
+  const recorded = await findRecordedCalls({ ...selection, limit });
+  const ids = new Map();
+  const calls = [];
+
+  const replayAll = async () => {
+    for (const item of recorded) {
+      options.signal?.throwIfAborted();
+      calls.push(await replayCall(item, server, { dryRun, ignore, signal: options.signal }, ids));
+    }
+  };
+
+  if (dryRun) {
+    const vaultPath = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-replay-'));
+
+    try {
+      await runDryRun({ graph: new MemoryGraph(), vaultPath }, replayAll);
+    } finally {
+      await releaseLedger(path.join(vaultPath, obsidianConfig.logsFolder));
+      releaseVault(vaultPath);
+      await fs.rm(vaultPath, { recursive: true, force: true });
+    }
+  } else {
+    await replayAll();
+  }
+
+  const count = status => calls.filter(call => call.status === status).length;
+  const report = {
+    dry_run: dryRun,
+    server: serverName,
+    total: calls.length,
+    matched: count('match'),
+    different: count('different'),
+    unverified: count('unverified'),
+    skipped: count('skipped'),
+    calls
+  };
+
+  replayLogger.info('Tool calls replayed', {
+    dry_run: dryRun,
+    server: serverName,
+    total: report.total,
+    matched: report.matched,
+    different: report.different
+  });
+
+  return report;
+}
+
+export default {
+  replayToolCalls,
+  findRecordedCalls,
+  diffOutcomes,
+  getDryRunServers,
+  REPLAY_DEFAULTS
+};
@@ -6,6 +6,8 @@
 
 import neo4j from 'neo4j-driver';
 import { logger } from '../utils/logger.js';
+import { abortable } from '../utils/abort.js';
+import { getDryRun } from '../utils/dry-run.js';
 
 let driver = null;
 let isConnected = false;
@@ -84,15 +86,27 @@ export function getSession(database = neo4jConfig.database) {
 
 /**
  * Execute a Cypher query
+ * options.signal cancels the query: the session is closed and the call rejects
+ * In a dry run the query goes to the in-memory graph (see utils/dry-run.js)
  */
-export async function executeQuery(cypher, params = {}, database = neo4jConfig.database) {
+export async function executeQuery(cypher, params = {}, database = neo4jConfig.database, options = {}) {
+  const { signal } = options;
+  signal?.throwIfAborted();
+
+  const dryRun = getDryRun();
+  if (dryRun) {
+    return dryRun.graph.run(cypher, params);
+  }
+
   const session = getSession(database);
   const timer = performance.now();
+  const cancel = () => session.close().catch(() => {});
+  signal?.addEventListener('abort', cancel, { once: true });
 
   try {
     logger.debug('Executing Neo4j query', { cypher, params });
 
-    const result = await session.run(cypher, params);
+    const result = await abortable(session.run(cypher, params), signal);
     const duration = performance.now() - timer;
 
     logger.debug('Neo4j query completed', {
@@ -115,14 +129,21 @@ export async function executeQuery(cypher, params = {}, database = neo4jConfig.d
     });
     throw error;
   } finally {
+    signal?.removeEventListener('abort', cancel);
     await session.close();
   }
 }
 
 /**
  * Execute a write transaction
+ * In a dry run transactionFn runs against the in-memory graph
  */
 export async function executeWriteTransaction(transactionFn, database = neo4jConfig.database) {
+  const dryRun = getDryRun();
+  if (dryRun) {
+    return transactionFn(dryRun.graph);
+  }
+
   const session = getSession(database);
 
   try {
@@ -145,8 +166,14 @@ export async function executeWriteTransaction(transactionFn, database = neo4jCon
 
 /**
  * Execute a read transaction
+ * In a dry run transactionFn runs against the in-memory graph
  */
 export async function executeReadTransaction(transactionFn, database = neo4jConfig.database) {
+  const dryRun = getDryRun();
+  if (dryRun) {
+    return transactionFn(dryRun.graph);
+  }
+
   const session = getSession(database);
 
   try {
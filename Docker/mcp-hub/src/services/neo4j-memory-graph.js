@@ -0,0 +1,304 @@
+// ============================================================
+// In-Memory Neo4j Stand-In
+// ============================================================
+// Description: Answers the Cypher queries built by neo4j-entities.js,
+// neo4j-relationships.js and neo4j-query-builder.js from an in-memory
+// graph, for dry runs (see utils/dry-run.js). Results use the driver's
+// Node, Relationship and Record types, so callers cannot tell the
+// difference; other queries are rejected with DRY_RUN_UNSUPPORTED
+
+import neo4j from 'neo4j-driver';
+
+const { Node, Relationship, Record } = neo4j.types;
+
+/**
+ * Evaluate a Cypher value expression: a parameter or datetime()
+ */
+function evaluate(expression, params) {
+  if (expression === 'datetime()') {
+    return new Date().toISOString();
+  }
+
+  if (expression.startsWith('$')) {
+    return params[expression.slice(1)];
+  }
+
+  throw unsupported(expression);
+}
+
+/**
+ * Parse "key: $key, ..." or "e.key = $key, ..." into [key, expression] pairs
+ */
+function parsePairs(text, separator) {
+  if (!text.trim()) return [];
+
+  return text.split(/,\s*/).map(pair => {
+    const index = pair.indexOf(separator);
+    return [pair.slice(0, index).trim().replace(/^\w+\./, ''), pair.slice(index + separator.length).trim()];
+  });
+}
+
+function toNumber(value) {
+  return neo4j.isInt(value) ? value.toNumber() : value;
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function unsupported(cypher) {
+  const error = new Error(`Dry run: unsupported Neo4j query: ${cypher.slice(0, 120)}`);
+  error.code = 'DRY_RUN_UNSUPPORTED';
+  return error;
+}
+
+/**
+ * In-memory graph answering Neo4j queries
+ * run(cypher, params) returns { records, keys, summary } like a session
+ */
+export class MemoryGraph {
+  constructor() {
+    this.nodes = new Map();
+    this.relationships = new Map();
+    this.nextId = 0;
+
+    this.handlers = [
+      [/^CREATE \((\w+):(\w+) \{(.*)\}\) RETURN \1$/, this.createNode],
+      [/^MATCH \((\w+):(\w+) \{(\w+): \$(\w+)\}\) RETURN \1(?: LIMIT 1)?$/, this.matchByProperty],
+      [/^MATCH \((\w+):(\w+)\)(?: WHERE (.+))? RETURN \1 LIMIT \$limit$/, this.findNodes],
+      [/^MATCH \((\w+):(\w+) \{id: \$id\}\) SET (.+) RETURN \1$/, this.updateNode],
+      [/^MATCH \((\w+):(\w+) \{id: \$id\}\) DETACH DELETE \1 RETURN count\(\1\) as (\w+)$/, this.deleteNode],
+      [/^MATCH \((\w+):(\w+)\) RETURN count\(\1\) as (\w+)$/, this.countNodes],
+      [
+        /^MATCH \(from:(\w+) \{id: \$fromId\}\) MATCH \(to:(\w+) \{id: \$toId\}\) CREATE \(from\)-\[r:(\w+)\]->\(to\) SET r\.created_at = datetime\(\)(?: \{ (.+) \})? RETURN r$/,
+        this.createRelationship
+      ],
+      [
+        /^MATCH \(e:(\w+) \{id: \$id\}\)(<?)-\[r(?::(\w+))?\]-(>?)\(other\) RETURN r, other, labels\(other\) as otherLabels$/,
+        this.matchRelationships
+      ],
+      [/^MATCH \(from:(\w+) \{id: \$fromId\}\)-\[r:(\w+)\]->\(to:(\w+) \{id: \$toId\}\) RETURN r$/, this.findRelationship],
+      [
+        /^MATCH \(start:(\w+) \{id: \$id\}\)-\[(?:\*1\.\.(\d+))?\]-\(connected\) RETURN DISTINCT connected, labels\(connected\) as labels LIMIT (\d+)$/,
+        this.findConnected
+      ],
+      [
+        /^MATCH \(e:(\w+) \{id: \$id\}\)-\[r\]-\(other\) RETURN type\(r\) as relationshipType, labels\(other\)\[0\] as targetLabel, count\(r\) as count ORDER BY count DESC$/,
+        this.relationshipStats
+      ]
+    ];
+  }
+
+  /**
+   * Run a query; also serves as the transaction of executeWrite/ReadTransaction
+   */
+  async run(cypher, params = {}) {
+    const query = cypher.replace(/\s+/g, ' ').trim();
+
+    for (const [pattern, handler] of this.handlers) {
+      const match = query.match(pattern);
+      if (match) {
+        const { keys, rows } = handler.call(this, match, params);
+        return {
+          records: rows.map(row => new Record(keys, row)),
+          keys,
+          summary: {}
+        };
+      }
+    }
+
+    throw unsupported(query);
+  }
+
+  // Nodes and relationships are copied on the way out, like driver results
+
+  toNode(node) {
+    return new Node(neo4j.int(node.id), [...node.labels], { ...node.properties });
+  }
+
+  toRelationship(rel) {
+    return new Relationship(neo4j.int(rel.id), neo4j.int(rel.start), neo4j.int(rel.end), rel.type, { ...rel.properties });
+  }
+
+  nodesWith(label, property, value) {
+    return Array.from(this.nodes.values()).filter(node =>
+      node.labels.includes(label) && (property === undefined || sameValue(node.properties[property], value))
+    );
+  }
+
+  setProperties(target, pairs, params) {
+    for (const [key, expression] of pairs) {
+      const value = evaluate(expression, params);
+
+      if (value === null || value === undefined) {
+        delete target[key];
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Relationships touching a node, with the node at the other end
+   * direction: outgoing, incoming or both
+   */
+  relationshipsOf(node, direction) {
+    const found = [];
+
+    for (const rel of this.relationships.values()) {
+      if (direction !== 'incoming' && rel.start === node.id) {
+        found.push({ rel, other: this.nodes.get(rel.end) });
+      }
+      if (direction !== 'outgoing' && rel.end === node.id) {
+        found.push({ rel, other: this.nodes.get(rel.start) });
+      }
+    }
+
+    return found;
+  }
+
+  createNode([, variable, label, props], params) {
+    const node = { id: this.nextId++, labels: [label], properties: {} };
+    this.setProperties(node.properties, parsePairs(props, ':'), params);
+    this.nodes.set(node.id, node);
+
+    return { keys: [variable], rows: [[this.toNode(node)]] };
+  }
+
+  matchByProperty([, variable, label, property, param], params) {
+    return {
+      keys: [variable],
+      rows: this.nodesWith(label, property, params[param]).slice(0, 1).map(node => [this.toNode(node)])
+    };
+  }
+
+  findNodes([, variable, label, where], params) {
+    const conditions = where ? where.split(' AND ').map(condition => parsePairs(condition, '=')[0]) : [];
+    const found = this.nodesWith(label).filter(node =>
+      conditions.every(([key, expression]) => sameValue(node.properties[key], evaluate(expression, params)))
+    );
+
+    return {
+      keys: [variable],
+      rows: found.slice(0, toNumber(params.limit)).map(node => [this.toNode(node)])
+    };
+  }
+
+  updateNode([, variable, label, assignments], params) {
+    const found = this.nodesWith(label, 'id', params.id);
+
+    for (const node of found) {
+      this.setProperties(node.properties, parsePairs(assignments, '='), params);
+    }
+
+    return { keys: [variable], rows: found.map(node => [this.toNode(node)]) };
+  }
+
+  deleteNode([, , label, key], params) {
+    const found = this.nodesWith(label, 'id', params.id);
+
+    for (const node of found) {
+      for (const { rel } of this.relationshipsOf(node, 'both')) {
+        this.relationships.delete(rel.id);
+      }
+      this.nodes.delete(node.id);
+    }
+
+    return { keys: [key], rows: [[neo4j.int(found.length)]] };
+  }
+
+  countNodes([, , label, key]) {
+    return { keys: [key], rows: [[neo4j.int(this.nodesWith(label).length)]] };
+  }
+
+  createRelationship([, fromLabel, toLabel, type, assignments], params) {
+    const rows = [];
+
+    for (const from of this.nodesWith(fromLabel, 'id', params.fromId)) {
+      for (const to of this.nodesWith(toLabel, 'id', params.toId)) {
+        const rel = { id: this.nextId++, type, start: from.id, end: to.id, properties: {} };
+        this.setProperties(rel.properties, [['created_at', 'datetime()'], ...parsePairs(assignments || '', '=')], params);
+        this.relationships.set(rel.id, rel);
+        rows.push([this.toRelationship(rel)]);
+      }
+    }
+
+    return { keys: ['r'], rows };
+  }
+
+  matchRelationships([, label, incoming, type, outgoing], params) {
+    const direction = incoming ? 'incoming' : outgoing ? 'outgoing' : 'both';
+    const rows = [];
+
+    for (const node of this.nodesWith(label, 'id', params.id)) {
+      for (const { rel, other } of this.relationshipsOf(node, direction)) {
+        if (!type || rel.type === type) {
+          rows.push([this.toRelationship(rel), this.toNode(other), [...other.labels]]);
+        }
+      }
+    }
+
+    return { keys: ['r', 'other', 'otherLabels'], rows };
+  }
+
+  findRelationship([, fromLabel, type, toLabel], params) {
+    const rows = [];
+
+    for (const from of this.nodesWith(fromLabel, 'id', params.fromId)) {
+      for (const { rel, other } of this.relationshipsOf(from, 'outgoing')) {
+        if (rel.type === type && other.labels.includes(toLabel) && sameValue(other.properties.id, params.toId)) {
+          rows.push([this.toRelationship(rel)]);
+        }
+      }
+    }
+
+    return { keys: ['r'], rows };
+  }
+
+  findConnected([, label, maxDepth, limit], params) {
+    const rows = [];
+    const seen = new Set();
+
+    for (const start of this.nodesWith(label, 'id', params.id)) {
+      let frontier = [start];
+      seen.add(start.id);
+
+      for (let depth = 0; depth < Number(maxDepth || 1); depth++) {
+        const next = [];
+        for (const node of frontier) {
+          for (const { other } of this.relationshipsOf(node, 'both')) {
+            if (!seen.has(other.id)) {
+              seen.add(other.id);
+              next.push(other);
+              rows.push([this.toNode(other), [...other.labels]]);
+            }
+          }
+        }
+        frontier = next;
+      }
+    }
+
+    return { keys: ['connected', 'labels'], rows: rows.slice(0, Number(limit)) };
+  }
+
+  relationshipStats([, label], params) {
+    const counts = new Map();
+
+    for (const node of this.nodesWith(label, 'id', params.id)) {
+      for (const { rel, other } of this.relationshipsOf(node, 'both')) {
+        const key = `${rel.type}\u0000${other.labels[0]}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+
+    const rows = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, count]) => [...key.split('\u0000'), neo4j.int(count)]);
+
+    return { keys: ['relationshipType', 'targetLabel', 'count'], rows };
+  }
+}
+
+export default {
+  MemoryGraph
+};
@@ -226,8 +226,9 @@ export async function findCommonNeighbors(label1, id1, label2, id2, neighborLabe
 
 /**
  * Find shortest path between entities
+ * options.signal cancels the query
  */
-export async function findShortestPath(label1, id1, label2, id2, maxDepth = 5) {
+export async function findShortestPath(label1, id1, label2, id2, maxDepth = 5, options = {}) {
   const cypher = `
     MATCH path = shortestPath(
       (start:${label1} {id: $id1})-[*1..${maxDepth}]-(end:${label2} {id: $id2})
@@ -238,7 +239,7 @@ export async function findShortestPath(label1, id1, label2, id2, maxDepth = 5) {
            length(path) as length
   `;
 
-  const result = await executeQuery(cypher, { id1, id2 });
+  const result = await executeQuery(cypher, { id1, id2 }, undefined, options);
 
   if (result.records.length === 0) {
     return null;
@@ -0,0 +1,449 @@
+// ============================================================
+// Obsidian Link Index
+// ============================================================
+// Description: Wikilinks ([[note#heading|alias]]), embeds (![[image.png]])
+// and tags of the vault notes, for backlinks, orphans and broken links.
+// Links resolve like in Obsidian: by name anywhere in the vault, or by
+// path when a name is ambiguous. Daily logs can be linked to, but are
+// not scanned for links. The index is refreshed from file modification
+// times before each query, so edits made in Obsidian are picked up too
+
+import path from 'path';
+import { obsidianConfig, getVaultPath, onVaultRelease } from './obsidian-writer.js';
+import {
+  readNote,
+  writeNote,
+  moveNote,
+  listVaultFiles,
+  resolveNotePath,
+  resolveFolderPath,
+  toNotePath
+} from './obsidian-vault.js';
+import { parseFrontmatter } from '../utils/frontmatter.js';
+import { logger } from '../utils/logger.js';
+
+const WIKILINK_PATTERN = /(!?)\[\[([^[\]\n]+)\]\]/g;
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_/-]+)/gu;
+const FENCE_PATTERN = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))/gm;
+const INLINE_CODE_PATTERN = /`[^`\n]*`/g;
+const CONTEXT_LENGTH = 200;
+
+/**
+ * Link indexes by vault path (a dry run has its own vault)
+ */
+const indexes = new Map();
+
+onVaultRelease((vaultPath) => {
+  indexes.delete(path.resolve(vaultPath));
+});
+
+/**
+ * Blank out text, keeping line breaks so offsets and line numbers hold
+ */
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Parse the wikilinks, embeds and tags of a note
+ * Links in code and in the frontmatter are ignored
+ * Returns { links, tags }; each link has its raw text and offset, so it
+ * can be rewritten in place
+ */
+export function parseNote(content) {
+  let bodyStart = 0;
+  let frontmatter = null;
+
+  try {
+    const parsed = parseFrontmatter(content);
+    frontmatter = parsed.frontmatter;
+    bodyStart = content.length - parsed.body.length;
+  } catch {
+    // Invalid frontmatter is scanned like the rest of the note
+  }
+
+  const masked = blank(content.slice(0, bodyStart)) + content.slice(bodyStart)
+    .replace(FENCE_PATTERN, blank)
+    .replace(INLINE_CODE_PATTERN, blank);
+
+  const lines = content.split('\n');
+  const lineAt = (offset) => content.slice(0, offset).split('\n').length;
+
+  const links = [];
+  for (const match of masked.matchAll(WIKILINK_PATTERN)) {
+    const inner = match[2];
+    const aliasAt = inner.search(/\\?\|/);
+    const head = aliasAt >= 0 ? inner.slice(0, aliasAt) : inner;
+    const hashAt = head.indexOf('#');
+    const line = lineAt(match.index);
+
+    links.push({
+      target: (hashAt >= 0 ? head.slice(0, hashAt) : head).trim(),
+      subpath: hashAt >= 0 ? head.slice(hashAt) : '',
+      alias: aliasAt >= 0 ? inner.slice(aliasAt).replace(/^\\?\|/, '') : null,
+      aliasRaw: aliasAt >= 0 ? inner.slice(aliasAt) : '',
+      embed: match[1] === '!',
+      raw: match[0],
+      index: match.index,
+      line,
+      context: lines[line - 1].trim().slice(0, CONTEXT_LENGTH)
+    });
+  }
+
+  const tags = new Set();
+  for (const tag of [frontmatter?.tags ?? []].flat()) {
+    if (tag !== null && tag !== undefined) tags.add(String(tag).replace(/^#/, ''));
+  }
+  for (const match of masked.slice(bodyStart).matchAll(TAG_PATTERN)) {
+    // Numbers alone (#123) are not tags
+    if (/[^\d/]/.test(match[2])) tags.add(match[2]);
+  }
+
+  return { links, tags: Array.from(tags) };
+}
+
+function isInLogsFolder(relative) {
+  return relative.startsWith(`${obsidianConfig.logsFolder}/`);
+}
+
+function getIndex() {
+  const key = path.resolve(getVaultPath());
+
+  if (!indexes.has(key)) {
+    indexes.set(key, { notes: new Map(), files: new Map(), byName: new Map(), queue: Promise.resolve() });
+  }
+
+  return indexes.get(key);
+}
+
+/**
+ * Group file paths by lowercased name, for link resolution
+ */
+function indexNames(index) {
+  index.byName = new Map();
+
+  for (const relative of index.files.keys()) {
+    const name = path.posix.basename(relative).toLowerCase();
+    if (!index.byName.has(name)) index.byName.set(name, []);
+    index.byName.get(name).push(relative);
+  }
+}
+
+/**
+ * Bring the index up to date: parse notes that are new or changed since
+ * they were indexed, and drop removed ones
+ */
+async function refreshIndex(index) {
+  const files = await listVaultFiles();
+  const seen = new Set();
+
+  index.files = new Map(files.map(file => [file.relative, file]));
+  indexNames(index);
+
+  for (const file of files) {
+    if (!file.note || isInLogsFolder(file.relative)) continue;
+    seen.add(file.relative);
+
+    const known = index.notes.get(file.relative);
+    if (known && known.modified === file.modified && known.size === file.size) continue;
+
+    try {
+      const content = await readNote(toNotePath(file.relative));
+      index.notes.set(file.relative, { modified: file.modified, size: file.size, ...parseNote(content) });
+    } catch (error) {
+      logger.warn('Skipping note in the link index', { path: file.relative, error: error.message });
+    }
+  }
+
+  for (const relative of index.notes.keys()) {
+    if (!seen.has(relative)) index.notes.delete(relative);
+  }
+}
+
+/**
+ * Run a task on the refreshed index; tasks run one at a time
+ */
+function withIndex(task) {
+  const index = getIndex();
+  const run = index.queue.then(() => refreshIndex(index)).then(() => task(index));
+  index.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Resolve a link target from a note to a vault-relative path, or null
+ * [[name]] is name.md anywhere in the vault; a path (folder/name)
+ * matches the end of the file path. With several matches, a file in the
+ * linking note's folder wins, then the shortest path
+ */
+function resolveLink(index, target, source) {
+  if (target === '') return source;
+
+  const wanted = target.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+
+  for (const candidate of [`${wanted}.md`, wanted]) {
+    const matches = (index.byName.get(path.posix.basename(candidate)) ?? []).filter(relative => {
+      const lower = relative.toLowerCase();
+      return lower === candidate || lower.endsWith(`/${candidate}`);
+    });
+
+    if (matches.length > 0) {
+      const folder = path.posix.dirname(source);
+      const rank = relative => [
+        path.posix.dirname(relative) === folder ? 0 : 1,
+        relative.split('/').length
+      ];
+
+      return matches.sort((a, b) => {
+        const [rankA, rankB] = [rank(a), rank(b)];
+        return rankA[0] - rankB[0] || rankA[1] - rankB[1] || a.localeCompare(b);
+      })[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Path to report for a linked file: a note path for notes
+ */
+function toLinkedPath(index, relative) {
+  return index.files.get(relative)?.note ? toNotePath(relative) : relative;
+}
+
+/**
+ * Vault-relative path of an existing note
+ */
+async function findNote(index, notePath) {
+  const { relative } = await resolveNotePath(notePath);
+
+  if (!index.files.has(relative)) {
+    const error = new Error(`Note not found: ${notePath}`);
+    error.code = 'VAULT_NOT_FOUND';
+    throw error;
+  }
+
+  return relative;
+}
+
+/**
+ * Whether a note is in a folder (vault-relative, '' for the whole vault)
+ */
+function inFolder(relative, folder) {
+  return folder === '' || relative.startsWith(`${folder}/`);
+}
+
+/**
+ * Links and tags of a note
+ * Returns { links: [{ target, heading, alias, embed, line, resolved }], tags }
+ * resolved is the linked note or file, or null for a broken link
+ */
+export async function getOutgoingLinks(notePath) {
+  return withIndex(async (index) => {
+    const relative = await findNote(index, notePath);
+    const entry = index.notes.get(relative) ?? { links: [], tags: [] };
+
+    return {
+      links: entry.links.map(link => {
+        const resolved = resolveLink(index, link.target, relative);
+
+        return {
+          target: link.target,
+          heading: link.subpath ? link.subpath.slice(1) : null,
+          alias: link.alias,
+          embed: link.embed,
+          line: link.line,
+          resolved: resolved ? toLinkedPath(index, resolved) : null
+        };
+      }),
+      tags: entry.tags
+    };
+  });
+}
+
+/**
+ * Notes linking to a note (links from the note itself are left out)
+ * Returns [{ source, line, embed, context }]
+ */
+export async function getBacklinks(notePath) {
+  return withIndex(async (index) => {
+    const relative = await findNote(index, notePath);
+    const backlinks = [];
+
+    for (const [source, entry] of index.notes) {
+      if (source === relative) continue;
+
+      for (const link of entry.links) {
+        if (resolveLink(index, link.target, source) === relative) {
+          backlinks.push({ source: toNotePath(source), line: link.line, embed: link.embed, context: link.context });
+        }
+      }
+    }
+
+    return backlinks;
+  });
+}
+
+/**
+ * Notes of a folder that no other note links to
+ * Daily logs are not reported
+ */
+export async function findOrphans({ folder = '/' } = {}) {
+  const { relative: folderPath } = await resolveFolderPath(folder);
+
+  return withIndex(async (index) => {
+    const linked = new Set();
+
+    for (const [source, entry] of index.notes) {
+      for (const link of entry.links) {
+        const resolved = resolveLink(index, link.target, source);
+        if (resolved && resolved !== source) linked.add(resolved);
+      }
+    }
+
+    return Array.from(index.notes.keys())
+      .filter(relative => inFolder(relative, folderPath) && !linked.has(relative))
+      .sort()
+      .map(toNotePath);
+  });
+}
+
+/**
+ * Links and embeds of the notes of a folder whose target does not exist
+ * Returns [{ source, target, line, embed, context }]
+ */
+export async function findBrokenLinks({ folder = '/' } = {}) {
+  const { relative: folderPath } = await resolveFolderPath(folder);
+
+  return withIndex(async (index) => {
+    const broken = [];
+
+    for (const [source, entry] of index.notes) {
+      if (!inFolder(source, folderPath)) continue;
+
+      for (const link of entry.links) {
+        if (!resolveLink(index, link.target, source)) {
+          broken.push({ source: toNotePath(source), target: link.target, line: link.line, embed: link.embed, context: link.context });
+        }
+      }
+    }
+
+    return broken.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+  });
+}
+
+/**
+ * Link target to write for a file: its name if that resolves to it from
+ * the linking note and the link used a name, otherwise its path
+ * The .md extension is only kept if the link had it
+ */
+function linkTargetFor(index, relative, from, link) {
+  const full = /\.md$/i.test(relative) && !/\.md$/i.test(link.target) ? relative.slice(0, -3) : relative;
+  const name = path.posix.basename(full);
+
+  if (!link.target.includes('/') && resolveLink(index, name, from) === relative) {
+    return name;
+  }
+
+  return full;
+}
+
+/**
+ * Apply link rewrites to a note, last first so offsets stay valid
+ * A link whose text changed since it was indexed is left alone
+ */
+async function rewriteLinks(relative, edits) {
+  const notePath = toNotePath(relative);
+  let content = await readNote(notePath);
+  let rewritten = 0;
+
+  for (const { link, text } of edits.sort((a, b) => b.link.index - a.link.index)) {
+    if (content.slice(link.index, link.index + link.raw.length) !== link.raw) continue;
+
+    content = content.slice(0, link.index) + text + content.slice(link.index + link.raw.length);
+    rewritten++;
+  }
+
+  if (rewritten > 0) await writeNote(notePath, content);
+  return rewritten;
+}
+
+/**
+ * Move or rename a note (see moveNote) and rewrite the links that would
+ * break: links to the note across the vault, and links of the note
+ * that resolved differently from its old folder
+ * Returns { from, to, updated: [note paths], links: number rewritten }
+ */
+export async function moveNoteAndLinks(from, to, options = {}) {
+  return withIndex(async (index) => {
+    const source = (await resolveNotePath(from)).relative;
+
+    // Resolved before the move
+    const inbound = [];
+    for (const [note, entry] of index.notes) {
+      for (const link of entry.links) {
+        if (link.target !== '' && resolveLink(index, link.target, note) === source) {
+          inbound.push({ note, link });
+        }
+      }
+    }
+    const outbound = (index.notes.get(source)?.links ?? [])
+      .map(link => ({ link, resolved: resolveLink(index, link.target, source) }))
+      .filter(({ link, resolved }) => link.target !== '' && resolved && resolved !== source);
+
+    const moved = await moveNote(from, to, options);
+    const target = (await resolveNotePath(moved.to)).relative;
+
+    const entry = index.notes.get(source);
+    index.notes.delete(source);
+    if (entry) index.notes.set(target, entry);
+    index.files.set(target, { ...index.files.get(source), relative: target });
+    index.files.delete(source);
+    indexNames(index);
+
+    const edits = new Map();
+    const edit = (note, link, text) => {
+      if (!edits.has(note)) edits.set(note, []);
+      edits.get(note).push({ link, text });
+    };
+
+    for (const { note, link } of inbound) {
+      const from = note === source ? target : note;
+      if (resolveLink(index, link.target, from) !== target) {
+        edit(from, link, `${link.embed ? '!' : ''}[[${linkTargetFor(index, target, from, link)}${link.subpath}${link.aliasRaw}]]`);
+      }
+    }
+
+    for (const { link, resolved } of outbound) {
+      if (resolveLink(index, link.target, target) !== resolved) {
+        edit(target, link, `${link.embed ? '!' : ''}[[${linkTargetFor(index, resolved, target, link)}${link.subpath}${link.aliasRaw}]]`);
+      }
+    }
+
+    const updated = [];
+    let links = 0;
+    for (const [note, noteEdits] of edits) {
+      const rewritten = await rewriteLinks(note, noteEdits);
+      if (rewritten > 0) {
+        index.notes.delete(note);
+        updated.push(toNotePath(note));
+        links += rewritten;
+      }
+    }
+
+    if (links > 0) {
+      logger.info('Links rewritten after a note move', { from: source, to: target, notes: updated.length, links });
+    }
+
+    return { ...moved, updated, links };
+  });
+}
+
+export default {
+  parseNote,
+  getOutgoingLinks,
+  getBacklinks,
+  findOrphans,
+  findBrokenLinks,
+  moveNoteAndLinks
+};
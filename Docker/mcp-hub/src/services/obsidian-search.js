@@ -0,0 +1,613 @@
+// ============================================================
+// Obsidian Full-Text Search
+// ============================================================
+// Description: Inverted index over the vault notes, ranked with BM25.
+// Files written through the hub (see onVaultWrite) are reindexed before
+// the next search; the vault is also rescanned by modification time now
+// and then, for notes edited in Obsidian. Queries are words (all must
+// match), "quoted phrases" and prefixes (neo*), with filters by folder,
+// tag, frontmatter property and date
+
+import fs from 'fs/promises';
+import path from 'path';
+import { obsidianConfig, getVaultPath, flushLogWrites, onVaultWrite, onVaultRelease } from './obsidian-writer.js';
+import { listVaultFiles, resolveFolderPath, toNotePath } from './obsidian-vault.js';
+import { parseNote } from './obsidian-links.js';
+import { resolveVaultPath } from '../utils/vault-path.js';
+import { parseFrontmatter } from '../utils/frontmatter.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Search defaults
+ *   rescanInterval - ms between checks of the vault for outside edits
+ *   k1, b          - BM25 parameters
+ *   titleWeight    - how many body words a word of the title counts for
+ */
+export const SEARCH_DEFAULTS = {
+  rescanInterval: 60000,
+  limit: 20,
+  maxLimit: 100,
+  snippetLength: 160,
+  k1: 1.2,
+  b: 0.75,
+  titleWeight: 2
+};
+
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAILY_LOG_PATTERN = /^(\d{4}-\d{2}-\d{2})\.md$/;
+
+/**
+ * Search indexes by vault path (a dry run has its own vault)
+ */
+const indexes = new Map();
+
+onVaultWrite((vaultPath, relative) => {
+  indexes.get(path.resolve(vaultPath))?.dirty.add(relative);
+});
+
+onVaultRelease((vaultPath) => {
+  indexes.delete(path.resolve(vaultPath));
+});
+
+/**
+ * Error for a query that cannot be run (code SEARCH_INVALID_QUERY)
+ */
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'SEARCH_INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Split text into words, lowercased and without accents
+ * Returns [{ term, start, end }] with offsets in the text
+ */
+export function tokenize(text) {
+  return Array.from(text.matchAll(TOKEN_PATTERN), match => ({
+    term: match[0].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  })).filter(token => token.term !== '');
+}
+
+/**
+ * Parse a query into clauses: { type: 'term' | 'prefix' | 'phrase', terms }
+ * A word that splits into several (e.g. neo4j-driver) is a phrase
+ */
+export function parseQuery(query) {
+  if (typeof query !== 'string') {
+    throw invalidQuery('Query must be a string');
+  }
+
+  const clauses = [];
+
+  for (const match of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const text = match[1] ?? match[2];
+    const terms = tokenize(text).map(token => token.term);
+    if (terms.length === 0) continue;
+
+    if (match[1] === undefined && terms.length === 1 && text.endsWith('*')) {
+      clauses.push({ type: 'prefix', terms });
+    } else {
+      clauses.push({ type: terms.length === 1 ? 'term' : 'phrase', terms });
+    }
+  }
+
+  return clauses;
+}
+
+/**
+ * Parse a date filter; a bare date covers the whole day (UTC)
+ */
+function parseDateBound(value, name, endOfDay) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (DATE_PATTERN.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`).getTime();
+  }
+
+  const date = new Date(value);
+
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    throw invalidQuery(`Invalid ${name}, expected YYYY-MM-DD or an ISO 8601 timestamp`);
+  }
+
+  return date.getTime();
+}
+
+function getDailyLogDate(relative) {
+  return path.posix.dirname(relative) === obsidianConfig.logsFolder
+    ? path.posix.basename(relative).match(DAILY_LOG_PATTERN)?.[1] ?? null
+    : null;
+}
+
+/**
+ * Date of a note: its frontmatter date, the day of a daily log, or else
+ * its modification time
+ */
+function noteDate(relative, frontmatter, modified) {
+  const candidates = [frontmatter?.date, getDailyLogDate(relative)];
+
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string' && !(candidate instanceof Date)) continue;
+
+    const time = new Date(candidate).getTime();
+    if (!isNaN(time)) return time;
+  }
+
+  return modified;
+}
+
+function getIndex() {
+  const key = path.resolve(getVaultPath());
+
+  if (!indexes.has(key)) {
+    indexes.set(key, {
+      docs: new Map(),
+      postings: new Map(),
+      totalLength: 0,
+      dirty: new Set(),
+      scannedAt: null,
+      queue: Promise.resolve()
+    });
+  }
+
+  return indexes.get(key);
+}
+
+function removeDocument(index, relative) {
+  const doc = index.docs.get(relative);
+  if (!doc) return;
+
+  for (const term of doc.terms) {
+    const postings = index.postings.get(term);
+    postings.delete(relative);
+    if (postings.size === 0) index.postings.delete(term);
+  }
+
+  index.totalLength -= doc.length;
+  index.docs.delete(relative);
+}
+
+/**
+ * Index the title and body of a note
+ * Title words come first, one position apart from the body so a phrase
+ * does not run from one into the other
+ * stats: { modified, size } of the content
+ */
+function addDocument(index, relative, content, stats) {
+  let frontmatter = null;
+  let body = content;
+
+  try {
+    ({ frontmatter, body } = parseFrontmatter(content));
+  } catch {
+    // Invalid frontmatter is indexed as text
+  }
+
+  const name = path.posix.basename(relative, path.posix.extname(relative));
+  const title = typeof frontmatter?.title === 'string' ? `${name} ${frontmatter.title}` : name;
+  const titleTokens = tokenize(title);
+  const bodyTokens = tokenize(body);
+
+  const terms = new Map();
+  const add = (term, position, weight) => {
+    if (!terms.has(term)) terms.set(term, { frequency: 0, positions: [] });
+    const posting = terms.get(term);
+    posting.frequency += weight;
+    posting.positions.push(position);
+  };
+
+  titleTokens.forEach((token, position) => add(token.term, position, SEARCH_DEFAULTS.titleWeight));
+  bodyTokens.forEach((token, position) => add(token.term, titleTokens.length + 1 + position, 1));
+
+  for (const [term, posting] of terms) {
+    if (!index.postings.has(term)) index.postings.set(term, new Map());
+    index.postings.get(term).set(relative, posting);
+  }
+
+  const length = titleTokens.length * SEARCH_DEFAULTS.titleWeight + bodyTokens.length;
+  index.totalLength += length;
+
+  index.docs.set(relative, {
+    modified: stats.modified,
+    size: stats.size,
+    length,
+    nextPosition: titleTokens.length + 1 + bodyTokens.length,
+    terms: new Set(terms.keys()),
+    title: typeof frontmatter?.title === 'string' ? frontmatter.title : name,
+    tags: parseNote(content).tags,
+    frontmatter: frontmatter ?? {},
+    date: noteDate(relative, frontmatter, stats.modified)
+  });
+}
+
+/**
+ * Index text appended to the body of an indexed note
+ */
+function appendToDocument(index, relative, text, stats) {
+  const doc = index.docs.get(relative);
+  const tokens = tokenize(text);
+
+  tokens.forEach((token, offset) => {
+    if (!index.postings.has(token.term)) index.postings.set(token.term, new Map());
+    const postings = index.postings.get(token.term);
+
+    if (!postings.has(relative)) postings.set(relative, { frequency: 0, positions: [] });
+    const posting = postings.get(relative);
+    posting.frequency += 1;
+    posting.positions.push(doc.nextPosition + offset);
+
+    doc.terms.add(token.term);
+  });
+
+  doc.nextPosition += tokens.length;
+  doc.length += tokens.length;
+  index.totalLength += tokens.length;
+  // Not at the start of the note, so not frontmatter
+  doc.tags = Array.from(new Set([...doc.tags, ...parseNote(`\n${text}`).tags]));
+  doc.modified = stats.modified;
+  doc.size = stats.size;
+}
+
+/**
+ * Read the bytes of a file from start to end
+ */
+async function readBytes(absolute, start, end) {
+  const handle = await fs.open(absolute, 'r');
+
+  try {
+    const buffer = Buffer.alloc(end - start);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read a note and (re)index it; a note that is gone is removed
+ * Daily logs only grow, one entry at a time (see writeLogEntry), so only
+ * the entries written since a log was indexed are read
+ */
+async function indexFile(index, relative) {
+  try {
+    const { absolute } = await resolveVaultPath(getVaultPath(), relative);
+    const stats = await fs.stat(absolute);
+    const doc = index.docs.get(relative);
+
+    if (stats.isFile() && doc && getDailyLogDate(relative) && stats.size > doc.size) {
+      const appended = await readBytes(absolute, doc.size, stats.size);
+      appendToDocument(index, relative, appended.toString(obsidianConfig.encoding), {
+        modified: stats.mtimeMs,
+        size: doc.size + appended.length
+      });
+      return;
+    }
+
+    removeDocument(index, relative);
+    if (!stats.isFile()) return;
+
+    // The size read, as the file may grow meanwhile
+    const content = await fs.readFile(absolute);
+    addDocument(index, relative, content.toString(obsidianConfig.encoding), { modified: stats.mtimeMs, size: content.length });
+  } catch (error) {
+    removeDocument(index, relative);
+
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR' && error.code !== 'VAULT_INVALID_PATH') {
+      logger.warn('Skipping note in the search index', { path: relative, error: error.message });
+    }
+  }
+}
+
+/**
+ * Bring the index up to date: notes written through the hub since the
+ * last search, and, once per rescan interval, notes whose modification
+ * time or size changed
+ */
+async function refreshIndex(index, { signal, onProgress } = {}) {
+  await flushLogWrites();
+
+  const changed = new Set(index.dirty);
+  index.dirty.clear();
+
+  if (index.scannedAt === null || Date.now() - index.scannedAt >= SEARCH_DEFAULTS.rescanInterval) {
+    const files = (await listVaultFiles()).filter(file => file.note);
+    const present = new Set(files.map(file => file.relative));
+
+    for (const relative of index.docs.keys()) {
+      if (!present.has(relative)) changed.add(relative);
+    }
+    for (const file of files) {
+      const doc = index.docs.get(file.relative);
+      if (!doc || doc.modified !== file.modified || doc.size !== file.size) changed.add(file.relative);
+    }
+
+    index.scannedAt = Date.now();
+  }
+
+  const pending = Array.from(changed).filter(relative => !relative.split('/').some(segment => segment.startsWith('.')));
+
+  for (const [position, relative] of pending.entries()) {
+    try {
+      signal?.throwIfAborted();
+    } catch (error) {
+      // Left for the next search
+      pending.slice(position).forEach(rest => index.dirty.add(rest));
+      throw error;
+    }
+
+    await onProgress?.(position, pending.length + 1, `Indexing ${toNotePath(relative)}`);
+    await indexFile(index, relative);
+  }
+
+  // The last step is the search itself
+  await onProgress?.(pending.length, pending.length + 1, `Searching ${index.docs.size} notes`);
+
+  if (pending.length > 0) {
+    logger.debug('Search index updated', { notes: pending.length, indexed: index.docs.size });
+  }
+
+  return pending.length;
+}
+
+/**
+ * Documents matching a clause, with the clause's term frequency in each
+ */
+function matchClause(index, clause) {
+  if (clause.type === 'term') {
+    const postings = index.postings.get(clause.terms[0]) ?? new Map();
+    return new Map(Array.from(postings, ([relative, posting]) => [relative, posting.frequency]));
+  }
+
+  if (clause.type === 'prefix') {
+    const matches = new Map();
+
+    for (const [term, postings] of index.postings) {
+      if (!term.startsWith(clause.terms[0])) continue;
+
+      for (const [relative, posting] of postings) {
+        matches.set(relative, (matches.get(relative) ?? 0) + posting.frequency);
+      }
+    }
+
+    return matches;
+  }
+
+  // Phrase: each word at the position after the previous one
+  const postings = clause.terms.map(term => index.postings.get(term));
+  const matches = new Map();
+  if (postings.some(posting => !posting)) return matches;
+
+  for (const [relative, first] of postings[0]) {
+    const following = postings.slice(1).map(posting => posting.get(relative));
+    if (following.some(posting => !posting)) continue;
+
+    const positions = following.map(posting => new Set(posting.positions));
+    const count = first.positions
+      .filter(start => positions.every((set, offset) => set.has(start + offset + 1)))
+      .length;
+
+    if (count > 0) matches.set(relative, count);
+  }
+
+  return matches;
+}
+
+/**
+ * Whether a note passes the filters
+ */
+function passesFilters(relative, doc, filters) {
+  const { folder, recursive, tags, properties, from, to } = filters;
+
+  if (folder !== null) {
+    const noteFolder = path.posix.dirname(relative);
+    const inFolder = folder === '' ? true : relative.startsWith(`${folder}/`);
+
+    if (!inFolder) return false;
+    if (!recursive && noteFolder !== (folder === '' ? '.' : folder)) return false;
+  }
+
+  for (const tag of tags) {
+    const wanted = tag.replace(/^#/, '').toLowerCase();
+    if (!doc.tags.some(noteTag => {
+      const lower = noteTag.toLowerCase();
+      return lower === wanted || lower.startsWith(`${wanted}/`);
+    })) return false;
+  }
+
+  for (const [key, value] of Object.entries(properties)) {
+    const actual = doc.frontmatter[key];
+    const values = Array.isArray(actual) ? actual : [actual];
+
+    if (!values.some(item => item !== undefined && item !== null && String(item).toLowerCase() === String(value).toLowerCase())) {
+      return false;
+    }
+  }
+
+  if (from !== null && doc.date < from) return false;
+  if (to !== null && doc.date > to) return false;
+
+  return true;
+}
+
+/**
+ * Excerpt of a note body around its best run of matching words, with
+ * the matches in **bold**
+ */
+function buildSnippet(content, clauses) {
+  let body = content;
+  try {
+    body = parseFrontmatter(content).body;
+  } catch {
+    // Invalid frontmatter is shown as text
+  }
+
+  const words = new Set(clauses.filter(clause => clause.type !== 'prefix').flatMap(clause => clause.terms));
+  const prefixes = clauses.filter(clause => clause.type === 'prefix').map(clause => clause.terms[0]);
+  const isMatch = term => words.has(term) || prefixes.some(prefix => term.startsWith(prefix));
+
+  const matches = tokenize(body).filter(token => isMatch(token.term));
+  const length = SEARCH_DEFAULTS.snippetLength;
+
+  // The window of snippetLength characters holding the most matches
+  let best = { start: 0, count: 0 };
+  let last = 0;
+  for (const [i, token] of matches.entries()) {
+    last = Math.max(last, i);
+    while (last + 1 < matches.length && matches[last + 1].end <= token.start + length) last++;
+    if (last - i + 1 > best.count) best = { start: token.start, count: last - i + 1 };
+  }
+
+  let start = best.count > 0 ? Math.max(0, best.start - Math.floor(length / 4)) : 0;
+  let end = Math.min(body.length, start + length);
+
+  // Do not cut words
+  while (start > 0 && /\S/.test(body[start - 1])) start--;
+  while (end < body.length && /\S/.test(body[end])) end++;
+
+  let snippet = '';
+  let cursor = start;
+  for (const token of matches) {
+    if (token.start < start || token.end > end) continue;
+    snippet += `${body.slice(cursor, token.start)}**${body.slice(token.start, token.end)}**`;
+    cursor = token.end;
+  }
+  snippet += body.slice(cursor, end);
+
+  return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < body.length ? '…' : ''}`;
+}
+
+/**
+ * Run a task on the refreshed index; tasks run one at a time
+ */
+function withIndex(options, task) {
+  const index = getIndex();
+  const run = index.queue.then(() => refreshIndex(index, options)).then(() => task(index));
+  index.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Search the notes of the vault
+ * options:
+ *   query      - words, "phrases" and prefix* (all must match)
+ *   content    - false to match the query against note paths instead
+ *                (newest first)
+ *   folder     - folder to search (see resolveFolderPath), recursive
+ *   tags       - tags the notes must all have (nested tags included)
+ *   properties - frontmatter values the notes must have, { status: 'done' }
+ *   from, to   - date range (YYYY-MM-DD or ISO 8601, inclusive)
+ *   limit      - maximum number of results
+ *   signal, onProgress(done, total, message) - notes indexed before the
+ *   search, which is the last step
+ * Returns { total, results: [{ path, score, title, tags, date, snippet }] }
+ */
+export async function searchNotes(options = {}) {
+  const {
+    query = '',
+    content = true,
+    folder,
+    recursive = false,
+    tags = [],
+    properties = {},
+    from,
+    to,
+    limit = SEARCH_DEFAULTS.limit,
+    signal,
+    onProgress
+  } = options;
+
+  const clauses = content ? parseQuery(query) : [];
+  if (content && clauses.length === 0) {
+    throw invalidQuery('The query has no words to search for');
+  }
+
+  const filters = {
+    folder: folder === null ? null : (await resolveFolderPath(folder)).relative,
+    recursive,
+    tags: Array.isArray(tags) ? tags.map(String) : [String(tags)],
+    properties: properties ?? {},
+    from: parseDateBound(from, 'from', false),
+    to: parseDateBound(to, 'to', true)
+  };
+  const maxResults = Math.min(Math.max(1, Number(limit) || SEARCH_DEFAULTS.limit), SEARCH_DEFAULTS.maxLimit);
+
+  return withIndex({ signal, onProgress }, async (index) => {
+    let ranked;
+
+    if (content) {
+      const n = index.docs.size;
+      const averageLength = n > 0 ? index.totalLength / n : 0;
+      const { k1, b } = SEARCH_DEFAULTS;
+      const scores = new Map();
+
+      for (const [i, clause] of clauses.entries()) {
+        const matches = matchClause(index, clause);
+        const idf = Math.log(1 + (n - matches.size + 0.5) / (matches.size + 0.5));
+
+        for (const [relative, frequency] of matches) {
+          // Every clause must match
+          if (i > 0 && !scores.has(relative)) continue;
+
+          const doc = index.docs.get(relative);
+          const norm = k1 * (1 - b + b * (averageLength > 0 ? doc.length / averageLength : 1));
+          scores.set(relative, (scores.get(relative) ?? 0) + idf * (frequency * (k1 + 1)) / (frequency + norm));
+        }
+
+        if (i > 0) {
+          for (const relative of scores.keys()) {
+            if (!matches.has(relative)) scores.delete(relative);
+          }
+        }
+      }
+
+      ranked = Array.from(scores)
+        .filter(([relative]) => passesFilters(relative, index.docs.get(relative), filters))
+        .sort(([pathA, scoreA], [pathB, scoreB]) => scoreB - scoreA || pathA.localeCompare(pathB));
+    } else {
+      const wanted = String(query).toLowerCase();
+
+      ranked = Array.from(index.docs)
+        .filter(([relative, doc]) => toNotePath(relative).toLowerCase().includes(wanted) && passesFilters(relative, doc, filters))
+        .sort(([pathA, docA], [pathB, docB]) => docB.modified - docA.modified || pathB.localeCompare(pathA))
+        .map(([relative]) => [relative, null]);
+    }
+
+    const results = [];
+    for (const [relative, score] of ranked.slice(0, maxResults)) {
+      const doc = index.docs.get(relative);
+      let snippet = null;
+
+      if (content) {
+        try {
+          const { absolute } = await resolveVaultPath(getVaultPath(), relative);
+          snippet = buildSnippet(await fs.readFile(absolute, { encoding: obsidianConfig.encoding }), clauses);
+        } catch (error) {
+          logger.warn('No snippet for search result', { path: relative, error: error.message });
+        }
+      }
+
+      results.push({
+        path: toNotePath(relative),
+        score: score === null ? null : Math.round(score * 1000) / 1000,
+        title: doc.title,
+        tags: doc.tags,
+        date: new Date(doc.date).toISOString(),
+        snippet
+      });
+    }
+
+    return { total: ranked.length, results };
+  });
+}
+
+export default {
+  SEARCH_DEFAULTS,
+  tokenize,
+  parseQuery,
+  searchNotes
+};
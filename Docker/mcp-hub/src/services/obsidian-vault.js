@@ -0,0 +1,328 @@
+// ============================================================
+// Obsidian Vault Notes
+// ============================================================
+// Description: Notes and folders anywhere in the Obsidian vault, by
+// vault-relative path. A bare filename refers to the logs folder, so
+// daily logs keep their short names; a path with a folder, or with a
+// leading slash, is relative to the vault root:
+//   2026-03-14.md                  -> MCP Logs/2026-03-14.md
+//   AI_Memory/Proyectos/mcp-hub.md -> AI_Memory/Proyectos/mcp-hub.md
+//   /Inbox.md                      -> Inbox.md
+// Every path goes through the vault sandbox (see utils/vault-path.js)
+
+import fs from 'fs/promises';
+import path from 'path';
+import { obsidianConfig, getVaultPath, flushLogWrites, notifyVaultWrite } from './obsidian-writer.js';
+import { resolveVaultPath, VAULT_PATH_DEFAULTS } from '../utils/vault-path.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Error for a vault operation
+ * Codes: VAULT_INVALID_PATH (see utils/vault-path.js), VAULT_NOT_FOUND,
+ * VAULT_EXISTS, VAULT_PROTECTED
+ */
+function vaultError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resolve a note path (see the header)
+ * Returns { absolute, relative } (see resolveVaultPath)
+ */
+export async function resolveNotePath(notePath) {
+  if (typeof notePath !== 'string' || notePath.trim() === '') {
+    throw vaultError('VAULT_INVALID_PATH', 'A note path is required');
+  }
+
+  const normalized = notePath.replace(/\\/g, '/');
+  const relative = normalized.includes('/')
+    ? normalized.replace(/^\/+/, '')
+    : path.posix.join(obsidianConfig.logsFolder, normalized);
+
+  return resolveVaultPath(getVaultPath(), relative);
+}
+
+/**
+ * Resolve a folder path, always relative to the vault root
+ * No folder is the logs folder; '' or '/' is the vault root
+ */
+export async function resolveFolderPath(folder) {
+  if (folder === undefined || folder === null) {
+    return resolveVaultPath(getVaultPath(), obsidianConfig.logsFolder, { extensions: null });
+  }
+
+  if (typeof folder !== 'string') {
+    throw vaultError('VAULT_INVALID_PATH', 'Folder must be a string');
+  }
+
+  return resolveVaultPath(getVaultPath(), folder.replace(/\\/g, '/').replace(/^\/+/, ''), { extensions: null });
+}
+
+/**
+ * Note path of a vault-relative file path, in the form accepted by
+ * resolveNotePath
+ */
+export function toNotePath(relative) {
+  const folder = path.posix.dirname(relative);
+
+  if (folder === obsidianConfig.logsFolder) return path.posix.basename(relative);
+  if (folder === '.') return `/${relative}`;
+  return relative;
+}
+
+/**
+ * Whether a vault-relative path is in the logs folder, whose files form
+ * the audit trail
+ */
+function isInLogsFolder(relative) {
+  return relative === obsidianConfig.logsFolder || relative.startsWith(`${obsidianConfig.logsFolder}/`);
+}
+
+function notFound(error, message) {
+  return error.code === 'ENOENT' || error.code === 'ENOTDIR' ? vaultError('VAULT_NOT_FOUND', message) : error;
+}
+
+/**
+ * Read a note
+ */
+export async function readNote(notePath) {
+  const { absolute } = await resolveNotePath(notePath);
+
+  try {
+    await flushLogWrites();
+    return await fs.readFile(absolute, { encoding: obsidianConfig.encoding });
+  } catch (error) {
+    throw notFound(error, `Note not found: ${notePath}`);
+  }
+}
+
+/**
+ * Write a note, creating its folders; daily logs are written only by
+ * the Omega logger
+ * An existing note is replaced unless overwrite is false
+ */
+export async function writeNote(notePath, content, { overwrite = true } = {}) {
+  const { absolute, relative } = await resolveNotePath(notePath);
+
+  if (isInLogsFolder(relative)) {
+    throw vaultError('VAULT_PROTECTED', `${notePath} is in the audit log folder and cannot be written`);
+  }
+
+  await flushLogWrites();
+  await fs.mkdir(path.dirname(absolute), { recursive: true });
+
+  try {
+    await fs.writeFile(absolute, content, { encoding: obsidianConfig.encoding, flag: overwrite ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw vaultError('VAULT_EXISTS', `A note already exists at ${notePath}`);
+    }
+    throw error;
+  }
+  notifyVaultWrite(relative);
+
+  logger.info('Note written', { path: relative });
+  return toNotePath(relative);
+}
+
+function isNoteFile(name) {
+  return VAULT_PATH_DEFAULTS.extensions.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Collect the files of a folder as { relative, note, modified, size };
+ * dot folders (.obsidian, .omega-ledger) and symlinks are skipped
+ */
+async function collectFiles(folder, recursive, files) {
+  const entries = await fs.readdir(folder.absolute, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const child = {
+      absolute: path.join(folder.absolute, entry.name),
+      relative: path.posix.join(folder.relative, entry.name)
+    };
+
+    if (entry.isDirectory()) {
+      if (recursive) await collectFiles(child, recursive, files);
+    } else if (entry.isFile()) {
+      const { mtimeMs, size } = await fs.stat(child.absolute);
+      files.push({ relative: child.relative, note: isNoteFile(entry.name), modified: mtimeMs, size });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * List every file of the vault, notes and attachments, with
+ * vault-relative paths (see collectFiles)
+ */
+export async function listVaultFiles() {
+  await flushLogWrites();
+  return collectFiles(await resolveFolderPath('/'), true, []);
+}
+
+/**
+ * List the notes of a folder (see resolveFolderPath)
+ * options: { folder, recursive, sort: 'newest' | 'oldest' by modification time }
+ */
+export async function listNotes({ folder, recursive = false, sort = 'newest' } = {}) {
+  const resolved = await resolveFolderPath(folder);
+
+  await flushLogWrites();
+
+  let notes;
+  try {
+    notes = (await collectFiles(resolved, recursive, []))
+      .filter(file => file.note)
+      .map(file => ({ path: toNotePath(file.relative), modified: file.modified }));
+  } catch (error) {
+    // The logs folder only exists once something was logged
+    if (error.code === 'ENOENT' && resolved.relative === obsidianConfig.logsFolder) return [];
+    throw notFound(error, `Folder not found: ${folder}`);
+  }
+
+  notes.sort((a, b) => b.modified - a.modified || b.path.localeCompare(a.path));
+  if (sort === 'oldest') notes.reverse();
+
+  return notes.map(note => note.path);
+}
+
+/**
+ * List the direct contents of a folder
+ * Returns { folder, folders, notes, files } with vault-relative paths
+ */
+export async function listFolder(folder) {
+  const resolved = await resolveFolderPath(folder);
+
+  let entries;
+  try {
+    entries = await fs.readdir(resolved.absolute, { withFileTypes: true });
+  } catch (error) {
+    throw notFound(error, `Folder not found: ${folder}`);
+  }
+
+  const contents = { folder: resolved.relative || '/', folders: [], notes: [], files: [] };
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.')) continue;
+
+    const relative = path.posix.join(resolved.relative, entry.name);
+
+    if (entry.isDirectory()) {
+      contents.folders.push(relative);
+    } else if (isNoteFile(entry.name)) {
+      contents.notes.push(toNotePath(relative));
+    } else {
+      contents.files.push(relative);
+    }
+  }
+
+  return contents;
+}
+
+/**
+ * Create a folder and its parents
+ * Returns { folder, created }; created is false if it already existed
+ */
+export async function createFolder(folder) {
+  const { absolute, relative } = await resolveFolderPath(folder ?? '');
+
+  if (relative === '') {
+    throw vaultError('VAULT_INVALID_PATH', 'A folder path is required');
+  }
+
+  try {
+    const stats = await fs.stat(absolute);
+    if (!stats.isDirectory()) {
+      throw vaultError('VAULT_EXISTS', `A file already exists at ${folder}`);
+    }
+    return { folder: relative, created: false };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  await fs.mkdir(absolute, { recursive: true });
+
+  logger.info('Vault folder created', { folder: relative });
+  return { folder: relative, created: true };
+}
+
+/**
+ * Move or rename a note, creating the target folders
+ * Notes in the logs folder cannot be moved, nor replaced
+ */
+export async function moveNote(from, to, { overwrite = false } = {}) {
+  const source = await resolveNotePath(from);
+  const target = await resolveNotePath(to);
+
+  for (const [notePath, resolved] of [[from, source], [to, target]]) {
+    if (isInLogsFolder(resolved.relative)) {
+      throw vaultError('VAULT_PROTECTED', `${notePath} is in the audit log folder and cannot be moved or replaced`);
+    }
+  }
+
+  try {
+    if (!(await fs.stat(source.absolute)).isFile()) {
+      throw vaultError('VAULT_NOT_FOUND', `Note not found: ${from}`);
+    }
+  } catch (error) {
+    throw notFound(error, `Note not found: ${from}`);
+  }
+
+  if (!overwrite && source.absolute !== target.absolute) {
+    try {
+      await fs.access(target.absolute);
+      throw vaultError('VAULT_EXISTS', `A note already exists at ${to}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  await fs.mkdir(path.dirname(target.absolute), { recursive: true });
+  await fs.rename(source.absolute, target.absolute);
+  notifyVaultWrite(source.relative);
+  notifyVaultWrite(target.relative);
+
+  logger.info('Note moved', { from: source.relative, to: target.relative });
+  return { from: toNotePath(source.relative), to: toNotePath(target.relative) };
+}
+
+/**
+ * Delete a note; notes in the logs folder cannot be deleted
+ */
+export async function deleteNote(notePath) {
+  const { absolute, relative } = await resolveNotePath(notePath);
+
+  if (isInLogsFolder(relative)) {
+    throw vaultError('VAULT_PROTECTED', `${notePath} is in the audit log folder and cannot be deleted`);
+  }
+
+  try {
+    await fs.unlink(absolute);
+  } catch (error) {
+    throw notFound(error, `Note not found: ${notePath}`);
+  }
+  notifyVaultWrite(relative);
+
+  logger.info('Note deleted', { path: relative });
+  return toNotePath(relative);
+}
+
+export default {
+  resolveNotePath,
+  resolveFolderPath,
+  toNotePath,
+  readNote,
+  writeNote,
+  listNotes,
+  listVaultFiles,
+  listFolder,
+  createFolder,
+  moveNote,
+  deleteNote
+};
@@ -7,6 +7,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { appendLedgerEntry, flushLedger, verifyLedger } from './audit-ledger.js';
+import { redact } from '../utils/redact.js';
+import { getDryRun } from '../utils/dry-run.js';
+import { resolveVaultPath } from '../utils/vault-path.js';
+import { formatFrontmatter, joinFrontmatter } from '../utils/frontmatter.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,18 +20,90 @@ const __dirname = path.dirname(__filename);
 /**
  * Obsidian configuration
  */
-const obsidianConfig = {
+export const obsidianConfig = {
   vaultPath: process.env.OBSIDIAN_VAULT_PATH || '/app/obsidian-vault',
   logsFolder: process.env.OBSIDIAN_LOGS_FOLDER || 'MCP Logs',
   dateFormat: 'yyyy-MM-dd',
   encoding: 'utf-8'
 };
 
+/**
+ * Path of the vault; in a dry run, the scratch vault (see utils/dry-run.js)
+ */
+export function getVaultPath() {
+  return getDryRun()?.vaultPath ?? obsidianConfig.vaultPath;
+}
+
+/**
+ * Path of the logs folder inside the vault
+ */
+export function getLogsPath() {
+  return path.join(getVaultPath(), obsidianConfig.logsFolder);
+}
+
+/**
+ * Listeners told about files written through the hub (see onVaultWrite)
+ */
+const writeListeners = new Set();
+
+/**
+ * Call listener(vaultPath, relative) whenever a file of the vault is
+ * written, moved or deleted through the hub; relative is the path from
+ * the vault root. Returns a function that removes the listener
+ */
+export function onVaultWrite(listener) {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+}
+
+/**
+ * Tell the listeners that a file of the current vault changed
+ */
+export function notifyVaultWrite(relative) {
+  const vaultPath = getVaultPath();
+
+  for (const listener of writeListeners) {
+    try {
+      listener(vaultPath, relative);
+    } catch (error) {
+      logger.warn('Vault write listener failed', { path: relative, error: error.message });
+    }
+  }
+}
+
+/**
+ * Listeners told about vaults that are no longer used (see onVaultRelease)
+ */
+const releaseListeners = new Set();
+
+/**
+ * Call listener(vaultPath) when a vault is no longer used, e.g. the
+ * scratch vault of a dry run, so state kept for it can be dropped.
+ * Returns a function that removes the listener
+ */
+export function onVaultRelease(listener) {
+  releaseListeners.add(listener);
+  return () => releaseListeners.delete(listener);
+}
+
+/**
+ * Tell the listeners that a vault is no longer used
+ */
+export function releaseVault(vaultPath) {
+  for (const listener of releaseListeners) {
+    try {
+      listener(vaultPath);
+    } catch (error) {
+      logger.warn('Vault release listener failed', { vaultPath, error: error.message });
+    }
+  }
+}
+
 /**
  * Ensure vault directory exists
  */
 async function ensureVaultDirectory() {
-  const logsPath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder);
+  const logsPath = getLogsPath();
 
   try {
     await fs.mkdir(logsPath, { recursive: true });
@@ -41,9 +118,9 @@ async function ensureVaultDirectory() {
 }
 
 /**
- * Format date for filename
+ * Format date for filename (daily log files are named YYYY-MM-DD.md)
  */
-function formatDateForFilename(date = new Date()) {
+export function formatDateForFilename(date = new Date()) {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
@@ -57,87 +134,78 @@ function formatTimestamp(date = new Date()) {
   return date.toISOString();
 }
 
-/**
- * Create YAML frontmatter
- */
-function createFrontmatter(metadata) {
-  const lines = ['---'];
-
-  for (const [key, value] of Object.entries(metadata)) {
-    if (Array.isArray(value)) {
-      lines.push(`${key}:`);
-      for (const item of value) {
-        lines.push(`  - ${item}`);
-      }
-    } else if (typeof value === 'object') {
-      lines.push(`${key}:`);
-      for (const [subKey, subValue] of Object.entries(value)) {
-        lines.push(`  ${subKey}: ${subValue}`);
-      }
-    } else {
-      lines.push(`${key}: ${value}`);
-    }
-  }
-
-  lines.push('---');
-  return lines.join('\n');
-}
-
 /**
  * Write log entry to Obsidian markdown file
+ * Each entry carries a sequence number and is hash-chained in the audit ledger
+ * Secrets and emails in the data are masked before writing
+ * Tool calls also keep their data as JSON (## Data), so they can be replayed
  */
 export async function writeLogEntry(logEntry) {
-  const { timestamp, type, source, action, data, tags } = logEntry;
+  const { timestamp, type, source, action, cli, session, requestId, tags } = logEntry;
+  const data = redact(logEntry.data);
 
   try {
-    await ensureVaultDirectory();
-
     const filename = `${formatDateForFilename(new Date(timestamp))}.md`;
-    const filepath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder, filename);
+    const logsPath = getLogsPath();
+    const { absolute: filepath } = await resolveVaultPath(logsPath, filename);
 
     // Create frontmatter
-    const frontmatter = createFrontmatter({
+    const frontmatter = formatFrontmatter({
       title: `${type} - ${action}`,
       date: formatTimestamp(new Date(timestamp)),
       type,
       source,
       action,
+      ...(cli && { cli }),
+      ...(session && { session }),
+      ...(requestId && { request_id: requestId }),
       tags: tags || ['mcp-log', type, source]
     });
 
+    const agent = [
+      ...(cli ? [`**CLI**: ${cli}`] : []),
+      ...(session ? [`**Session**: ${session}`] : []),
+      ...(requestId ? [`**Request ID**: ${requestId}`] : [])
+    ].map(line => `${line}\n`).join('');
+
+    const dataBlock = type === 'tool_call'
+      ? `\n## Data\n\n\`\`\`json\n${JSON.stringify(data ?? {}, null, 2)}\n\`\`\`\n`
+      : '';
+
     // Create content
-    const content = `${frontmatter}
+    const createContent = ({ sequence, previousHash }) => `${frontmatter}
 
 ## Overview
 
 **Type**: ${type}
 **Source**: ${source}
 **Action**: ${action}
-**Timestamp**: ${formatTimestamp(new Date(timestamp))}
+${agent}**Timestamp**: ${formatTimestamp(new Date(timestamp))}
+**Sequence**: ${sequence}
+**Previous Hash**: ${previousHash}
 
 ## Details
 
 ${formatDataAsMarkdown(data)}
-
+${dataBlock}
 ---
 
 *Generated by MCP-SUPERSERVER Hub*
 `;
 
-    // Append to file
-    await fs.appendFile(filepath, `${content}\n\n`, {
-      encoding: obsidianConfig.encoding,
-      flag: 'a'
-    });
+    // Append to file, chained to the previous entry
+    const link = await appendLedgerEntry(logsPath, filename, timestamp, (chain) => `${createContent(chain)}\n\n`);
+    notifyVaultWrite(path.posix.join(obsidianConfig.logsFolder, filename));
 
     logger.info('Log entry written to Obsidian', {
       filename,
       type,
       source,
-      action
+      action,
+      sequence: link.sequence
     });
 
-    return { success: true, filepath };
+    return { success: true, filepath, sequence: link.sequence, hash: link.hash };
   } catch (error) {
     logger.error('Failed to write log entry to Obsidian', {
       error: error.message,
@@ -147,14 +215,33 @@ ${formatDataAsMarkdown(data)}
   }
 }
 
+/**
+ * Write the log entries still queued (see appendLedgerEntry)
+ * Reads of the daily logs flush first, so they see every entry written
+ */
+export async function flushLogWrites() {
+  return flushLedger(getLogsPath());
+}
+
+/**
+ * Verify the audit ledger of the daily logs (see verifyLedger)
+ */
+export async function verifyAuditChain(range = {}) {
+  return verifyLedger(getLogsPath(), range);
+}
+
 /**
  * Format data as markdown
  */
 function formatDataAsMarkdown(data, indent = 0) {
   const prefix = '  '.repeat(indent);
 
+  // Continuation lines are indented, so a value cannot start a section
+  // of its own (e.g. a forged ## Data block)
+  const inline = value => String(value).replace(/\r\n|\r|\n/g, `\n${prefix}  `);
+
   if (!data || typeof data !== 'object') {
-    return `${prefix}${String(data)}`;
+    return `${prefix}${inline(data)}`;
   }
 
   if (Array.isArray(data)) {
@@ -167,10 +254,10 @@ function formatDataAsMarkdown(data, indent = 0) {
   const lines = [];
   for (const [key, value] of Object.entries(data)) {
     if (typeof value === 'object' && value !== null) {
-      lines.push(`${prefix}**${key}**:`);
+      lines.push(`${prefix}**${inline(key)}**:`);
       lines.push(formatDataAsMarkdown(value, indent + 1));
     } else {
-      lines.push(`${prefix}**${key}**: ${value}`);
+      lines.push(`${prefix}**${inline(key)}**: ${inline(value)}`);
     }
   }
 
@@ -268,7 +355,8 @@ export async function writeError(error, context) {
 export async function getLogFiles() {
   try {
     await ensureVaultDirectory();
-    const logsPath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder);
+    await flushLogWrites();
+    const logsPath = getLogsPath();
 
     const files = await fs.readdir(logsPath);
     const mdFiles = files.filter(f => f.endsWith('.md'));
@@ -282,10 +370,12 @@ export async function getLogFiles() {
 
 /**
  * Read log file content
+ * The filename goes through the vault sandbox (see utils/vault-path.js)
  */
 export async function readLogFile(filename) {
   try {
-    const filepath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder, filename);
+    await flushLogWrites();
+    const { absolute: filepath } = await resolveVaultPath(getLogsPath(), filename);
     const content = await fs.readFile(filepath, { encoding: obsidianConfig.encoding });
     return content;
   } catch (error) {
@@ -308,8 +398,9 @@ export async function cleanupOldLogs(daysToKeep = 30) {
     for (const file of files) {
       const fileDate = new Date(file.replace('.md', ''));
       if (fileDate < cutoffDate) {
-        const filepath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder, file);
+        const { absolute: filepath } = await resolveVaultPath(getLogsPath(), file);
         await fs.unlink(filepath);
+        notifyVaultWrite(path.posix.join(obsidianConfig.logsFolder, file));
         deletedCount++;
       }
     }
@@ -327,15 +418,17 @@ export async function cleanupOldLogs(daysToKeep = 30) {
 
 /**
  * Write custom markdown content
+ * The filename goes through the vault sandbox (see utils/vault-path.js)
  */
 export async function writeMarkdown(filename, content, frontmatter = {}) {
   try {
     await ensureVaultDirectory();
+    await flushLogWrites();
 
-    const filepath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder, filename);
+    const { absolute: filepath, relative } = await resolveVaultPath(getLogsPath(), filename);
 
     const fullContent = Object.keys(frontmatter).length > 0
-      ? `${createFrontmatter(frontmatter)}\n\n${content}`
+      ? joinFrontmatter(frontmatter, `\n${content}`)
       : content;
 
     await fs.writeFile(filepath, fullContent, {
@@ -343,6 +436,8 @@ export async function writeMarkdown(filename, content, frontmatter = {}) {
       flag: 'w'
     });
 
+    notifyVaultWrite(path.posix.join(obsidianConfig.logsFolder, relative));
+
     logger.info('Markdown file written', { filename });
     return { success: true, filepath };
   } catch (error) {
@@ -353,6 +448,14 @@ export async function writeMarkdown(filename, content, frontmatter = {}) {
 
 export default {
   writeLogEntry,
+  verifyAuditChain,
+  flushLogWrites,
+  onVaultWrite,
+  notifyVaultWrite,
+  onVaultRelease,
+  releaseVault,
+  getVaultPath,
+  getLogsPath,
   writeMcpToolCall,
   writeReasoningTrace,
   writeMemoryOperation,
@@ -7,6 +7,7 @@
 import ollama from 'ollama';
 import { logger } from '../utils/logger.js';
 import { recordOllamaRequest } from '../routes/metrics.js';
+import { isAbortError, sleep } from '../utils/abort.js';
 
 /**
  * Model configuration
@@ -36,7 +37,7 @@ const MODEL_CACHE_TTL = 300000; // 5 minutes
 /**
  * Task type definitions
  */
-const taskTypes = {
+export const taskTypes = {
   REASONING: 'reasoning',
   CODING: 'coding',
   VISION: 'vision',
@@ -148,6 +149,8 @@ export function setModelForTask(taskType, modelName) {
 
 /**
  * Route request to appropriate model
+ * options.signal aborts the request, options.onProgress(progress, total, message)
+ * is called as the response is generated
  */
 export async function routeRequest(taskType, prompt, options = {}) {
   const startTime = Date.now();
@@ -210,33 +213,96 @@ export async function routeRequest(taskType, prompt, options = {}) {
   }
 }
 
+/**
+ * Consume a streamed Ollama response
+ * The stream is aborted when the signal fires; onPart is called for every part
+ */
+async function consumeStream(stream, signal, onPart) {
+  const abort = () => stream.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  try {
+    for await (const part of stream) {
+      await onPart(part);
+    }
+  } catch (error) {
+    signal?.throwIfAborted();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Run a generate or chat request as a stream and collect the parts into
+ * the same shape a non-streamed request returns
+ */
+async function executeStreamed(requestOptions, signal, onProgress) {
+  const isChat = Boolean(requestOptions.messages);
+  const stream = isChat
+    ? await ollama.chat({ ...requestOptions, stream: true })
+    : await ollama.generate({ ...requestOptions, stream: true });
+
+  let text = '';
+  let parts = 0;
+  let last = {};
+
+  await consumeStream(stream, signal, async (part) => {
+    text += isChat ? part.message?.content || '' : part.response || '';
+    parts++;
+    last = part;
+
+    if (onProgress) {
+      await onProgress(parts, undefined, `Generated ${parts} chunks`);
+    }
+  });
+
+  return isChat
+    ? { ...last, message: { ...last.message, role: 'assistant', content: text } }
+    : { ...last, response: text };
+}
+
 /**
  * Execute request with retry logic
+ * With options.signal or options.onProgress the response is streamed,
+ * so it can be aborted and reported on as it is generated
  */
 async function executeWithRetry(model, prompt, options, retryCount = 0) {
+  const { signal, onProgress, ...overrides } = options;
+
+  // The caller has already resolved the model (including the fallback)
+  delete overrides.model;
+
   const requestOptions = {
     model,
     prompt,
     host: `${modelConfig.host}:${modelConfig.port}`,
     stream: options.stream || false,
-    ...options
+    ...overrides
   };
 
   try {
-    if (options.images) {
-      return await ollama.generate({
-        ...requestOptions,
-        images: options.images
-      });
-    } else if (options.chat) {
-      return await ollama.chat({
-        ...requestOptions,
-        messages: options.messages || [{ role: 'user', content: prompt }]
-      });
-    } else {
-      return await ollama.generate(requestOptions);
+    signal?.throwIfAborted();
+
+    if (options.chat) {
+      requestOptions.messages = options.messages || [{ role: 'user', content: prompt }];
+    }
+
+    if ((signal || onProgress) && !options.stream) {
+      return await executeStreamed(requestOptions, signal, onProgress);
     }
+
+    if (options.chat) {
+      return await ollama.chat(requestOptions);
+    }
+
+    return await ollama.generate(requestOptions);
   } catch (error) {
+    if (isAbortError(error) || signal?.aborted) {
+      logger.info('Ollama request aborted', { model });
+      throw error;
+    }
+
     if (retryCount < modelConfig.maxRetries && isRetryableError(error)) {
       logger.warn('Retrying Ollama request', {
         attempt: retryCount + 1,
@@ -244,7 +310,7 @@ async function executeWithRetry(model, prompt, options, retryCount = 0) {
         error: error.message
       });
 
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, retryCount) * 1000));
+      await sleep(Math.pow(2, retryCount) * 1000, signal);
       return executeWithRetry(model, prompt, options, retryCount + 1);
     }
 
@@ -450,14 +516,40 @@ export async function getModelInfo(modelName) {
 
 /**
  * Pull a model
+ * options.signal aborts the download, options.onProgress(completed, total, status)
+ * receives the download progress in bytes
  */
-export async function pullModel(modelName) {
+export async function pullModel(modelName, options = {}) {
+  const { signal, onProgress } = options;
+
   logger.info('Pulling Ollama model', { modelName });
 
   try {
-    const response = await ollama.pull({
+    signal?.throwIfAborted();
+
+    const stream = await ollama.pull({
       model: modelName,
-      host: `${modelConfig.host}:${modelConfig.port}`
+      host: `${modelConfig.host}:${modelConfig.port}`,
+      stream: true
+    });
+
+    let response = {};
+    const layers = new Map();
+
+    await consumeStream(stream, signal, async (part) => {
+      response = part;
+
+      // Progress is reported per layer; sum the layers into one counter
+      if (part.digest && part.total) {
+        layers.set(part.digest, { completed: part.completed || 0, total: part.total });
+      }
+
+      if (onProgress) {
+        const sizes = Array.from(layers.values());
+        const completed = sizes.reduce((sum, layer) => sum + layer.completed, 0);
+        const total = sizes.reduce((sum, layer) => sum + layer.total, 0);
+        await onProgress(completed, total || undefined, part.status);
+      }
     });
 
     logger.info('Model pulled successfully', { modelName });
@@ -0,0 +1,48 @@
+// ============================================================
+// Abort Helpers
+// ============================================================
+// Description: Cancellation support for long-running operations
+
+/**
+ * Check whether an error was caused by an aborted signal
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts
+ * The underlying operation is not stopped; callers release it themselves
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Wait for a delay; rejects early when the signal aborts
+ */
+export function sleep(ms, signal) {
+  return abortable(new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }), signal);
+}
+
+export default {
+  isAbortError,
+  abortable,
+  sleep
+};
@@ -0,0 +1,97 @@
+// ============================================================
+// Circuit Breaker
+// ============================================================
+// Description: Stop calling a failing dependency until it has had time to recover
+
+/**
+ * Circuit breaker states
+ */
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker
+ *   closed    - calls pass through; consecutive failures are counted
+ *   open      - calls are rejected until resetTimeout has elapsed
+ *   half_open - one trial call is let through; success closes, failure reopens
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.onStateChange = options.onStateChange || (() => {});
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Move to a new state and notify listener
+   */
+  transition(state) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange(this.name, state, previous);
+  }
+
+  /**
+   * Check whether a call may be attempted now
+   */
+  canRequest() {
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() - this.openedAt >= this.resetTimeout) {
+        this.transition(CircuitState.HALF_OPEN);
+        return true;
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.transition(CircuitState.CLOSED);
+  }
+
+  /**
+   * Record a failed call
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = error?.message || null;
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  /**
+   * Get breaker status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      last_failure: this.lastFailure
+    };
+  }
+}
+
+export default {
+  CircuitBreaker,
+  CircuitState
+};
@@ -0,0 +1,31 @@
+// ============================================================
+// Dry Run Scope
+// ============================================================
+// Description: Run code against stand-ins for Neo4j and the Obsidian
+// vault. The stand-ins follow the async context, so calls made outside
+// the dry run keep using the real backends
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const dryRunStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn with stand-ins: { graph, vaultPath }
+ *   graph     - answers Neo4j queries, { run(cypher, params) }
+ *   vaultPath - directory used as the Obsidian vault
+ */
+export function runDryRun(standIns, fn) {
+  return dryRunStorage.run(standIns, fn);
+}
+
+/**
+ * Get the stand-ins of the current dry run, or null outside a dry run
+ */
+export function getDryRun() {
+  return dryRunStorage.getStore() ?? null;
+}
+
+export default {
+  runDryRun,
+  getDryRun
+};
@@ -0,0 +1,109 @@
+// ============================================================
+// YAML Frontmatter
+// ============================================================
+// Description: Read and write the YAML frontmatter of markdown notes.
+// Values keep their type and key order, and the note body is left
+// byte for byte as it was
+
+import yaml from 'js-yaml';
+
+/**
+ * YAML options; the core schema keeps dates such as 2024-01-15 as
+ * strings, so they are written back unchanged
+ */
+const YAML_OPTIONS = {
+  schema: yaml.CORE_SCHEMA,
+  lineWidth: -1,
+  noRefs: true,
+  skipInvalid: true
+};
+
+/**
+ * Frontmatter block at the start of a note, closed by --- or ...
+ */
+const FRONTMATTER_PATTERN = /^---\r?\n(?:([\s\S]*?)\r?\n)??(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Error for frontmatter that is not a YAML mapping (code FRONTMATTER_INVALID)
+ */
+function invalidFrontmatter(message) {
+  const error = new Error(message);
+  error.code = 'FRONTMATTER_INVALID';
+  return error;
+}
+
+/**
+ * Split a note into its frontmatter and body
+ * Returns { frontmatter, body }; frontmatter is null if the note has none
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+
+  if (!match) {
+    return { frontmatter: null, body: content };
+  }
+
+  let frontmatter;
+  try {
+    frontmatter = yaml.load(match[1] ?? '', { schema: YAML_OPTIONS.schema }) ?? {};
+  } catch (error) {
+    throw invalidFrontmatter(`Invalid YAML frontmatter: ${error.reason || error.message}`);
+  }
+
+  if (typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+    throw invalidFrontmatter('Frontmatter must be a YAML mapping');
+  }
+
+  return { frontmatter, body: content.slice(match[0].length) };
+}
+
+/**
+ * Format properties as a frontmatter block, from --- to ---
+ * Strings are quoted where YAML needs it (e.g. titles with : or #)
+ */
+export function formatFrontmatter(properties) {
+  const entries = Object.keys(properties).length > 0 ? yaml.dump(properties, YAML_OPTIONS) : '';
+  return `---\n${entries}---`;
+}
+
+/**
+ * Join frontmatter and a body into a note
+ * The body is used as given, so parseFrontmatter gives it back unchanged
+ */
+export function joinFrontmatter(properties, body) {
+  return `${formatFrontmatter(properties)}\n${body}`;
+}
+
+/**
+ * Set properties in the frontmatter of a note, without touching the body
+ * A null value removes the property; existing keys keep their position
+ * and new ones are added at the end
+ * Returns { content, frontmatter }
+ */
+export function updateFrontmatter(content, changes) {
+  const { frontmatter, body } = parseFrontmatter(content);
+  const updated = { ...frontmatter };
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
+  }
+
+  // A note without frontmatter gets one, separated by a blank line
+  const noteBody = frontmatter === null ? `\n${body}` : body;
+
+  return {
+    content: joinFrontmatter(updated, noteBody),
+    frontmatter: updated
+  };
+}
+
+export default {
+  parseFrontmatter,
+  formatFrontmatter,
+  joinFrontmatter,
+  updateFrontmatter
+};
@@ -12,6 +12,7 @@
 
 import winston from 'winston';
 import { format } from 'winston';
+import { redact } from './redact.js';
 
 const { combine, timestamp, printf, colorize } = format;
 
@@ -46,12 +47,19 @@ const consoleFormat = printf((info) => {
   return msg;
 });
 
+/**
+ * Mask secrets and emails in the message and metadata (see redact.js)
+ * Runs at logger level, so every transport receives redacted entries
+ */
+const redactFormat = format((info) => Object.assign(info, redact({ ...info })));
+
 /**
  * Create and configure Winston logger instance
  */
 export const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: combine(
+    redactFormat(),
     colorize(),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     consoleFormat
@@ -0,0 +1,150 @@
+// ============================================================
+// Secret and PII Redaction
+// ============================================================
+// Description: Mask credentials, tokens and emails before data reaches
+// the Obsidian vault, the Winston logs or the Protocol Omega APIs
+
+/**
+ * Replacement for redacted values
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Key names whose values are always masked
+ * Keys are compared lowercased without - and _, and also match as a
+ * suffix (e.g. neo4jPassword, x-api-key, aws_secret_access_key)
+ */
+const DEFAULT_SENSITIVE_KEYS = [
+  'password',
+  'passwd',
+  'passphrase',
+  'secret',
+  'token',
+  'apikey',
+  'accesskey',
+  'privatekey',
+  'authorization',
+  'cookie',
+  'credentials'
+];
+
+/**
+ * Token-like values masked wherever they appear in a string
+ */
+const SECRET_PATTERNS = [
+  // PEM private keys
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, REDACTED],
+  // Bearer tokens
+  [/\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi, `Bearer ${REDACTED}`],
+  // AWS access key IDs
+  [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, REDACTED],
+  // JSON Web Tokens
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED],
+  // GitHub and OpenAI-style API keys
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|sk-[A-Za-z0-9_-]{20,})\b/g, REDACTED],
+  // Credentials in URLs
+  [/\b([a-z][a-z0-9+.-]*:\/\/[^\s:@/]+):[^\s@/]+@/gi, `$1:${REDACTED}@`],
+  // key=value, key: value and "key":"value" pairs, e.g. password=hunter2,
+  // aws_secret_access_key: ... or "neo4jPassword":"..."
+  [/\b([a-z0-9_-]*?(?:password|passwd|pwd|passphrase|secret|token|api[_-]?key|access[_-]?key)\b["']?\s*[:=]\s*)(["']?)[^\s"',;&]+\2/gi, `$1$2${REDACTED}$2`]
+];
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+/**
+ * Redaction configuration
+ */
+const redactionConfig = {
+  keys: [...DEFAULT_SENSITIVE_KEYS, ...parseKeys(process.env.LOG_REDACT_KEYS)],
+  emails: process.env.LOG_REDACT_EMAILS !== 'false'
+};
+
+function parseKeys(value) {
+  return (value || '').split(',').map(key => normalizeKey(key)).filter(Boolean);
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_\s]/g, '');
+}
+
+/**
+ * Check whether a key name holds a secret
+ */
+export function isSensitiveKey(key) {
+  const normalized = normalizeKey(key);
+  return redactionConfig.keys.some(sensitive => normalized === sensitive || normalized.endsWith(sensitive));
+}
+
+/**
+ * Mask token-like values and emails in a string
+ */
+export function redactString(value) {
+  let result = value;
+
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  if (redactionConfig.emails) {
+    result = result.replace(EMAIL_PATTERN, REDACTED);
+  }
+
+  return result;
+}
+
+/**
+ * Redact a value of any shape; returns a copy, the input is not modified
+ * Values under sensitive keys are masked entirely, strings are scanned
+ * for secrets and emails
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, stack: value.stack }, seen);
+  }
+
+  const result = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = isSensitiveKey(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, seen);
+  }
+
+  return result;
+}
+
+/**
+ * Add key names to mask, or turn email masking on or off
+ */
+export function configureRedaction({ keys, emails } = {}) {
+  if (keys) {
+    redactionConfig.keys = [...DEFAULT_SENSITIVE_KEYS, ...keys.map(normalizeKey)];
+  }
+
+  if (emails !== undefined) {
+    redactionConfig.emails = emails;
+  }
+}
+
+export default {
+  redact,
+  redactString,
+  isSensitiveKey,
+  configureRedaction,
+  REDACTED
+};
@@ -0,0 +1,119 @@
+// ============================================================
+// Vault Path Sandbox
+// ============================================================
+// Description: Resolve agent-supplied paths inside the Obsidian vault.
+// Paths are canonicalized with symlinks followed, so "..", absolute
+// paths and symlinks pointing outside the vault are all rejected
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Extensions of files that can be read and written
+ */
+export const VAULT_PATH_DEFAULTS = {
+  extensions: ['.md']
+};
+
+/**
+ * Error for a path that is not allowed (code VAULT_INVALID_PATH)
+ */
+function invalidPath(message) {
+  const error = new Error(message);
+  error.code = 'VAULT_INVALID_PATH';
+  return error;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || !(relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative));
+}
+
+/**
+ * Canonical path of a possibly missing file: the real path of its
+ * deepest existing ancestor, followed by the missing segments
+ * A dangling symlink is rejected, as writing through it would create
+ * its target wherever that is
+ */
+async function canonicalize(target) {
+  const missing = [];
+  let current = target;
+
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...missing.reverse());
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const stats = await fs.lstat(current).catch(() => null);
+    if (stats?.isSymbolicLink()) {
+      throw invalidPath(`Symlink target does not exist: ${current}`);
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return path.join(current, ...missing.reverse());
+
+    missing.push(path.basename(current));
+    current = parent;
+  }
+}
+
+/**
+ * Resolve a path relative to root, which must stay inside root
+ * options:
+ *   extensions - allowed file extensions, or null for a folder
+ *                (default VAULT_PATH_DEFAULTS.extensions)
+ * Hidden segments (.obsidian, .omega-ledger) are not allowed either
+ * Returns { absolute, relative }: the canonical path and the path
+ * relative to root with forward slashes ('' for root itself)
+ */
+export async function resolveVaultPath(root, relativePath, { extensions = VAULT_PATH_DEFAULTS.extensions } = {}) {
+  if (typeof relativePath !== 'string') {
+    throw invalidPath('Path must be a string');
+  }
+  if (relativePath.includes('\0')) {
+    throw invalidPath('Path contains a null byte');
+  }
+
+  const normalized = relativePath.replace(/\\/g, '/');
+  if (path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized)) {
+    throw invalidPath(`Path must be relative to the vault: ${relativePath}`);
+  }
+
+  const realRoot = await canonicalize(path.resolve(root));
+  const requested = path.resolve(realRoot, normalized);
+
+  // ".." is resolved by name, before symlinks are followed, then the
+  // real path is checked again
+  if (!isInside(realRoot, requested)) {
+    throw invalidPath(`Path is outside the vault: ${relativePath}`);
+  }
+
+  const absolute = await canonicalize(requested);
+  if (!isInside(realRoot, absolute)) {
+    throw invalidPath(`Path is outside the vault: ${relativePath}`);
+  }
+
+  const relative = path.relative(realRoot, absolute).split(path.sep).join('/');
+
+  if (relative.split('/').some(segment => segment.startsWith('.'))) {
+    throw invalidPath(`Hidden files and folders are not accessible: ${relativePath}`);
+  }
+
+  if (extensions) {
+    if (relative === '') {
+      throw invalidPath('A file path is required');
+    }
+    if (!extensions.includes(path.posix.extname(relative).toLowerCase())) {
+      throw invalidPath(`Only ${extensions.join(', ')} files are accessible: ${relativePath}`);
+    }
+  }
+
+  return { absolute, relative };
+}
+
+export default {
+  VAULT_PATH_DEFAULTS,
+  resolveVaultPath
+};
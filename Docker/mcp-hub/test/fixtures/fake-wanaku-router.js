@@ -0,0 +1,97 @@
+// ============================================================
+// Fake Wanaku Router
+// ============================================================
+// Description: In-process stand-in for the Wanaku router used by tests.
+// Implements the discovery API (register/deregister/ping) and an MCP
+// Streamable HTTP endpoint that answers calls to registered tools.
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { BaseMCPServer, createInputSchema } from '../../src/mcp/base-server.js';
+
+const DISCOVERY_PATH = '/api/v1/management/discovery';
+
+/**
+ * Start a fake router on a random local port
+ */
+export async function startFakeWanakuRouter() {
+  const app = express();
+  const services = new Map();
+  const pings = [];
+  const calls = [];
+
+  const mcpServer = new BaseMCPServer({ name: 'fake-wanaku', version: '1.0.0' });
+
+  app.use(express.json());
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', services: services.size });
+  });
+
+  app.post(`${DISCOVERY_PATH}/register`, (req, res) => {
+    const id = req.body.id || randomUUID();
+    services.set(id, req.body);
+
+    for (const tool of req.body.tools || []) {
+      if (!mcpServer.getTool(tool)) {
+        mcpServer.registerTool({
+          name: tool,
+          description: `Routed tool ${tool}`,
+          inputSchema: createInputSchema({}),
+          handler: async (args) => {
+            calls.push({ service: req.body.service, tool, args });
+            return { routedTo: req.body.service, tool, arguments: args };
+          }
+        });
+      }
+    }
+
+    res.json({ data: { id, service: req.body.service } });
+  });
+
+  app.post(`${DISCOVERY_PATH}/ping`, (req, res) => {
+    pings.push(req.body.id);
+
+    if (!services.has(req.body.id)) {
+      return res.status(404).json({ error: { message: 'Unknown service' } });
+    }
+
+    res.json({ data: { id: req.body.id } });
+  });
+
+  app.post(`${DISCOVERY_PATH}/deregister`, (req, res) => {
+    services.delete(req.body.id);
+    res.json({ data: { id: req.body.id } });
+  });
+
+  await mcpServer.start({ transport: 'http', app, path: '/mcp' });
+
+  const httpServer = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const { port } = httpServer.address();
+
+  return {
+    host: '127.0.0.1',
+    port,
+    url: `http://127.0.0.1:${port}`,
+    services,
+    pings,
+    calls,
+
+    /**
+     * Forget all registrations, as if the router restarted
+     */
+    reset() {
+      services.clear();
+    },
+
+    async close() {
+      await mcpServer.stop();
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
+
+export default startFakeWanakuRouter;
@@ -0,0 +1,291 @@
+// ============================================================
+// Integration Tests: MCP Routes
+// ============================================================
+// Description: Exercise /mcp/* against the real server instances
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('MCP Routes Integration Tests', () => {
+  let httpServer;
+  let baseUrl;
+  let vaultPath;
+
+  before(async () => {
+    vaultPath = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-routes-'));
+    process.env.OBSIDIAN_VAULT_PATH = vaultPath;
+    process.env.CLI_RULES_PATH = path.resolve(__dirname, '../../../../config/cli-rules');
+
+    const { default: express } = await import('express');
+    const { default: mcpRoutes } = await import('../../src/routes/mcp.js');
+    const { errorHandler } = await import('../../src/middleware/error-handler.js');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/mcp', mcpRoutes);
+    app.use(errorHandler);
+
+    await new Promise(resolve => {
+      httpServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+  });
+
+  after(async () => {
+    const { closeMcpSessions } = await import('../../src/routes/mcp.js');
+    await closeMcpSessions();
+    await new Promise(resolve => httpServer.close(resolve));
+    const { flushLogWrites } = await import('../../src/services/obsidian-writer.js');
+    await flushLogWrites();
+    await fs.rm(vaultPath, { recursive: true, force: true });
+  });
+
+  it('should list all five MCP servers and the gateway', async () => {
+    const response = await fetch(`${baseUrl}/servers`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.count, 6);
+    assert.deepEqual(
+      body.servers.map(s => s.name).sort(),
+      ['hub', 'neo4j-memory', 'obsidian-memory', 'ollama', 'sequential-thinking', 'task-master']
+    );
+  });
+
+  it('should list tools for a server', async () => {
+    const response = await fetch(`${baseUrl}/task-master/tools`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(body.tools.some(t => t.name === 'create_task'));
+  });
+
+  it('should return 404 for unknown servers and tools', async () => {
+    const unknownServer = await fetch(`${baseUrl}/nope/tools`);
+    assert.equal(unknownServer.status, 404);
+
+    const unknownTool = await fetch(`${baseUrl}/ollama/tools/nope`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    assert.equal(unknownTool.status, 404);
+  });
+
+  it('should call a tool with the JSON body as arguments', async () => {
+    const response = await fetch(`${baseUrl}/obsidian-memory/tools/list_notes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ limit: 5 })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    const result = JSON.parse(body.content[0].text);
+    assert.equal(result.success, true);
+    // Only the daily log holding the Protocol Omega entry of this call
+    assert.equal(result.count, 1);
+  });
+
+  it('should read a resource by URI', async () => {
+    const response = await fetch(`${baseUrl}/obsidian-memory/resources/obsidian://vault/info`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.contents[0].uri, 'obsidian://vault/info');
+    assert.equal(JSON.parse(body.contents[0].text).vaultPath, vaultPath);
+  });
+
+  it('should render a prompt from the JSON body arguments', async () => {
+    const { writeSystemEvent, flushLogWrites } = await import('../../src/services/obsidian-writer.js');
+    await writeSystemEvent('prompt-check', { version: '1.0.0' });
+    await flushLogWrites();
+
+    const response = await fetch(`${baseUrl}/obsidian-memory/prompts/summarize_daily_log`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(body.messages[0].content.text, /prompt-check/);
+  });
+
+  it('should return 400 when a required prompt argument is missing', async () => {
+    const response = await fetch(`${baseUrl}/task-master/prompts/plan_task_breakdown`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  describe('MCP Transport', () => {
+    it('should serve MCP over Streamable HTTP with a session ID', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/task-master/transport`));
+      await client.connect(transport);
+
+      assert.ok(transport.sessionId);
+
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(t => t.name === 'create_task'));
+
+      await transport.terminateSession();
+      await client.close();
+    });
+
+    it('should keep separate sessions for concurrent clients', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+      const clients = [];
+      for (let i = 0; i < 2; i++) {
+        const client = new Client({ name: `agent-${i}`, version: '1.0.0' });
+        const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/ollama/transport`));
+        await client.connect(transport);
+        clients.push({ client, transport });
+      }
+
+      assert.notEqual(clients[0].transport.sessionId, clients[1].transport.sessionId);
+
+      const response = await fetch(`${baseUrl}/servers`);
+      const body = await response.json();
+      assert.equal(body.servers.find(s => s.name === 'ollama').sessions, 2);
+
+      for (const { client, transport } of clients) {
+        await transport.terminateSession();
+        await client.close();
+      }
+    });
+
+    it('should reject requests without a session that are not initialize', async () => {
+      const response = await fetch(`${baseUrl}/ollama/transport`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('should expose every server through the gateway', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+      const client = new Client({ name: 'gateway-client', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/hub/transport`));
+      await client.connect(transport);
+
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(t => t.name === 'neo4j-memory.create_entity'));
+      assert.ok(tools.some(t => t.name === 'task-master.create_task'));
+
+      const result = await client.callTool({ name: 'obsidian-memory.list_notes', arguments: {} });
+      assert.equal(JSON.parse(result.content[0].text).success, true);
+
+      const resource = await client.readResource({ uri: 'obsidian://vault/info' });
+      assert.equal(JSON.parse(resource.contents[0].text).vaultPath, vaultPath);
+
+      const { prompts } = await client.listPrompts();
+      const promptNames = prompts.map(p => p.name);
+      assert.ok(promptNames.includes('cli_rules_claude_code'));
+      assert.ok(promptNames.includes('task-master.plan_task_breakdown'));
+      assert.ok(promptNames.includes('sequential-thinking.start_reasoning_chain'));
+
+      const prompt = await client.getPrompt({
+        name: 'sequential-thinking.start_reasoning_chain',
+        arguments: { problem: 'Why is the cache cold?' }
+      });
+      assert.match(prompt.messages[0].content.text, /Problem: Why is the cache cold\?/);
+
+      await transport.terminateSession();
+      await client.close();
+    });
+
+    it('should read notes through a resource template and notify subscribers', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+      const { ResourceUpdatedNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
+
+      const client = new Client({ name: 'subscriber', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/hub/transport`));
+      await client.connect(transport);
+
+      const { resourceTemplates } = await client.listResourceTemplates();
+      assert.deepEqual(
+        resourceTemplates.map(t => t.uriTemplate).sort(),
+        ['neo4j://entity/{label}/{id}', 'obsidian://notes/{+filename}', 'tasks://task/{id}']
+      );
+
+      const uri = 'obsidian://notes/AI_Memory/My%20Notes/subscribed.md';
+      const updated = new Promise(resolve => {
+        client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+          if (notification.params.uri === uri) resolve(notification.params.uri);
+        });
+      });
+
+      await client.subscribeResource({ uri });
+      await client.callTool({
+        name: 'obsidian-memory.write_note',
+        arguments: { filename: 'AI_Memory/My Notes/subscribed.md', content: 'first version' }
+      });
+
+      assert.equal(await updated, uri);
+
+      const resource = await client.readResource({ uri });
+      assert.equal(resource.contents[0].mimeType, 'text/markdown');
+      assert.match(resource.contents[0].text, /first version/);
+
+      await transport.terminateSession();
+      await client.close();
+    });
+
+    it('should send progress notifications for content searches', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+      const client = new Client({ name: 'progress-client', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/obsidian-memory/transport`));
+      await client.connect(transport);
+
+      const progress = [];
+      const result = await client.callTool(
+        { name: 'search_notes', arguments: { query: 'needle', searchContent: true } },
+        undefined,
+        { onprogress: (update) => progress.push(update) }
+      );
+
+      assert.equal(JSON.parse(result.content[0].text).success, true);
+      assert.ok(progress.length > 0);
+      assert.ok(progress.every(update => update.total > 0));
+
+      await transport.terminateSession();
+      await client.close();
+    });
+
+    it('should fall back to SSE', async () => {
+      const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+      const { SSEClientTransport } = await import('@modelcontextprotocol/sdk/client/sse.js');
+
+      const client = new Client({ name: 'sse-client', version: '1.0.0' });
+      await client.connect(new SSEClientTransport(new URL(`${baseUrl}/obsidian-memory/transport/sse`)));
+
+      const { resources } = await client.listResources();
+      assert.ok(resources.some(r => r.uri === 'obsidian://vault/info'));
+
+      await client.close();
+    });
+  });
+});
@@ -0,0 +1,273 @@
+// ============================================================
+// Integration Tests: Protocol Omega Routes
+// ============================================================
+// Description: Audit trail endpoints against a temporary Obsidian vault
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+describe('Protocol Omega Routes Integration Tests', () => {
+  let httpServer;
+  let baseUrl;
+  let vaultPath;
+  let writer;
+
+  before(async () => {
+    vaultPath = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-routes-'));
+    process.env.OBSIDIAN_VAULT_PATH = vaultPath;
+    process.env.OMEGA_APPROVERS = 'jane:jane-key,ops:ops-key';
+
+    const { default: express } = await import('express');
+    const { default: omegaRoutes } = await import('../../src/routes/omega.js');
+    const { errorHandler } = await import('../../src/middleware/error-handler.js');
+    writer = await import('../../src/services/obsidian-writer.js');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/omega', omegaRoutes);
+    app.use(errorHandler);
+
+    await new Promise(resolve => {
+      httpServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}/omega`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => httpServer.close(resolve));
+    await writer.flushLogWrites();
+    await fs.rm(vaultPath, { recursive: true, force: true });
+  });
+
+  describe('GET /omega/verify', () => {
+    it('should report an intact chain', async () => {
+      await writer.writeSystemEvent('startup', { version: '1.0.0' });
+      await writer.writeSystemEvent('ready', { servers: 6 });
+
+      const response = await fetch(`${baseUrl}/verify`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.valid, true);
+      assert.equal(body.checked, 2);
+    });
+
+    it('should report the first broken link with 409', async () => {
+      const filename = `${writer.formatDateForFilename()}.md`;
+      const file = path.join(vaultPath, writer.obsidianConfig.logsFolder, filename);
+      const content = await fs.readFile(file, 'utf-8');
+      await fs.writeFile(file, content.replace('**servers**: 6', '**servers**: 7'));
+
+      const response = await fetch(`${baseUrl}/verify?from=${writer.formatDateForFilename()}`);
+      const body = await response.json();
+
+      assert.equal(response.status, 409);
+      assert.equal(body.valid, false);
+      assert.equal(body.failure.reason, 'tampered_entry');
+      assert.equal(body.failure.sequence, 2);
+      assert.equal(body.failure.file, filename);
+    });
+
+    it('should reject malformed dates', async () => {
+      const response = await fetch(`${baseUrl}/verify?to=tomorrow`);
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('GET /omega/audit', () => {
+    it('should filter and page entries', async () => {
+      const response = await fetch(`${baseUrl}/audit?type=system&source=hub&limit=1`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.total, 2);
+      assert.equal(body.count, 1);
+      assert.equal(body.entries[0].action, 'ready');
+
+      const next = await (await fetch(`${baseUrl}/audit?type=system&limit=1&offset=1`)).json();
+      assert.equal(next.entries[0].action, 'startup');
+    });
+
+    it('should export CSV', async () => {
+      const response = await fetch(`${baseUrl}/audit?tag=startup&format=csv`);
+      const [header, row] = (await response.text()).split('\r\n');
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/csv/);
+      assert.match(response.headers.get('content-disposition'), /audit-log\.csv/);
+      assert.equal(response.headers.get('x-total-count'), '1');
+      assert.match(header, /^sequence,timestamp,file,type,source,action/);
+      assert.match(row, /,system,hub,startup,/);
+    });
+
+    it('should reject invalid queries', async () => {
+      for (const query of ['format=xml', 'limit=-1', 'limit=5000', 'from=yesterday', 'order=newest', 'type=a&type=b']) {
+        assert.equal((await fetch(`${baseUrl}/audit?${query}`)).status, 400, query);
+      }
+    });
+  });
+
+  describe('POST /omega/replay', () => {
+    const replay = (body, key) => fetch(`${baseUrl}/replay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }) },
+      body: JSON.stringify(body)
+    });
+
+    it('should report an empty dry run', async () => {
+      const response = await replay({ server: 'task-master' });
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.dry_run, true);
+      assert.equal(body.total, 0);
+    });
+
+    it('should require an approver key to replay against the live servers', async () => {
+      assert.equal((await replay({ server: 'task-master', dryRun: false })).status, 401);
+      assert.equal((await replay({ server: 'task-master', dryRun: false }, 'guessed-key')).status, 401);
+      assert.equal((await replay({ server: 'task-master', dryRun: 'false' })).status, 401);
+
+      const response = await replay({ server: 'task-master', dryRun: false }, 'ops-key');
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).dry_run, false);
+    });
+
+    it('should refuse live replays while no approver key is set', async () => {
+      const { configureApprovers } = await import('../../src/middleware/approver-auth.js');
+      configureApprovers({ approvers: '', apiKey: '' });
+
+      try {
+        assert.equal((await replay({ server: 'task-master', dryRun: false })).status, 403);
+      } finally {
+        configureApprovers({ approvers: process.env.OMEGA_APPROVERS, apiKey: '' });
+      }
+    });
+
+    it('should reject invalid replays', async () => {
+      for (const body of [{}, { server: 'ollama' }, { server: 'task-master', dryRun: 'yes' }, { server: 'task-master', limit: 0 }]) {
+        assert.equal((await replay(body, 'ops-key')).status, 400, JSON.stringify(body));
+      }
+    });
+  });
+
+  describe('/omega/approvals', () => {
+    let server;
+    let runs;
+
+    const decide = (id, body, key = 'ops-key') => fetch(`${baseUrl}/approvals/${id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }) },
+      body: JSON.stringify(body)
+    });
+
+    const nextPendingApproval = async () => {
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const body = await (await fetch(`${baseUrl}/approvals?status=pending`)).json();
+        if (body.count > 0) return body.approvals[0];
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error('No pending approval');
+    };
+
+    before(async () => {
+      const { BaseMCPServer, createTool, createInputSchema } = await import('../../src/mcp/base-server.js');
+      const { configurePolicy } = await import('../../src/middleware/omega-policy.js');
+
+      configurePolicy({
+        document: {
+          rules: [{ name: 'review-deletes', tool: 'delete_item', effect: 'require-approval' }]
+        }
+      });
+
+      runs = 0;
+      server = new BaseMCPServer({ name: 'items' });
+      server.registerTool(createTool(
+        'delete_item',
+        'Delete an item',
+        createInputSchema({ id: { type: 'string', description: 'Item ID' } }, ['id']),
+        async (args) => {
+          runs++;
+          return { success: true, deleted: args.id };
+        }
+      ));
+    });
+
+    it('should list a parked call and complete it once approved', async () => {
+      const call = server.callTool('delete_item', { id: 'item-1' });
+      const pending = await nextPendingApproval();
+
+      assert.equal(pending.tool, 'delete_item');
+      assert.deepEqual(pending.arguments, { id: 'item-1' });
+      assert.equal(runs, 0);
+
+      const response = await decide(pending.id, { decision: 'approve', decidedBy: 'agent', comment: 'Checked' });
+      const decided = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(decided.status, 'approved');
+      assert.equal(decided.decided_by, 'ops');
+
+      const result = await call;
+      assert.equal(JSON.parse(result.content[0].text).deleted, 'item-1');
+      assert.equal(runs, 1);
+
+      const single = await (await fetch(`${baseUrl}/approvals/${pending.id}`)).json();
+      assert.equal(single.status, 'approved');
+    });
+
+    it('should fail the parked call once rejected', async () => {
+      const call = server.callTool('delete_item', { id: 'item-2' });
+      const pending = await nextPendingApproval();
+
+      assert.equal((await decide(pending.id, { decision: 'reject' })).status, 200);
+      assert.equal(JSON.parse((await call).content[0].text).code, 'OMEGA_APPROVAL_REJECTED');
+
+      assert.equal((await decide(pending.id, { decision: 'approve' })).status, 409);
+      assert.equal(runs, 1);
+    });
+
+    it('should only accept decisions from an approver key', async () => {
+      const call = server.callTool('delete_item', { id: 'item-3' });
+      const pending = await nextPendingApproval();
+
+      assert.equal((await decide(pending.id, { decision: 'approve', decidedBy: 'jane' }, null)).status, 401);
+      assert.equal((await decide(pending.id, { decision: 'approve' }, 'guessed-key')).status, 401);
+      assert.equal((await fetch(`${baseUrl}/approvals/${pending.id}`)).status, 200);
+      assert.equal(runs, 1);
+
+      const response = await fetch(`${baseUrl}/approvals/${pending.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer jane-key' },
+        body: JSON.stringify({ decision: 'approve' })
+      });
+      assert.equal((await response.json()).decided_by, 'jane');
+
+      await call;
+      assert.equal(runs, 2);
+    });
+
+    it('should refuse decisions while no approver key is set', async () => {
+      const { configureApprovers } = await import('../../src/middleware/approver-auth.js');
+      configureApprovers({ approvers: '', apiKey: 'change_me_in_production' });
+
+      try {
+        assert.equal((await decide('missing', { decision: 'approve' }, 'change_me_in_production')).status, 403);
+      } finally {
+        configureApprovers({ approvers: process.env.OMEGA_APPROVERS, apiKey: '' });
+      }
+    });
+
+    it('should reject unknown approvals and decisions', async () => {
+      assert.equal((await decide('missing', { decision: 'approve' })).status, 404);
+      assert.equal((await decide('missing', { decision: 'maybe' })).status, 400);
+      assert.equal((await decide('missing', { decision: 'approve', comment: { note: 'ok' } })).status, 400);
+      assert.equal((await decide('missing', { decision: 'approve', comment: 'x'.repeat(1001) })).status, 400);
+      assert.equal((await fetch(`${baseUrl}/approvals?status=unknown`)).status, 400);
+      assert.equal((await fetch(`${baseUrl}/approvals/missing`)).status, 404);
+    });
+  });
+});
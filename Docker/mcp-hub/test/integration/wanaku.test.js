@@ -0,0 +1,323 @@
+// ============================================================
+// Integration Tests: Wanaku Router Client
+// ============================================================
+// Description: Registration, heartbeat and MCP tool calls against a fake router
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamableHTTPError } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { WanakuClient } from '../../src/mcp/wanaku-client.js';
+import { TaskMasterServer } from '../../src/mcp/servers/task-master-server.js';
+import { Neo4jMemoryServer } from '../../src/mcp/servers/neo4j-memory-server.js';
+import { GatewayServer } from '../../src/mcp/servers/gateway-server.js';
+import { CircuitBreaker } from '../../src/utils/circuit-breaker.js';
+import { register } from '../../src/routes/metrics.js';
+import { startFakeWanakuRouter } from '../fixtures/fake-wanaku-router.js';
+import { configureProtocolOmega } from '../../src/middleware/protocol-omega.js';
+
+describe('Wanaku Integration Tests', () => {
+  let router;
+  let client;
+
+  before(async () => {
+    // Tool calls of the fake router's MCP server are not part of the audit log
+    configureProtocolOmega({ servers: { 'fake-wanaku': { enabled: false } } });
+
+    router = await startFakeWanakuRouter();
+    client = new WanakuClient({
+      host: router.host,
+      port: router.port,
+      timeout: 5000
+    });
+  });
+
+  after(async () => {
+    await client.close();
+    await router.close();
+  });
+
+  it('should report router health', async () => {
+    const health = await client.healthCheck();
+    assert.equal(health.status, 'healthy');
+  });
+
+  it('should register servers with the router', async () => {
+    const result = await client.registerServer({
+      name: 'task-master',
+      endpoint: 'http://hub:3000/mcp/task-master/transport',
+      tools: ['create_task', 'get_task']
+    });
+
+    assert.equal(result.success, true);
+
+    const server = client.getServer('task-master');
+    assert.equal(server.status, 'registered');
+    assert.ok(router.services.has(server.routerId));
+    assert.equal(router.services.get(server.routerId).service, 'task-master');
+  });
+
+  it('should keep failed registrations pending', async () => {
+    const offline = new WanakuClient({ host: '127.0.0.1', port: 1, timeout: 1000 });
+    const result = await offline.registerServer({ name: 'ollama', endpoint: 'http://x', tools: [] });
+
+    assert.equal(result.success, false);
+    assert.equal(offline.getServer('ollama').status, 'pending');
+  });
+
+  it('should ping registered servers on heartbeat', async () => {
+    const server = client.getServer('task-master');
+    const results = await client.heartbeat();
+
+    assert.equal(results['task-master'], 'alive');
+    assert.ok(router.pings.includes(server.routerId));
+  });
+
+  it('should re-register when the router forgot the server', async () => {
+    router.reset();
+
+    const results = await client.heartbeat();
+
+    assert.equal(results['task-master'], 're-registered');
+    assert.equal(router.services.size, 1);
+    assert.equal(client.getServer('task-master').status, 'registered');
+  });
+
+  it('should send tool calls as MCP JSON-RPC through the router', async () => {
+    const result = await client.routeToolCall('create_task', { title: 'Ship it' });
+
+    assert.ok(Array.isArray(result.content));
+    const payload = JSON.parse(result.content[0].text);
+    assert.equal(payload.routedTo, 'task-master');
+    assert.deepEqual(payload.arguments, { title: 'Ship it' });
+    assert.equal(router.calls.length, 1);
+  });
+
+  it('should keep the MCP session when the tool fails', async () => {
+    const direct = new WanakuClient({ proxyToolCalls: false });
+    direct.registeredServers.set('primary', { endpoint: 'http://primary', tools: ['echo'], capabilities: {}, status: 'registered' });
+
+    let failure;
+    const closed = [];
+    direct.getMcpClient = async () => ({ callTool: async () => { throw failure; } });
+    direct.closeMcpClient = async (endpoint) => { closed.push(endpoint); };
+
+    for (failure of [new McpError(ErrorCode.InvalidParams, 'bad arguments'), new McpError(ErrorCode.RequestTimeout, 'Request timed out')]) {
+      await assert.rejects(direct.callServerTool('primary', 'echo', {}), failure);
+    }
+    assert.deepEqual(closed, []);
+
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    for (failure of [new TypeError('fetch failed', { cause: refused }), new StreamableHTTPError(404, 'Session not found')]) {
+      await assert.rejects(direct.callServerTool('primary', 'echo', {}), failure);
+    }
+    assert.deepEqual(closed, ['http://primary', 'http://primary']);
+  });
+
+  it('should deregister servers from the router', async () => {
+    const result = await client.unregisterServer('task-master');
+
+    assert.equal(result.success, true);
+    assert.equal(router.services.size, 0);
+    assert.equal(client.hasServer('task-master'), false);
+  });
+
+  describe('Retry, Circuit Breaker and Failover', () => {
+    /**
+     * Tools of both servers: the task-master tools and the namespaced
+     * gateway tools as the servers list them, plus an idempotent "echo"
+     */
+    const tools = [
+      { name: 'echo', annotations: { idempotentHint: true } },
+      ...new TaskMasterServer().listTools(),
+      ...new GatewayServer({ servers: [new Neo4jMemoryServer()] }).listTools()
+    ];
+
+    /**
+     * Client with two servers exposing the same tools; callServerTool is
+     * replaced so each server fails according to the given plan
+     */
+    async function createResilientClient(failures, config = {}) {
+      const resilient = new WanakuClient({
+        maxRetries: 2,
+        retryDelay: 1,
+        circuitFailureThreshold: 3,
+        circuitResetTimeout: 50,
+        proxyToolCalls: false,
+        ...config
+      });
+      const attempts = [];
+
+      resilient.sendRegistration = async (name) => {
+        resilient.registeredServers.get(name).status = 'registered';
+      };
+
+      for (const name of ['primary', 'secondary']) {
+        await resilient.registerServer({ name, endpoint: `http://${name}`, tools });
+      }
+
+      resilient.callServerTool = async (serverName, toolName, args) => {
+        attempts.push(serverName);
+        const failure = failures[serverName]?.shift();
+        if (failure) throw failure;
+        return { content: [{ type: 'text', text: serverName }] };
+      };
+
+      return { resilient, attempts };
+    }
+
+    const networkError = () => new TypeError('fetch failed', {
+      cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+    });
+    const timeoutError = () => new McpError(ErrorCode.RequestTimeout, 'Request timed out');
+
+    it('should retry retryable errors on the same server', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [networkError(), networkError()]
+      });
+
+      const result = await resilient.routeToolCall('echo', {}, { serverName: 'primary' });
+
+      assert.equal(result.content[0].text, 'primary');
+      assert.deepEqual(attempts, ['primary', 'primary', 'primary']);
+      assert.equal(resilient.getStats().circuit_breakers.primary.state, 'closed');
+    });
+
+    it('should not retry non-retryable errors', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [new Error('Invalid arguments')]
+      });
+
+      await assert.rejects(
+        resilient.routeToolCall('echo', {}, { serverName: 'primary' }),
+        /Invalid arguments/
+      );
+      assert.deepEqual(attempts, ['primary']);
+    });
+
+    it('should match error codes, not messages', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [new Error('Invalid connection string: fetch failed, timed out')]
+      });
+
+      await assert.rejects(resilient.routeToolCall('echo', {}, { serverName: 'primary' }), /Invalid connection string/);
+      assert.deepEqual(attempts, ['primary']);
+    });
+
+    it('should retry timeouts of idempotent tools only', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [timeoutError(), timeoutError()]
+      });
+
+      const result = await resilient.routeToolCall('echo', {}, { serverName: 'primary' });
+      assert.equal(result.content[0].text, 'primary');
+      assert.deepEqual(attempts, ['primary', 'primary', 'primary']);
+    });
+
+    for (const toolName of ['add_subtask', 'set_dependency', 'neo4j-memory.create_entity']) {
+      it(`should neither retry nor fail over a timed out ${toolName}`, async () => {
+        const { resilient, attempts } = await createResilientClient({
+          primary: [timeoutError(), timeoutError()]
+        });
+
+        await assert.rejects(
+          resilient.routeToolCall(toolName, {}, { serverName: 'primary' }),
+          /Request timed out/
+        );
+        assert.deepEqual(attempts, ['primary']);
+        assert.equal(resilient.getStats().circuit_breakers.primary.failures, 1);
+      });
+    }
+
+    it('should still retry tools without annotations when the call was not sent', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [networkError()]
+      });
+
+      await resilient.routeToolCall('add_subtask', {}, { serverName: 'primary' });
+      assert.deepEqual(attempts, ['primary', 'primary']);
+    });
+
+    it('should open the circuit and fail over to another server', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [networkError(), networkError(), networkError(), networkError()]
+      });
+
+      const result = await resilient.routeToolCall('echo', {}, { serverName: 'primary' });
+
+      assert.equal(result.content[0].text, 'secondary');
+      assert.deepEqual(attempts, ['primary', 'primary', 'primary', 'secondary']);
+
+      const stats = resilient.getStats();
+      assert.equal(stats.circuit_breakers.primary.state, 'open');
+      assert.equal(stats.circuit_breakers.secondary.state, 'closed');
+
+      const metrics = await register.metrics();
+      assert.match(metrics, /mcp_hub_wanaku_circuit_state\{server="primary"\} 2/);
+      assert.match(metrics, /mcp_hub_wanaku_failovers_total\{tool="echo",from_server="primary",to_server="secondary"\} 1/);
+    });
+
+    it('should not fail over between servers behind the router', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [networkError(), networkError(), networkError()]
+      }, { proxyToolCalls: true });
+
+      await assert.rejects(
+        resilient.routeToolCall('echo', {}, { serverName: 'primary' }),
+        /fetch failed/
+      );
+      assert.deepEqual(attempts, ['primary', 'primary', 'primary']);
+      assert.equal(resilient.getStats().circuit_breakers.secondary.state, 'closed');
+    });
+
+    it('should skip open circuits until the reset timeout elapses', async () => {
+      const { resilient, attempts } = await createResilientClient({
+        primary: [networkError(), networkError(), networkError()]
+      });
+
+      await resilient.routeToolCall('echo', {}, { serverName: 'primary' });
+      attempts.length = 0;
+
+      await resilient.routeToolCall('echo', {}, { serverName: 'primary' });
+      assert.deepEqual(attempts, ['secondary']);
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      attempts.length = 0;
+
+      const result = await resilient.routeToolCall('echo', {}, { serverName: 'primary' });
+      assert.equal(result.content[0].text, 'primary');
+      assert.equal(resilient.getStats().circuit_breakers.primary.state, 'closed');
+    });
+
+    it('should report when every circuit is open', async () => {
+      const { resilient } = await createResilientClient({});
+      for (const name of ['primary', 'secondary']) {
+        for (let i = 0; i < 3; i++) {
+          resilient.getCircuitBreaker(name).recordFailure(networkError());
+        }
+      }
+
+      await assert.rejects(
+        resilient.routeToolCall('echo', {}),
+        (error) => error.code === 'CIRCUIT_OPEN'
+      );
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    it('should reopen when the half-open trial call fails', async () => {
+      const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 10 });
+
+      breaker.recordFailure(new Error('boom'));
+      assert.equal(breaker.canRequest(), false);
+
+      await new Promise(resolve => setTimeout(resolve, 15));
+      assert.equal(breaker.canRequest(), true);
+      assert.equal(breaker.state, 'half_open');
+
+      breaker.recordFailure(new Error('boom again'));
+      assert.equal(breaker.state, 'open');
+      assert.equal(breaker.getStatus().last_failure, 'boom again');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+// ============================================================
+// Security Tests: Vault Path Sandbox
+// ============================================================
+// Description: Agent-supplied paths cannot reach files outside the
+// Obsidian vault, through "..", absolute paths or symlinks
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveVaultPath } from '../../src/utils/vault-path.js';
+import {
+  readLogFile,
+  writeMarkdown,
+  writeLogEntry,
+  writeSystemEvent,
+  verifyAuditChain,
+  flushLogWrites,
+  formatDateForFilename
+} from '../../src/services/obsidian-writer.js';
+import { readNote, writeNote, listNotes, moveNote } from '../../src/services/obsidian-vault.js';
+import { queryAuditLog } from '../../src/services/audit-query.js';
+import { testUtils } from '../setup.js';
+
+const TRAVERSALS = [
+  '../outside.md',
+  '../../outside.md',
+  'AI_Memory/../../outside.md',
+  'AI_Memory\\..\\..\\outside.md',
+  '/etc/passwd',
+  'C:\\Windows\\win.ini',
+  'notes.md\0.png'
+];
+
+describe('Vault Path Sandbox', () => {
+  let rootDir;
+  let vaultPath;
+  let outsideDir;
+  let vault;
+
+  const call = (tool, args) => vault.call(tool, args);
+
+  before(async () => {
+    rootDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'vault-path-')));
+    vaultPath = path.join(rootDir, 'vault');
+    outsideDir = path.join(rootDir, 'outside');
+
+    await fs.mkdir(path.join(vaultPath, 'AI_Memory'), { recursive: true });
+    await fs.mkdir(outsideDir);
+    await fs.writeFile(path.join(rootDir, 'outside.md'), 'outside the vault');
+    await fs.writeFile(path.join(outsideDir, 'secret.md'), 'secret');
+
+    // Links out of the vault, and one within it
+    await fs.symlink(path.join(outsideDir, 'secret.md'), path.join(vaultPath, 'AI_Memory', 'linked.md'));
+    await fs.symlink(outsideDir, path.join(vaultPath, 'Escape'));
+    await fs.symlink(path.join(outsideDir, 'missing.md'), path.join(vaultPath, 'AI_Memory', 'dangling.md'));
+    await fs.writeFile(path.join(vaultPath, 'AI_Memory', 'real.md'), 'inside');
+    await fs.symlink(path.join(vaultPath, 'AI_Memory', 'real.md'), path.join(vaultPath, 'AI_Memory', 'alias.md'));
+
+    vault = await testUtils.createTestVault({ vaultPath });
+  });
+
+  after(async () => {
+    await vault.close();
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  describe('resolveVaultPath', () => {
+    it('should reject traversal, absolute paths and null bytes', async () => {
+      for (const relative of TRAVERSALS) {
+        await assert.rejects(resolveVaultPath(vaultPath, relative), { code: 'VAULT_INVALID_PATH' }, relative);
+      }
+    });
+
+    it('should reject symlinks pointing outside the vault', async () => {
+      for (const relative of ['AI_Memory/linked.md', 'Escape/secret.md', 'Escape/new.md', 'AI_Memory/dangling.md']) {
+        await assert.rejects(resolveVaultPath(vaultPath, relative), { code: 'VAULT_INVALID_PATH' }, relative);
+      }
+    });
+
+    it('should resolve ".." before following symlinked folders', async () => {
+      // The OS would read Escape/.. as the parent of the outside folder
+      const resolved = await resolveVaultPath(vaultPath, 'Escape/../outside.md');
+      assert.equal(resolved.absolute, path.join(vaultPath, 'outside.md'));
+    });
+
+    it('should follow symlinks that stay inside the vault', async () => {
+      const resolved = await resolveVaultPath(vaultPath, 'AI_Memory/alias.md');
+
+      assert.equal(resolved.absolute, path.join(vaultPath, 'AI_Memory', 'real.md'));
+      assert.equal(resolved.relative, 'AI_Memory/real.md');
+    });
+
+    it('should accept a vault that is itself a symlink', async () => {
+      const linkedVault = path.join(rootDir, 'vault-link');
+      await fs.symlink(vaultPath, linkedVault);
+
+      const resolved = await resolveVaultPath(linkedVault, 'AI_Memory/real.md');
+      assert.equal(resolved.relative, 'AI_Memory/real.md');
+    });
+
+    it('should only allow markdown files', async () => {
+      for (const relative of ['script.js', 'AI_Memory/notes', 'AI_Memory/data.jsonl', '']) {
+        await assert.rejects(resolveVaultPath(vaultPath, relative), /Only \.md files|A file path is required/, relative);
+      }
+      assert.equal((await resolveVaultPath(vaultPath, 'AI_Memory/README.MD')).relative, 'AI_Memory/README.MD');
+      assert.equal((await resolveVaultPath(vaultPath, 'AI_Memory', { extensions: null })).relative, 'AI_Memory');
+    });
+
+    it('should keep hidden files and folders out of reach', async () => {
+      for (const relative of ['.obsidian/workspace.md', 'MCP Logs/.omega-ledger/2026-03-14.md', 'AI_Memory/.hidden.md']) {
+        await assert.rejects(resolveVaultPath(vaultPath, relative), /Hidden files/, relative);
+      }
+    });
+  });
+
+  describe('obsidian-writer', () => {
+    it('should not read or write daily logs outside the logs folder', async () => {
+      await assert.rejects(readLogFile('../../outside.md'), { code: 'VAULT_INVALID_PATH' });
+      await assert.rejects(writeMarkdown('../../outside.md', 'overwritten'), { code: 'VAULT_INVALID_PATH' });
+      await assert.rejects(writeMarkdown('../AI_Memory/real.md', 'overwritten'), { code: 'VAULT_INVALID_PATH' });
+
+      assert.equal(await fs.readFile(path.join(rootDir, 'outside.md'), 'utf-8'), 'outside the vault');
+    });
+
+    it('should refuse to append to a daily log linked outside the vault', async () => {
+      await fs.mkdir(path.join(vaultPath, 'MCP Logs'), { recursive: true });
+      await fs.symlink(path.join(outsideDir, 'log.md'), path.join(vaultPath, 'MCP Logs', '2020-01-01.md'));
+
+      await assert.rejects(
+        writeLogEntry({
+          timestamp: '2020-01-01T12:00:00.000Z',
+          type: 'system',
+          source: 'hub',
+          action: 'startup',
+          data: {}
+        }),
+        { code: 'VAULT_INVALID_PATH' }
+      );
+      await assert.rejects(fs.access(path.join(outsideDir, 'log.md')));
+    });
+
+    it('should not read files named by a tampered ledger record', async () => {
+      await writeSystemEvent('ready', { servers: 6 });
+      await flushLogWrites();
+
+      const ledgerFile = path.join(vaultPath, 'MCP Logs', '.omega-ledger', `${formatDateForFilename()}.jsonl`);
+      const [line] = (await fs.readFile(ledgerFile, 'utf-8')).trim().split('\n');
+      const record = JSON.parse(line);
+      await fs.writeFile(ledgerFile, `${JSON.stringify({ ...record, file: '../../outside/secret.md', offset: 0, length: 6 })}\n`);
+
+      const { entries } = await queryAuditLog({}, {});
+      assert.ok(entries.every(entry => !JSON.stringify(entry).includes('secret')));
+
+      const verified = await verifyAuditChain();
+      assert.equal(verified.valid, false);
+      assert.equal(verified.failure.reason, 'missing_entry');
+    });
+  });
+
+  describe('obsidian-memory tools', () => {
+    it('should refuse traversal in every note tool', async () => {
+      for (const filename of TRAVERSALS) {
+        for (const [tool, args] of [
+          ['read_note', { filename }],
+          ['write_note', { filename, content: 'overwritten' }],
+          ['append_note', { filename, content: 'appended' }],
+          ['delete_note', { filename }],
+          ['move_note', { from: 'AI_Memory/real.md', to: filename }],
+          ['create_note', { title: 'Escape', content: 'x', filename }]
+        ]) {
+          const result = await call(tool, args);
+          assert.equal(result.success, false, `${tool} ${filename}`);
+        }
+      }
+
+      assert.equal(await fs.readFile(path.join(rootDir, 'outside.md'), 'utf-8'), 'outside the vault');
+      assert.equal(await fs.readFile(path.join(vaultPath, 'AI_Memory', 'real.md'), 'utf-8'), 'inside');
+    });
+
+    it('should refuse folders outside the vault', async () => {
+      for (const tool of ['list_notes', 'list_folder', 'create_folder', 'search_notes', 'get_tags']) {
+        const result = await call(tool, { folder: '../outside', query: 'secret', recursive: true });
+        assert.equal(result.success, false, tool);
+      }
+
+      assert.equal((await call('list_notes', { folder: 'Escape' })).success, false);
+    });
+
+    it('should not follow symlinks out of the vault', async () => {
+      assert.equal((await call('read_note', { filename: 'AI_Memory/linked.md' })).success, false);
+      assert.equal((await call('write_note', { filename: 'AI_Memory/dangling.md', content: 'created' })).success, false);
+      assert.equal((await call('write_note', { filename: 'Escape/new.md', content: 'created' })).success, false);
+
+      await assert.rejects(fs.access(path.join(outsideDir, 'missing.md')));
+      await assert.rejects(fs.access(path.join(outsideDir, 'new.md')));
+      assert.equal(await fs.readFile(path.join(outsideDir, 'secret.md'), 'utf-8'), 'secret');
+    });
+
+    it('should skip linked files and folders when listing', async () => {
+      const notes = await listNotes({ folder: '/', recursive: true });
+
+      assert.ok(!notes.some(note => note.startsWith('Escape/')));
+      assert.ok(!notes.includes('AI_Memory/linked.md'));
+    });
+
+    it('should refuse traversal through the note resource', async () => {
+      await assert.rejects(vault.server.readResource('obsidian://notes/..%2F..%2Foutside.md'), /outside the vault/);
+    });
+
+    it('should keep service calls in the sandbox', async () => {
+      await assert.rejects(readNote('AI_Memory/../../outside.md'), { code: 'VAULT_INVALID_PATH' });
+      await assert.rejects(writeNote('/../outside.md', 'overwritten'), { code: 'VAULT_INVALID_PATH' });
+      await assert.rejects(moveNote('AI_Memory/real.md', 'Escape/moved.md'), { code: 'VAULT_INVALID_PATH' });
+    });
+  });
+});
@@ -6,6 +6,9 @@
 
 import { describe, it, before, after, mock } from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 // Test utilities
 export const testUtils = {
@@ -60,6 +63,47 @@ export const testUtils = {
     };
   },
 
+  /**
+   * Point obsidianConfig at a scratch vault and start an obsidian-memory
+   * server on it; call close() in after()
+   *   prefix    - name prefix of the temporary folder
+   *   vaultPath - use this folder instead (not removed on close)
+   * Returns { vaultPath, server, call(tool, args), write(relative, content), close() }
+   */
+  async createTestVault({ prefix = 'obsidian-', vaultPath } = {}) {
+    // Loaded here so tests that do not use a vault do not load the services
+    const { obsidianConfig, flushLogWrites } = await import('../src/services/obsidian-writer.js');
+    const { ObsidianMemoryServer } = await import('../src/mcp/servers/obsidian-memory-server.js');
+
+    const previousVaultPath = obsidianConfig.vaultPath;
+    const created = !vaultPath;
+    const root = vaultPath ?? await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+
+    obsidianConfig.vaultPath = root;
+    const server = new ObsidianMemoryServer({ vaultPath: root });
+
+    return {
+      vaultPath: root,
+      server,
+
+      async call(tool, args) {
+        const result = await server.executeTool(server.getTool(tool), args);
+        return JSON.parse(result.content[0].text);
+      },
+
+      async write(relative, content) {
+        await fs.mkdir(path.dirname(path.join(root, relative)), { recursive: true });
+        await fs.writeFile(path.join(root, relative), content);
+      },
+
+      async close() {
+        await flushLogWrites();
+        obsidianConfig.vaultPath = previousVaultPath;
+        if (created) await fs.rm(root, { recursive: true, force: true });
+      }
+    };
+  },
+
   /**
    * Wait for async operations
    */
@@ -0,0 +1,275 @@
+// ============================================================
+// Unit Tests: Audit Ledger
+// ============================================================
+// Description: Hash-chained Protocol Omega entries and chain verification
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  obsidianConfig,
+  writeLogEntry,
+  verifyAuditChain,
+  flushLogWrites
+} from '../../src/services/obsidian-writer.js';
+import { GENESIS_HASH, flushLedger, hashEntry, ledgerConfig } from '../../src/services/audit-ledger.js';
+
+describe('Audit Ledger', () => {
+  let tempDir;
+  let logsPath;
+
+  const writeEntry = (timestamp, action) => writeLogEntry({
+    timestamp,
+    type: 'tool_call',
+    source: 'test-server',
+    action,
+    data: { value: action }
+  });
+
+  const ledgerFile = (date) => path.join(logsPath, ledgerConfig.folder, `${date}.jsonl`);
+
+  const readLedger = async (date) => (await fs.readFile(ledgerFile(date), 'utf-8'))
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-ledger-'));
+  });
+
+  after(async () => {
+    await flushLedger();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    obsidianConfig.vaultPath = await fs.mkdtemp(path.join(tempDir, 'vault-'));
+    logsPath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder);
+
+    await writeEntry('2026-03-01T12:00:00.000Z', 'first');
+    await writeEntry('2026-03-01T12:30:00.000Z', 'second');
+    await writeEntry('2026-03-02T12:00:00.000Z', 'third');
+    await flushLogWrites();
+  });
+
+  it('should chain entries with sequence numbers and hashes', async () => {
+    const day1 = await readLedger('2026-03-01');
+    const day2 = await readLedger('2026-03-02');
+
+    assert.deepEqual([...day1, ...day2].map(record => record.sequence), [1, 2, 3]);
+    assert.equal(day1[0].previous_hash, GENESIS_HASH);
+    assert.equal(day1[1].previous_hash, day1[0].hash);
+    assert.equal(day2[0].previous_hash, day1[1].hash);
+
+    const log = await fs.readFile(path.join(logsPath, '2026-03-01.md'));
+    const entry = log.subarray(day1[1].offset, day1[1].offset + day1[1].length).toString('utf-8');
+    assert.equal(hashEntry(entry), day1[1].hash);
+    assert.match(entry, /\*\*Sequence\*\*: 2/);
+    assert.match(entry, new RegExp(`\\*\\*Previous Hash\\*\\*: ${day1[0].hash}`));
+  });
+
+  it('should continue the chain with the next sequence', async () => {
+    const written = await writeEntry('2026-03-02T12:30:00.000Z', 'fourth');
+
+    assert.equal(written.sequence, 4);
+    assert.equal((await verifyAuditChain()).valid, true);
+  });
+
+  it('should verify an intact chain', async () => {
+    const report = await verifyAuditChain();
+
+    assert.equal(report.valid, true);
+    assert.equal(report.checked, 3);
+    assert.equal(report.first_sequence, 1);
+    assert.equal(report.last_sequence, 3);
+    assert.equal(report.failure, null);
+  });
+
+  it('should verify a date range anchored on the previous day', async () => {
+    const report = await verifyAuditChain({ from: '2026-03-02', to: '2026-03-02' });
+
+    assert.equal(report.valid, true);
+    assert.equal(report.checked, 1);
+    assert.equal(report.first_sequence, 3);
+  });
+
+  it('should report an edited entry', async () => {
+    const file = path.join(logsPath, '2026-03-01.md');
+    const content = await fs.readFile(file, 'utf-8');
+    await fs.writeFile(file, content.replace('**value**: second', '**value**: edited'));
+
+    const report = await verifyAuditChain();
+
+    assert.equal(report.valid, false);
+    assert.equal(report.checked, 1);
+    assert.equal(report.failure.reason, 'tampered_entry');
+    assert.equal(report.failure.sequence, 2);
+  });
+
+  it('should report a deleted daily log', async () => {
+    await fs.unlink(path.join(logsPath, '2026-03-02.md'));
+
+    const report = await verifyAuditChain();
+
+    assert.equal(report.failure.reason, 'missing_entry');
+    assert.equal(report.failure.sequence, 3);
+  });
+
+  it('should report a removed ledger record', async () => {
+    const [first] = await readLedger('2026-03-01');
+    await fs.writeFile(ledgerFile('2026-03-01'), `${JSON.stringify(first)}\n`);
+
+    const report = await verifyAuditChain();
+
+    assert.equal(report.failure.reason, 'missing_link');
+    assert.equal(report.failure.sequence, 3);
+  });
+
+  it('should report a rewritten previous hash', async () => {
+    const [first, second] = await readLedger('2026-03-01');
+    second.previous_hash = hashEntry('forged');
+    await fs.writeFile(ledgerFile('2026-03-01'), `${JSON.stringify(first)}\n${JSON.stringify(second)}\n`);
+
+    const report = await verifyAuditChain();
+
+    assert.equal(report.failure.reason, 'broken_link');
+    assert.equal(report.failure.sequence, 2);
+  });
+
+  it('should detect a chain recomputed without the key', async () => {
+    ledgerConfig.key = 'ledger-secret';
+
+    try {
+      obsidianConfig.vaultPath = await fs.mkdtemp(path.join(tempDir, 'vault-'));
+      logsPath = path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder);
+      await writeEntry('2026-03-03T12:00:00.000Z', 'keyed');
+      await flushLogWrites();
+
+      const report = await verifyAuditChain();
+      assert.equal(report.valid, true);
+      assert.equal(report.keyed, true);
+
+      // Edit the entry and rehash it as someone without the key would
+      const file = path.join(logsPath, '2026-03-03.md');
+      const content = (await fs.readFile(file, 'utf-8')).replace('**value**: keyed', '**value**: edited');
+      await fs.writeFile(file, content);
+      const [record] = await readLedger('2026-03-03');
+      record.length = Buffer.byteLength(content) - record.offset;
+      record.hash = crypto.createHash('sha256').update(content.slice(record.offset)).digest('hex');
+      await fs.writeFile(ledgerFile('2026-03-03'), `${JSON.stringify(record)}\n`);
+
+      assert.equal((await verifyAuditChain()).failure.reason, 'tampered_entry');
+    } finally {
+      ledgerConfig.key = '';
+    }
+  });
+
+  it('should reject malformed dates', async () => {
+    await assert.rejects(verifyAuditChain({ from: 'yesterday' }), /Invalid date/);
+  });
+
+  describe('write queue', () => {
+    const journalFile = () => path.join(logsPath, ledgerConfig.folder, 'journal.jsonl');
+    const readJournal = async () => (await fs.readFile(journalFile(), 'utf-8'))
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+
+    /**
+     * Copy the vault as a crashed process would leave it, to a folder the
+     * ledger has not loaded yet
+     */
+    const copyVault = async () => {
+      const copy = await fs.mkdtemp(path.join(tempDir, 'restarted-'));
+      await fs.cp(obsidianConfig.vaultPath, copy, { recursive: true });
+      return path.join(copy, obsidianConfig.logsFolder);
+    };
+
+    beforeEach(() => {
+      ledgerConfig.flushIntervalMs = 60000;
+    });
+
+    after(() => {
+      ledgerConfig.flushIntervalMs = 1000;
+    });
+
+    it('should journal entries and append them on flush', async () => {
+      const before = await fs.readFile(path.join(logsPath, '2026-03-02.md'), 'utf-8');
+
+      await writeEntry('2026-03-02T13:00:00.000Z', 'queued-1');
+      await writeEntry('2026-03-02T13:30:00.000Z', 'queued-2');
+
+      assert.equal(await fs.readFile(path.join(logsPath, '2026-03-02.md'), 'utf-8'), before);
+      assert.deepEqual((await readJournal()).map(entry => entry.sequence), [4, 5]);
+
+      await flushLogWrites();
+
+      assert.deepEqual((await readLedger('2026-03-02')).map(record => record.sequence), [3, 4, 5]);
+      assert.deepEqual(await readJournal(), []);
+      assert.equal((await verifyAuditChain()).checked, 5);
+    });
+
+    it('should flush once the batch is full', async () => {
+      ledgerConfig.maxBatchSize = 2;
+
+      try {
+        await writeEntry('2026-03-02T13:00:00.000Z', 'batch-1');
+        assert.equal((await readJournal()).length, 1);
+
+        await writeEntry('2026-03-02T13:30:00.000Z', 'batch-2');
+        assert.deepEqual(await readJournal(), []);
+        assert.equal((await readLedger('2026-03-02')).length, 3);
+      } finally {
+        ledgerConfig.maxBatchSize = 100;
+      }
+    });
+
+    it('should replay unflushed entries after a restart', async () => {
+      await writeEntry('2026-03-02T13:00:00.000Z', 'crashed-1');
+      await writeEntry('2026-03-03T12:00:00.000Z', 'crashed-2');
+
+      const restarted = await copyVault();
+      await flushLedger(restarted);
+
+      assert.match(await fs.readFile(path.join(restarted, '2026-03-03.md'), 'utf-8'), /crashed-2/);
+      assert.equal(await fs.readFile(path.join(restarted, ledgerConfig.folder, 'journal.jsonl'), 'utf-8'), '');
+
+      const original = logsPath;
+      logsPath = restarted;
+      obsidianConfig.vaultPath = path.dirname(restarted);
+
+      const written = await writeEntry('2026-03-03T13:00:00.000Z', 'after-restart');
+      const report = await verifyAuditChain();
+
+      assert.equal(written.sequence, 6);
+      assert.equal(report.valid, true);
+      assert.equal(report.checked, 6);
+
+      logsPath = original;
+    });
+
+    it('should not append entries twice when a flush was interrupted', async () => {
+      await writeEntry('2026-03-02T13:00:00.000Z', 'interrupted-1');
+      await writeEntry('2026-03-02T13:30:00.000Z', 'interrupted-2');
+
+      // The daily log was appended, the crash came before the ledger records
+      const restarted = await copyVault();
+      const journaled = await readJournal();
+      await fs.appendFile(path.join(restarted, '2026-03-02.md'), journaled.map(entry => entry.content).join(''));
+      const size = (await fs.stat(path.join(restarted, '2026-03-02.md'))).size;
+
+      await flushLedger(restarted);
+
+      assert.equal((await fs.stat(path.join(restarted, '2026-03-02.md'))).size, size);
+
+      obsidianConfig.vaultPath = path.dirname(restarted);
+      const report = await verifyAuditChain();
+
+      assert.equal(report.valid, true);
+      assert.equal(report.checked, 5);
+    });
+  });
+});
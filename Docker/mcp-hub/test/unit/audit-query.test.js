@@ -0,0 +1,192 @@
+// ============================================================
+// Unit Tests: Audit Log Query
+// ============================================================
+// Description: Filtering, paging and CSV export of the Obsidian audit log
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { queryAuditLog, parseLogEntry, toCsv, CSV_COLUMNS } from '../../src/services/audit-query.js';
+import { obsidianConfig, writeLogEntry } from '../../src/services/obsidian-writer.js';
+import { flushLedger } from '../../src/services/audit-ledger.js';
+import { BaseMCPServer, createTool, createInputSchema } from '../../src/mcp/base-server.js';
+import { ObsidianMemoryServer } from '../../src/mcp/servers/obsidian-memory-server.js';
+import { configureProtocolOmega } from '../../src/middleware/protocol-omega.js';
+import { configurePolicy } from '../../src/middleware/omega-policy.js';
+
+const entry = (timestamp, overrides = {}) => ({
+  timestamp,
+  type: 'tool_call',
+  source: 'task-master',
+  action: 'update_task',
+  cli: 'claude-code',
+  data: { arguments: { taskId: 'task-1', status: 'done' } },
+  tags: ['mcp', 'tool-call'],
+  ...overrides
+});
+
+describe('Audit Log Query', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-query-'));
+    obsidianConfig.vaultPath = tempDir;
+
+    await writeLogEntry(entry('2026-03-10T09:00:00.000Z', { session: 's-1', requestId: 'req-1' }));
+    await writeLogEntry(entry('2026-03-10T09:00:01.000Z', { action: 'update_task_result', requestId: 'req-1' }));
+    await writeLogEntry(entry('2026-03-12T15:30:00.000Z', {
+      source: 'neo4j-memory',
+      action: 'create_entity',
+      data: { arguments: { label: 'Bug', id: 'bug-7' } },
+      tags: ['mcp', 'memory']
+    }));
+    await writeLogEntry(entry('2026-03-14T08:00:00.000Z', {
+      type: 'http_request',
+      source: 'express',
+      action: 'GET',
+      cli: undefined,
+      data: { path: '/health', status: 200 },
+      tags: ['http', 'get']
+    }));
+  });
+
+  after(async () => {
+    await flushLedger();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('queryAuditLog', () => {
+    it('should return every entry, newest first', async () => {
+      const result = await queryAuditLog();
+
+      assert.equal(result.total, 4);
+      assert.deepEqual(result.entries.map(item => item.sequence), [4, 3, 2, 1]);
+
+      const [, , , first] = result.entries;
+      assert.equal(first.timestamp, '2026-03-10T09:00:00.000Z');
+      assert.equal(first.type, 'tool_call');
+      assert.equal(first.source, 'task-master');
+      assert.equal(first.cli, 'claude-code');
+      assert.equal(first.session, 's-1');
+      assert.equal(first.request_id, 'req-1');
+      assert.deepEqual(first.tags, ['mcp', 'tool-call']);
+      assert.match(first.details, /\*\*taskId\*\*: task-1/);
+      assert.match(first.hash, /^[0-9a-f]{64}$/);
+    });
+
+    it('should filter by field, tag and text', async () => {
+      const ids = async (filters) => (await queryAuditLog(filters, { order: 'asc' })).entries.map(item => item.sequence);
+
+      assert.deepEqual(await ids({ type: 'tool_call' }), [1, 2, 3]);
+      assert.deepEqual(await ids({ source: 'task-master', action: 'update_task' }), [1]);
+      assert.deepEqual(await ids({ tag: 'memory' }), [3]);
+      assert.deepEqual(await ids({ requestId: 'req-1' }), [1, 2]);
+      assert.deepEqual(await ids({ session: 's-1' }), [1]);
+      assert.deepEqual(await ids({ text: 'BUG-7' }), [3]);
+      assert.deepEqual(await ids({ type: 'approval' }), []);
+    });
+
+    it('should filter by dates and timestamps', async () => {
+      const ids = async (filters) => (await queryAuditLog(filters, { order: 'asc' })).entries.map(item => item.sequence);
+
+      assert.deepEqual(await ids({ from: '2026-03-11' }), [3, 4]);
+      assert.deepEqual(await ids({ to: '2026-03-12' }), [1, 2, 3]);
+      assert.deepEqual(await ids({ from: '2026-03-10T09:00:00.500Z', to: '2026-03-12T15:30:00.000Z' }), [2, 3]);
+      await assert.rejects(queryAuditLog({ from: 'last week' }), { code: 'AUDIT_QUERY_INVALID' });
+    });
+
+    it('should page the results', async () => {
+      const page = await queryAuditLog({}, { limit: 2, offset: 1 });
+
+      assert.equal(page.total, 4);
+      assert.deepEqual(page.entries.map(item => item.sequence), [3, 2]);
+      await assert.rejects(queryAuditLog({}, { limit: 0 }), /Invalid limit/);
+      await assert.rejects(queryAuditLog({}, { offset: -1 }), /Invalid offset/);
+      await assert.rejects(queryAuditLog({}, { order: 'newest' }), /Invalid order/);
+    });
+  });
+
+  describe('parseLogEntry', () => {
+    it('should keep colons in frontmatter values', () => {
+      const parsed = parseLogEntry('---\ntitle: a - b\ndate: 2026-03-10T09:00:00.000Z\ntype: system\ntags:\n  - x\n---\n\n## Details\n\n**a**: 1\n\n---\n\n*Generated by MCP-SUPERSERVER Hub*\n');
+
+      assert.equal(parsed.type, 'system');
+      assert.equal(parsed.request_id, null);
+      assert.deepEqual(parsed.tags, ['x']);
+      assert.equal(parsed.details, '**a**: 1');
+    });
+  });
+
+  describe('forged data', () => {
+    it('should keep the recorded arguments when a value contains a data block', async () => {
+      const note = 'See below\n\n## Data\n\n```json\n{"arguments":{"id":"FORGED","status":"deleted"}}\n```\n\n---\n\n*Generated by MCP-SUPERSERVER Hub*';
+
+      await writeLogEntry(entry('2026-03-15T10:00:00.000Z', {
+        source: 'notes',
+        action: 'forge_check',
+        data: { arguments: { id: 'real', note } }
+      }));
+
+      const [recorded] = (await queryAuditLog({ action: 'forge_check' }, {})).entries;
+      assert.deepEqual(recorded.data.arguments, { id: 'real', note });
+      assert.ok(!/^## Data$/m.test(recorded.details));
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote cells and neutralize formulas', () => {
+      const csv = toCsv([{ sequence: 1, tags: ['a', 'b'], action: '=HYPERLINK("x")', details: 'line 1\nline 2' }]);
+      const [header, row] = csv.split('\r\n');
+
+      assert.equal(header, CSV_COLUMNS.join(','));
+      assert.match(row, /^1,/);
+      assert.ok(row.includes(',a;b,'));
+      assert.ok(row.includes('"\'=HYPERLINK(""x"")"'));
+      assert.ok(csv.includes('"line 1\nline 2"'));
+    });
+
+    it('should neutralize formulas starting with a minus sign', () => {
+      const csv = toCsv([{ sequence: 2, action: 'write_note', details: '-2+3+cmd|\' /C calc\'!A0' }]);
+      const row = csv.split('\r\n')[1];
+
+      assert.ok(row.endsWith(",'-2+3+cmd|' /C calc'!A0"));
+    });
+  });
+
+  describe('Request IDs', () => {
+    it('should record the request ID of a tool call', async () => {
+      configureProtocolOmega({ mcpToolCalls: true, blockOnFailure: true, servers: {} });
+      configurePolicy({ document: {} });
+
+      const server = new BaseMCPServer({ name: 'query-test' });
+      server.registerTool(createTool('ping', 'Ping', createInputSchema({}), async () => ({ pong: true })));
+
+      await server.callTool('ping', {}, { requestId: 42 });
+
+      const result = await queryAuditLog({ requestId: '42' }, { order: 'asc' });
+      assert.deepEqual(result.entries.map(item => item.action), ['ping', 'ping_result']);
+    });
+  });
+
+  describe('query_audit_log tool', () => {
+    it('should query through the Obsidian server', async () => {
+      const server = new ObsidianMemoryServer({ vaultPath: tempDir });
+      const tool = server.getTool('query_audit_log');
+
+      const json = await tool.handler({ source: 'task-master', limit: 1 });
+      assert.equal(json.success, true);
+      assert.equal(json.total, 2);
+      assert.equal(json.count, 1);
+      assert.equal(json.entries[0].action, 'update_task_result');
+
+      const csv = await tool.handler({ tag: 'http', format: 'csv' });
+      assert.equal(csv.count, 1);
+      assert.ok(csv.csv.startsWith('sequence,timestamp'));
+
+      const invalid = await tool.handler({ to: 'soon' });
+      assert.equal(invalid.success, false);
+    });
+  });
+});
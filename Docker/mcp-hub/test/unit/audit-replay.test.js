@@ -0,0 +1,183 @@
+// ============================================================
+// Unit Tests: Tool Call Replay
+// ============================================================
+// Description: Replaying recorded tool calls in dry runs and for real,
+// and diffing the results against the recorded ones
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { replayToolCalls, findRecordedCalls, diffOutcomes } from '../../src/services/audit-replay.js';
+import { MemoryGraph } from '../../src/services/neo4j-memory-graph.js';
+import { obsidianConfig, onVaultRelease } from '../../src/services/obsidian-writer.js';
+import { flushLedger } from '../../src/services/audit-ledger.js';
+import { runDryRun } from '../../src/utils/dry-run.js';
+import { BaseMCPServer, createTool, createInputSchema } from '../../src/mcp/base-server.js';
+import { TaskMasterServer } from '../../src/mcp/servers/task-master-server.js';
+import { configureProtocolOmega } from '../../src/middleware/protocol-omega.js';
+import { configurePolicy } from '../../src/middleware/omega-policy.js';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('Tool Call Replay', () => {
+  let tempDir;
+  let recordingGraph;
+  let echo;
+  let echoed;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-replay-'));
+    obsidianConfig.vaultPath = tempDir;
+    configureProtocolOmega({ mcpToolCalls: true, blockOnFailure: true, servers: {} });
+    configurePolicy({ document: {} });
+
+    // Record task-master calls against an in-memory graph standing in for production
+    recordingGraph = new MemoryGraph();
+    const taskMaster = new TaskMasterServer();
+
+    await runDryRun({ graph: recordingGraph, vaultPath: tempDir }, async () => {
+      const created = parse(await taskMaster.callTool('create_task', { title: 'Fix login' }, { requestId: 'req-1' }));
+      await taskMaster.callTool('update_task', { taskId: created.taskId, status: 'in_progress' }, { requestId: 'req-2' });
+      await taskMaster.callTool('get_task', { taskId: created.taskId }, { requestId: 'req-3' });
+
+      // Changed outside the recorded calls, so the replay cannot reproduce it
+      Array.from(recordingGraph.nodes.values())[0].properties.status = 'blocked';
+      await taskMaster.callTool('get_task', { taskId: created.taskId }, { requestId: 'req-4' });
+    });
+
+    echoed = [];
+    echo = new BaseMCPServer({ name: 'echo' });
+    echo.registerTool(createTool(
+      'echo',
+      'Echo the arguments',
+      createInputSchema({ text: { type: 'string', description: 'Text' } }),
+      async (args) => {
+        echoed.push(args);
+        return { echoed: args.text ?? null };
+      }
+    ));
+
+    await echo.callTool('echo', { text: 'hello' });
+    await echo.callTool('echo', { text: 'password=hunter2' });
+  });
+
+  after(async () => {
+    await flushLedger();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('findRecordedCalls', () => {
+    it('should pair calls with their recorded outcome', async () => {
+      const calls = await findRecordedCalls({ server: 'task-master' });
+
+      assert.deepEqual(calls.map(({ call }) => call.action), ['create_task', 'update_task', 'get_task', 'get_task']);
+      assert.ok(calls.every(({ result }) => result?.action === `${result.action.replace(/_result$/, '')}_result`));
+      assert.equal(calls[0].call.data.arguments.title, 'Fix login');
+      assert.equal(calls[0].result.data.result.status, 'success');
+    });
+
+    it('should select calls by request ID and action', async () => {
+      assert.deepEqual((await findRecordedCalls({ server: 'task-master', requestId: 'req-2' })).map(({ call }) => call.action), ['update_task']);
+      assert.equal((await findRecordedCalls({ server: 'task-master', action: 'get_task' })).length, 2);
+      assert.equal((await findRecordedCalls({ server: 'task-master', limit: 1 })).length, 1);
+    });
+  });
+
+  describe('dry run', () => {
+    it('should reproduce the calls with generated IDs mapped', async () => {
+      const report = await replayToolCalls({ server: 'task-master' });
+
+      assert.equal(report.dry_run, true);
+      assert.equal(report.total, 4);
+      assert.deepEqual(report.calls.map(call => call.status), ['match', 'match', 'match', 'different']);
+
+      // The update ran on the task created by the replay
+      const [created, updated] = report.calls;
+      const newId = JSON.parse(created.replayed.preview).taskId;
+      assert.equal(updated.arguments.taskId, newId);
+      assert.notEqual(newId, JSON.parse(created.recorded.preview).taskId);
+    });
+
+    it('should report the fields that differ', async () => {
+      const report = await replayToolCalls({ server: 'task-master', action: 'get_task' });
+
+      // Without the create, the replayed task does not exist
+      assert.equal(report.different, 2);
+
+      const [, blocked] = (await replayToolCalls({ server: 'task-master' })).calls.slice(2);
+      assert.deepEqual(blocked.differences, [
+        { path: 'preview.task.status', recorded: 'blocked', replayed: 'in_progress' }
+      ]);
+    });
+
+    it('should leave the recorded graph and vault untouched', async () => {
+      const before = recordingGraph.nodes.size;
+      const files = await fs.readdir(path.join(tempDir, obsidianConfig.logsFolder));
+
+      await replayToolCalls({ server: 'task-master' });
+
+      assert.equal(recordingGraph.nodes.size, before);
+      assert.deepEqual(await fs.readdir(path.join(tempDir, obsidianConfig.logsFolder)), files);
+    });
+
+    it('should release the scratch vault', async () => {
+      const released = [];
+      const stop = onVaultRelease(vaultPath => released.push(vaultPath));
+
+      try {
+        await replayToolCalls({ server: 'task-master', limit: 1 });
+      } finally {
+        stop();
+      }
+
+      assert.equal(released.length, 1);
+      assert.notEqual(released[0], tempDir);
+      await assert.rejects(fs.access(released[0]), { code: 'ENOENT' });
+    });
+
+    it('should refuse servers without stand-ins', async () => {
+      await assert.rejects(replayToolCalls({ server: 'ollama' }), { code: 'REPLAY_INVALID' });
+      await assert.rejects(replayToolCalls({}), /A server is required/);
+      await assert.rejects(replayToolCalls({ server: 'task-master', limit: 0 }), /Invalid limit/);
+    });
+  });
+
+  describe('real run', () => {
+    it('should call the live server and skip redacted arguments', async () => {
+      echoed.length = 0;
+
+      const report = await replayToolCalls({ server: 'echo' }, {
+        dryRun: false,
+        getServer: async name => (name === 'echo' ? echo : undefined)
+      });
+
+      assert.deepEqual(report.calls.map(call => call.status), ['match', 'skipped']);
+      assert.deepEqual(report.calls[1].redacted, ['text']);
+      assert.deepEqual(echoed, [{ text: 'hello' }]);
+    });
+
+    it('should record real replays in the audit log', async () => {
+      const calls = await findRecordedCalls({ server: 'echo' });
+
+      assert.equal(calls.length, 3);
+      assert.deepEqual(calls[2].call.data.arguments, { text: 'hello' });
+      assert.ok(calls[2].call.sequence > calls[1].call.sequence);
+    });
+  });
+
+  describe('diffOutcomes', () => {
+    it('should ignore timestamps and configured fields', () => {
+      const recorded = { status: 'success', is_error: false, preview: '{"at":"2026-03-10T09:00:00.000Z","internalId":4,"n":1}' };
+      const replayed = { status: 'success', is_error: false, preview: '{"at":"2026-10-18T12:00:00.000Z","internalId":0,"n":2}' };
+
+      assert.deepEqual(diffOutcomes(recorded, replayed), [{ path: 'preview.n', recorded: 1, replayed: 2 }]);
+      assert.deepEqual(diffOutcomes(recorded, { ...replayed, status: 'error', is_error: true, preview: 'boom' }).map(d => d.path), [
+        'status',
+        'is_error',
+        'preview'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,402 @@
+// ============================================================
+// Unit Tests: Base MCP Server
+// ============================================================
+// Description: Tool registration and argument validation
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv from 'ajv';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  BaseMCPServer,
+  createTool,
+  createInputSchema,
+  createOutputSchema,
+  createPrompt
+} from '../../src/mcp/base-server.js';
+import { Neo4jMemoryServer } from '../../src/mcp/servers/neo4j-memory-server.js';
+import { TaskMasterServer } from '../../src/mcp/servers/task-master-server.js';
+import { configureProtocolOmega } from '../../src/middleware/protocol-omega.js';
+
+// Tool call recording is covered in protocol-omega.test.js
+before(() => {
+  configureProtocolOmega({ mcpToolCalls: false });
+});
+
+describe('BaseMCPServer', () => {
+  let server;
+  let received;
+
+  beforeEach(() => {
+    server = new BaseMCPServer({ name: 'test-server' });
+    received = null;
+
+    server.registerTool(createTool(
+      'create_item',
+      'Create an item',
+      createInputSchema({
+        label: {
+          type: 'string',
+          description: 'Item label'
+        },
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low'],
+          default: 'medium'
+        },
+        limit: {
+          type: 'number',
+          minimum: 1,
+          default: 10
+        }
+      }, ['label']),
+      async (args) => {
+        received = args;
+        return { success: true };
+      }
+    ));
+  });
+
+  describe('callTool argument validation', () => {
+    it('should apply declared defaults before running the handler', async () => {
+      const result = await server.callTool('create_item', { label: 'Person' });
+
+      assert.equal(result.isError, undefined);
+      assert.deepEqual(received, { label: 'Person', priority: 'medium', limit: 10 });
+    });
+
+    it('should not mutate the caller arguments', async () => {
+      const args = { label: 'Person' };
+      await server.callTool('create_item', args);
+
+      assert.deepEqual(args, { label: 'Person' });
+    });
+
+    it('should reject a missing required argument without running the handler', async () => {
+      const result = await server.callTool('create_item', {});
+      const body = JSON.parse(result.content[0].text);
+
+      assert.equal(result.isError, true);
+      assert.equal(received, null);
+      assert.equal(body.code, 'INVALID_INPUT');
+      assert.deepEqual(body.violations.map(v => [v.path, v.keyword]), [['label', 'required']]);
+    });
+
+    it('should list every violation', async () => {
+      const result = await server.callTool('create_item', {
+        label: 42,
+        priority: 'urgent',
+        limit: 0
+      });
+      const body = JSON.parse(result.content[0].text);
+
+      assert.equal(result.isError, true);
+      assert.deepEqual(
+        body.violations.map(v => v.path).sort(),
+        ['label', 'limit', 'priority']
+      );
+
+      const enumViolation = body.violations.find(v => v.keyword === 'enum');
+      assert.deepEqual(enumViolation.allowedValues, ['high', 'medium', 'low']);
+    });
+
+    it('should throw for unknown tools', async () => {
+      await assert.rejects(server.callTool('nope', {}), /Tool nope not found/);
+    });
+  });
+
+  describe('structured tool results', () => {
+    beforeEach(() => {
+      server.registerTool(createTool(
+        'count_items',
+        'Count items',
+        createInputSchema({}),
+        async () => ({ success: true, count: 3, skipped: undefined }),
+        createOutputSchema({
+          success: { type: 'boolean' },
+          count: { type: 'number' }
+        }, ['success', 'count'])
+      ));
+    });
+
+    it('should list outputSchema only for tools that declare one', () => {
+      const tools = server.listTools();
+
+      assert.equal(tools.find(t => t.name === 'create_item').outputSchema, undefined);
+      assert.equal(tools.find(t => t.name === 'count_items').outputSchema.type, 'object');
+    });
+
+    it('should list annotations only for tools that declare them', () => {
+      server.registerTool(createTool(
+        'peek_items',
+        'Peek at items',
+        createInputSchema({}),
+        async () => ({ success: true }),
+        undefined,
+        { readOnlyHint: true }
+      ));
+      const tools = server.listTools();
+
+      assert.equal(tools.find(t => t.name === 'create_item').annotations, undefined);
+      assert.deepEqual(tools.find(t => t.name === 'peek_items').annotations, { readOnlyHint: true });
+    });
+
+    it('should return structuredContent next to the text content', async () => {
+      const result = await server.callTool('count_items', {});
+
+      assert.deepEqual(result.structuredContent, { success: true, count: 3 });
+      assert.deepEqual(JSON.parse(result.content[0].text), result.structuredContent);
+    });
+
+    it('should not add structuredContent for tools without outputSchema', async () => {
+      const result = await server.callTool('create_item', { label: 'x' });
+
+      assert.equal(result.structuredContent, undefined);
+    });
+  });
+
+  describe('resource templates', () => {
+    beforeEach(() => {
+      server.registerResourceTemplate({
+        uriTemplate: 'test://item/{label}/{id}',
+        name: 'Item',
+        mimeType: 'application/json',
+        handler: async (variables, uri) => ({ variables, uri })
+      });
+    });
+
+    it('should list resource templates', () => {
+      assert.deepEqual(server.listResourceTemplates(), [{
+        uriTemplate: 'test://item/{label}/{id}',
+        name: 'Item',
+        description: '',
+        mimeType: 'application/json'
+      }]);
+    });
+
+    it('should read a URI matching a template with decoded variables', async () => {
+      const result = await server.readResource('test://item/Person/ada%20lovelace');
+      const body = JSON.parse(result.contents[0].text);
+
+      assert.equal(result.contents[0].uri, 'test://item/Person/ada%20lovelace');
+      assert.deepEqual(body.variables, { label: 'Person', id: 'ada lovelace' });
+    });
+
+    it('should reject URIs matching neither a resource nor a template', async () => {
+      await assert.rejects(server.readResource('test://item/Person'), /not found/);
+    });
+  });
+
+  describe('resource subscriptions', () => {
+    const createSubscriber = () => {
+      const sent = [];
+      return { sent, sendResourceUpdated: async (params) => sent.push(params.uri) };
+    };
+
+    it('should notify only subscribers of the updated URI', async () => {
+      const first = createSubscriber();
+      const second = createSubscriber();
+      server.subscribe('test://item/a', first);
+      server.subscribe('test://item/b', second);
+
+      await server.notifyResourceUpdated('test://item/a');
+
+      assert.deepEqual(first.sent, ['test://item/a']);
+      assert.deepEqual(second.sent, []);
+    });
+
+    it('should stop notifying after unsubscribe or session close', async () => {
+      const subscriber = createSubscriber();
+      server.subscribe('test://item/a', subscriber);
+      server.subscribe('test://item/b', subscriber);
+
+      server.unsubscribe('test://item/a', subscriber);
+      server.removeSubscriber(subscriber);
+      await server.notifyResourceUpdated('test://item/a');
+      await server.notifyResourceUpdated('test://item/b');
+
+      assert.deepEqual(subscriber.sent, []);
+      assert.equal(server.subscriptions.size, 0);
+    });
+
+    it('should drop subscribers that can no longer be notified', async () => {
+      server.subscribe('test://item/a', {
+        sendResourceUpdated: async () => { throw new Error('Not connected'); }
+      });
+
+      await server.notifyResourceUpdated('test://item/a');
+
+      assert.equal(server.subscriptions.size, 0);
+    });
+  });
+
+  describe('tool context', () => {
+    it('should send increasing progress only when a progress token was given', async () => {
+      const sent = [];
+      const extra = {
+        _meta: { progressToken: 7 },
+        sendNotification: async (notification) => sent.push(notification)
+      };
+      const context = server.createToolContext(extra);
+
+      await context.reportProgress(1, 3, 'first');
+      await context.reportProgress(1, 3, 'repeated');
+      await context.reportProgress(2);
+      await server.createToolContext({ sendNotification: extra.sendNotification }).reportProgress(1);
+
+      assert.deepEqual(sent, [
+        { method: 'notifications/progress', params: { progressToken: 7, progress: 1, total: 3, message: 'first' } },
+        { method: 'notifications/progress', params: { progressToken: 7, progress: 2 } }
+      ]);
+    });
+
+    it('should return a cancelled result when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await server.callTool('create_item', { label: 'x' }, { signal: controller.signal });
+      const body = JSON.parse(result.content[0].text);
+
+      assert.equal(result.isError, true);
+      assert.equal(body.code, 'CANCELLED');
+      assert.equal(received, null);
+    });
+
+    it('should report progress and abort handlers over MCP', async () => {
+      let observeAbort;
+      const handlerAborted = new Promise(resolve => { observeAbort = resolve; });
+      server.registerTool(createTool(
+        'slow_task',
+        'Run until cancelled',
+        createInputSchema({}),
+        async (args, context) => {
+          await context.reportProgress(1, 10, 'started');
+          if (!context.signal.aborted) {
+            await new Promise(resolve => context.signal.addEventListener('abort', resolve));
+          }
+          observeAbort(context.signal.aborted);
+          context.signal.throwIfAborted();
+        }
+      ));
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await server.createSdkServer().connect(serverTransport);
+      await client.connect(clientTransport);
+
+      const controller = new AbortController();
+      const progress = [];
+      const call = client.callTool({ name: 'slow_task', arguments: {} }, undefined, {
+        signal: controller.signal,
+        onprogress: (update) => {
+          progress.push(update);
+          controller.abort();
+        }
+      });
+
+      await assert.rejects(call, /abort/i);
+      assert.equal(await handlerAborted, true);
+      await client.close();
+
+      assert.deepEqual(progress, [{ progress: 1, total: 10, message: 'started' }]);
+    });
+  });
+
+  describe('prompts', () => {
+    beforeEach(() => {
+      server.registerPrompt(createPrompt(
+        'greet',
+        'Greet someone',
+        [
+          { name: 'person', description: 'Who to greet', required: true },
+          { name: 'tone', description: 'Tone of voice', required: false }
+        ],
+        async ({ person, tone = 'friendly' }) => `Write a ${tone} greeting for ${person}.`
+      ));
+    });
+
+    it('should list prompts with their arguments', () => {
+      const [prompt] = server.listPrompts();
+
+      assert.equal(prompt.name, 'greet');
+      assert.deepEqual(prompt.arguments.map(a => [a.name, a.required]), [['person', true], ['tone', false]]);
+    });
+
+    it('should render a text result as a single user message', async () => {
+      const result = await server.getPrompt('greet', { person: 'Ada' });
+
+      assert.equal(result.description, 'Greet someone');
+      assert.deepEqual(result.messages, [{
+        role: 'user',
+        content: { type: 'text', text: 'Write a friendly greeting for Ada.' }
+      }]);
+    });
+
+    it('should reject missing required arguments', async () => {
+      await assert.rejects(server.getPrompt('greet', {}), /missing required arguments: person/);
+    });
+
+    it('should throw for unknown prompts', async () => {
+      await assert.rejects(server.getPrompt('nope'), /Prompt nope not found/);
+    });
+  });
+});
+
+describe('Tool output schemas', () => {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+
+  /**
+   * Representative handler results, including failure shapes
+   */
+  const sampleResults = {
+    'neo4j-memory': {
+      create_entity: [{ success: true, entity: { label: 'Person', id: 'p1', name: 'Ada' }, internalId: 12 }],
+      get_entity: [{ success: true, entity: { id: 'p1' } }, { success: false, error: 'Entity not found' }],
+      find_entities: [{ success: true, count: 1, entities: [{ id: 'p1' }] }],
+      update_entity: [{ success: true, entity: { id: 'p1' } }, { success: false, error: 'Entity not found' }],
+      delete_entity: [{ success: false, message: 'Entity not found' }],
+      count_entities: [{ success: true, label: 'Person', count: 4 }],
+      create_relationship: [{ success: true, relationship: { from: 'p1', type: 'KNOWS', to: 'p2', properties: {} } }],
+      get_relationships: [{ success: true, count: 1, relationships: [{ type: 'KNOWS', from: { id: 'p2' }, to: { id: 'p2' } }] }],
+      query_graph: [{ success: true, result: { type: 'relationship_stats', stats: [] } }],
+      find_shortest_path: [
+        { success: true, found: false, message: 'No path found between entities' },
+        { success: true, found: true, path: { length: 2, nodes: [{ id: 'p1' }], relationships: ['KNOWS'] } }
+      ]
+    },
+    'task-master': {
+      create_task: [{ success: true, taskId: 't1', status: 'created', task: { id: 't1', title: 'Ship', status: 'pending', priority: 'medium', completed_at: null } }],
+      get_task: [
+        { success: true, task: { id: 't1', title: 'Ship' }, subtasks: [{ taskId: 't2', title: 'Sub', status: 'pending' }], subtaskCount: 1 },
+        { success: false, error: 'Task not found' }
+      ],
+      update_task: [{ success: true, taskId: 't1', task: { id: 't1', progress: 50 } }],
+      complete_task: [{ success: true, taskId: 't1', message: 'Task marked as completed' }],
+      delete_task: [{ success: true, message: 'Task deleted successfully' }],
+      list_tasks: [{ success: true, count: 1, tasks: [{ id: 't1', title: 'Ship', status: 'pending', priority: 'high', progress: 0 }] }],
+      add_subtask: [{ success: true, subtaskId: 't2', parentTaskId: 't1', message: 'Subtask added successfully' }],
+      set_dependency: [{ success: false, error: 'One or both tasks not found' }],
+      get_dependencies: [{ success: true, count: 1, dependencies: [{ taskId: 't2', title: 'Sub', status: 'pending', relationshipType: 'BLOCKS' }] }]
+    }
+  };
+
+  for (const server of [new Neo4jMemoryServer(), new TaskMasterServer()]) {
+    it(`should declare an outputSchema for every ${server.name} tool`, () => {
+      for (const tool of server.listTools()) {
+        assert.equal(tool.outputSchema?.type, 'object', `${tool.name} has no object outputSchema`);
+        assert.ok(sampleResults[server.name][tool.name], `${tool.name} has no sample result`);
+      }
+    });
+
+    it(`should accept representative ${server.name} results`, () => {
+      for (const tool of server.listTools()) {
+        const validate = ajv.compile(tool.outputSchema);
+
+        for (const sample of sampleResults[server.name][tool.name]) {
+          assert.ok(validate(sample), `${tool.name}: ${ajv.errorsText(validate.errors)}`);
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,44 @@
+// ============================================================
+// Unit Tests: CLI Rules Prompts
+// ============================================================
+// Description: Loading config/cli-rules files as MCP prompts
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { BaseMCPServer } from '../../src/mcp/base-server.js';
+import { loadCliRulePrompts, registerCliRulePrompts } from '../../src/mcp/cli-rules-prompts.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rulesPath = path.resolve(__dirname, '../../../../config/cli-rules');
+
+describe('CLI Rules Prompts', () => {
+  it('should load one prompt per rule file', async () => {
+    const prompts = await loadCliRulePrompts(rulesPath);
+
+    assert.deepEqual(
+      prompts.map(p => p.name).sort(),
+      ['cli_rules_claude_code', 'cli_rules_cline', 'cli_rules_cursor', 'cli_rules_gemini']
+    );
+  });
+
+  it('should serve the rule file content as the prompt message', async () => {
+    const server = new BaseMCPServer({ name: 'rules' });
+    await registerCliRulePrompts(server, rulesPath);
+
+    const result = await server.getPrompt('cli_rules_cursor');
+    const expected = await fs.readFile(path.join(rulesPath, '.cursorrules'), 'utf-8');
+
+    assert.match(result.description, /Cursor Rules/);
+    assert.equal(result.messages[0].role, 'user');
+    assert.equal(result.messages[0].content.text, expected);
+  });
+
+  it('should load nothing from a missing directory', async () => {
+    const prompts = await loadCliRulePrompts(path.join(rulesPath, 'missing'));
+
+    assert.deepEqual(prompts, []);
+  });
+});
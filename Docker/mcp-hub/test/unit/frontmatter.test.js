@@ -0,0 +1,168 @@
+// ============================================================
+// Unit Tests: YAML Frontmatter
+// ============================================================
+// Description: Frontmatter round trips through js-yaml, in notes and in
+// the Protocol Omega daily logs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  parseFrontmatter,
+  formatFrontmatter,
+  joinFrontmatter,
+  updateFrontmatter
+} from '../../src/utils/frontmatter.js';
+import { writeLogEntry } from '../../src/services/obsidian-writer.js';
+import { parseLogEntry, queryAuditLog } from '../../src/services/audit-query.js';
+import { testUtils } from '../setup.js';
+
+const NOTE = `---
+title: "Release: v2 #launch"
+date: 2024-01-15
+owner:
+  name: Jane
+  team: platform
+summary: |
+  First line
+  Second line
+tags: [release, 'q1']
+x-custom: kept
+---
+
+# Release
+
+Body with --- and key: value lines
+`;
+
+describe('YAML Frontmatter', () => {
+  describe('parseFrontmatter', () => {
+    it('should parse nested maps, quoted strings and multi-line values', () => {
+      const { frontmatter, body } = parseFrontmatter(NOTE);
+
+      assert.deepEqual(frontmatter, {
+        title: 'Release: v2 #launch',
+        date: '2024-01-15',
+        owner: { name: 'Jane', team: 'platform' },
+        summary: 'First line\nSecond line\n',
+        tags: ['release', 'q1'],
+        'x-custom': 'kept'
+      });
+      assert.equal(body, '\n# Release\n\nBody with --- and key: value lines\n');
+    });
+
+    it('should handle notes without or with empty frontmatter', () => {
+      assert.deepEqual(parseFrontmatter('# Title\n---\n'), { frontmatter: null, body: '# Title\n---\n' });
+      assert.deepEqual(parseFrontmatter('---\n---\nBody'), { frontmatter: {}, body: 'Body' });
+      assert.deepEqual(parseFrontmatter('---\r\ntitle: x\r\n---\r\nBody'), { frontmatter: { title: 'x' }, body: 'Body' });
+    });
+
+    it('should reject invalid YAML and non-mappings', () => {
+      assert.throws(() => parseFrontmatter('---\ntitle: a: b\n---\n'), { code: 'FRONTMATTER_INVALID' });
+      assert.throws(() => parseFrontmatter('---\n- a\n- b\n---\n'), /must be a YAML mapping/);
+    });
+  });
+
+  describe('formatFrontmatter', () => {
+    it('should quote values that need it', () => {
+      const block = formatFrontmatter({ title: 'Fix: login #42', id: '17', done: 'true' });
+
+      assert.equal(block, "---\ntitle: 'Fix: login #42'\nid: '17'\ndone: 'true'\n---");
+      assert.deepEqual(parseFrontmatter(`${block}\n`).frontmatter, { title: 'Fix: login #42', id: '17', done: 'true' });
+    });
+
+    it('should round-trip key order, unknown keys and the body', () => {
+      const { frontmatter, body } = parseFrontmatter(NOTE);
+      const rewritten = joinFrontmatter(frontmatter, body);
+
+      assert.deepEqual(Object.keys(parseFrontmatter(rewritten).frontmatter), Object.keys(frontmatter));
+      assert.deepEqual(parseFrontmatter(rewritten), { frontmatter, body });
+    });
+  });
+
+  describe('updateFrontmatter', () => {
+    it('should patch properties in place and leave the body untouched', () => {
+      const { content, frontmatter } = updateFrontmatter(NOTE, { status: 'shipped', date: '2024-01-16', summary: null });
+
+      assert.deepEqual(Object.keys(frontmatter), ['title', 'date', 'owner', 'tags', 'x-custom', 'status']);
+      assert.equal(frontmatter.date, '2024-01-16');
+      assert.ok(content.endsWith(parseFrontmatter(NOTE).body));
+      assert.deepEqual(parseFrontmatter(content).frontmatter, frontmatter);
+    });
+
+    it('should add frontmatter to a note without one', () => {
+      assert.equal(updateFrontmatter('# Title\n', { status: 'draft' }).content, '---\nstatus: draft\n---\n\n# Title\n');
+    });
+  });
+
+  describe('notes and logs', () => {
+    let vault;
+    let tempDir;
+
+    const call = (tool, args) => vault.call(tool, args);
+
+    before(async () => {
+      vault = await testUtils.createTestVault({ prefix: 'frontmatter-' });
+      tempDir = vault.vaultPath;
+    });
+
+    after(() => vault.close());
+
+    it('should update frontmatter through the tool', async () => {
+      await fs.writeFile(path.join(tempDir, 'Release.md'), NOTE);
+
+      const result = await call('update_frontmatter', { filename: '/Release.md', properties: { status: 'shipped', 'x-custom': null } });
+      assert.equal(result.success, true);
+      assert.equal(result.frontmatter.status, 'shipped');
+
+      const read = await call('read_note', { filename: '/Release.md' });
+      assert.deepEqual(read.frontmatter.owner, { name: 'Jane', team: 'platform' });
+      assert.equal(read.frontmatter['x-custom'], undefined);
+      assert.equal(read.body, '# Release\n\nBody with --- and key: value lines');
+    });
+
+    it('should write notes with values that need quoting', async () => {
+      await call('create_note', { title: 'Decision: use #neo4j', content: 'Body', filename: '/Decision.md', tags: ['db'] });
+
+      const read = await call('read_note', { filename: '/Decision.md' });
+      assert.equal(read.frontmatter.title, 'Decision: use #neo4j');
+      assert.deepEqual(read.frontmatter.tags, ['db']);
+
+      assert.deepEqual((await call('get_tags', { folder: '/' })).tags, ['db', 'launch', 'neo4j', 'q1', 'release']);
+    });
+
+    it('should still read notes with broken frontmatter', async () => {
+      await fs.writeFile(path.join(tempDir, 'Broken.md'), '---\ntitle: a: b\n---\nBody');
+
+      const read = await call('read_note', { filename: '/Broken.md' });
+      assert.equal(read.success, true);
+      assert.equal(read.frontmatter, null);
+      assert.match(read.frontmatterError, /Invalid YAML/);
+
+      assert.equal((await call('update_frontmatter', { filename: '/Broken.md', properties: { a: 1 } })).success, false);
+    });
+
+    it('should write log entries that parse back', async () => {
+      await writeLogEntry({
+        timestamp: '2026-03-10T09:00:00.000Z',
+        type: 'http_request',
+        source: 'express',
+        action: 'GET /tasks: #1',
+        requestId: 42,
+        data: {}
+      });
+
+      const [entry] = (await queryAuditLog({ requestId: '42' }, {})).entries;
+      assert.equal(entry.action, 'GET /tasks: #1');
+      assert.equal(entry.request_id, '42');
+    });
+
+    it('should parse log entries written before values were quoted', () => {
+      const entry = parseLogEntry('---\ntitle: http_request - GET /a: b\ntype: http_request\nsource: express\ntags:\n  - mcp\n---\n');
+
+      assert.equal(entry.type, 'http_request');
+      assert.deepEqual(entry.tags, ['mcp']);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+// ============================================================
+// Unit Tests: Obsidian Link Index
+// ============================================================
+// Description: Wikilinks, embeds and tags of the vault notes, the link
+// tools of the obsidian-memory server, and link rewriting on move
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeSystemEvent, formatDateForFilename } from '../../src/services/obsidian-writer.js';
+import { parseNote } from '../../src/services/obsidian-links.js';
+import { testUtils } from '../setup.js';
+
+const HUB = `---
+tags: [project]
+related: "[[not-a-link]]"
+---
+# Hub
+
+See [[neo4j]] and [[Knowledge/neo4j#Setup|the graph]].
+![[diagram.png]] and [[missing]] #status/active #123
+
+Code: \`[[inline]]\`
+
+\`\`\`
+[[fenced]] #fenced
+\`\`\`
+`;
+
+describe('Obsidian Link Index', () => {
+  let vault;
+  let tempDir;
+
+  const call = (tool, args) => vault.call(tool, args);
+  const write = (relative, content) => vault.write(relative, content);
+  const read = relative => fs.readFile(path.join(tempDir, relative), 'utf-8');
+
+  before(async () => {
+    vault = await testUtils.createTestVault({ prefix: 'obsidian-links-' });
+    tempDir = vault.vaultPath;
+
+    await writeSystemEvent('startup', { version: '1.0.0' });
+    await write('Projects/hub.md', HUB);
+    await write('Knowledge/neo4j.md', '# Neo4j\n\nBack to [[hub]], see [[readme]].\n');
+    await write('Knowledge/readme.md', 'Knowledge readme');
+    await write('Knowledge/diagram.png', 'png');
+    await write('Archive/readme.md', 'Archive readme');
+    await write('Inbox.md', `| Note | Log |\n| --- | --- |\n| [[hub\\|Hub]] | [[${formatDateForFilename()}]] |\n`);
+  });
+
+  after(() => vault.close());
+
+  describe('parseNote', () => {
+    it('should parse links, embeds, headings and aliases outside code and frontmatter', () => {
+      const { links } = parseNote(HUB);
+
+      assert.deepEqual(links.map(link => [link.target, link.subpath, link.alias, link.embed, link.line]), [
+        ['neo4j', '', null, false, 7],
+        ['Knowledge/neo4j', '#Setup', 'the graph', false, 7],
+        ['diagram.png', '', null, true, 8],
+        ['missing', '', null, false, 8]
+      ]);
+      assert.equal(HUB.slice(links[1].index, links[1].index + links[1].raw.length), '[[Knowledge/neo4j#Setup|the graph]]');
+    });
+
+    it('should parse escaped aliases in tables', () => {
+      const [link] = parseNote('| [[hub\\|Hub]] |').links;
+
+      assert.equal(link.target, 'hub');
+      assert.equal(link.alias, 'Hub');
+    });
+
+    it('should collect frontmatter and inline tags, but not numbers', () => {
+      assert.deepEqual(parseNote(HUB).tags, ['project', 'status/active']);
+    });
+  });
+
+  describe('link tools', () => {
+    it('should resolve outgoing links by name, by path and to attachments', async () => {
+      const result = await call('get_outgoing_links', { filename: 'Projects/hub.md' });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.links.map(link => link.resolved), [
+        'Knowledge/neo4j.md',
+        'Knowledge/neo4j.md',
+        'Knowledge/diagram.png',
+        null
+      ]);
+      assert.equal(result.links[1].heading, 'Setup');
+      assert.equal(result.broken, 1);
+      assert.deepEqual(result.tags, ['project', 'status/active']);
+    });
+
+    it('should prefer a note in the same folder when a name is ambiguous', async () => {
+      const result = await call('get_outgoing_links', { filename: 'Knowledge/neo4j.md' });
+      assert.equal(result.links[1].resolved, 'Knowledge/readme.md');
+    });
+
+    it('should list backlinks with their line', async () => {
+      const result = await call('get_backlinks', { filename: 'Knowledge/neo4j.md' });
+
+      assert.equal(result.count, 2);
+      assert.deepEqual(result.backlinks.map(link => [link.source, link.line]), [['Projects/hub.md', 7], ['Projects/hub.md', 7]]);
+      assert.match(result.backlinks[0].context, /^See \[\[neo4j\]\]/);
+
+      const log = await call('get_backlinks', { filename: `${formatDateForFilename()}.md` });
+      assert.deepEqual(log.backlinks.map(link => link.source), ['/Inbox.md']);
+    });
+
+    it('should find orphans and broken links', async () => {
+      const orphans = await call('find_orphans', {});
+      assert.deepEqual(orphans.orphans, ['Archive/readme.md', '/Inbox.md']);
+
+      const broken = await call('find_broken_links', {});
+      assert.deepEqual(broken.links.map(link => [link.source, link.target]), [['Projects/hub.md', 'missing']]);
+
+      assert.equal((await call('find_broken_links', { folder: 'Knowledge' })).count, 0);
+      assert.equal((await call('find_orphans', { folder: '../outside' })).success, false);
+    });
+
+    it('should pick up notes edited outside the hub', async () => {
+      await write('Daily.md', 'Review [[Inbox]] and [[Archive/readme]]');
+
+      assert.deepEqual((await call('find_orphans', {})).orphans, ['/Daily.md']);
+      assert.equal((await call('get_backlinks', { filename: '/Inbox.md' })).count, 1);
+
+      await fs.unlink(path.join(tempDir, 'Daily.md'));
+      assert.equal((await call('get_backlinks', { filename: '/Inbox.md' })).count, 0);
+    });
+
+    it('should report missing notes', async () => {
+      const result = await call('get_backlinks', { filename: 'Projects/nope.md' });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Note not found/);
+    });
+  });
+
+  describe('move_note', () => {
+    it('should rewrite links to a moved note, keeping headings and aliases', async () => {
+      const result = await call('move_note', { from: 'Knowledge/neo4j.md', to: 'Archive/graph-db.md' });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.updated.sort(), ['Archive/graph-db.md', 'Projects/hub.md']);
+
+      const hub = await read('Projects/hub.md');
+      assert.match(hub, /See \[\[graph-db\]\] and \[\[Archive\/graph-db#Setup\|the graph\]\]\./);
+      assert.match(hub, /\[\[fenced\]\]/);
+      assert.match(hub, /related: "\[\[not-a-link\]\]"/);
+
+      assert.equal((await call('find_broken_links', {})).count, 1);
+    });
+
+    it('should rewrite links of the moved note that now resolve elsewhere', async () => {
+      // [[readme]] would now find Archive/readme.md, next to the note
+      assert.equal(await read('Archive/graph-db.md'), '# Neo4j\n\nBack to [[hub]], see [[Knowledge/readme]].\n');
+    });
+
+    it('should rename links in tables and keep ambiguous names as paths', async () => {
+      await write('Archive/Hub Notes.md', 'Archived');
+
+      const result = await call('move_note', { from: 'Projects/hub.md', to: 'Projects/Hub Notes.md' });
+      assert.equal(result.links, 2);
+
+      assert.match(await read('Inbox.md'), /\| \[\[Projects\/Hub Notes\\\|Hub\]\] \|/);
+      assert.match(await read('Archive/graph-db.md'), /Back to \[\[Projects\/Hub Notes\]\]/);
+      assert.equal((await call('get_backlinks', { filename: 'Projects/Hub Notes.md' })).count, 2);
+    });
+
+    it('should leave links alone when the move fails', async () => {
+      const inbox = await read('Inbox.md');
+
+      const result = await call('move_note', { from: 'Projects/Hub Notes.md', to: 'Archive/readme.md' });
+      assert.equal(result.success, false);
+      assert.equal(await read('Inbox.md'), inbox);
+    });
+  });
+});
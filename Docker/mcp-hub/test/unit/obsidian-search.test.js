@@ -0,0 +1,207 @@
+// ============================================================
+// Unit Tests: Obsidian Full-Text Search
+// ============================================================
+// Description: The inverted index behind search_notes: BM25 ranking,
+// phrase and prefix queries, filters, snippets and index freshness
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeLogEntry, formatDateForFilename, releaseVault } from '../../src/services/obsidian-writer.js';
+import { tokenize, parseQuery, SEARCH_DEFAULTS } from '../../src/services/obsidian-search.js';
+import { testUtils } from '../setup.js';
+
+const NOTES = {
+  'AI_Memory/Proyectos/mcp-hub.md': `---
+title: MCP Hub
+status: active
+date: 2026-03-01
+tags: [project]
+---
+The hub connects agents to Neo4j and Obsidian. Graph memory is kept in Neo4j.
+`,
+  'AI_Memory/Conocimiento/neo4j.md': `---
+status: reference
+date: 2026-02-10
+---
+Neo4j is a graph database. Queries are written in Cypher, and the graph
+is stored as nodes and relationships. #project/research
+`,
+  'AI_Memory/Decisiones/cache.md': `---
+status: done
+date: 2025-12-01
+---
+Decisión: usar una caché en memoria para el grafo. #decision
+`,
+  'Inbox.md': 'Notes about gardening and tomatoes.\n'
+};
+
+describe('Obsidian Full-Text Search', () => {
+  let vault;
+  let tempDir;
+
+  const call = (tool, args) => vault.call(tool, args);
+  const search = (query, args = {}) => call('search_notes', { query, folder: '/', recursive: true, searchContent: true, ...args });
+
+  before(async () => {
+    vault = await testUtils.createTestVault({ prefix: 'obsidian-search-' });
+    tempDir = vault.vaultPath;
+
+    for (const [relative, content] of Object.entries(NOTES)) {
+      await vault.write(relative, content);
+    }
+  });
+
+  after(async () => {
+    SEARCH_DEFAULTS.rescanInterval = 60000;
+    await vault.close();
+  });
+
+  describe('queries', () => {
+    it('should tokenize without case and accents', () => {
+      assert.deepEqual(tokenize('Decisión: usar CACHÉ').map(token => token.term), ['decision', 'usar', 'cache']);
+      assert.deepEqual(tokenize('a-b').map(token => [token.start, token.end]), [[0, 1], [2, 3]]);
+    });
+
+    it('should parse words, phrases and prefixes', () => {
+      assert.deepEqual(parseQuery('graph "Graph Database" neo* neo4j-driver'), [
+        { type: 'term', terms: ['graph'] },
+        { type: 'phrase', terms: ['graph', 'database'] },
+        { type: 'prefix', terms: ['neo'] },
+        { type: 'phrase', terms: ['neo4j', 'driver'] }
+      ]);
+      assert.deepEqual(parseQuery('"" * !!'), []);
+    });
+  });
+
+  describe('search_notes', () => {
+    it('should rank notes with BM25 and highlight matches', async () => {
+      const result = await search('neo4j');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.notes, ['AI_Memory/Conocimiento/neo4j.md', 'AI_Memory/Proyectos/mcp-hub.md']);
+      assert.ok(result.results[0].score > result.results[1].score);
+      assert.match(result.results[1].snippet, /connects agents to \*\*Neo4j\*\* and Obsidian/);
+      assert.equal(result.results[1].title, 'MCP Hub');
+    });
+
+    it('should require every word and match phrases in order', async () => {
+      assert.deepEqual((await search('graph memory')).notes, ['AI_Memory/Proyectos/mcp-hub.md']);
+      assert.deepEqual((await search('"graph database"')).notes, ['AI_Memory/Conocimiento/neo4j.md']);
+      assert.equal((await search('"database graph"')).count, 0);
+    });
+
+    it('should match prefixes and ignore accents', async () => {
+      const prefix = await search('garden*');
+      assert.deepEqual(prefix.notes, ['/Inbox.md']);
+      assert.match(prefix.results[0].snippet, /\*\*gardening\*\*/);
+
+      const accents = await search('decision cache');
+      assert.deepEqual(accents.notes, ['AI_Memory/Decisiones/cache.md']);
+      assert.match(accents.results[0].snippet, /\*\*Decisión\*\*: usar una \*\*caché\*\*/);
+    });
+
+    it('should filter by tag, frontmatter property, folder and date', async () => {
+      assert.deepEqual((await search('graph', { tags: ['project'] })).notes.sort(), [
+        'AI_Memory/Conocimiento/neo4j.md',
+        'AI_Memory/Proyectos/mcp-hub.md'
+      ]);
+      assert.deepEqual((await search('graph', { tags: ['project/research'] })).notes, ['AI_Memory/Conocimiento/neo4j.md']);
+      assert.deepEqual((await search('memoria', { properties: { status: 'done' } })).notes, ['AI_Memory/Decisiones/cache.md']);
+      assert.equal((await search('memoria', { properties: { status: 'active' } })).count, 0);
+      assert.equal((await search('graph', { folder: 'AI_Memory', recursive: false })).count, 0);
+      assert.deepEqual((await search('graph', { from: '2026-02-01', to: '2026-02-28' })).notes, ['AI_Memory/Conocimiento/neo4j.md']);
+    });
+
+    it('should limit results and report the total', async () => {
+      const result = await search('graph', { limit: 1 });
+
+      assert.equal(result.count, 1);
+      assert.equal(result.total, 2);
+    });
+
+    it('should still match note paths without searchContent', async () => {
+      const result = await call('search_notes', { query: 'neo', folder: '/', recursive: true });
+
+      assert.deepEqual(result.notes, ['AI_Memory/Conocimiento/neo4j.md']);
+      assert.equal(result.results[0].snippet, null);
+    });
+
+    it('should reject empty queries and invalid dates', async () => {
+      assert.match((await search('"" *')).error, /no words to search/);
+      assert.match((await search('graph', { from: 'yesterday' })).error, /Invalid from/);
+    });
+  });
+
+  describe('index freshness', () => {
+    it('should see notes written through the hub at once', async () => {
+      // No rescans: only writes made through the hub are picked up
+      SEARCH_DEFAULTS.rescanInterval = Infinity;
+
+      await call('write_note', { filename: 'AI_Memory/Proyectos/mcp-hub.md', content: 'Now about Redis streams.', overwrite: true });
+      assert.deepEqual((await search('redis')).notes, ['AI_Memory/Proyectos/mcp-hub.md']);
+      assert.deepEqual((await search('neo4j')).notes, ['AI_Memory/Conocimiento/neo4j.md']);
+
+      await call('move_note', { from: '/Inbox.md', to: 'Garden/tomatoes.md' });
+      assert.deepEqual((await search('tomatoes')).notes, ['Garden/tomatoes.md']);
+
+      await call('delete_note', { filename: 'Garden/tomatoes.md' });
+      assert.equal((await search('tomatoes')).count, 0);
+    });
+
+    it('should index daily log entries as they are written', async () => {
+      await writeLogEntry({
+        timestamp: new Date().toISOString(),
+        type: 'system',
+        source: 'hub',
+        action: 'zeppelin-maintenance',
+        data: { window: 'night' }
+      });
+
+      const result = await call('search_notes', { query: 'zeppelin', searchContent: true });
+      assert.deepEqual(result.notes, [`${formatDateForFilename()}.md`]);
+    });
+
+    it('should read only the entries appended to a daily log', async () => {
+      const readFile = mock.method(fs, 'readFile');
+      const logPath = path.join('MCP Logs', `${formatDateForFilename()}.md`);
+
+      try {
+        await writeLogEntry({
+          timestamp: new Date().toISOString(),
+          type: 'system',
+          source: 'hub',
+          action: 'quasar-calibration',
+          data: { window: 'dawn' }
+        });
+
+        assert.equal((await search('redis')).count, 1);
+        assert.equal(readFile.mock.calls.filter(call => String(call.arguments[0]).endsWith(logPath)).length, 0);
+      } finally {
+        readFile.mock.restore();
+      }
+
+      const result = await search('"quasar calibration" zeppelin');
+      assert.deepEqual(result.notes, [`${formatDateForFilename()}.md`]);
+      assert.match(result.results[0].snippet, /\*\*quasar\*\*-\*\*calibration\*\*/);
+    });
+
+    it('should pick up notes edited outside the hub on the next rescan', async () => {
+      await fs.writeFile(path.join(tempDir, 'Outside.md'), 'Edited in Obsidian: quokka');
+      assert.equal((await search('quokka')).count, 0);
+
+      SEARCH_DEFAULTS.rescanInterval = 0;
+      assert.deepEqual((await search('quokka')).notes, ['/Outside.md']);
+    });
+
+    it('should drop the index of a released vault', async () => {
+      SEARCH_DEFAULTS.rescanInterval = Infinity;
+      await fs.writeFile(path.join(tempDir, 'Released.md'), 'Edited in Obsidian: wombat');
+      assert.equal((await search('wombat')).count, 0);
+
+      releaseVault(tempDir);
+      assert.deepEqual((await search('wombat')).notes, ['/Released.md']);
+    });
+  });
+});
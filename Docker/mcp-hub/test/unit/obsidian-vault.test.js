@@ -0,0 +1,211 @@
+// ============================================================
+// Unit Tests: Obsidian Vault Notes
+// ============================================================
+// Description: Notes and folders by vault-relative path, through the
+// vault service and the obsidian-memory tools
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { flushLogWrites, writeSystemEvent, formatDateForFilename } from '../../src/services/obsidian-writer.js';
+import {
+  resolveNotePath,
+  toNotePath,
+  listNotes,
+  listFolder,
+  createFolder,
+  moveNote,
+  deleteNote
+} from '../../src/services/obsidian-vault.js';
+import { testUtils } from '../setup.js';
+
+describe('Obsidian Vault Notes', () => {
+  let vault;
+  let tempDir;
+
+  const call = (tool, args) => vault.call(tool, args);
+
+  before(async () => {
+    vault = await testUtils.createTestVault({ prefix: 'obsidian-vault-' });
+    tempDir = vault.vaultPath;
+
+    await writeSystemEvent('startup', { version: '1.0.0' });
+  });
+
+  after(() => vault.close());
+
+  describe('note paths', () => {
+    it('should resolve bare filenames in the logs folder and other paths from the vault root', async () => {
+      assert.equal((await resolveNotePath('2026-03-14.md')).relative, 'MCP Logs/2026-03-14.md');
+      assert.equal((await resolveNotePath('AI_Memory/Proyectos/hub.md')).relative, 'AI_Memory/Proyectos/hub.md');
+      assert.equal((await resolveNotePath('/Inbox.md')).absolute, path.join(await fs.realpath(tempDir), 'Inbox.md'));
+    });
+
+    it('should return paths in the same form', async () => {
+      for (const notePath of ['2026-03-14.md', 'AI_Memory/Proyectos/hub.md', '/Inbox.md']) {
+        assert.equal(toNotePath((await resolveNotePath(notePath)).relative), notePath);
+      }
+    });
+
+    it('should reject paths outside the vault', async () => {
+      for (const notePath of ['../outside.md', '/../../etc/passwd', 'AI_Memory/../../outside.md', '', 'AI_Memory/']) {
+        await assert.rejects(resolveNotePath(notePath), { code: 'VAULT_INVALID_PATH' }, notePath);
+      }
+    });
+  });
+
+  describe('note tools', () => {
+    it('should write and read notes in subfolders', async () => {
+      const written = await call('write_note', { filename: 'AI_Memory/Proyectos/hub.md', content: '# MCP Hub' });
+      assert.equal(written.filename, 'AI_Memory/Proyectos/hub.md');
+
+      await call('append_note', { filename: 'AI_Memory/Proyectos/hub.md', content: 'Uses #neo4j' });
+
+      const read = await call('read_note', { filename: 'AI_Memory/Proyectos/hub.md' });
+      assert.equal(read.content, '# MCP Hub\n\nUses #neo4j');
+    });
+
+    it('should write a note once with its frontmatter', async () => {
+      await call('write_note', { filename: '/Inbox.md', content: 'Body', frontmatter: { title: 'Inbox' } });
+
+      const content = await fs.readFile(path.join(tempDir, 'Inbox.md'), 'utf-8');
+      assert.equal(content, '---\ntitle: Inbox\n---\n\nBody');
+    });
+
+    it('should replace an existing note only with overwrite', async () => {
+      const existing = await call('write_note', { filename: '/Inbox.md', content: 'Replaced' });
+      assert.equal(existing.success, false);
+      assert.match(existing.error, /already exists/);
+      assert.match(await fs.readFile(path.join(tempDir, 'Inbox.md'), 'utf-8'), /Body$/);
+
+      assert.equal((await call('write_note', { filename: '/Inbox.md', content: 'Body', frontmatter: { title: 'Inbox' }, overwrite: true })).success, true);
+    });
+
+    it('should create notes in a folder', async () => {
+      const created = await call('create_note', { title: 'Use Neo4j', content: 'Decided', folder: 'AI_Memory/Decisiones' });
+
+      assert.match(created.filename, /^AI_Memory\/Decisiones\/\d{4}-\d{2}-\d{2}-use-neo4j\.md$/);
+      await fs.access(path.join(tempDir, created.filename));
+    });
+
+    it('should list notes of a folder, recursively if asked', async () => {
+      const daily = await call('list_notes', {});
+      assert.deepEqual(daily.notes, [`${formatDateForFilename()}.md`]);
+
+      const memory = await call('list_notes', { folder: 'AI_Memory' });
+      assert.equal(memory.count, 0);
+
+      const all = await call('list_notes', { folder: '/', recursive: true, sort: 'oldest' });
+      assert.deepEqual(all.notes.slice(-3).sort(), [
+        '/Inbox.md',
+        'AI_Memory/Proyectos/hub.md',
+        all.notes.find(note => note.startsWith('AI_Memory/Decisiones/'))
+      ].sort());
+      assert.ok(all.notes.includes(`${formatDateForFilename()}.md`));
+      assert.equal(all.count, 4);
+    });
+
+    it('should search and collect tags in a folder', async () => {
+      const found = await call('search_notes', { query: 'neo4j', folder: 'AI_Memory', recursive: true, searchContent: true });
+      assert.equal(found.count, 2);
+
+      const tags = await call('get_tags', { folder: 'AI_Memory/Proyectos' });
+      assert.deepEqual(tags.tags, ['neo4j']);
+    });
+
+    it('should report missing notes and folders', async () => {
+      assert.match((await call('read_note', { filename: 'AI_Memory/missing.md' })).error, /Note not found/);
+      assert.match((await call('list_notes', { folder: 'Missing' })).error, /Folder not found/);
+      assert.match((await call('read_note', { filename: '../secrets.md' })).error, /outside the vault/);
+    });
+  });
+
+  describe('folders', () => {
+    it('should create folders with their parents', async () => {
+      assert.deepEqual(await createFolder('/Archive/2026'), { folder: 'Archive/2026', created: true });
+      assert.deepEqual(await createFolder('Archive/2026'), { folder: 'Archive/2026', created: false });
+
+      await assert.rejects(createFolder('/'), { code: 'VAULT_INVALID_PATH' });
+      await assert.rejects(createFolder('Inbox.md'), { code: 'VAULT_EXISTS' });
+    });
+
+    it('should list the contents of a folder without dot folders', async () => {
+      await fs.mkdir(path.join(tempDir, '.obsidian'));
+      await fs.writeFile(path.join(tempDir, 'AI_Memory', 'diagram.png'), '');
+
+      assert.deepEqual(await listFolder('AI_Memory'), {
+        folder: 'AI_Memory',
+        folders: ['AI_Memory/Decisiones', 'AI_Memory/Proyectos'],
+        notes: [],
+        files: ['AI_Memory/diagram.png']
+      });
+
+      const root = await call('list_folder', {});
+      assert.equal(root.folder, '/');
+      assert.deepEqual(root.folders, ['AI_Memory', 'Archive', 'MCP Logs']);
+      assert.deepEqual(root.notes, ['/Inbox.md']);
+    });
+  });
+
+  describe('move and delete', () => {
+    it('should move a note into a new folder', async () => {
+      const moved = await call('move_note', { from: '/Inbox.md', to: 'Archive/2026/Inbox.md' });
+
+      assert.equal(moved.success, true);
+      assert.equal(moved.to, 'Archive/2026/Inbox.md');
+      assert.deepEqual(await listNotes({ folder: 'Archive', recursive: true }), ['Archive/2026/Inbox.md']);
+    });
+
+    it('should not replace an existing note unless asked', async () => {
+      await call('write_note', { filename: '/Inbox.md', content: 'New inbox' });
+
+      await assert.rejects(moveNote('/Inbox.md', 'Archive/2026/Inbox.md'), { code: 'VAULT_EXISTS' });
+      await moveNote('/Inbox.md', 'Archive/2026/Inbox.md', { overwrite: true });
+
+      const read = await call('read_note', { filename: 'Archive/2026/Inbox.md' });
+      assert.equal(read.content, 'New inbox');
+      await assert.rejects(moveNote('/Inbox.md', '/Other.md'), { code: 'VAULT_NOT_FOUND' });
+    });
+
+    it('should delete notes', async () => {
+      const deleted = await call('delete_note', { filename: 'Archive/2026/Inbox.md' });
+
+      assert.equal(deleted.success, true);
+      assert.deepEqual(await listNotes({ folder: 'Archive', recursive: true }), []);
+      await assert.rejects(deleteNote('Archive/2026/Inbox.md'), { code: 'VAULT_NOT_FOUND' });
+    });
+
+    it('should protect the daily logs', async () => {
+      const daily = `${formatDateForFilename()}.md`;
+
+      await assert.rejects(deleteNote(daily), { code: 'VAULT_PROTECTED' });
+      await assert.rejects(moveNote(daily, 'Archive/log.md'), { code: 'VAULT_PROTECTED' });
+      await assert.rejects(moveNote('AI_Memory/Proyectos/hub.md', daily, { overwrite: true }), { code: 'VAULT_PROTECTED' });
+      await fs.access(path.join(tempDir, 'MCP Logs', daily));
+    });
+
+    it('should not let note tools write the daily logs', async () => {
+      const daily = `${formatDateForFilename()}.md`;
+      await flushLogWrites();
+      const log = await fs.readFile(path.join(tempDir, 'MCP Logs', daily), 'utf-8');
+
+      for (const [tool, args] of [
+        ['write_note', { filename: daily, content: 'forged' }],
+        ['write_note', { filename: 'MCP Logs/forged.md', content: 'forged' }],
+        ['append_note', { filename: daily, content: 'forged' }],
+        ['update_frontmatter', { filename: daily, properties: { status: 'forged' } }]
+      ]) {
+        const result = await call(tool, args);
+        assert.equal(result.success, false, tool);
+        assert.match(result.error, /audit log folder/);
+      }
+
+      const created = await call('create_note', { title: 'Forged', content: 'x', filename: daily });
+      assert.equal(created.filename, `/${daily}`);
+
+      assert.equal(await fs.readFile(path.join(tempDir, 'MCP Logs', daily), 'utf-8'), log);
+      await assert.rejects(fs.access(path.join(tempDir, 'MCP Logs', 'forged.md')));
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// ============================================================
+// Unit Tests: Ollama Router
+// ============================================================
+// Description: Progress reporting and cancellation with a stubbed Ollama client
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ollama from 'ollama';
+import { pullModel, routeRequest } from '../../src/services/ollama-router.js';
+
+/**
+ * Streamed response like the one returned by the ollama client
+ * With hang, the stream waits after its parts until it is aborted
+ */
+function createStream(parts, { hang = false } = {}) {
+  let wake = null;
+  const stream = {
+    aborted: false,
+    abort() {
+      stream.aborted = true;
+      wake?.();
+    },
+    async *[Symbol.asyncIterator]() {
+      for (const part of parts) {
+        yield part;
+      }
+      if (hang) {
+        if (!stream.aborted) {
+          await new Promise(resolve => { wake = resolve; });
+        }
+        throw new DOMException('This operation was aborted', 'AbortError');
+      }
+    }
+  };
+  return stream;
+}
+
+describe('Ollama Router', () => {
+  const original = {};
+
+  beforeEach(() => {
+    for (const method of ['list', 'pull', 'generate']) {
+      original[method] = ollama[method];
+    }
+    ollama.list = async () => ({ models: [{ name: 'qwq:latest' }] });
+  });
+
+  afterEach(() => {
+    Object.assign(ollama, original);
+  });
+
+  describe('pullModel', () => {
+    it('should report download progress summed over layers', async () => {
+      ollama.pull = async () => createStream([
+        { status: 'pulling manifest' },
+        { status: 'pulling a', digest: 'a', total: 100, completed: 50 },
+        { status: 'pulling a', digest: 'a', total: 100, completed: 100 },
+        { status: 'pulling b', digest: 'b', total: 20, completed: 20 },
+        { status: 'success' }
+      ]);
+
+      const progress = [];
+      const result = await pullModel('qwq', {
+        onProgress: (completed, total, status) => progress.push([completed, total, status])
+      });
+
+      assert.equal(result.status, 'success');
+      assert.deepEqual(progress.slice(1, 4), [
+        [50, 100, 'pulling a'],
+        [100, 100, 'pulling a'],
+        [120, 120, 'pulling b']
+      ]);
+    });
+
+    it('should abort the download when the signal fires', async () => {
+      const stream = createStream([{ status: 'pulling manifest' }], { hang: true });
+      ollama.pull = async () => stream;
+
+      const controller = new AbortController();
+      const pull = pullModel('qwq', {
+        signal: controller.signal,
+        onProgress: () => controller.abort()
+      });
+
+      await assert.rejects(pull, { name: 'AbortError' });
+      assert.equal(stream.aborted, true);
+    });
+  });
+
+  describe('routeRequest', () => {
+    it('should stream the response when progress is requested', async () => {
+      let request;
+      ollama.generate = async (options) => {
+        request = options;
+        return createStream([
+          { response: 'Step 1. ', done: false },
+          { response: 'Done.', done: true, eval_count: 2 }
+        ]);
+      };
+
+      const progress = [];
+      const result = await routeRequest('reasoning', 'Why?', {
+        onProgress: (count) => progress.push(count)
+      });
+
+      assert.equal(request.stream, true);
+      assert.equal(request.model, 'qwq:latest');
+      assert.equal(result.response, 'Step 1. Done.');
+      assert.equal(result.eval_count, 2);
+      assert.deepEqual(progress, [1, 2]);
+    });
+
+    it('should stop retrying once the signal aborts', async () => {
+      let calls = 0;
+      ollama.generate = async () => {
+        calls++;
+        throw new Error('connect ECONNREFUSED');
+      };
+
+      const controller = new AbortController();
+      const request = routeRequest('reasoning', 'Why?', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 50);
+
+      await assert.rejects(request, { name: 'AbortError' });
+      assert.equal(calls, 1);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// ============================================================
+// Unit Tests: Protocol Omega Policy Engine
+// ============================================================
+// Description: Rule matching, policy file loading and the shipped policy
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  compilePolicy,
+  configurePolicy,
+  evaluatePolicy,
+  loadPolicy
+} from '../../src/middleware/omega-policy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const shippedPolicyPath = path.resolve(__dirname, '../../../../config/omega-policy.yml');
+
+describe('Protocol Omega Policy', () => {
+  describe('evaluatePolicy', () => {
+    afterEach(() => {
+      configurePolicy({ document: {} });
+    });
+
+    it('should allow calls matching no rule', async () => {
+      configurePolicy({ document: { rules: [] } });
+
+      const decision = await evaluatePolicy({ server: 'obsidian-memory', tool: 'read_note', arguments: {} });
+
+      assert.deepEqual(decision, { effect: 'allow', rule: null, reason: null });
+    });
+
+    it('should apply the first matching rule', async () => {
+      configurePolicy({
+        document: {
+          rules: [
+            { name: 'read-only-notes', server: 'obsidian-memory', tool: ['write_*', 'append_note'], effect: 'deny' },
+            { name: 'everything-else', server: '*', effect: 'require-approval' }
+          ]
+        }
+      });
+
+      assert.equal((await evaluatePolicy({ server: 'obsidian-memory', tool: 'write_note' })).rule, 'read-only-notes');
+      assert.equal((await evaluatePolicy({ server: 'obsidian-memory', tool: 'append_note' })).effect, 'deny');
+      assert.equal((await evaluatePolicy({ server: 'obsidian-memory', tool: 'read_note' })).rule, 'everything-else');
+    });
+
+    it('should match argument values, patterns and presence', async () => {
+      configurePolicy({
+        document: {
+          rules: [
+            { name: 'status', arguments: { 'properties.status': ['archived', 'frozen'] }, effect: 'deny' },
+            { name: 'temp-ids', arguments: { id: { pattern: '^tmp-' } }, effect: 'allow' },
+            { name: 'no-id', arguments: { id: { exists: false } }, effect: 'require-approval' }
+          ]
+        }
+      });
+
+      const evaluate = (args) => evaluatePolicy({ server: 'neo4j-memory', tool: 'update_entity', arguments: args });
+
+      assert.equal((await evaluate({ id: 'p1', properties: { status: 'frozen' } })).rule, 'status');
+      assert.equal((await evaluate({ id: 'tmp-42' })).rule, 'temp-ids');
+      assert.equal((await evaluate({})).rule, 'no-id');
+      assert.equal((await evaluate({ id: 'p1', properties: { status: 'active' } })).rule, null);
+    });
+
+    it('should match the client identity', async () => {
+      configurePolicy({
+        document: {
+          rules: [{ name: 'no-cursor-deletes', client: 'cursor*', tool: 'delete_*', effect: 'deny' }]
+        }
+      });
+
+      assert.equal((await evaluatePolicy({ tool: 'delete_task', client: { name: 'cursor-agent' } })).effect, 'deny');
+      assert.equal((await evaluatePolicy({ tool: 'delete_task', client: { name: 'claude-code' } })).effect, 'allow');
+      assert.equal((await evaluatePolicy({ tool: 'delete_task' })).effect, 'allow');
+    });
+
+    it('should use the policy default', async () => {
+      configurePolicy({
+        document: {
+          default: 'deny',
+          rules: [{ tool: 'read_*', effect: 'allow' }]
+        }
+      });
+
+      assert.equal((await evaluatePolicy({ tool: 'read_note' })).effect, 'allow');
+      assert.equal((await evaluatePolicy({ tool: 'write_note' })).effect, 'deny');
+    });
+  });
+
+  describe('compilePolicy', () => {
+    it('should reject unknown effects and keys', () => {
+      assert.throws(() => compilePolicy({ rules: [{ tool: 'x', effect: 'block' }] }), /effect must be one of/);
+      assert.throws(() => compilePolicy({ rules: [{ tools: 'x', effect: 'deny' }] }), /unknown keys tools/);
+      assert.throws(() => compilePolicy({ default: 'maybe' }), /default must be one of/);
+      assert.throws(() => compilePolicy({ rules: [{ arguments: { id: {} }, effect: 'deny' }] }), /unsupported matcher/);
+    });
+  });
+
+  describe('policy file', () => {
+    let tempDir;
+    let policyPath;
+
+    before(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-policy-'));
+      policyPath = path.join(tempDir, 'omega-policy.yml');
+    });
+
+    after(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should allow everything without a policy file', async () => {
+      configurePolicy({ path: path.join(tempDir, 'missing.yml') });
+
+      assert.equal((await evaluatePolicy({ tool: 'delete_entity' })).effect, 'allow');
+    });
+
+    it('should reload the file when it changes', async () => {
+      await fs.writeFile(policyPath, 'rules:\n  - { name: first, tool: delete_task, effect: deny }\n');
+      configurePolicy({ path: policyPath });
+      assert.equal((await evaluatePolicy({ tool: 'delete_task' })).rule, 'first');
+
+      await fs.writeFile(policyPath, 'rules:\n  - { name: second, tool: delete_task, effect: require-approval }\n');
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(policyPath, later, later);
+
+      assert.equal((await evaluatePolicy({ tool: 'delete_task' })).rule, 'second');
+    });
+
+    it('should deny every call while the file is invalid', async () => {
+      await fs.writeFile(policyPath, 'rules:\n  - { tool: delete_task, effect: explode }\n');
+      configurePolicy({ path: policyPath });
+
+      const decision = await evaluatePolicy({ tool: 'read_note' });
+
+      assert.equal(decision.effect, 'deny');
+      assert.match(decision.reason, /Invalid policy file/);
+    });
+
+    it('should ship a policy protecting projects and destructive calls', async () => {
+      configurePolicy({ document: {} });
+      const policy = await loadPolicy(shippedPolicyPath);
+      const evaluate = (context) => {
+        const rule = policy.rules.find(candidate => candidate.matches(context));
+        return rule ? rule.effect : policy.default;
+      };
+
+      assert.equal(evaluate({ server: 'neo4j-memory', tool: 'delete_entity', arguments: { label: 'Project', id: 'p1' } }), 'deny');
+      assert.equal(evaluate({ server: 'neo4j-memory', tool: 'delete_entity', arguments: { label: 'Bug', id: 'b1' } }), 'require-approval');
+      assert.equal(evaluate({ server: 'task-master', tool: 'delete_task', arguments: { taskId: 't1', deleteSubtasks: true } }), 'require-approval');
+      assert.equal(evaluate({ server: 'task-master', tool: 'delete_task', arguments: { taskId: 't1' } }), 'allow');
+      assert.equal(evaluate({ server: 'ollama', tool: 'pull_model', arguments: { model: 'llama3.2' } }), 'require-approval');
+      assert.equal(evaluate({ server: 'obsidian-memory', tool: 'write_note', arguments: { filename: '/a.md', content: 'x' } }), 'allow');
+      assert.equal(evaluate({ server: 'obsidian-memory', tool: 'write_note', arguments: { filename: '/a.md', content: 'x', overwrite: true } }), 'require-approval');
+      assert.equal(evaluate({ server: 'obsidian-memory', tool: 'move_note', arguments: { from: '/a.md', to: '/b.md' } }), 'allow');
+      assert.equal(evaluate({ server: 'obsidian-memory', tool: 'move_note', arguments: { from: '/a.md', to: '/b.md', overwrite: true } }), 'require-approval');
+      assert.equal(evaluate({ server: 'obsidian-memory', tool: 'delete_note', arguments: { filename: '/a.md' } }), 'require-approval');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// ============================================================
+// Unit Tests: Protocol Omega Log Entry Schema
+// ============================================================
+// Description: Compatibility mapping and validation against config/schemas/log-entry.schema.json
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  configureLogSchema,
+  resolveCli,
+  toSchemaEntry,
+  validateSchemaEntry,
+  DEFAULT_SCHEMA_PATH
+} from '../../src/middleware/omega-schema.js';
+import { validateLogFormat } from '../../src/middleware/protocol-omega.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const shippedSchemaPath = path.resolve(__dirname, '../../../../config/schemas/log-entry.schema.json');
+
+const toolCall = (overrides = {}) => ({
+  timestamp: '2026-03-14T12:00:00.000Z',
+  type: 'tool_call',
+  source: 'neo4j-memory',
+  action: 'create_entity',
+  data: { server: 'neo4j-memory', tool: 'create_entity', arguments: { label: 'Bug' } },
+  ...overrides
+});
+
+describe('Protocol Omega Log Entry Schema', () => {
+  before(() => {
+    configureLogSchema({ path: shippedSchemaPath, defaultCli: 'claude-code' });
+  });
+
+  after(() => {
+    configureLogSchema({ path: DEFAULT_SCHEMA_PATH });
+  });
+
+  describe('resolveCli', () => {
+    it('should map client names to schema CLIs', () => {
+      assert.equal(resolveCli({ name: 'claude-code', version: '2.0.0' }), 'claude-code');
+      assert.equal(resolveCli({ name: 'cursor-vscode' }), 'cursor');
+      assert.equal(resolveCli('gemini-cli-mcp-client'), 'gemini-cli');
+      assert.equal(resolveCli({ name: 'Qwen Code' }), 'qwen-cli');
+    });
+
+    it('should fall back to the default CLI', () => {
+      assert.equal(resolveCli({ name: 'mcp-inspector' }), 'claude-code');
+      assert.equal(resolveCli(undefined), 'claude-code');
+    });
+  });
+
+  describe('toSchemaEntry', () => {
+    it('should map a tool call with its client, session and request', () => {
+      const entry = toSchemaEntry(toolCall({
+        session: 'session-1',
+        requestId: 'req-1',
+        data: { server: 'neo4j-memory', tool: 'create_entity', client: { name: 'cline' } }
+      }));
+
+      assert.deepEqual(entry, {
+        timestamp: '2026-03-14T12:00:00.000Z',
+        cli: 'cline',
+        action_type: 'MEMORY_UPDATE',
+        context: 'tool_call neo4j-memory/create_entity',
+        metadata: { session: 'session-1', request_id: 'req-1' }
+      });
+    });
+
+    it('should map tool results, errors and other entry types', () => {
+      const result = toSchemaEntry(toolCall({
+        action: 'create_entity_result',
+        data: { server: 'neo4j-memory', result: { status: 'error', error: 'Constraint violated' } }
+      }));
+
+      assert.deepEqual(result.result, { status: 'failure' });
+      assert.deepEqual(result.artifacts, { error: 'Constraint violated' });
+      assert.equal(toSchemaEntry(toolCall({ source: 'ollama', data: { server: 'ollama' } })).action_type, 'RESEARCH');
+      assert.equal(toSchemaEntry({ ...toolCall(), type: 'error', data: { message: 'boom' } }).action_type, 'ERROR');
+      assert.equal(toSchemaEntry({ ...toolCall(), type: 'system', source: 'hub', data: {} }).action_type, 'CONFIGURATION');
+    });
+
+    it('should keep explicit cli and action_type', () => {
+      const entry = toSchemaEntry(toolCall({ cli: 'droid', action_type: 'TESTING' }));
+
+      assert.equal(entry.cli, 'droid');
+      assert.equal(entry.action_type, 'TESTING');
+    });
+  });
+
+  describe('validateSchemaEntry', () => {
+    it('should accept mapped Omega entries', () => {
+      assert.deepEqual(validateSchemaEntry(toolCall({ session: 'abc' })), []);
+      assert.deepEqual(validateLogFormat(toolCall()), { valid: true, errors: [] });
+    });
+
+    it('should report schema violations', () => {
+      const errors = validateSchemaEntry(toolCall({
+        timestamp: 'yesterday',
+        cli: 'vim',
+        action_type: 'SLEEPING'
+      }));
+
+      assert.equal(errors.length, 3);
+      assert.ok(errors.some(error => error.startsWith('Schema: /cli must be equal to one of the allowed values')));
+      assert.ok(errors.some(error => error.startsWith('Schema: /timestamp must match format "date-time"')));
+      assert.equal(validateLogFormat(toolCall({ cli: 'vim' })).valid, false);
+    });
+
+    it('should skip schema validation without a schema file', () => {
+      configureLogSchema({ path: path.join(os.tmpdir(), 'missing-log-entry.schema.json') });
+
+      try {
+        assert.deepEqual(validateSchemaEntry(toolCall({ cli: 'vim' })), []);
+      } finally {
+        configureLogSchema({ path: shippedSchemaPath });
+      }
+    });
+
+    it('should reject every entry while the schema is invalid', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-schema-'));
+      const schemaPath = path.join(tempDir, 'log-entry.schema.json');
+      await fs.writeFile(schemaPath, '{ "type": ');
+      configureLogSchema({ path: schemaPath });
+
+      try {
+        assert.match(validateSchemaEntry(toolCall())[0], /Log entry schema unavailable/);
+      } finally {
+        configureLogSchema({ path: shippedSchemaPath });
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,304 @@
+// ============================================================
+// Unit Tests: Protocol Omega Log Sinks
+// ============================================================
+// Description: Destination loading, fan-out and failure policies of the Omega sinks
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  configureSinks,
+  createNeo4jSink,
+  createSinks,
+  getEntityReferences,
+  loadSinks,
+  registerSinkType,
+  writeToSinks,
+  DEFAULT_HUB_CONFIG_PATH
+} from '../../src/middleware/omega-sinks.js';
+import { BaseMCPServer, createTool, createInputSchema } from '../../src/mcp/base-server.js';
+import { configureProtocolOmega } from '../../src/middleware/protocol-omega.js';
+import { configurePolicy } from '../../src/middleware/omega-policy.js';
+import { obsidianConfig, verifyAuditChain } from '../../src/services/obsidian-writer.js';
+import { flushLedger } from '../../src/services/audit-ledger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const shippedConfigPath = path.resolve(__dirname, '../../../../config/mcp-hub.json');
+
+const entry = (overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  type: 'tool_call',
+  source: 'neo4j-memory',
+  action: 'update_entity',
+  cli: 'cursor',
+  session: 'session-1',
+  data: {
+    server: 'neo4j-memory',
+    tool: 'update_entity',
+    arguments: { label: 'Bug', id: 'bug-1', properties: { apiKey: 'sk-live-secret' } }
+  },
+  tags: ['mcp', 'tool-call'],
+  ...overrides
+});
+
+describe('Protocol Omega Sinks', () => {
+  let tempDir;
+  let written;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'omega-sinks-'));
+
+    written = [];
+    registerSinkType('memory', (destination) => ({
+      async write(logEntry) {
+        if (destination.fail) {
+          throw new Error(`${destination.name} unavailable`);
+        }
+        written.push({ sink: destination.name, action: logEntry.action });
+        return { id: `${destination.name}-${written.length}` };
+      }
+    }));
+  });
+
+  after(async () => {
+    configureSinks({ path: DEFAULT_HUB_CONFIG_PATH });
+    await flushLedger();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    written.length = 0;
+  });
+
+  describe('createSinks', () => {
+    it('should make the first destination primary and blocking by default', () => {
+      const sinks = createSinks([
+        { type: 'memory', name: 'first' },
+        { type: 'memory', name: 'second' }
+      ]);
+
+      assert.deepEqual(sinks.map(({ name, primary, onFailure }) => ({ name, primary, onFailure })), [
+        { name: 'first', primary: true, onFailure: 'block' },
+        { name: 'second', primary: false, onFailure: 'warn' }
+      ]);
+    });
+
+    it('should honour primary and on_failure', () => {
+      const sinks = createSinks([
+        { type: 'memory', name: 'first', on_failure: 'ignore' },
+        { type: 'memory', name: 'second', primary: true }
+      ]);
+
+      assert.equal(sinks[0].onFailure, 'ignore');
+      assert.equal(sinks[1].primary, true);
+    });
+
+    it('should reject unknown types and failure policies', () => {
+      assert.throws(() => createSinks([{ type: 'kafka' }]), /Unknown logging destination type: kafka/);
+      assert.throws(() => createSinks([{ type: 'memory', on_failure: 'retry' }]), /on_failure must be one of/);
+      assert.throws(() => createSinks([{ type: 'jsonl' }]), /requires a path/);
+      assert.throws(() => createSinks([]), /At least one/);
+    });
+
+    it('should load the shipped destinations', async () => {
+      const sinks = await loadSinks(shippedConfigPath);
+
+      assert.deepEqual(sinks.map(({ type, primary, onFailure }) => ({ type, primary, onFailure })), [
+        { type: 'obsidian', primary: true, onFailure: 'block' },
+        { type: 'neo4j', primary: false, onFailure: 'warn' },
+        { type: 'jsonl', primary: false, onFailure: 'warn' },
+        { type: 'console', primary: false, onFailure: 'ignore' }
+      ]);
+    });
+
+    it('should use the Obsidian sink without a configuration file', async () => {
+      const sinks = await loadSinks(path.join(tempDir, 'missing.json'));
+
+      assert.deepEqual(sinks.map(sink => sink.type), ['obsidian']);
+    });
+  });
+
+  describe('writeToSinks', () => {
+    it('should write to every sink and return the primary result', async () => {
+      configureSinks({ destinations: [{ type: 'memory', name: 'a' }, { type: 'memory', name: 'b' }] });
+
+      const result = await writeToSinks(entry());
+
+      assert.equal(result.id, 'a-1');
+      assert.deepEqual(result.sinks, { a: 'written', b: 'written' });
+      assert.equal(written.length, 2);
+    });
+
+    it('should continue when a non-blocking sink fails', async () => {
+      configureSinks({
+        destinations: [
+          { type: 'memory', name: 'primary' },
+          { type: 'memory', name: 'flaky', fail: true },
+          { type: 'memory', name: 'quiet', fail: true, on_failure: 'ignore' }
+        ]
+      });
+
+      const result = await writeToSinks(entry());
+
+      assert.deepEqual(result.sinks, { primary: 'written', flaky: 'failed', quiet: 'failed' });
+    });
+
+    it('should fail when the primary sink fails, after writing the others', async () => {
+      configureSinks({
+        destinations: [
+          { type: 'memory', name: 'primary', fail: true },
+          { type: 'memory', name: 'backup' }
+        ]
+      });
+
+      await assert.rejects(writeToSinks(entry()), (error) => {
+        assert.equal(error.code, 'OMEGA_SINK_FAILED');
+        assert.match(error.message, /primary: primary unavailable/);
+        return true;
+      });
+      assert.deepEqual(written, [{ sink: 'backup', action: 'update_entity' }]);
+    });
+
+    it('should write redacted schema records to a JSONL file', async () => {
+      const file = path.join(tempDir, 'logs', 'omega.jsonl');
+      configureSinks({ destinations: [{ type: 'jsonl', path: file }] });
+
+      await Promise.all([writeToSinks(entry()), writeToSinks(entry({ action: 'update_entity_result' }))]);
+
+      const lines = (await fs.readFile(file, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+
+      assert.deepEqual(lines.map(line => line.action), ['update_entity', 'update_entity_result']);
+      assert.equal(lines[0].cli, 'cursor');
+      assert.equal(lines[0].action_type, 'MEMORY_UPDATE');
+      assert.deepEqual(lines[0].metadata, { session: 'session-1' });
+      assert.equal(lines[0].data.arguments.properties.apiKey, '[REDACTED]');
+    });
+  });
+
+  describe('Neo4j sink', () => {
+    it('should create an ActivityLog linked to the touched entities', async () => {
+      const queries = [];
+      const sink = createNeo4jSink({}, {
+        isConnected: () => true,
+        query: async (cypher, params) => queries.push({ cypher, params })
+      });
+
+      await sink.write(entry());
+
+      assert.equal(queries.length, 1);
+      assert.match(queries[0].cypher, /CREATE \(log:ActivityLog \$properties\)/);
+      assert.match(queries[0].cypher, /MATCH \(n:Bug\)\s+WHERE n\.id IN \$references\[0\]\.ids\s+MERGE \(n\)-\[:RECORDED_IN\]->\(log\)/);
+      assert.deepEqual(queries[0].params.references, [{ label: 'Bug', ids: ['bug-1'] }]);
+
+      const { properties } = queries[0].params;
+      assert.equal(properties.cli, 'cursor');
+      assert.equal(properties.session, 'session-1');
+      assert.equal(properties.action, 'update_entity');
+      assert.doesNotMatch(properties.data, /sk-live-secret/);
+    });
+
+    it('should leave out labels that are not valid in a query', async () => {
+      const queries = [];
+      const sink = createNeo4jSink({}, {
+        isConnected: () => true,
+        query: async (cypher, params) => queries.push({ cypher, params })
+      });
+
+      const forged = entry();
+      forged.data.arguments = { label: 'Bug) DETACH DELETE (n', id: 'bug-1', taskId: 'task-1' };
+      await sink.write(forged);
+
+      assert.deepEqual(queries[0].params.references, [{ label: 'Task', ids: ['task-1'] }]);
+      assert.doesNotMatch(queries[0].cypher, /DETACH/);
+    });
+
+    it('should fail while Neo4j is not connected', async () => {
+      const sink = createNeo4jSink({}, { isConnected: () => false, query: async () => {} });
+
+      await assert.rejects(sink.write(entry()), /Neo4j is not connected/);
+    });
+
+    it('should reject invalid labels', () => {
+      assert.throws(() => createNeo4jSink({ label: 'Log) DETACH DELETE (n' }), /Invalid Neo4j sink label/);
+    });
+  });
+
+  describe('getEntityReferences', () => {
+    it('should find entities, relationships and tasks', () => {
+      assert.deepEqual(getEntityReferences({
+        data: { arguments: { fromLabel: 'Project', fromId: 'p1', toLabel: 'Bug', toId: 'b1' } }
+      }), [{ label: 'Project', id: 'p1' }, { label: 'Bug', id: 'b1' }]);
+
+      assert.deepEqual(getEntityReferences({
+        data: { arguments: { taskId: 't1', parentTaskId: 't0' } }
+      }), [{ label: 'Task', id: 't1' }, { label: 'Task', id: 't0' }]);
+
+      assert.deepEqual(getEntityReferences({
+        data: { arguments: { title: 'New' }, result: { summary: { preview: '{\n  "success": true,\n  "taskId": "t2"\n}' } } }
+      }), [{ label: 'Task', id: 't2' }]);
+    });
+  });
+
+  describe('Protocol Omega fan-out', () => {
+    let server;
+    let calls;
+
+    beforeEach(async () => {
+      obsidianConfig.vaultPath = await fs.mkdtemp(path.join(tempDir, 'vault-'));
+      configureProtocolOmega({ mcpToolCalls: true, blockOnFailure: true, servers: {} });
+      configurePolicy({ document: {} });
+
+      calls = 0;
+      server = new BaseMCPServer({ name: 'sink-server' });
+      server.registerTool(createTool(
+        'ping',
+        'Ping',
+        createInputSchema({}),
+        async () => {
+          calls++;
+          return { pong: true };
+        }
+      ));
+    });
+
+    afterEach(() => {
+      configureSinks({ path: DEFAULT_HUB_CONFIG_PATH });
+    });
+
+    it('should record tool calls in every sink', async () => {
+      configureSinks({ destinations: [{ type: 'obsidian' }, { type: 'memory', name: 'copy' }] });
+
+      await server.callTool('ping', {});
+
+      assert.equal(calls, 1);
+      assert.deepEqual(written.map(item => item.action), ['ping', 'ping_result']);
+      assert.equal((await verifyAuditChain()).checked, 2);
+    });
+
+    it('should block the call only when the primary sink fails', async () => {
+      configureSinks({ destinations: [{ type: 'obsidian' }, { type: 'memory', name: 'copy', fail: true }] });
+      await server.callTool('ping', {});
+      assert.equal(calls, 1);
+
+      configureSinks({ destinations: [{ type: 'memory', name: 'down', fail: true }, { type: 'obsidian' }] });
+      const result = await server.callTool('ping', {});
+
+      assert.equal(JSON.parse(result.content[0].text).code, 'OMEGA_BLOCKED');
+      assert.equal(calls, 1);
+    });
+
+    it('should enforce a deny rule when the call cannot be recorded', async () => {
+      configureSinks({ destinations: [{ type: 'memory', name: 'down', fail: true }] });
+      configureProtocolOmega({ servers: { 'sink-server': { blockOnFailure: false } } });
+      configurePolicy({ document: { rules: [{ name: 'no-ping', tool: 'ping', effect: 'deny' }] } });
+
+      const result = await server.callTool('ping', {});
+
+      assert.equal(JSON.parse(result.content[0].text).code, 'OMEGA_POLICY_DENIED');
+      assert.equal(calls, 0);
+    });
+  });
+});
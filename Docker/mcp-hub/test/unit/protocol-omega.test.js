@@ -0,0 +1,286 @@
+// ============================================================
+// Unit Tests: Protocol Omega Tool Calls
+// ============================================================
+// Description: MCP tool calls recorded through Protocol Omega against a temporary vault
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BaseMCPServer, createTool, createInputSchema } from '../../src/mcp/base-server.js';
+import { obsidianConfig, formatDateForFilename, flushLogWrites } from '../../src/services/obsidian-writer.js';
+import { flushLedger } from '../../src/services/audit-ledger.js';
+import {
+  configureProtocolOmega,
+  getServerOmegaConfig,
+  summarizeToolResult
+} from '../../src/middleware/protocol-omega.js';
+import { configurePolicy } from '../../src/middleware/omega-policy.js';
+import { configureLogSchema, DEFAULT_SCHEMA_PATH } from '../../src/middleware/omega-schema.js';
+import {
+  configureApprovals,
+  decideApproval,
+  listApprovals
+} from '../../src/middleware/omega-approvals.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const shippedSchemaPath = path.resolve(__dirname, '../../../../config/schemas/log-entry.schema.json');
+
+describe('Protocol Omega Tool Calls', () => {
+  let tempDir;
+  let server;
+  let calls;
+
+  const nextPendingApproval = async () => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const [pending] = listApprovals({ status: 'pending' });
+      if (pending) return pending;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('No pending approval');
+  };
+
+  const readDailyLog = async () => {
+    await flushLogWrites();
+    return fs.readFile(
+      path.join(obsidianConfig.vaultPath, obsidianConfig.logsFolder, `${formatDateForFilename(new Date())}.md`),
+      'utf-8'
+    );
+  };
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'protocol-omega-'));
+  });
+
+  after(async () => {
+    configureLogSchema({ path: DEFAULT_SCHEMA_PATH, defaultCli: 'claude-code' });
+    await flushLedger();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    obsidianConfig.vaultPath = await fs.mkdtemp(path.join(tempDir, 'vault-'));
+    configureProtocolOmega({ mcpToolCalls: true, blockOnFailure: true, servers: {} });
+    configurePolicy({ document: {} });
+    configureApprovals({ timeoutMs: 60000 });
+    configureLogSchema({ path: shippedSchemaPath, defaultCli: 'claude-code' });
+    calls = 0;
+
+    server = new BaseMCPServer({ name: 'test-server' });
+    server.registerTool(createTool(
+      'create_item',
+      'Create an item',
+      createInputSchema({
+        label: { type: 'string', description: 'Item label' }
+      }, ['label']),
+      async (args) => {
+        calls++;
+        if (args.label === 'fail') {
+          throw new Error('Item store unavailable');
+        }
+        return { success: true, label: args.label };
+      }
+    ));
+  });
+
+  it('should record the call and its outcome', async () => {
+    const result = await server.callTool('create_item', { label: 'first' });
+
+    assert.equal(result.isError, undefined);
+
+    const log = await readDailyLog();
+    assert.match(log, /\*\*Action\*\*: create_item\n/);
+    assert.match(log, /\*\*Action\*\*: create_item_result\n/);
+    assert.match(log, /\*\*Source\*\*: test-server/);
+    assert.match(log, /first/);
+    assert.match(log, /duration_ms/);
+    assert.match(log, /success/);
+  });
+
+  it('should record the CLI and session of the client', async () => {
+    await server.callTool('create_item', { label: 'agent' }, {
+      client: { name: 'cursor-vscode', version: '1.0.0' },
+      sessionId: 'session-42'
+    });
+
+    const log = await readDailyLog();
+    assert.match(log, /^cli: cursor$/m);
+    assert.match(log, /^session: session-42$/m);
+    assert.match(log, /\*\*CLI\*\*: cursor\n\*\*Session\*\*: session-42\n/);
+    assert.equal(log.match(/\*\*Session\*\*: session-42/g).length, 2);
+  });
+
+  it('should block calls whose entry fails the log entry schema', async () => {
+    configureLogSchema({ defaultCli: 'unknown-cli' });
+
+    const result = await server.callTool('create_item', { label: 'invalid' });
+    const body = JSON.parse(result.content[0].text);
+
+    assert.equal(body.code, 'OMEGA_BLOCKED');
+    assert.equal(calls, 0);
+  });
+
+  it('should record the error of a failed call', async () => {
+    const result = await server.callTool('create_item', { label: 'fail' });
+
+    assert.equal(result.isError, true);
+
+    const log = await readDailyLog();
+    assert.match(log, /create_item_result/);
+    assert.match(log, /Item store unavailable/);
+  });
+
+  it('should block the call when it cannot be recorded', async () => {
+    const blocker = path.join(tempDir, 'not-a-directory');
+    await fs.writeFile(blocker, '');
+    obsidianConfig.vaultPath = path.join(blocker, 'vault');
+
+    const result = await server.callTool('create_item', { label: 'blocked' });
+    const body = JSON.parse(result.content[0].text);
+
+    assert.equal(result.isError, true);
+    assert.equal(body.code, 'OMEGA_BLOCKED');
+    assert.equal(calls, 0);
+  });
+
+  it('should run the call unrecorded when blocking is disabled for the server', async () => {
+    const blocker = path.join(tempDir, 'not-a-directory-either');
+    await fs.writeFile(blocker, '');
+    obsidianConfig.vaultPath = path.join(blocker, 'vault');
+    configureProtocolOmega({ servers: { 'test-server': { blockOnFailure: false } } });
+
+    const result = await server.callTool('create_item', { label: 'unrecorded' });
+
+    assert.equal(result.isError, undefined);
+    assert.equal(calls, 1);
+  });
+
+  it('should skip recording for servers with Protocol Omega disabled', async () => {
+    configureProtocolOmega({ servers: { 'test-server': { enabled: false } } });
+
+    await server.callTool('create_item', { label: 'quiet' });
+
+    assert.equal(calls, 1);
+    await assert.rejects(readDailyLog(), { code: 'ENOENT' });
+  });
+
+  it('should deny calls matching a deny rule and record the decision', async () => {
+    configurePolicy({
+      document: {
+        rules: [{ name: 'no-secrets', tool: 'create_item', arguments: { label: 'secret*' }, effect: 'deny', reason: 'No secrets' }]
+      }
+    });
+
+    const result = await server.callTool('create_item', { label: 'secret-plan' });
+    const body = JSON.parse(result.content[0].text);
+
+    assert.equal(result.isError, true);
+    assert.equal(body.code, 'OMEGA_POLICY_DENIED');
+    assert.equal(body.policy.rule, 'no-secrets');
+    assert.match(body.error, /No secrets/);
+    assert.equal(calls, 0);
+
+    const log = await readDailyLog();
+    assert.match(log, /\*\*effect\*\*: deny/);
+    assert.match(log, /\*\*rule\*\*: no-secrets/);
+  });
+
+  it('should park calls that require approval until approved', async () => {
+    configurePolicy({
+      document: {
+        rules: [{ name: 'review-items', tool: 'create_item', client: 'cline', effect: 'require-approval' }]
+      }
+    });
+
+    const call = server.callTool('create_item', { label: 'first' }, { client: { name: 'cline', version: '3.0.0' } });
+    const pending = await nextPendingApproval();
+
+    assert.equal(pending.tool, 'create_item');
+    assert.equal(pending.server, 'test-server');
+    assert.equal(pending.policy.rule, 'review-items');
+    assert.deepEqual(pending.client, { name: 'cline', version: '3.0.0' });
+    assert.equal(calls, 0);
+
+    await decideApproval(pending.id, { approved: true, decidedBy: 'reviewer' });
+    const result = await call;
+
+    assert.equal(result.isError, undefined);
+    assert.equal(calls, 1);
+
+    const log = await readDailyLog();
+    assert.match(log, /\*\*Action\*\*: approval_requested/);
+    assert.match(log, /\*\*Action\*\*: approval_approved/);
+    assert.match(log, /\*\*decided_by\*\*: reviewer/);
+    assert.match(log, new RegExp(`\\*\\*approval_id\\*\\*: ${pending.id}`));
+
+    // Other clients are not affected by the rule
+    await server.callTool('create_item', { label: 'second' }, { client: { name: 'claude-code', version: '2.0.0' } });
+    assert.equal(calls, 2);
+  });
+
+  it('should fail parked calls that are rejected', async () => {
+    configurePolicy({ document: { rules: [{ tool: 'create_item', effect: 'require-approval' }] } });
+
+    const call = server.callTool('create_item', { label: 'first' });
+    const pending = await nextPendingApproval();
+    await decideApproval(pending.id, { approved: false, comment: 'Not now' });
+
+    const body = JSON.parse((await call).content[0].text);
+
+    assert.equal(body.code, 'OMEGA_APPROVAL_REJECTED');
+    assert.match(body.error, /Not now/);
+    assert.equal(body.approval.status, 'rejected');
+    assert.equal(calls, 0);
+    await assert.rejects(decideApproval(pending.id, { approved: true }), { code: 'APPROVAL_ALREADY_DECIDED' });
+    assert.match(await readDailyLog(), /\*\*Action\*\*: approval_rejected/);
+  });
+
+  it('should fail parked calls that are not decided in time', async () => {
+    configurePolicy({ document: { rules: [{ tool: 'create_item', effect: 'require-approval' }] } });
+    configureApprovals({ timeoutMs: 20 });
+
+    // The expiry timer does not hold the process open; in the hub the
+    // client's open request does
+    const request = setInterval(() => {}, 1000);
+    const body = JSON.parse((await server.callTool('create_item', { label: 'first' })).content[0].text);
+    clearInterval(request);
+
+    assert.equal(body.code, 'OMEGA_APPROVAL_EXPIRED');
+    assert.equal(calls, 0);
+    assert.match(await readDailyLog(), /\*\*Action\*\*: approval_expired/);
+  });
+
+  it('should cancel parked calls when the client cancels', async () => {
+    configurePolicy({ document: { rules: [{ tool: 'create_item', effect: 'require-approval' }] } });
+
+    const controller = new AbortController();
+    const call = server.callTool('create_item', { label: 'first' }, { signal: controller.signal });
+    const pending = await nextPendingApproval();
+    controller.abort();
+
+    const body = JSON.parse((await call).content[0].text);
+
+    assert.equal(body.code, 'CANCELLED');
+    assert.equal(calls, 0);
+    assert.equal(listApprovals().find(approval => approval.id === pending.id).status, 'cancelled');
+  });
+
+  it('should merge per-server overrides with the global settings', () => {
+    configureProtocolOmega({ blockOnFailure: true, servers: { ollama: { blockOnFailure: false } } });
+
+    assert.deepEqual(getServerOmegaConfig('ollama'), { enabled: true, blockOnFailure: false });
+    assert.deepEqual(getServerOmegaConfig('task-master'), { enabled: true, blockOnFailure: true });
+  });
+
+  it('should truncate long results in the summary', () => {
+    const summary = summarizeToolResult({
+      content: [{ type: 'text', text: 'x'.repeat(2000) }]
+    });
+
+    assert.equal(summary.is_error, false);
+    assert.equal(summary.size, 2000);
+    assert.equal(summary.preview.length, 503);
+  });
+});